@@ -0,0 +1,241 @@
+const DailyReport = require('../models/DailyReport');
+const User = require('../models/User');
+const Holiday = require('../models/Holiday');
+const Leave = require('../models/Leave');
+const { DAY_MS, dayKey, startOfUTCDay } = require('../utils/helpers');
+
+// ====================== PERFORMANCE AGGREGATES ======================
+// Shared by the analytics dashboards and exports, team management and the per-user
+// performance endpoint, so every screen counts a rep's activity the same way.
+
+const percent = (part, whole) => whole > 0 ? Math.round((part / whole) * 100) : null;
+
+// ====================== TEAM SCOPE ======================
+// Match clause limiting a query to the requesting supervisor's reporting line
+const teamMatch = async (user, field = 'user_id') => {
+  const teamIds = await User.getTeamScope(user);
+  return teamIds ? { [field]: { $in: teamIds } } : {};
+};
+
+// ====================== REPORT STATUS ======================
+// Drafts never count towards analytics; ?approved_only=true narrows any endpoint to approved reports
+const statusMatch = (req) => req.query.approved_only === 'true'
+  ? { status: 'approved' }
+  : { status: { $ne: 'draft' } };
+
+// ====================== REPORT TOTALS ======================
+// Activity totals over every report matching the query, named as in team performance
+const getReportTotals = async (match) => {
+  const [row] = await DailyReport.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        reports_count: { $sum: 1 },
+        total_doctors: {
+          $sum: {
+            $add: [
+              '$dentists', '$physiotherapists', '$gynecologists', '$internists',
+              '$general_practitioners', '$pediatricians', '$dermatologists'
+            ]
+          }
+        },
+        total_pharmacies: { $sum: '$pharmacies' },
+        total_dispensaries: { $sum: '$dispensaries' },
+        total_orders: { $sum: '$orders_count' },
+        total_value: { $sum: '$orders_value' },
+        last_report_date: { $max: '$report_date' }
+      }
+    }
+  ]);
+  const { _id, ...totals } = row || {
+    reports_count: 0, total_doctors: 0, total_pharmacies: 0, total_dispensaries: 0,
+    total_orders: 0, total_value: 0, last_report_date: null
+  };
+  return totals;
+};
+
+// ====================== SUBMISSION RATE ======================
+// Days each rep was expected to report in [from, to) - working days for their region, less
+// approved leave and any days before they joined - against the days they actually reported.
+// Reps are { _id, region, createdAt }. Returns a map of user ID to their submission stats.
+const getSubmissionRates = async (reps, from, to, filter = {}) => {
+  const start = startOfUTCDay(from);
+  const userIds = reps.map(rep => rep._id);
+
+  const [holidays, leaveDays, reportDays] = await Promise.all([
+    Holiday.between(start, to),
+    Leave.approvedDays(userIds, start, to),
+    DailyReport.aggregate([
+      { $match: { user_id: { $in: userIds }, report_date: { $gte: start, $lt: to }, ...filter } },
+      {
+        $group: {
+          _id: '$user_id',
+          days: { $addToSet: { $dateToString: { format: '%Y-%m-%d', date: '$report_date' } } }
+        }
+      }
+    ])
+  ]);
+  const reportedByUser = new Map(reportDays.map(row => [row._id.toString(), new Set(row.days)]));
+
+  const rates = new Map();
+  for (const rep of reps) {
+    const key = rep._id.toString();
+    const joined = rep.createdAt ? startOfUTCDay(new Date(rep.createdAt)) : start;
+    const workingDays = await Holiday.workingDays(joined > start ? joined : start, to, rep.region || '', holidays);
+    const onLeave = leaveDays.get(key) || new Set();
+    const reported = reportedByUser.get(key) || new Set();
+
+    const expected = workingDays.filter(day => !onLeave.has(day));
+    const missing = expected.filter(day => !reported.has(day));
+    rates.set(key, {
+      working_days: workingDays.length,
+      leave_days: workingDays.length - expected.length,
+      expected_days: expected.length,
+      reported_days: expected.length - missing.length,
+      missing_days: missing.length,
+      missing_dates: missing,
+      submission_rate: percent(expected.length - missing.length, expected.length)
+    });
+  }
+  return rates;
+};
+
+// Whole-team rate from the per-rep stats - every expected day counts the same
+const teamSubmissionRate = (rates) => {
+  const totals = [...rates.values()].reduce((sum, rate) => ({
+    expected: sum.expected + rate.expected_days,
+    reported: sum.reported + rate.reported_days
+  }), { expected: 0, reported: 0 });
+  return percent(totals.reported, totals.expected);
+};
+
+// ====================== REPORTING PERIOD ======================
+// Rolling windows behind ?period= - anything else means all time
+const PERIOD_DAYS = { week: 7, month: 30, quarter: 90 };
+
+const periodStart = (period) => {
+  if (!PERIOD_DAYS[period]) return null;
+  const start = new Date();
+  start.setDate(start.getDate() - PERIOD_DAYS[period]);
+  return start;
+};
+
+const PERIOD_LABELS = { week: 'Last 7 days', month: 'Last 30 days', quarter: 'Last 90 days' };
+
+// Inclusive ?from=&to= dates when given, otherwise the rolling ?period= the dashboards use.
+// Returns { from, to, label } with to exclusive, or { error } for a bad value.
+const periodRange = (query) => {
+  const { period = 'month', from, to } = query;
+  if (!from && !to) {
+    return { from: periodStart(period), to: null, label: PERIOD_LABELS[period] || 'All time' };
+  }
+  
+  const start = from ? new Date(from) : null;
+  const end = to ? new Date(to) : null;
+  if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) return { error: 'Invalid date range' };
+  if (start && end && end < start) return { error: 'The end date cannot be before the start date' };
+  
+  return {
+    from: start ? startOfUTCDay(start) : null,
+    to: end ? new Date(startOfUTCDay(end).getTime() + DAY_MS) : null,
+    label: `${start ? dayKey(start) : 'Start'} to ${end ? dayKey(end) : 'today'}`
+  };
+};
+
+// ====================== TEAM PERFORMANCE ======================
+// Totals per active medrep in the user's reporting line for reports dated in [from, to),
+// with their submission rate over the same days. Either bound may be null for open-ended.
+// Passing userIds narrows it to those users instead, whatever their role or status.
+const getTeamPerformance = async (user, from, to, filter = {}, { userIds } = {}) => {
+  const dateFilter = {};
+  if (from) dateFilter.$gte = from;
+  if (to) dateFilter.$lt = to;
+  
+  const members = await User.aggregate([
+    {
+      $match: {
+        ...(userIds ? { _id: { $in: userIds } } : { role: 'medrep', is_active: true }),
+        ...(await teamMatch(user, '_id'))
+      }
+    },
+    {
+      $lookup: {
+        from: 'dailyreports',
+        let: { userId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$user_id', '$$userId'] },
+              ...(from || to ? { report_date: dateFilter } : {}),
+              ...filter
+            }
+          }
+        ],
+        as: 'reports'
+      }
+    },
+    {
+      $project: {
+        user_id: '$_id',
+        user_name: '$name',
+        username: '$username',
+        email: '$email',
+        region: '$region',
+        createdAt: '$createdAt',
+        reports_count: { $size: '$reports' },
+        total_doctors: {
+          $sum: {
+            $map: {
+              input: '$reports',
+              as: 'report',
+              in: {
+                $add: [
+                  '$$report.dentists', '$$report.physiotherapists', '$$report.gynecologists',
+                  '$$report.internists', '$$report.general_practitioners', 
+                  '$$report.pediatricians', '$$report.dermatologists'
+                ]
+              }
+            }
+          }
+        },
+        total_pharmacies: { $sum: '$reports.pharmacies' },
+        total_dispensaries: { $sum: '$reports.dispensaries' },
+        total_orders: { $sum: '$reports.orders_count' },
+        total_value: { $sum: '$reports.orders_value' },
+        last_report_date: { $max: '$reports.report_date' }
+      }
+    },
+    { $sort: { total_value: -1 } }
+  ]);
+  
+  // Reporting compliance over the same period, allowing for holidays and approved leave - today
+  // only counts once it is over
+  const today = startOfUTCDay(new Date());
+  const rates = await getSubmissionRates(
+    members.map(member => ({ _id: member.user_id, region: member.region, createdAt: member.createdAt })),
+    from || new Date(0),
+    to && to < today ? to : today,
+    filter
+  );
+  members.forEach(member => {
+    const { missing_dates, ...rate } = rates.get(member.user_id.toString());
+    Object.assign(member, rate);
+  });
+  
+  return { members, submission_rate: teamSubmissionRate(rates) };
+};
+
+module.exports = {
+  percent,
+  teamMatch,
+  statusMatch,
+  getReportTotals,
+  getSubmissionRates,
+  teamSubmissionRate,
+  PERIOD_DAYS,
+  PERIOD_LABELS,
+  periodStart,
+  periodRange,
+  getTeamPerformance
+};
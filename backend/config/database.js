@@ -14,8 +14,16 @@ const connectDB = async () => {
     console.log(`📊 Database: ${conn.connection.name}`);
     
     // Create default users and sample reports
+    await createDefaultRoles();
     await createDefaultUsers();
+    await createReportingLines();
+    await createSampleTerritories();
+    await createSampleHcps();
+    await createSampleOutlets();
+    await createSampleProducts();
+    await createPublicHolidays();
     await createSampleReports();
+    await backfillReportStatus();
     
   } catch (error) {
     console.error('❌ Database connection error:', error);
@@ -23,6 +31,46 @@ const connectDB = async () => {
   }
 };
 
+// Seed the named roles with their default grants - IMPORT MODELS INSIDE FUNCTION
+async function createDefaultRoles() {
+  try {
+    const Role = require('../models/Role');
+    const User = require('../models/User');
+    
+    let createdCount = 0;
+    for (const name of Role.ROLES) {
+      const defaults = Role.DEFAULT_GRANTS[name];
+      const existingRole = await Role.findOne({ name });
+      if (!existingRole) {
+        await Role.create({ name, label: Role.LABELS[name], permissions: defaults, granted_defaults: defaults });
+        createdCount++;
+        continue;
+      }
+      
+      // Grant defaults introduced since the role was seeded
+      const added = defaults.filter(permission => !existingRole.granted_defaults.includes(permission));
+      if (added.length > 0) {
+        existingRole.permissions.push(...added.filter(permission => !existingRole.permissions.includes(permission)));
+        existingRole.granted_defaults.push(...added);
+        await existingRole.save();
+        console.log(`✅ Granted new default permissions to ${name}: ${added.join(', ')}`);
+      }
+    }
+    
+    if (createdCount > 0) {
+      console.log(`✅ Created ${createdCount} roles with default permissions`);
+    }
+    
+    // The built-in admin account used to be seeded as a supervisor
+    const result = await User.updateOne({ username: 'admin', role: 'supervisor' }, { role: 'admin' });
+    if (result.modifiedCount > 0) {
+      console.log('✅ Promoted the admin account to the admin role');
+    }
+  } catch (error) {
+    console.error('❌ Error creating default roles:', error);
+  }
+}
+
 // Create default users - IMPORT MODELS INSIDE FUNCTION
 async function createDefaultUsers() {
   try {
@@ -36,7 +84,7 @@ async function createDefaultUsers() {
         password: 'admin123',
         name: 'System Administrator',
         email: 'admin@medicalreports.com',
-        role: 'supervisor'
+        role: 'admin'
       },
       {
         username: 'bonte',
@@ -96,12 +144,246 @@ async function createDefaultUsers() {
   }
 }
 
+// Give every rep without a manager a reporting line - a one-off migration, recorded as a job run so
+// later boots leave reps whose manager was cleared on purpose alone - IMPORT MODELS INSIDE FUNCTION
+async function createReportingLines() {
+  try {
+    const User = require('../models/User');
+    const JobRun = require('../models/JobRun');
+    const AuditLog = require('../models/AuditLog');
+    
+    const admin = await User.findOne({ username: 'admin' });
+    if (!admin) return;
+    
+    let run;
+    try {
+      run = await JobRun.create({ job: 'migrate-reporting-lines', run_key: 'once' });
+    } catch (error) {
+      if (error.code === 11000) return;
+      throw error;
+    }
+    
+    try {
+      // Earlier boots ran this every time, so reps whose manager was since changed by hand keep their choice
+      const changedByHand = await AuditLog.distinct('resource_id', {
+        action: { $in: ['users.manager', 'users.update'] },
+        outcome: 'success',
+        'details.manager_id': { $exists: true }
+      });
+      
+      // Supervisors only see their own reports, so unmanaged reps would otherwise be invisible
+      const result = await User.updateMany(
+        { role: 'medrep', manager_id: null, _id: { $nin: changedByHand.filter(id => mongoose.Types.ObjectId.isValid(id)) } },
+        { manager_id: admin._id }
+      );
+      
+      run.finished_at = new Date();
+      run.result = { assigned: result.modifiedCount };
+      await run.save();
+      
+      if (result.modifiedCount > 0) {
+        console.log(`✅ Assigned ${result.modifiedCount} reps without a manager to ${admin.name}`);
+      }
+    } catch (error) {
+      // Let the next boot try again
+      await JobRun.deleteOne({ _id: run._id });
+      throw error;
+    }
+  } catch (error) {
+    console.error('❌ Error creating reporting lines:', error);
+  }
+}
+
+// Create the territory tree and move users off free-text regions - IMPORT MODELS INSIDE FUNCTION
+async function createSampleTerritories() {
+  try {
+    const Territory = require('../models/Territory');
+    const User = require('../models/User');
+    const DailyReport = require('../models/DailyReport');
+    
+    const existingTerritories = await Territory.countDocuments();
+    if (existingTerritories > 0) {
+      console.log(`🗺️ ${existingTerritories} territories already exist in database`);
+      return;
+    }
+    
+    // Province -> district -> territories
+    const tree = {
+      'Kigali City': { code: 'KGL', districts: { Gasabo: ['Kimironko', 'Remera'], Nyarugenge: ['Kigali Central'], Kicukiro: ['Kicukiro Centre'] } },
+      'Eastern': { code: 'EST', districts: { Rwamagana: ['Rwamagana Town'], Ngoma: ['Kibungo'] } },
+      'Western': { code: 'WST', districts: { Rubavu: ['Gisenyi'], Karongi: ['Kibuye'] } },
+      'Northern': { code: 'NTH', districts: { Musanze: ['Musanze Town'], Gicumbi: ['Byumba'] } },
+      'Southern': { code: 'STH', districts: { Huye: ['Huye Town'], Muhanga: ['Gitarama'] } }
+    };
+    
+    const country = await Territory.create({ name: 'Rwanda', code: 'RW', level: 'country' });
+    const provinces = {};
+    
+    for (const [provinceName, province] of Object.entries(tree)) {
+      const provinceDoc = await Territory.create({ name: provinceName, code: province.code, level: 'province', parent_id: country._id });
+      provinces[provinceName.toLowerCase()] = provinceDoc;
+      
+      for (const [districtName, territories] of Object.entries(province.districts)) {
+        const districtDoc = await Territory.create({ name: districtName, level: 'district', parent_id: provinceDoc._id });
+        
+        for (const territoryName of territories) {
+          await Territory.create({ name: territoryName, level: 'territory', parent_id: districtDoc._id });
+        }
+      }
+    }
+    
+    console.log(`✅ Created territory tree for ${country.name}`);
+    
+    // Assign existing users by matching their free-text region to a province
+    const aliases = { kigali: 'kigali city', east: 'eastern', west: 'western', north: 'northern', south: 'southern' };
+    const users = await User.find({ territory_id: null, region: { $exists: true, $ne: '' } });
+    
+    for (const user of users) {
+      const key = user.region.trim().toLowerCase().replace(/\s+(province|region)$/, '');
+      const province = provinces[key] || provinces[aliases[key]];
+      if (!province) continue;
+      
+      user.territory_id = province._id;
+      user.region = province.name;
+      await user.save();
+      
+      // Backfill the user's reports so history rolls up under the new tree
+      await DailyReport.updateMany(
+        { user_id: user._id, 'territory_path.0': { $exists: false } },
+        { territory_id: province._id, territory_path: [country._id, province._id], region: province.name }
+      );
+      console.log(`✅ Assigned ${user.name} to ${province.name}`);
+    }
+  } catch (error) {
+    console.error('❌ Error creating sample territories:', error);
+  }
+}
+
+// Create sample HCP directory - IMPORT MODELS INSIDE FUNCTION
+async function createSampleHcps() {
+  try {
+    const Hcp = require('../models/Hcp');
+    
+    const existingHcps = await Hcp.countDocuments();
+    if (existingHcps > 0) {
+      console.log(`🩺 ${existingHcps} HCPs already exist in database`);
+      return;
+    }
+    
+    const sampleHcps = [
+      { name: 'Dr. Jean Mugabo', specialty: 'internist', facility: 'King Faisal Hospital', town: 'Kigali', tier: 'A' },
+      { name: 'Dr. Aline Uwase', specialty: 'pediatrician', facility: 'King Faisal Hospital', town: 'Kigali', tier: 'A' },
+      { name: 'Dr. Eric Nkurunziza', specialty: 'gynecologist', facility: 'CHUK', town: 'Kigali', tier: 'A' },
+      { name: 'Dr. Claudine Mukamana', specialty: 'dentist', facility: 'Rwamagana Hospital', town: 'Rwamagana', tier: 'B' },
+      { name: 'Dr. Patrick Habimana', specialty: 'general_practitioner', facility: 'Gisenyi Hospital', town: 'Rubavu', tier: 'B' },
+      { name: 'Dr. Diane Ingabire', specialty: 'dermatologist', facility: 'Ruhengeri Hospital', town: 'Musanze', tier: 'B' },
+      { name: 'Dr. Samuel Niyonzima', specialty: 'physiotherapist', facility: 'Kibungo Hospital', town: 'Ngoma', tier: 'C' }
+    ];
+    
+    await Hcp.insertMany(sampleHcps);
+    console.log(`✅ Created ${sampleHcps.length} sample HCPs`);
+  } catch (error) {
+    console.error('❌ Error creating sample HCPs:', error);
+  }
+}
+
+// Create sample outlet registry - IMPORT MODELS INSIDE FUNCTION
+async function createSampleOutlets() {
+  try {
+    const Outlet = require('../models/Outlet');
+    const User = require('../models/User');
+    
+    const existingOutlets = await Outlet.countDocuments();
+    if (existingOutlets > 0) {
+      console.log(`🏪 ${existingOutlets} outlets already exist in database`);
+      return;
+    }
+    
+    const owners = await User.find({ role: 'medrep' }).select('username').lean();
+    const ownerId = (username) => owners.find(owner => owner.username === username)?._id;
+    
+    const sampleOutlets = [
+      { name: 'Pharmacie Conseil', type: 'pharmacy', address: 'KN 4 Ave, Kigali', latitude: -1.9441, longitude: 30.0619, owner_id: ownerId('bonte') },
+      { name: 'Kigali Medical Dispensary', type: 'dispensary', address: 'KG 11 Ave, Kigali', latitude: -1.9536, longitude: 30.0927, owner_id: ownerId('bonte') },
+      { name: 'Rwamagana Pharmacy', type: 'pharmacy', address: 'Rwamagana Town', latitude: -1.9487, longitude: 30.4347, owner_id: ownerId('liliane') },
+      { name: 'Rubavu Pharma Wholesale', type: 'wholesaler', address: 'Gisenyi, Rubavu', latitude: -1.7025, longitude: 29.2564, owner_id: ownerId('deborah') },
+      { name: 'Musanze Community Dispensary', type: 'dispensary', address: 'Musanze Town', latitude: -1.4998, longitude: 29.6346, owner_id: ownerId('valens') }
+    ];
+    
+    await Outlet.insertMany(sampleOutlets);
+    console.log(`✅ Created ${sampleOutlets.length} sample outlets`);
+  } catch (error) {
+    console.error('❌ Error creating sample outlets:', error);
+  }
+}
+
+// Create sample product catalog - IMPORT MODELS INSIDE FUNCTION
+async function createSampleProducts() {
+  try {
+    const Product = require('../models/Product');
+    
+    const existingProducts = await Product.countDocuments();
+    if (existingProducts > 0) {
+      console.log(`💊 ${existingProducts} products already exist in database`);
+      return;
+    }
+    
+    const sampleProducts = [
+      { sku: 'AMX-500', name: 'Amoxicillin 500mg Capsules', pack_size: '10 x 10', unit_price: 4500 },
+      { sku: 'PCM-500', name: 'Paracetamol 500mg Tablets', pack_size: '10 x 10', unit_price: 1800 },
+      { sku: 'IBU-400', name: 'Ibuprofen 400mg Tablets', pack_size: '10 x 10', unit_price: 2500 },
+      { sku: 'ORS-SCH', name: 'Oral Rehydration Salts', pack_size: '50 sachets', unit_price: 6000 },
+      { sku: 'MTF-850', name: 'Metformin 850mg Tablets', pack_size: '3 x 10', unit_price: 3200 },
+      { sku: 'CTZ-10', name: 'Cetirizine 10mg Tablets', pack_size: '10 x 10', unit_price: 2200 }
+    ];
+    
+    await Product.insertMany(sampleProducts);
+    console.log(`✅ Created ${sampleProducts.length} sample products`);
+  } catch (error) {
+    console.error('❌ Error creating sample products:', error);
+  }
+}
+
+// Seed Rwanda's fixed-date public holidays - IMPORT MODELS INSIDE FUNCTION
+async function createPublicHolidays() {
+  try {
+    const Holiday = require('../models/Holiday');
+    
+    const existingHolidays = await Holiday.countDocuments();
+    if (existingHolidays > 0) {
+      console.log(`🎉 ${existingHolidays} holidays already exist in database`);
+      return;
+    }
+    
+    // Recurring from 2020; movable feasts such as Good Friday are added each year by an admin
+    const publicHolidays = [
+      ['2020-01-01', "New Year's Day"],
+      ['2020-01-02', 'Day after New Year'],
+      ['2020-02-01', "National Heroes' Day"],
+      ['2020-04-07', 'Genocide against the Tutsi Memorial Day'],
+      ['2020-05-01', 'Labour Day'],
+      ['2020-07-01', 'Independence Day'],
+      ['2020-07-04', 'Liberation Day'],
+      ['2020-08-15', 'Assumption Day'],
+      ['2020-12-25', 'Christmas Day'],
+      ['2020-12-26', 'Boxing Day']
+    ].map(([date, name]) => ({ date: new Date(date), name, recurring: true }));
+    
+    await Holiday.insertMany(publicHolidays);
+    console.log(`✅ Created ${publicHolidays.length} public holidays`);
+  } catch (error) {
+    console.error('❌ Error creating public holidays:', error);
+  }
+}
+
 // Create sample reports - IMPORT MODELS INSIDE FUNCTION
 async function createSampleReports() {
   try {
     // Import inside function to avoid circular dependency
     const DailyReport = require('../models/DailyReport');
     const User = require('../models/User');
+    const Territory = require('../models/Territory');
+    const Holiday = require('../models/Holiday');
     
     // Check if reports already exist
     const existingReports = await DailyReport.countDocuments();
@@ -115,22 +397,35 @@ async function createSampleReports() {
     // Get all medrep users
     const medreps = await User.find({ role: 'medrep' });
     
+    const territoryPaths = {};
+    for (const medrep of medreps) {
+      const info = await Territory.resolvePath(medrep.territory_id);
+      if (info) territoryPaths[medrep._id.toString()] = info.path;
+    }
+    
     const sampleReports = [];
     const today = new Date();
+    const { DAY_MS, dayKey } = require('../utils/helpers');
+    const holidays = new Set((await Holiday.between(new Date(today.getTime() - 31 * DAY_MS), new Date(today.getTime() + DAY_MS)))
+      .filter(holiday => !holiday.region)
+      .map(holiday => holiday.key));
     
     // Create reports for last 30 days for each medrep
     for (let i = 0; i < 30; i++) {
       const reportDate = new Date(today);
       reportDate.setDate(reportDate.getDate() - i);
       
-      // Only create reports for weekdays (Mon-Fri)
+      // Only create reports for working days (Mon-Fri, outside public holidays)
       const dayOfWeek = reportDate.getDay();
-      if (dayOfWeek >= 1 && dayOfWeek <= 5) { // 1=Monday, 5=Friday
+      const isHoliday = holidays.has(dayKey(reportDate));
+      if (dayOfWeek >= 1 && dayOfWeek <= 5 && !isHoliday) { // 1=Monday, 5=Friday
         for (const medrep of medreps) {
           sampleReports.push({
             user_id: medrep._id,
             report_date: new Date(reportDate),
             region: medrep.region,
+            territory_id: medrep.territory_id,
+            territory_path: territoryPaths[medrep._id.toString()] || [],
             dentists: Math.floor(Math.random() * 5),
             physiotherapists: Math.floor(Math.random() * 3),
             gynecologists: Math.floor(Math.random() * 4),
@@ -160,4 +455,22 @@ async function createSampleReports() {
   }
 }
 
+// Reports saved before the review workflow count as submitted - IMPORT MODELS INSIDE FUNCTION
+async function backfillReportStatus() {
+  try {
+    const DailyReport = require('../models/DailyReport');
+    
+    const result = await DailyReport.updateMany(
+      { status: { $exists: false } },
+      { status: 'submitted' }
+    );
+    
+    if (result.modifiedCount > 0) {
+      console.log(`✅ Marked ${result.modifiedCount} existing reports as submitted for review`);
+    }
+  } catch (error) {
+    console.error('❌ Error backfilling report status:', error);
+  }
+}
+
 module.exports = connectDB;
\ No newline at end of file
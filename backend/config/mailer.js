@@ -0,0 +1,47 @@
+const nodemailer = require('nodemailer');
+
+// SMTP settings come from the environment. Point SMTP_HOST at a local catcher such as
+// MailHog (localhost:1025) while testing. Without SMTP_HOST emails are only logged.
+let transporter = null;
+
+const getTransporter = () => {
+  if (!process.env.SMTP_HOST) return null;
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+// Link to a page of the web app, for use in emails
+const appUrl = (path = '') => `${process.env.FRONTEND_URL || 'http://localhost:5173'}${path}`;
+
+// Send a plain-text email. Resolves to true when it was handed to the SMTP server.
+const sendMail = async ({ to, subject, text }) => {
+  const transport = getTransporter();
+  if (!transport) {
+    console.log(`📧 [not sent - SMTP_HOST not set] To: ${to} | ${subject}`);
+    return false;
+  }
+
+  try {
+    await transport.sendMail({
+      from: process.env.MAIL_FROM || 'Regal Pharma Reports <no-reply@regalpharma.rw>',
+      to,
+      subject,
+      text
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ Error sending email to ${to}:`, error.message);
+    return false;
+  }
+};
+
+module.exports = { sendMail, appUrl };
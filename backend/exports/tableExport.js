@@ -0,0 +1,183 @@
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const { neutralizeFormula, escapeCsv } = require('../utils/helpers');
+
+// ====================== TABLE EXPORTS ======================
+// Streams a titled report made of summary details and one or more tables as PDF, CSV or XLSX.
+//
+//   sendTableExport(res, format, {
+//     filename,                     // without extension
+//     title, subtitle,
+//     details: [[label, value]],    // summary lines printed above the tables
+//     tables: [{ title, columns: [[header, row => value, { width, align, format }]], rows }]
+//   })
+//
+// CSV carries only the first table so it stays loadable by scripts and spreadsheets.
+// Column options: width is a relative weight in the PDF, align 'right' for numbers,
+// format 'money' or 'percent' for display formatting (CSV and XLSX keep raw numbers).
+
+const EXPORT_FORMATS = ['pdf', 'csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Brand colour used on the browser-built PDFs
+const BRAND = '#146c94';
+
+const displayValue = (value, options = {}) => {
+  if (value === null || value === undefined || value === '') return options.format === 'percent' ? '—' : '';
+  if (options.format === 'money') return `RWF ${Math.round(Number(value)).toLocaleString('en-US')}`;
+  if (options.format === 'percent') return `${value}%`;
+  if (typeof value === 'number') return value.toLocaleString('en-US');
+  return String(value);
+};
+
+// ====================== CSV ======================
+const writeCsv = (res, { tables }) => {
+  const [table] = tables;
+  res.write(table.columns.map(([header]) => escapeCsv(header)).join(',') + '\n');
+  table.rows.forEach(row => {
+    res.write(table.columns.map(([, value]) => escapeCsv(value(row))).join(',') + '\n');
+  });
+  res.end();
+};
+
+// ====================== XLSX ======================
+// A summary sheet with the details, then one sheet per table
+const writeXlsx = async (res, { title, subtitle, details = [], tables }) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Regal Pharma';
+  workbook.created = new Date();
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [{ width: 32 }, { width: 40 }];
+  summary.addRow([neutralizeFormula(title)]).font = { bold: true, size: 14, color: { argb: 'FF146C94' } };
+  if (subtitle) summary.addRow([neutralizeFormula(subtitle)]);
+  summary.addRow([]);
+  details.forEach(([label, value]) => {
+    summary.addRow([label, neutralizeFormula(value) ?? '']).getCell(1).font = { bold: true };
+  });
+
+  tables.forEach(table => {
+    // Sheet names are limited to 31 characters and may not contain []:*?/\
+    const sheet = workbook.addWorksheet(table.title.replace(/[[\]:*?/\\]/g, '').slice(0, 31));
+    sheet.columns = table.columns.map(([header, , options = {}]) => ({
+      header,
+      width: Math.max(header.length + 2, (options.width || 1) * 12),
+      style: options.format === 'money' ? { numFmt: '#,##0' } : {}
+    }));
+    sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF146C94' } };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    table.rows.forEach(row => {
+      sheet.addRow(table.columns.map(([, value]) => neutralizeFormula(value(row)) ?? ''));
+    });
+  });
+
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+// ====================== PDF ======================
+const drawTable = (doc, { title, columns, rows }) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const weights = columns.map(([, , options = {}]) => options.width || 1);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const widths = weights.map(weight => (weight / totalWeight) * width);
+  const padding = 4;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(8);
+    return Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: widths[i] - padding * 2 }))) + padding * 2;
+  };
+
+  const drawRow = (cells, { font = 'Helvetica', fill, color = '#000000' } = {}) => {
+    const height = rowHeight(cells, font);
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      drawHeader();
+    }
+    const y = doc.y;
+    if (fill) doc.rect(left, y, width, height).fill(fill);
+    doc.font(font).fontSize(8).fillColor(color);
+    let x = left;
+    cells.forEach((text, i) => {
+      const options = columns[i][2] || {};
+      doc.text(text, x + padding, y + padding, { width: widths[i] - padding * 2, align: options.align || 'left' });
+      x += widths[i];
+    });
+    doc.moveTo(left, y + height).lineTo(left + width, y + height).strokeColor('#e2e8f0').lineWidth(0.5).stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const drawHeader = () => drawRow(columns.map(([header]) => header), { font: 'Helvetica-Bold', fill: BRAND, color: '#ffffff' });
+
+  if (doc.y + 60 > bottom()) doc.addPage();
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(BRAND).text(title.toUpperCase(), left);
+  doc.moveDown(0.4);
+
+  if (rows.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(10).fillColor('#64748b').text('No data for this period', left);
+    return;
+  }
+
+  drawHeader();
+  rows.forEach((row, index) => drawRow(
+    columns.map(([, value, options]) => displayValue(value(row), options)),
+    { fill: index % 2 === 1 ? '#f8fafc' : undefined }
+  ));
+};
+
+const writePdf = (res, { title, subtitle, details = [], tables }) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40, bufferPages: true });
+  doc.pipe(res);
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND).text('REGAL PHARMACEUTICALS', { align: 'center' });
+  doc.font('Helvetica').fontSize(10).fillColor('#3b82f6').text('Rwanda • Excellence in Healthcare', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).strokeColor(BRAND).lineWidth(1).stroke();
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#000000').text(title.toUpperCase(), { align: 'center' });
+  if (subtitle) doc.font('Helvetica').fontSize(11).fillColor('#475569').text(subtitle, { align: 'center' });
+  doc.moveDown();
+
+  details.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#1e293b').text(`${label}: `, { continued: true })
+      .font('Helvetica').text(String(value ?? '—'));
+  });
+
+  tables.forEach(table => drawTable(doc, table));
+
+  // Page numbers once the page count is known
+  const range = doc.bufferedPageRange();
+  for (let i = 0; i < range.count; i++) {
+    doc.switchToPage(range.start + i);
+    const margin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#94a3b8')
+      .text(`Page ${i + 1} of ${range.count}`, 0, doc.page.height - 25, { width: doc.page.width, align: 'center' });
+    doc.page.margins.bottom = margin;
+  }
+
+  doc.end();
+};
+
+// ====================== SEND ======================
+const sendTableExport = async (res, format, report) => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${report.filename}.${format}"`);
+
+  if (format === 'csv') return writeCsv(res, report);
+  if (format === 'xlsx') return writeXlsx(res, report);
+  return writePdf(res, report);
+};
+
+module.exports = { EXPORT_FORMATS, sendTableExport };
@@ -0,0 +1,168 @@
+const DailyReport = require('../models/DailyReport');
+const User = require('../models/User');
+const Territory = require('../models/Territory');
+const { parseDate, parseNumber } = require('./spreadsheet');
+const { dayKey } = require('../utils/helpers');
+
+// ====================== IMPORT FIELDS ======================
+// Report fields an uploaded column can be mapped to, with the headers they are recognised by
+const COUNT_FIELDS = [
+  'dentists', 'physiotherapists', 'gynecologists', 'internists', 'general_practitioners',
+  'pediatricians', 'dermatologists', 'pharmacies', 'dispensaries', 'orders_count', 'orders_value'
+];
+
+const FIELDS = [
+  ['user', { label: 'Rep (username or email)', required: true, aliases: ['username', 'email', 'rep', 'medrep', 'representative', 'user_name'] }],
+  ['report_date', { label: 'Report date', required: true, aliases: ['date', 'day', 'report_day'] }],
+  ['region', { label: 'Region', aliases: ['area', 'territory'] }],
+  ['dentists', { label: 'Dentists' }],
+  ['physiotherapists', { label: 'Physiotherapists', aliases: ['physios'] }],
+  ['gynecologists', { label: 'Gynecologists', aliases: ['gynaecologists'] }],
+  ['internists', { label: 'Internists' }],
+  ['general_practitioners', { label: 'General practitioners', aliases: ['gps', 'gp'] }],
+  ['pediatricians', { label: 'Pediatricians', aliases: ['paediatricians'] }],
+  ['dermatologists', { label: 'Dermatologists' }],
+  ['pharmacies', { label: 'Pharmacies' }],
+  ['dispensaries', { label: 'Dispensaries' }],
+  ['orders_count', { label: 'Orders', aliases: ['orders', 'order_count', 'number_of_orders'] }],
+  ['orders_value', { label: 'Orders value (RWF)', aliases: ['value', 'order_value', 'sales', 'revenue', 'orders_value_rwf'] }],
+  ['summary', { label: 'Summary', aliases: ['notes', 'comments', 'remarks'] }]
+];
+
+const FIELD_LABELS = Object.fromEntries(FIELDS.map(([name, options]) => [name, options.label]));
+
+// Rows sent to the database per batch on commit
+const BATCH_SIZE = 1000;
+
+// ====================== VALIDATE ROWS ======================
+// Builds a report for every uploaded row and checks it against the model's rules, the reps
+// the importer may act for, and the one-report-per-rep-per-day rule - within the file and
+// against reports already saved. Returns one result per row: { row, errors, report, user, report_date }.
+const validateRows = async (rows, mapping, importer, { status = 'approved', source = '' } = {}) => {
+  const cell = (values, field) => (mapping[field] ? values[mapping[field]] : '');
+
+  // Reps are matched on username, or on email when the cell holds one
+  const identifiers = [...new Set(rows.map(({ values }) => String(cell(values, 'user') || '').trim()).filter(Boolean))];
+  const users = await User.find({
+    $or: [
+      { username: { $in: identifiers } },
+      { email: { $in: identifiers.map(id => id.toLowerCase()) } }
+    ]
+  }).select('name username email region territory_id').lean();
+  const userFor = (identifier) => users.find(user =>
+    user.username === identifier || user.email === identifier.toLowerCase());
+
+  const teamIds = await User.getTeamScope(importer);
+
+  // Reports are filed against the rep's current territory, as new reports are
+  const territories = new Map();
+  for (const user of users) {
+    if (user.territory_id) territories.set(user._id.toString(), await Territory.resolvePath(user.territory_id));
+  }
+
+  const results = rows.map(({ row, values }) => {
+    const errors = [];
+
+    const identifier = String(cell(values, 'user') || '').trim();
+    const user = identifier ? userFor(identifier) : null;
+    if (!identifier) errors.push('Rep is missing');
+    else if (!user) errors.push(`No user found for "${identifier}"`);
+    else if (!User.isInScope(teamIds, user._id)) errors.push(`${user.name} is not in your team`);
+
+    const rawDate = cell(values, 'report_date');
+    const reportDate = rawDate === '' ? null : parseDate(rawDate);
+    if (rawDate === '') errors.push('Report date is missing');
+    else if (!reportDate) errors.push(`"${rawDate}" is not a date - use YYYY-MM-DD or DD/MM/YYYY`);
+
+    const counts = {};
+    COUNT_FIELDS.forEach(field => {
+      const number = parseNumber(cell(values, field));
+      if (number === null) errors.push(`${FIELD_LABELS[field]} must be a number`);
+      else counts[field] = field === 'orders_value' ? number : Math.round(number);
+    });
+
+    const territoryInfo = user && territories.get(user._id.toString());
+    const report = new DailyReport({
+      user_id: user?._id,
+      report_date: reportDate,
+      region: String(cell(values, 'region') || '').trim() || territoryInfo?.region || user?.region || 'Unknown Region',
+      territory_id: territoryInfo?.territory._id,
+      territory_path: territoryInfo?.path || [],
+      ...counts,
+      summary: String(cell(values, 'summary') || ''),
+      status,
+      status_history: [{ to: status, by: importer._id, at: new Date(), reason: `Imported from ${source || 'a spreadsheet'}`.slice(0, 500) }]
+    });
+
+    // Model rules - future dates, negative counts, field lengths
+    const validation = report.validateSync();
+    if (validation) {
+      Object.entries(validation.errors)
+        .filter(([path]) => (path !== 'user_id' || user) && (path !== 'report_date' || reportDate))
+        .forEach(([, error]) => errors.push(error.message));
+    }
+
+    return {
+      row,
+      errors,
+      report,
+      user: user ? { _id: user._id, name: user.name, username: user.username } : null,
+      report_date: reportDate ? dayKey(reportDate) : String(rawDate || '')
+    };
+  });
+
+  // One report per rep per day - earlier rows in the file win
+  const seen = new Map();
+  results.forEach(result => {
+    if (!result.user || !result.report.report_date) return;
+    const key = `${result.user._id}|${result.report_date}`;
+    if (seen.has(key)) result.errors.push(`Duplicate of row ${seen.get(key)} - one report per rep per day`);
+    else seen.set(key, result.row);
+  });
+
+  const candidates = results.filter(result => result.errors.length === 0);
+  if (candidates.length > 0) {
+    // Row dates are midnight UTC, but saved reports may carry a time of day - search up to the
+    // midnight after the last date so reports later that day are found too
+    const dates = candidates.map(result => result.report.report_date.getTime());
+    const lastDay = new Date(Math.max(...dates));
+    const existing = await DailyReport.find({
+      user_id: { $in: [...new Set(candidates.map(result => result.user._id.toString()))] },
+      report_date: {
+        $gte: new Date(Math.min(...dates)),
+        $lt: new Date(Date.UTC(lastDay.getUTCFullYear(), lastDay.getUTCMonth(), lastDay.getUTCDate() + 1))
+      }
+    }).select('user_id report_date').lean();
+    const saved = new Set(existing.map(report => `${report.user_id}|${dayKey(report.report_date)}`));
+    candidates.forEach(result => {
+      if (saved.has(`${result.user._id}|${result.report_date}`)) {
+        result.errors.push('A report already exists for this rep on this date');
+      }
+    });
+  }
+
+  return results;
+};
+
+// ====================== COMMIT ======================
+// Saves the reports of rows that passed validation. A report saved by someone else since the
+// dry run loses to theirs and is counted as skipped. Returns { imported, skipped }.
+const commitRows = async (results) => {
+  const reports = results.filter(result => result.errors.length === 0).map(result => result.report);
+  let imported = 0;
+
+  for (let i = 0; i < reports.length; i += BATCH_SIZE) {
+    const batch = reports.slice(i, i + BATCH_SIZE);
+    try {
+      const saved = await DailyReport.insertMany(batch, { ordered: false });
+      imported += saved.length;
+    } catch (error) {
+      if (!error.writeErrors && error.code !== 11000) throw error;
+      imported += error.insertedDocs?.length ?? error.result?.insertedCount ?? batch.length - (error.writeErrors?.length || 1);
+    }
+  }
+
+  return { imported, skipped: reports.length - imported };
+};
+
+module.exports = { FIELDS, validateRows, commitRows };
@@ -0,0 +1,120 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+// ====================== SPREADSHEET UPLOADS ======================
+// Uploads arrive in the JSON body as { file: <base64 or data URL>, filename }, the same way
+// expense receipts do, and are read with the first row as column headers.
+
+// Most data rows a single upload may contain
+const MAX_ROWS = 20000;
+
+// "Report Date" and "report_date" are the same column
+const normalizeHeader = (header) => String(header ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Plain value of an ExcelJS cell - formulas, rich text and hyperlinks included
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    if (value.error) return '';
+  }
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+const decodeFile = (file) => {
+  const base64 = String(file || '').replace(/^data:[^;]*;base64,/, '');
+  return Buffer.from(base64, 'base64');
+};
+
+// Returns { headers, rows } where rows are { row, values } keyed by header, or { error }
+const readSpreadsheet = async ({ file, filename = '' }) => {
+  const buffer = decodeFile(file);
+  if (buffer.length === 0) return { error: 'The uploaded file is empty' };
+
+  const extension = typeof filename === 'string' ? filename.toLowerCase().split('.').pop() : '';
+  if (!['csv', 'xlsx'].includes(extension)) return { error: 'Upload a .csv or .xlsx file' };
+
+  const workbook = new ExcelJS.Workbook();
+  let sheet;
+  try {
+    if (extension === 'csv') {
+      // Keep every CSV value as text - dates and numbers are parsed per column by the importer
+      sheet = await workbook.csv.read(Readable.from(buffer), { map: value => value });
+    } else {
+      await workbook.xlsx.load(buffer);
+      sheet = workbook.worksheets[0];
+    }
+  } catch (error) {
+    return { error: 'The file could not be read - check that it is a valid CSV or Excel workbook' };
+  }
+  if (!sheet || sheet.rowCount === 0) return { error: 'The file has no rows' };
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    headers[column - 1] = String(cellValue(cell.value));
+  });
+  if (headers.filter(Boolean).length === 0) return { error: 'The first row must hold the column headers' };
+
+  const rows = [];
+  sheet.eachRow((row, number) => {
+    if (number === 1) return;
+    const values = {};
+    let blank = true;
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const value = cellValue(row.getCell(index + 1).value);
+      if (value !== '') blank = false;
+      values[header] = value;
+    });
+    if (!blank) rows.push({ row: number, values });
+  });
+
+  if (rows.length === 0) return { error: 'The file has no data rows' };
+  if (rows.length > MAX_ROWS) return { error: `A single upload may contain at most ${MAX_ROWS} rows - split the file` };
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+// Pairs each field with the upload column that looks like it: { field: header }.
+// fields are [name, { aliases }] - the field name itself always matches.
+const suggestMapping = (headers, fields) => {
+  const mapping = {};
+  fields.forEach(([name, options = {}]) => {
+    const candidates = [name, ...(options.aliases || [])].map(normalizeHeader);
+    const header = headers.find(h => candidates.includes(normalizeHeader(h)));
+    if (header) mapping[name] = header;
+  });
+  return mapping;
+};
+
+// Day-first dates are read as DD/MM/YYYY, the way they are written in Rwanda
+const parseDate = (value) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+    [, day, month, year] = match.map(Number);
+  } else {
+    return null;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+// Empty cells count as zero; anything else must be a number (thousands separators allowed)
+const parseNumber = (value) => {
+  if (value === '' || value === null || value === undefined) return 0;
+  if (typeof value === 'number') return value;
+  const number = Number(String(value).replace(/[,\s]/g, ''));
+  return isNaN(number) ? null : number;
+};
+
+module.exports = { readSpreadsheet, suggestMapping, normalizeHeader, parseDate, parseNumber };
@@ -0,0 +1,127 @@
+const DailyReport = require('../models/DailyReport');
+const User = require('../models/User');
+const Holiday = require('../models/Holiday');
+const Leave = require('../models/Leave');
+const { sendMail } = require('../config/mailer');
+const { localDayKey } = require('./scheduler');
+const { DAY_MS, dayKey } = require('../utils/helpers');
+
+const APP_URL = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// ====================== FIND MISSING REPORTS ======================
+// Active medreps who were expected to report on a day (midnight UTC, like report dates) and have
+// not submitted one. Reps on approved leave, on a holiday for their region, or who joined later
+// are not expected. Drafts do not count as submitted. Pass teamIds to limit it to a reporting line.
+const findMissingReports = async (day, teamIds = null) => {
+  const next = new Date(day.getTime() + DAY_MS);
+  const key = dayKey(day);
+
+  const reps = await User.find({
+    role: 'medrep',
+    is_active: true,
+    createdAt: { $lt: next },
+    ...(teamIds ? { _id: { $in: teamIds } } : {})
+  })
+    .select('name username email region manager_id')
+    .sort({ name: 1 })
+    .lean();
+  const repIds = reps.map(rep => rep._id);
+
+  const [holidays, leaveDays, reportedIds] = await Promise.all([
+    Holiday.between(day, next),
+    Leave.approvedDays(repIds, day, next),
+    DailyReport.distinct('user_id', {
+      user_id: { $in: repIds },
+      report_date: { $gte: day, $lt: next },
+      status: { $ne: 'draft' }
+    })
+  ]);
+  const reported = new Set(reportedIds.map(id => id.toString()));
+
+  const missing = [];
+  const onLeave = [];
+  let expected = 0;
+  for (const rep of reps) {
+    const workingDays = await Holiday.workingDays(day, next, rep.region || '', holidays);
+    if (!workingDays.includes(key)) continue;
+    if (leaveDays.get(rep._id.toString())?.has(key)) {
+      onLeave.push(rep);
+      continue;
+    }
+    expected++;
+    if (!reported.has(rep._id.toString())) missing.push(rep);
+  }
+
+  return { date: key, expected, reported: expected - missing.length, missing, on_leave: onLeave };
+};
+
+// ====================== SEND REMINDERS AND SUPERVISOR DIGESTS ======================
+// Runs at the cut-off time: reminds every rep still missing today's report and sends each
+// supervisor one digest of their direct reports who have not reported
+const sendMissingReportReminders = async (now = new Date()) => {
+  const today = new Date(`${localDayKey(now)}T00:00:00.000Z`);
+  const { date, expected, missing } = await findMissingReports(today);
+
+  if (missing.length === 0) {
+    console.log(`✅ Everyone expected to report on ${date} has reported`);
+    return { date, expected, missing: 0, reminders: 0, digests: 0 };
+  }
+
+  const readableDate = today.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+  let reminders = 0;
+  for (const rep of missing) {
+    if (!rep.email) continue;
+    const sent = await sendMail({
+      to: rep.email,
+      subject: `Reminder: your daily report for ${readableDate} is missing`,
+      text: [
+        `Hi ${rep.name},`,
+        '',
+        `We have not received your daily report for ${readableDate} yet.`,
+        `Please submit it here: ${APP_URL()}/daily-report`,
+        '',
+        'If you are on leave today, ask your supervisor to approve your leave request so you are not reminded again.'
+      ].join('\n')
+    });
+    if (sent) reminders++;
+  }
+
+  // One digest per supervisor, listing only their direct reports
+  const byManager = new Map();
+  for (const rep of missing) {
+    if (!rep.manager_id) continue;
+    const managerId = rep.manager_id.toString();
+    if (!byManager.has(managerId)) byManager.set(managerId, []);
+    byManager.get(managerId).push(rep);
+  }
+
+  const managers = await User.find({ _id: { $in: [...byManager.keys()] }, is_active: true })
+    .select('name email')
+    .lean();
+
+  let digests = 0;
+  for (const manager of managers) {
+    const team = byManager.get(manager._id.toString());
+    const sent = await sendMail({
+      to: manager.email,
+      subject: `${team.length} of your team ${team.length === 1 ? 'has' : 'have'} not reported for ${readableDate}`,
+      text: [
+        `Hi ${manager.name},`,
+        '',
+        `These reps reporting to you have not submitted their daily report for ${readableDate}:`,
+        '',
+        ...team.map(rep => `  • ${rep.name} (${rep.username})${rep.region ? ` - ${rep.region}` : ''}`),
+        '',
+        'They have each been sent a reminder. Reps on approved leave or a public holiday are not listed.',
+        `Team dashboard: ${APP_URL()}/supervisor-dashboard`
+      ].join('\n')
+    });
+    if (sent) digests++;
+  }
+
+  console.log(`📧 Missing reports for ${date}: ${missing.length} of ${expected} reps, ${reminders} reminders and ${digests} digests sent`);
+  return { date, expected, missing: missing.length, reminders, digests };
+};
+
+module.exports = { findMissingReports, sendMissingReportReminders };
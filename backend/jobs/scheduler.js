@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const JobRun = require('../models/JobRun');
+
+// How often the scheduler checks whether a job is due
+const TICK_MS = 60 * 1000;
+
+const jobs = [];
+let timer = null;
+
+// Server-local calendar day, e.g. 2024-05-17. Set TZ so it matches the team's day.
+const localDayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Run task once a day at or after time (HH:MM, server-local). A server started after the time
+// catches up the same day.
+const scheduleDaily = (name, time, task) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+  if (!match) throw new Error(`Invalid time "${time}" for job ${name} - use HH:MM`);
+  jobs.push({ name, time, minuteOfDay: Number(match[1]) * 60 + Number(match[2]), task });
+};
+
+const runDueJobs = async () => {
+  // Jobs need the database, which may still be connecting at startup
+  if (mongoose.connection.readyState !== 1) return;
+
+  const now = new Date();
+  for (const job of jobs) {
+    if (now.getHours() * 60 + now.getMinutes() < job.minuteOfDay) continue;
+
+    // Claiming the day first means only one run happens even across restarts
+    let run;
+    try {
+      run = await JobRun.create({ job: job.name, run_key: localDayKey(now) });
+    } catch (error) {
+      if (error.code === 11000) continue;
+      console.error(`❌ Error claiming job ${job.name}:`, error);
+      continue;
+    }
+
+    console.log(`⏰ Running scheduled job ${job.name}`);
+    try {
+      run.result = await job.task(now);
+    } catch (error) {
+      console.error(`❌ Scheduled job ${job.name} failed:`, error);
+      run.error = error.message;
+    }
+    run.finished_at = new Date();
+    await run.save().catch(error => console.error(`❌ Error recording job ${job.name}:`, error));
+  }
+};
+
+const startScheduler = () => {
+  if (timer || jobs.length === 0) return;
+  timer = setInterval(runDueJobs, TICK_MS);
+  // Never keep the process alive just for the scheduler
+  timer.unref();
+  console.log(`⏰ Scheduler started: ${jobs.map(job => `${job.name} at ${job.time}`).join(', ')}`);
+};
+
+module.exports = { scheduleDaily, startScheduler, localDayKey };
@@ -0,0 +1,100 @@
+const AuditLog = require('../models/AuditLog');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const VERBS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+const SECRET_KEY = /password|token|secret/i;
+const MAX_DETAILS_LENGTH = 5000;
+
+// Copy of a request body with passwords and tokens masked, cut down if it is very large
+const sanitize = (value) => {
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((clean, key) => ({
+      ...clean,
+      [key]: SECRET_KEY.test(key) ? '[redacted]' : sanitize(value[key])
+    }), {});
+  }
+  return value;
+};
+
+const describeBody = (body) => {
+  if (!body || Object.keys(body).length === 0) return undefined;
+  const clean = sanitize(body);
+  const size = JSON.stringify(clean).length;
+  return size > MAX_DETAILS_LENGTH ? { truncated: true, size, fields: Object.keys(clean) } : clean;
+};
+
+// resource.verb from a route pattern - /api/users/:id/deactivate becomes users.deactivate,
+// /api/reports/:id becomes reports.update for a PUT
+const actionFor = (method, route) => {
+  const [resource = 'unknown', ...rest] = route.replace(/^\/api\//, '').split('/')
+    .filter(part => part && !part.startsWith(':'));
+  if (rest.length === 0) return `${resource}.${VERBS[method]}`;
+  const action = `${resource}.${rest.join('.')}`;
+  return method === 'DELETE' && rest[rest.length - 1] !== 'delete' ? `${action}.delete` : action;
+};
+
+// Express resolves req.ip through the proxies server.js trusts - the raw header is easy to forge
+const clientIp = (req) => req.ip;
+
+// Who is acting and from where - shared by the request logger and explicit auth events
+const requestContext = (req, user = req.user) => ({
+  actor: user?._id || null,
+  actor_name: user?.username,
+  actor_role: user?.role,
+  ip: clientIp(req),
+  user_agent: req.headers['user-agent']
+});
+
+// ====================== AUDIT MUTATIONS ======================
+// Records every POST / PUT / PATCH / DELETE once the response has gone out.
+// Handlers may set res.locals.audit = { action, resource_id, details } to describe the change better.
+const auditMutations = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+
+  // Remember the ID of anything the request created
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && body.success && body.data && body.data._id) res.locals.createdId = String(body.data._id);
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const route = (req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0]).replace(/(.)\/$/, '$1');
+    const override = res.locals.audit || {};
+    const details = override.details !== undefined ? override.details : describeBody(req.body);
+
+    AuditLog.record({
+      ...requestContext(req),
+      action: override.action || actionFor(req.method, route),
+      method: req.method,
+      route,
+      path: req.originalUrl.split('?')[0],
+      resource_type: route.replace(/^\/api\//, '').split('/')[0],
+      resource_id: override.resource_id || req.params?.id || req.params?.name || res.locals.createdId,
+      status_code: res.statusCode,
+      outcome: res.statusCode < 400 ? 'success' : 'failure',
+      ...(details !== undefined ? { details } : {})
+    });
+  });
+
+  next();
+};
+
+// ====================== RECORD EVENT ======================
+// Explicit entries for events that are not a plain mutation, such as logins
+const recordEvent = (req, { user, action, outcome = 'success', resource_type, resource_id, details }) =>
+  AuditLog.record({
+    ...requestContext(req, user),
+    ...(user ? {} : { actor_name: details?.username }),
+    action,
+    method: req.method,
+    route: `${req.baseUrl}${req.route ? req.route.path : ''}`,
+    path: req.originalUrl.split('?')[0],
+    resource_type,
+    resource_id,
+    outcome,
+    details
+  });
+
+module.exports = { auditMutations, recordEvent, clientIp };
@@ -1,11 +1,21 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { getPermissions } = require('./permissions');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'medical-reporting-system-secret-key-2023';
 
+// What someone still on a temporary password may do before choosing their own: the auth
+// endpoints (change password, sign out) and loading their profile
+const allowedBeforePasswordChange = (req) =>
+  req.baseUrl === '/api/auth' ||
+  (req.method === 'GET' && req.originalUrl.split('?')[0] === '/api/users/profile/me');
+
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  // EventSource cannot send headers, so event streams pass the token in the query string instead
+  const isEventStream = (req.headers.accept || '').includes('text/event-stream');
+  const token = (authHeader && authHeader.split(' ')[1]) || (isEventStream && req.query.access_token);
 
   if (!token) {
     return res.status(401).json({ 
@@ -15,10 +25,13 @@ const authenticateToken = (req, res, next) => {
   }
 
   jwt.verify(token, JWT_SECRET, async (err, decoded) => {
+    // 401 tells the client to refresh its access token and try again; 403 is kept for
+    // requests the user is simply not allowed to make
     if (err) {
       console.error('JWT verification error:', err.message);
-      return res.status(403).json({ 
+      return res.status(401).json({ 
         success: false, 
+        code: err.name === 'TokenExpiredError' ? 'token_expired' : 'token_invalid',
         message: 'Invalid or expired token' 
       });
     }
@@ -29,11 +42,23 @@ const authenticateToken = (req, res, next) => {
       // Your login route stores user data with _id field
       const userId = decoded._id; // This is what your login route stores
       
-      if (!userId) {
-        console.error('❌ No _id found in JWT token');
-        return res.status(403).json({ 
+      if (!userId || !decoded.sid) {
+        console.error('❌ No user or session ID found in JWT token');
+        return res.status(401).json({ 
+          success: false, 
+          code: 'token_invalid',
+          message: 'Invalid token format - please sign in again' 
+        });
+      }
+      
+      // Signing out, "log out all devices" and deactivation end the session - and with it
+      // every access token issued for it
+      const session = await Session.findById(decoded.sid).select('user_id revoked_at expires_at');
+      if (!session || !session.isActive() || session.user_id.toString() !== userId) {
+        return res.status(401).json({ 
           success: false, 
-          message: 'Invalid token format - no user ID found' 
+          code: 'session_revoked',
+          message: 'Your session has ended - please sign in again' 
         });
       }
 
@@ -47,17 +72,29 @@ const authenticateToken = (req, res, next) => {
 
       if (!user) {
         console.error('❌ User not found in database with ID:', userId);
-        return res.status(403).json({ 
+        return res.status(401).json({ 
           success: false, 
+          code: 'session_revoked',
           message: 'User not found or account is inactive' 
         });
       }
       
       console.log('✅ User found:', user.username, user.role);
       
+      if (user.must_change_password && !allowedBeforePasswordChange(req)) {
+        return res.status(403).json({ 
+          success: false, 
+          code: 'password_change_required',
+          message: 'Choose a new password to continue' 
+        });
+      }
+      
       // Convert to plain object
       const userObj = user.toObject();
       
+      // Attach the role's current grants so routes can check permissions
+      userObj.permissions = await getPermissions(userObj.role);
+      
       // CRITICAL: Ensure _id is properly set (it should already be, but double-check)
       console.log('👤 User object before setting req.user:', {
         _id: userObj._id,
@@ -68,6 +105,8 @@ const authenticateToken = (req, res, next) => {
       
       // Set on request
       req.user = userObj;
+      req.sessionId = decoded.sid;
+      req.tokenExpiresAt = decoded.exp * 1000;
       
       console.log('📋 req.user set with:', {
         _id: req.user._id,
@@ -0,0 +1,48 @@
+const Role = require('../models/Role');
+
+// Role grants rarely change, so keep them in memory until a role is edited
+let grantsCache = null;
+
+const loadGrants = async () => {
+  if (!grantsCache) {
+    const roles = await Role.find({}).select('name permissions').lean();
+    grantsCache = new Map(roles.map(role => [role.name, role.permissions]));
+  }
+  return grantsCache;
+};
+
+// Permissions granted to a role, falling back to the defaults until roles are seeded
+const getPermissions = async (roleName) => {
+  const grants = await loadGrants();
+  return grants.get(roleName) || Role.DEFAULT_GRANTS[roleName] || [];
+};
+
+const clearPermissionCache = () => {
+  grantsCache = null;
+};
+
+// req.user carries its permissions once authenticateToken has run
+const hasPermission = (user, permission) =>
+  Boolean(user && Array.isArray(user.permissions) && user.permissions.includes(permission));
+
+// Allow the request through when the user holds any of the given permissions
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Requires permission: ${permissions.join(' or ')}`
+      });
+    }
+    next();
+  };
+};
+
+module.exports = { getPermissions, clearPermissionCache, hasPermission, requirePermission };
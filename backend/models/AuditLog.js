@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const OUTCOMES = ['success', 'failure'];
+
+const auditLogSchema = new mongoose.Schema({
+  // Null when the request was not authenticated, e.g. a failed login
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Copied at the time of the event so entries stay readable if the user is renamed or removed
+  actor_name: {
+    type: String,
+    trim: true
+  },
+  actor_role: {
+    type: String,
+    trim: true
+  },
+  // What happened, as resource.verb - e.g. users.deactivate, reports.delete, auth.login
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  method: String,
+  // Route pattern that handled the request, e.g. /api/users/:id/deactivate
+  route: String,
+  path: String,
+  resource_type: {
+    type: String,
+    trim: true
+  },
+  resource_id: {
+    type: String,
+    trim: true
+  },
+  status_code: Number,
+  outcome: {
+    type: String,
+    enum: OUTCOMES,
+    default: 'success'
+  },
+  ip: String,
+  user_agent: String,
+  // Request body with secrets removed, or event specific details
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ resource_type: 1, resource_id: 1 });
+
+// ====================== APPEND ONLY ======================
+// Entries are written once and never changed or removed through the application
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+  auditLogSchema.pre(operation, { document: true, query: true }, rejectChange);
+});
+
+auditLogSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Write an entry without ever failing the request that caused it
+auditLogSchema.statics.record = async function(entry) {
+  try {
+    return await this.create(entry);
+  } catch (error) {
+    console.error('Audit log write error:', error);
+    return null;
+  }
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+AuditLog.OUTCOMES = OUTCOMES;
+
+module.exports = AuditLog;
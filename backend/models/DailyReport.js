@@ -1,4 +1,179 @@
 const mongoose = require('mongoose');
+const { SPECIALTY_FIELDS } = require('./Hcp');
+const { OUTLET_TYPE_FIELDS } = require('./Outlet');
+
+// Review lifecycle - reps keep drafts to themselves, supervisors approve or return submitted reports
+const STATUSES = ['draft', 'submitted', 'approved', 'returned'];
+
+// Statuses a report may move to from each status
+const TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['approved', 'returned'],
+  returned: ['submitted'],
+  approved: ['returned']
+};
+
+// One step in a report's review history
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: STATUSES
+  },
+  to: {
+    type: String,
+    enum: STATUSES,
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, { _id: false });
+
+// Product samples left during a call
+const sampleSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Sample product is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Sample quantity is required'],
+    min: [1, 'Sample quantity must be at least 1']
+  }
+}, { _id: false });
+
+// A single call recorded on a report - either to an HCP or to an outlet
+const visitSchema = new mongoose.Schema({
+  hcp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hcp'
+  },
+  // Copied from the HCP at the time of the visit so counters stay stable
+  specialty: {
+    type: String,
+    enum: Object.keys(SPECIALTY_FIELDS)
+  },
+  outlet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Outlet'
+  },
+  // Copied from the outlet at the time of the visit
+  outlet_type: {
+    type: String,
+    enum: Object.keys(OUTLET_TYPE_FIELDS)
+  },
+  // Call details
+  call_time: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Call time must be in HH:MM format']
+  },
+  products_detailed: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  samples: [sampleSchema],
+  objective: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Call objective cannot exceed 300 characters']
+  },
+  outcome: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Call outcome cannot exceed 500 characters']
+  },
+  next_step: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Next step cannot exceed 300 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Visit notes cannot exceed 500 characters']
+  }
+});
+
+visitSchema.pre('validate', function(next) {
+  if (!this.hcp === !this.outlet) {
+    this.invalidate('hcp', 'A visit must reference either an HCP or an outlet');
+  }
+  next();
+});
+
+// A single product line on an order
+const orderLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Order line product is required']
+  },
+  // Copied from the catalog at the time of the order
+  sku: {
+    type: String,
+    trim: true
+  },
+  product_name: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Order line quantity is required'],
+    min: [1, 'Order line quantity must be at least 1']
+  },
+  unit_price: {
+    type: Number,
+    required: [true, 'Order line price is required'],
+    min: [0, 'Order line price cannot be negative']
+  },
+  // Percentage discount applied to the line
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  line_total: {
+    type: Number,
+    default: 0
+  }
+});
+
+orderLineSchema.pre('validate', function(next) {
+  const gross = (this.quantity || 0) * (this.unit_price || 0);
+  this.line_total = Math.round(gross * (100 - (this.discount || 0))) / 100;
+  next();
+});
+
+// An order taken at an outlet, made of one or more product lines
+const orderSchema = new mongoose.Schema({
+  outlet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Outlet',
+    required: [true, 'Order outlet is required']
+  },
+  lines: {
+    type: [orderLineSchema],
+    validate: {
+      validator: function(lines) {
+        return lines.length > 0;
+      },
+      message: 'An order must have at least one product line'
+    }
+  }
+});
 
 const dailyReportSchema = new mongoose.Schema({
   user_id: { 
@@ -23,6 +198,16 @@ const dailyReportSchema = new mongoose.Schema({
     maxlength: [50, 'Region cannot exceed 50 characters']
   },
   
+  // Rep's territory at the time of the report, with the full path from the country down
+  territory_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Territory'
+  },
+  territory_path: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Territory'
+  }],
+  
   // Healthcare professionals - with validation
   dentists: { 
     type: Number, 
@@ -88,7 +273,27 @@ const dailyReportSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [1000, 'Summary cannot exceed 1000 characters']
-  }
+  },
+  
+  // Individual calls on HCPs and outlets - when present, the visit counters are derived from these
+  visits: [visitSchema],
+  
+  // Itemised orders - when present, orders_count and orders_value are derived from these
+  orders: [orderSchema],
+  
+  // Review status, with every transition recorded
+  status: {
+    type: String,
+    enum: {
+      values: STATUSES,
+      message: `Status must be one of: ${STATUSES.join(', ')}`
+    },
+    default: 'submitted'
+  },
+  status_history: [statusChangeSchema],
+  
+  // Last revision number handed out - only ever changed with $inc, so it has no default that a save could write back
+  revision_count: Number
 }, {
   timestamps: true  // Automatically adds createdAt and updatedAt
 });
@@ -104,6 +309,88 @@ dailyReportSchema.index({ report_date: -1 });
 dailyReportSchema.index({ user_id: 1, report_date: -1 });
 dailyReportSchema.index({ region: 1 });
 dailyReportSchema.index({ 'user_id': 1, 'region': 1 });
+dailyReportSchema.index({ territory_path: 1, report_date: -1 });
+dailyReportSchema.index({ 'visits.hcp': 1 });
+dailyReportSchema.index({ 'visits.outlet': 1 });
+dailyReportSchema.index({ 'visits.products_detailed': 1 });
+dailyReportSchema.index({ 'orders.lines.product': 1 });
+dailyReportSchema.index({ status: 1, report_date: 1 });
+
+// Remember which counters were derived from logged calls and orders when the report was loaded,
+// so emptying a list resets them instead of leaving its old totals behind
+dailyReportSchema.post('init', function() {
+  this.$locals.logged = {
+    hcpVisits: (this.visits || []).some(visit => visit.hcp),
+    outletVisits: (this.visits || []).some(visit => visit.outlet),
+    orders: (this.orders || []).length > 0
+  };
+});
+
+// Resets derived counters once their list is emptied - unless new totals were entered in the same save
+const resetCounters = (report, fields) => {
+  fields.forEach(field => {
+    if (!report.isModified(field)) report[field] = 0;
+  });
+};
+
+// Recompute the visit counters from the visit list
+dailyReportSchema.pre('validate', function(next) {
+  if (this.isModified('visits')) {
+    const visits = this.visits || [];
+    const hcpVisits = visits.filter(visit => visit.hcp);
+    const outletVisits = visits.filter(visit => visit.outlet);
+    const logged = this.$locals.logged || {};
+    const specialtyFields = Object.values(SPECIALTY_FIELDS);
+    const outletFields = Object.values(OUTLET_TYPE_FIELDS).filter(Boolean);
+    
+    if (hcpVisits.length > 0) {
+      specialtyFields.forEach(field => {
+        this[field] = 0;
+      });
+      hcpVisits.forEach(visit => {
+        const field = SPECIALTY_FIELDS[visit.specialty];
+        if (field) this[field] += 1;
+      });
+    } else if (logged.hcpVisits) {
+      resetCounters(this, specialtyFields);
+    }
+    
+    if (outletVisits.length > 0) {
+      outletFields.forEach(field => {
+        this[field] = 0;
+      });
+      outletVisits.forEach(visit => {
+        const field = OUTLET_TYPE_FIELDS[visit.outlet_type];
+        if (field) this[field] += 1;
+      });
+    } else if (logged.outletVisits) {
+      resetCounters(this, outletFields);
+    }
+  }
+  next();
+});
+
+// Recompute the order totals from the order lines
+dailyReportSchema.pre('validate', function(next) {
+  if (this.isModified('orders')) {
+    const orders = this.orders || [];
+    
+    if (orders.length > 0) {
+      let value = 0;
+      orders.forEach(order => {
+        order.lines.forEach(line => {
+          const gross = (line.quantity || 0) * (line.unit_price || 0);
+          value += gross * (100 - (line.discount || 0)) / 100;
+        });
+      });
+      this.orders_count = orders.length;
+      this.orders_value = Math.round(value * 100) / 100;
+    } else if ((this.$locals.logged || {}).orders) {
+      resetCounters(this, ['orders_count', 'orders_value']);
+    }
+  }
+  next();
+});
 
 // Virtual for total doctors visited (calculated field)
 dailyReportSchema.virtual('total_doctors').get(function() {
@@ -117,6 +404,12 @@ dailyReportSchema.virtual('total_pharmacy_visits').get(function() {
   return this.pharmacies + this.dispensaries;
 });
 
+// Virtual for total samples left across all calls (calculated field)
+dailyReportSchema.virtual('total_samples').get(function() {
+  return (this.visits || []).reduce((total, visit) => 
+    total + (visit.samples || []).reduce((sum, sample) => sum + (sample.quantity || 0), 0), 0);
+});
+
 // Ensure virtual fields are included in JSON output
 dailyReportSchema.set('toJSON', { 
   virtuals: true,
@@ -127,6 +420,14 @@ dailyReportSchema.set('toJSON', {
   }
 });
 
+// Instance method to move the report through the review lifecycle - returns false if the move is not allowed
+dailyReportSchema.methods.transitionTo = function(status, userId, reason = '') {
+  if (!(TRANSITIONS[this.status] || []).includes(status)) return false;
+  this.status_history.push({ from: this.status, to: status, by: userId, at: new Date(), reason });
+  this.status = status;
+  return true;
+};
+
 // Instance method to get report summary
 dailyReportSchema.methods.getReportSummary = function() {
   return {
@@ -205,4 +506,7 @@ dailyReportSchema.statics.getTeamReports = async function(startDate, endDate) {
 
 const DailyReport = mongoose.model('DailyReport', dailyReportSchema);
 
+DailyReport.STATUSES = STATUSES;
+DailyReport.TRANSITIONS = TRANSITIONS;
+
 module.exports = DailyReport;
\ No newline at end of file
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// What a rep can claim for
+const CATEGORIES = ['transport', 'meals', 'hcp_meeting', 'per_diem', 'accommodation', 'communication', 'other'];
+
+// Review lifecycle - reps edit pending and rejected claims, supervisors approve or reject pending ones
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+// Receipt images accepted, and the largest one stored
+const RECEIPT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_RECEIPT_BYTES = 2 * 1024 * 1024;
+
+const receiptSchema = new mongoose.Schema({
+  data: {
+    type: Buffer,
+    required: true
+  },
+  content_type: {
+    type: String,
+    enum: {
+      values: RECEIPT_TYPES,
+      message: 'Receipts must be JPEG, PNG or WebP images'
+    },
+    required: true
+  },
+  filename: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Receipt file name cannot exceed 200 characters']
+  },
+  size: {
+    type: Number,
+    max: [MAX_RECEIPT_BYTES, 'Receipt images cannot be larger than 2 MB']
+  }
+}, { _id: false });
+
+const expenseSchema = new mongoose.Schema({
+  // The daily report the expense was incurred on
+  report_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DailyReport',
+    required: [true, 'Report ID is required']
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // Copied from the report so monthly summaries don't need a join
+  expense_date: {
+    type: Date,
+    required: [true, 'Expense date is required']
+  },
+  // Optional call on the report the expense belongs to, e.g. a lunch meeting with a doctor
+  visit_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  category: {
+    type: String,
+    required: [true, 'Expense category is required'],
+    enum: {
+      values: CATEGORIES,
+      message: `Category must be one of: ${CATEGORIES.join(', ')}`
+    }
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'RWF',
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code such as RWF']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  // Loaded only when the receipt itself is requested
+  receipt: {
+    type: receiptSchema,
+    select: false
+  },
+  has_receipt: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: {
+      values: STATUSES,
+      message: `Status must be one of: ${STATUSES.join(', ')}`
+    },
+    default: 'pending'
+  },
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_at: Date,
+  review_note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true  // Automatically adds createdAt and updatedAt
+});
+
+expenseSchema.index({ report_id: 1 });
+expenseSchema.index({ user_id: 1, expense_date: -1 });
+expenseSchema.index({ status: 1, expense_date: -1 });
+
+expenseSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.receipt;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Parse a data: URL from the browser into a receipt. Returns { error } when it cannot be stored.
+expenseSchema.statics.parseReceipt = function(dataUrl, filename) {
+  const match = /^data:([\w/+.-]+);base64,(.+)$/.exec(String(dataUrl || ''));
+  if (!match) return { error: 'Receipt must be an uploaded image' };
+  if (!RECEIPT_TYPES.includes(match[1])) return { error: 'Receipts must be JPEG, PNG or WebP images' };
+
+  const data = Buffer.from(match[2], 'base64');
+  if (data.length > MAX_RECEIPT_BYTES) return { error: 'Receipt images cannot be larger than 2 MB' };
+
+  return { receipt: { data, content_type: match[1], filename: filename || 'receipt', size: data.length } };
+};
+
+const Expense = mongoose.model('Expense', expenseSchema);
+
+Expense.CATEGORIES = CATEGORIES;
+Expense.STATUSES = STATUSES;
+
+module.exports = Expense;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Maps each HCP specialty to the DailyReport counter it rolls up into
+const SPECIALTY_FIELDS = {
+  dentist: 'dentists',
+  physiotherapist: 'physiotherapists',
+  gynecologist: 'gynecologists',
+  internist: 'internists',
+  general_practitioner: 'general_practitioners',
+  pediatrician: 'pediatricians',
+  dermatologist: 'dermatologists'
+};
+
+const hcpSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  specialty: {
+    type: String,
+    required: [true, 'Specialty is required'],
+    enum: {
+      values: Object.keys(SPECIALTY_FIELDS),
+      message: 'Specialty must be one of: ' + Object.keys(SPECIALTY_FIELDS).join(', ')
+    }
+  },
+  facility: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Facility cannot exceed 150 characters']
+  },
+  town: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Town cannot exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Phone cannot exceed 30 characters']
+  },
+  tier: {
+    type: String,
+    enum: {
+      values: ['A', 'B', 'C'],
+      message: 'Tier must be A, B or C'
+    },
+    default: 'C'
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true  // Automatically adds createdAt and updatedAt
+});
+
+// Indexes for better query performance
+hcpSchema.index({ name: 1 });
+hcpSchema.index({ specialty: 1 });
+hcpSchema.index({ facility: 1 });
+hcpSchema.index({ town: 1 });
+
+hcpSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Hcp = mongoose.model('Hcp', hcpSchema);
+
+Hcp.SPECIALTY_FIELDS = SPECIALTY_FIELDS;
+
+module.exports = Hcp;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { DAY_MS, dayKey } = require('../utils/helpers');
+
+// A public or company holiday. Reps are not expected to report on holidays.
+const holidaySchema = new mongoose.Schema({
+  // Midnight UTC, like report dates
+  date: {
+    type: Date,
+    required: [true, 'Holiday date is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true,
+    maxlength: [100, 'Holiday name cannot exceed 100 characters']
+  },
+  // Empty for a nationwide holiday, otherwise only reps in this region are off
+  region: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Fixed-date holidays such as New Year's Day repeat on the same day every year
+  recurring: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true  // Automatically adds createdAt and updatedAt
+});
+
+holidaySchema.index({ date: 1, region: 1 }, { unique: true });
+
+holidaySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Holidays falling in [from, to) as { key, name, region } with recurring ones placed in each year
+holidaySchema.statics.between = async function(from, to) {
+  const holidays = await this.find({
+    $or: [{ date: { $gte: from, $lt: to } }, { recurring: true, date: { $lt: to } }]
+  }).lean();
+
+  const days = [];
+  for (const holiday of holidays) {
+    const years = holiday.recurring
+      ? Array.from({ length: to.getUTCFullYear() - from.getUTCFullYear() + 1 }, (_, i) => from.getUTCFullYear() + i)
+      : [holiday.date.getUTCFullYear()];
+    for (const year of years) {
+      const date = new Date(Date.UTC(year, holiday.date.getUTCMonth(), holiday.date.getUTCDate()));
+      if (date >= from && date < to && date >= holiday.date) {
+        days.push({ key: dayKey(date), name: holiday.name, region: holiday.region || '' });
+      }
+    }
+  }
+  return days;
+};
+
+// Monday to Friday days in [from, to) that are not a holiday for the region, as YYYY-MM-DD keys.
+// Pass the result of between() to avoid querying again for every rep.
+holidaySchema.statics.workingDays = async function(from, to, region = '', holidays = null) {
+  const start = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  const days = holidays || await this.between(start, to);
+  const off = new Set(days.filter(day => !day.region || day.region === region).map(day => day.key));
+
+  const keys = [];
+  for (let time = start.getTime(); time < to.getTime(); time += DAY_MS) {
+    const day = new Date(time);
+    const key = dayKey(day);
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6 && !off.has(key)) keys.push(key);
+  }
+  return keys;
+};
+
+module.exports = mongoose.model('Holiday', holidaySchema);
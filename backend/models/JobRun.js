@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One row per scheduled job per day it ran, so a restart or a second server never repeats a run
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: [true, 'Job name is required']
+  },
+  // Local YYYY-MM-DD the run belongs to
+  run_key: {
+    type: String,
+    required: [true, 'Run key is required']
+  },
+  finished_at: Date,
+  // What the job reported back, e.g. how many reminders went out
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+}, {
+  timestamps: { createdAt: 'started_at', updatedAt: false }
+});
+
+jobRunSchema.index({ job: 1, run_key: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
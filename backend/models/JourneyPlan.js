@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { DAY_MS } = require('../utils/helpers');
+
+// Lifecycle of a weekly plan - reps edit drafts and returned plans, supervisors review submitted ones
+const STATUSES = ['draft', 'submitted', 'approved', 'returned'];
+
+// A single planned call - either on an HCP or at an outlet
+const planEntrySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Planned visit date is required']
+  },
+  hcp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hcp'
+  },
+  outlet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Outlet'
+  },
+  objective: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Visit objective cannot exceed 300 characters']
+  }
+});
+
+planEntrySchema.pre('validate', function(next) {
+  if (!this.hcp === !this.outlet) {
+    this.invalidate('hcp', 'A planned visit must reference either an HCP or an outlet');
+  }
+  next();
+});
+
+const journeyPlanSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // Monday the plan week starts on, at midnight UTC like report dates
+  week_start: {
+    type: Date,
+    required: [true, 'Week start is required'],
+    validate: {
+      validator: function(date) {
+        return date.getUTCDay() === 1;
+      },
+      message: 'A plan week must start on a Monday'
+    }
+  },
+  entries: [planEntrySchema],
+  status: {
+    type: String,
+    enum: {
+      values: STATUSES,
+      message: `Status must be one of: ${STATUSES.join(', ')}`
+    },
+    default: 'draft'
+  },
+  submitted_at: Date,
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_at: Date,
+  review_note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true  // Automatically adds createdAt and updatedAt
+});
+
+// One plan per rep per week
+journeyPlanSchema.index({ user_id: 1, week_start: 1 }, { unique: true });
+journeyPlanSchema.index({ status: 1, week_start: -1 });
+
+// Every planned visit has to fall inside the plan week
+journeyPlanSchema.pre('validate', function(next) {
+  if (this.week_start && this.entries) {
+    const weekEnd = this.week_start.getTime() + 7 * DAY_MS;
+    this.entries.forEach((entry, index) => {
+      if (entry.date && (entry.date < this.week_start || entry.date.getTime() >= weekEnd)) {
+        this.invalidate(`entries.${index}.date`, 'Planned visits must fall within the plan week');
+      }
+    });
+  }
+  next();
+});
+
+journeyPlanSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Monday of the week containing the given date, at midnight UTC
+journeyPlanSchema.statics.weekStartOf = function(date = new Date()) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day;
+};
+
+const JourneyPlan = mongoose.model('JourneyPlan', journeyPlanSchema);
+
+JourneyPlan.STATUSES = STATUSES;
+
+module.exports = JourneyPlan;
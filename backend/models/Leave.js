@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { DAY_MS, dayKey } = require('../utils/helpers');
+
+// Kinds of absence a rep can request
+const TYPES = ['annual', 'sick', 'maternity', 'compassionate', 'training', 'unpaid', 'other'];
+
+// Review lifecycle - reps cancel pending or upcoming leave, supervisors approve or reject pending requests
+const STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const leaveSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Leave type is required'],
+    enum: {
+      values: TYPES,
+      message: `Leave type must be one of: ${TYPES.join(', ')}`
+    }
+  },
+  // First and last day off, both inclusive, at midnight UTC like report dates
+  start_date: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  end_date: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Working days the leave covers, excluding weekends and holidays
+  days: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: STATUSES,
+      message: `Status must be one of: ${STATUSES.join(', ')}`
+    },
+    default: 'pending'
+  },
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_at: Date,
+  review_note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true  // Automatically adds createdAt and updatedAt
+});
+
+leaveSchema.index({ user_id: 1, start_date: -1 });
+leaveSchema.index({ status: 1, start_date: -1 });
+
+leaveSchema.pre('validate', function(next) {
+  if (this.start_date && this.end_date && this.end_date < this.start_date) {
+    this.invalidate('end_date', 'Leave cannot end before it starts');
+  }
+  next();
+});
+
+leaveSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Days in [from, to) each rep is on approved leave, as a map of user ID to a set of YYYY-MM-DD keys
+leaveSchema.statics.approvedDays = async function(userIds, from, to) {
+  const start = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  const leaves = await this.find({
+    user_id: { $in: userIds },
+    status: 'approved',
+    start_date: { $lt: to },
+    end_date: { $gte: start }
+  }).lean();
+
+  const days = new Map();
+  for (const leave of leaves) {
+    const key = leave.user_id.toString();
+    if (!days.has(key)) days.set(key, new Set());
+    const last = Math.min(leave.end_date.getTime(), to.getTime() - DAY_MS);
+    for (let time = Math.max(leave.start_date.getTime(), start.getTime()); time <= last; time += DAY_MS) {
+      days.get(key).add(dayKey(time));
+    }
+  }
+  return days;
+};
+
+const Leave = mongoose.model('Leave', leaveSchema);
+
+Leave.TYPES = TYPES;
+Leave.STATUSES = STATUSES;
+
+module.exports = Leave;
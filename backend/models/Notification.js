@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Things that can happen to a user, each shown with its own icon in the bell
+const TYPES = [
+  'report_approved', 'report_returned', 'report_comment', 'report_mention',
+  'target_set', 'plan_reviewed', 'expense_reviewed', 'leave_reviewed',
+  'user_deactivated', 'user_reactivated', 'role_changed', 'manager_changed'
+];
+
+// Notifications older than this are removed automatically
+const RETENTION_DAYS = 90;
+
+const notificationSchema = new mongoose.Schema({
+  // Who the notification is for
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: {
+      values: TYPES,
+      message: `Type must be one of: ${TYPES.join(', ')}`
+    }
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Page in the app the notification opens, e.g. /reports?report=<id>
+  link: {
+    type: String,
+    trim: true
+  },
+  // Who caused it, if anyone
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  read_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ user_id: 1, createdAt: -1 });
+notificationSchema.index({ user_id: 1, read_at: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+notificationSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Notify one or more users. The actor is never notified about their own action.
+// Failures are logged, never thrown, so a notification can't break the request that caused it.
+notificationSchema.statics.notify = async function(recipients, { type, title, message, link, actor }) {
+  try {
+    const actorId = actor ? String(actor._id || actor) : null;
+    const userIds = [...new Set((Array.isArray(recipients) ? recipients : [recipients])
+      .filter(Boolean)
+      .map(recipient => String(recipient._id || recipient)))]
+      .filter(userId => userId !== actorId);
+    if (userIds.length === 0) return;
+
+    await this.insertMany(userIds.map(userId => ({
+      user_id: userId,
+      type,
+      title,
+      message: message ? String(message).slice(0, 500) : undefined,
+      link,
+      actor: actorId
+    })));
+  } catch (error) {
+    console.error('❌ Error creating notification:', error.message);
+  }
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+Notification.TYPES = TYPES;
+
+module.exports = Notification;
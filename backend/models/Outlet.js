@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Maps outlet types to the DailyReport counter they roll up into
+const OUTLET_TYPE_FIELDS = {
+  pharmacy: 'pharmacies',
+  dispensary: 'dispensaries',
+  wholesaler: null
+};
+
+const outletSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Outlet name is required'],
+    trim: true,
+    maxlength: [150, 'Outlet name cannot exceed 150 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Outlet type is required'],
+    enum: {
+      values: Object.keys(OUTLET_TYPE_FIELDS),
+      message: 'Outlet type must be pharmacy, dispensary or wholesaler'
+    }
+  },
+  license_number: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'License number cannot exceed 50 characters']
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [250, 'Address cannot exceed 250 characters']
+  },
+  latitude: {
+    type: Number,
+    min: [-90, 'Latitude must be between -90 and 90'],
+    max: [90, 'Latitude must be between -90 and 90']
+  },
+  longitude: {
+    type: Number,
+    min: [-180, 'Longitude must be between -180 and 180'],
+    max: [180, 'Longitude must be between -180 and 180']
+  },
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true  // Automatically adds createdAt and updatedAt
+});
+
+// License numbers are unique when present
+outletSchema.index({ license_number: 1 }, {
+  unique: true,
+  partialFilterExpression: { license_number: { $type: 'string' } },
+  name: 'unique_license_number'
+});
+
+// Indexes for better query performance
+outletSchema.index({ name: 1 });
+outletSchema.index({ type: 1 });
+outletSchema.index({ owner_id: 1 });
+
+outletSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Outlet = mongoose.model('Outlet', outletSchema);
+
+Outlet.OUTLET_TYPE_FIELDS = OUTLET_TYPE_FIELDS;
+
+module.exports = Outlet;
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long an emailed reset link works
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// A new link is not sent while one this recent is still unused, so the form can't be used to flood an inbox
+const RESEND_AFTER_MS = 2 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A forgot-password request. Like refresh tokens, only the hash of the emailed token is
+// stored; it works once and only until expires_at.
+const passwordResetSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  token_hash: {
+    type: String,
+    required: true
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  used_at: {
+    type: Date,
+    default: null
+  },
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+passwordResetSchema.index({ token_hash: 1 }, { unique: true });
+passwordResetSchema.index({ user_id: 1, used_at: 1 });
+passwordResetSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a reset token for a user. Earlier unused tokens stop working.
+// Returns { reset, token }, or { throttled: true } when a link was sent moments ago.
+passwordResetSchema.statics.issue = async function(user, { ip } = {}) {
+  const recent = await this.findOne({
+    user_id: user._id,
+    used_at: null,
+    createdAt: { $gt: new Date(Date.now() - RESEND_AFTER_MS) }
+  }).select('_id').lean();
+  if (recent) return { throttled: true };
+
+  await this.expireAll(user._id);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const reset = await this.create({
+    user_id: user._id,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000),
+    ip
+  });
+  return { reset, token };
+};
+
+// Static method to stop a user's unused tokens working - once the password changes they are stale
+passwordResetSchema.statics.expireAll = function(userId) {
+  return this.updateMany({ user_id: userId, used_at: null }, { used_at: new Date() });
+};
+
+// Static method to find the reset a token belongs to while it can still be used
+passwordResetSchema.statics.findUsable = function(token) {
+  return this.findOne({ token_hash: hashToken(token), used_at: null, expires_at: { $gt: new Date() } });
+};
+
+// Static method to use up a token - atomic, so a link clicked twice only resets once
+passwordResetSchema.statics.consume = function(token) {
+  return this.findOneAndUpdate(
+    { token_hash: hashToken(token), used_at: null, expires_at: { $gt: new Date() } },
+    { used_at: new Date() },
+    { new: true }
+  );
+};
+
+const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema);
+
+PasswordReset.RESET_TTL_MINUTES = RESET_TTL_MINUTES;
+
+module.exports = PasswordReset;
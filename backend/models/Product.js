@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const productSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'SKU cannot exceed 30 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true,
+    maxlength: [150, 'Product name cannot exceed 150 characters']
+  },
+  pack_size: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Pack size cannot exceed 50 characters']
+  },
+  unit_price: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative']
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true  // Automatically adds createdAt and updatedAt
+});
+
+// Indexes for better query performance
+productSchema.index({ name: 1 });
+productSchema.index({ is_active: 1 });
+
+productSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Product', productSchema);
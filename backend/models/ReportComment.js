@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// @username mentions inside a comment body
+const MENTION_PATTERN = /@([\w.-]{3,50})/g;
+
+const reportCommentSchema = new mongoose.Schema({
+  report_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DailyReport',
+    required: [true, 'Report ID is required']
+  },
+  // Rep who owns the report, copied from it so a rep's feedback can be found without a join
+  report_owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Report owner is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  // Top-level comment this one replies to - threads are one level deep
+  parent_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportComment',
+    default: null
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users who have seen the comment - the author always has
+  read_by: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true  // Automatically adds createdAt and updatedAt
+});
+
+reportCommentSchema.index({ report_id: 1, createdAt: 1 });
+reportCommentSchema.index({ report_owner: 1, createdAt: -1 });
+reportCommentSchema.index({ mentions: 1, createdAt: -1 });
+reportCommentSchema.index({ author: 1 });
+
+reportCommentSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Usernames mentioned in a comment body, without the @ and without duplicates
+reportCommentSchema.statics.parseMentions = function(body = '') {
+  return [...new Set([...String(body).matchAll(MENTION_PATTERN)]
+    .map(match => match[1].replace(/[.-]+$/, '').toLowerCase())
+    .filter(username => username.length >= 3))];
+};
+
+const ReportComment = mongoose.model('ReportComment', reportCommentSchema);
+
+module.exports = ReportComment;
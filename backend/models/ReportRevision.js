@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Report fields a rep can edit after the fact - every change to one of these is kept
+const TRACKED_FIELDS = [
+  'region', 'dentists', 'physiotherapists', 'gynecologists', 'internists',
+  'general_practitioners', 'pediatricians', 'dermatologists', 'pharmacies', 'dispensaries',
+  'orders_count', 'orders_value', 'summary', 'visits', 'orders'
+];
+
+// One field's value before and after an edit
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: TRACKED_FIELDS,
+    required: true
+  },
+  old_value: mongoose.Schema.Types.Mixed,
+  new_value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const reportRevisionSchema = new mongoose.Schema({
+  report_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DailyReport',
+    required: [true, 'Report ID is required']
+  },
+  // 1 for the first edit after the report was created, counting up
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Changed by is required']
+  },
+  changes: {
+    type: [fieldChangeSchema],
+    validate: {
+      validator: (changes) => changes.length > 0,
+      message: 'A revision must change at least one field'
+    }
+  }
+}, {
+  timestamps: { createdAt: 'changed_at', updatedAt: false }
+});
+
+reportRevisionSchema.index({ report_id: 1, revision: 1 }, { unique: true });
+
+reportRevisionSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Plain copy of a value with subdocument IDs removed, so re-saved visits and orders compare equal
+const plain = (value) => JSON.parse(JSON.stringify(value ?? null, (key, item) => key === '_id' ? undefined : item));
+
+// Tracked fields of a report as plain values
+reportRevisionSchema.statics.snapshot = function(report) {
+  const source = typeof report.toObject === 'function' ? report.toObject() : report;
+  return TRACKED_FIELDS.reduce((snapshot, field) => ({ ...snapshot, [field]: plain(source[field]) }), {});
+};
+
+// Fields whose value differs between two snapshots
+reportRevisionSchema.statics.diff = function(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, old_value: before[field], new_value: after[field] }));
+};
+
+// Store the changes between two snapshots as the report's next revision. Returns null if nothing changed.
+// Numbers come from an $inc on the report, so concurrent edits never get the same one. Reports edited
+// before the counter existed start behind their revisions - a clash moves the counter up and tries again.
+reportRevisionSchema.statics.record = async function(reportId, userId, before, after) {
+  const changes = this.diff(before, after);
+  if (changes.length === 0) return null;
+
+  const DailyReport = mongoose.model('DailyReport');
+  for (let attempt = 0; ; attempt++) {
+    const counter = await DailyReport.findByIdAndUpdate(reportId, { $inc: { revision_count: 1 } }, { new: true })
+      .select('revision_count').lean();
+    if (!counter) return null;
+
+    try {
+      return await this.create({ report_id: reportId, revision: counter.revision_count, changed_by: userId, changes });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 2) throw error;
+      const latest = await this.findOne({ report_id: reportId }).sort({ revision: -1 }).select('revision').lean();
+      await DailyReport.updateOne({ _id: reportId }, { $max: { revision_count: latest ? latest.revision : 0 } });
+    }
+  }
+};
+
+const ReportRevision = mongoose.model('ReportRevision', reportRevisionSchema);
+
+ReportRevision.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = ReportRevision;
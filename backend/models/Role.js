@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Named roles a user can hold
+const ROLES = ['medrep', 'supervisor', 'regional_manager', 'admin', 'auditor'];
+
+// Every permission the API checks, with a description for the admin screen
+const PERMISSIONS = {
+  'reports:read:own': 'View own daily reports and analytics',
+  'reports:write:own': 'Create, edit and delete own daily reports',
+  'reports:read:team': 'View reports from everyone in the reporting line',
+  'reports:read:all': 'View reports and users across the whole organisation',
+  'reports:delete:team': 'Delete reports from the reporting line',
+  'reports:approve': 'Approve daily reports from the reporting line or return them for correction',
+  'reports:import': 'Import historical daily reports for the reporting line from CSV or Excel',
+  'analytics:read:team': 'View team, region, territory and product analytics',
+  'users:read': 'View team members and the org chart',
+  'users:write': 'Add, edit, move and deactivate team members',
+  'targets:write': 'Set monthly targets for reps, regions and products',
+  'plans:approve': 'Approve or return weekly journey plans from the reporting line',
+  'expenses:approve': 'Approve or reject expense claims from the reporting line',
+  'leave:approve': 'Approve or reject leave requests from the reporting line',
+  'holidays:manage': 'Maintain the public and company holiday calendar',
+  'hcps:write': 'Add, edit and remove HCPs in the directory',
+  'outlets:write': 'Manage the outlet registry',
+  'products:write': 'Manage the product catalog',
+  'territories:write': 'Manage territories and rep assignments',
+  'roles:manage': 'Edit role permissions and assign any role',
+  'audit:read': 'View and export the audit log of changes and sign-ins'
+};
+
+const SUPERVISOR_GRANTS = [
+  'reports:read:own', 'reports:write:own', 'reports:read:team', 'reports:delete:team', 'reports:approve',
+  'analytics:read:team', 'users:read', 'users:write', 'targets:write', 'plans:approve', 'expenses:approve',
+  'leave:approve', 'hcps:write', 'outlets:write'
+];
+
+// Grants each role starts with before an admin edits them
+const DEFAULT_GRANTS = {
+  medrep: ['reports:read:own', 'reports:write:own'],
+  supervisor: SUPERVISOR_GRANTS,
+  regional_manager: [...SUPERVISOR_GRANTS, 'products:write', 'territories:write', 'holidays:manage', 'reports:import'],
+  admin: Object.keys(PERMISSIONS),
+  auditor: ['reports:read:own', 'reports:read:team', 'reports:read:all', 'analytics:read:team', 'users:read', 'audit:read']
+};
+
+const LABELS = {
+  medrep: 'Medical Representative',
+  supervisor: 'Supervisor',
+  regional_manager: 'Regional Manager',
+  admin: 'Administrator',
+  auditor: 'Auditor (read-only)'
+};
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    enum: {
+      values: ROLES,
+      message: `Role must be one of: ${ROLES.join(', ')}`
+    }
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  permissions: [{
+    type: String,
+    enum: {
+      values: Object.keys(PERMISSIONS),
+      message: '{VALUE} is not a known permission'
+    }
+  }],
+  // Default grants already offered to this role, so permissions added later reach existing installs
+  // without re-granting anything an admin removed
+  granted_defaults: [{
+    type: String
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true  // Automatically adds createdAt and updatedAt
+});
+
+// Admins must always be able to manage roles, or nobody could undo a bad edit
+roleSchema.pre('validate', function(next) {
+  this.permissions = [...new Set(this.permissions)];
+  if (this.name === 'admin' && !this.permissions.includes('roles:manage')) {
+    this.invalidate('permissions', 'The admin role must keep the roles:manage permission');
+  }
+  next();
+});
+
+roleSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+Role.ROLES = ROLES;
+Role.PERMISSIONS = PERMISSIONS;
+Role.DEFAULT_GRANTS = DEFAULT_GRANTS;
+Role.LABELS = LABELS;
+
+module.exports = Role;
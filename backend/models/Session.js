@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Why a session ended early
+const REVOKE_REASONS = ['logout', 'logout_all', 'revoked', 'deactivated', 'password_changed', 'refresh_reuse'];
+
+// How long a session lasts without being used - every refresh extends it
+const REFRESH_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// A refresh token replaced this recently is taken as two tabs refreshing at once, not as theft
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Rotated-out refresh tokens remembered per session to spot replayed ones
+const MAX_PREVIOUS_TOKENS = 5;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newToken = () => crypto.randomBytes(48).toString('base64url');
+
+const expiryFromNow = () => new Date(Date.now() + REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// One signed-in device. The refresh token itself is never stored, only its hash, and it is
+// replaced on every refresh; access tokens carry the session ID so revoking the session
+// ends them too.
+const sessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  token_hash: {
+    type: String,
+    required: true
+  },
+  previous_hashes: {
+    type: [String],
+    default: []
+  },
+  rotated_at: {
+    type: Date,
+    default: null
+  },
+  ip: String,
+  user_agent: String,
+  last_used_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  revoked_reason: {
+    type: String,
+    enum: {
+      values: REVOKE_REASONS,
+      message: `Reason must be one of: ${REVOKE_REASONS.join(', ')}`
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+sessionSchema.index({ token_hash: 1 }, { unique: true });
+sessionSchema.index({ previous_hashes: 1 });
+sessionSchema.index({ user_id: 1, revoked_at: 1 });
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.token_hash;
+    delete ret.previous_hashes;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+sessionSchema.methods.isActive = function() {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+// Static method to start a session at sign-in - returns { session, refreshToken }
+sessionSchema.statics.start = async function(user, { ip, user_agent } = {}) {
+  const refreshToken = newToken();
+  const session = await this.create({
+    user_id: user._id,
+    token_hash: hashToken(refreshToken),
+    ip,
+    user_agent: user_agent ? String(user_agent).slice(0, 500) : undefined,
+    expires_at: expiryFromNow()
+  });
+  return { session, refreshToken };
+};
+
+// Static method to swap a refresh token for a new one. Returns { session, refreshToken }, or
+// { error } - with superseded set when another tab has just refreshed it, and reused set when
+// an old token was replayed, which ends the session.
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const session = await this.findOne({ token_hash: hash });
+
+  if (!session) {
+    const replayed = await this.findOne({ previous_hashes: hash });
+    if (!replayed || !replayed.isActive()) return { error: 'Session expired - please sign in again' };
+    if (replayed.rotated_at && Date.now() - replayed.rotated_at.getTime() < ROTATION_GRACE_MS) {
+      return { error: 'Session was just refreshed', superseded: true };
+    }
+    replayed.revoked_at = new Date();
+    replayed.revoked_reason = 'refresh_reuse';
+    await replayed.save();
+    return { error: 'Session expired - please sign in again', reused: true, session: replayed };
+  }
+  if (!session.isActive()) return { error: 'Session expired - please sign in again' };
+
+  const next = newToken();
+  session.previous_hashes = [hash, ...session.previous_hashes].slice(0, MAX_PREVIOUS_TOKENS);
+  session.token_hash = hashToken(next);
+  session.rotated_at = new Date();
+  session.last_used_at = new Date();
+  session.expires_at = expiryFromNow();
+  await session.save();
+  return { session, refreshToken: next };
+};
+
+// Static method to find the session a refresh token belongs to, if it is still active
+sessionSchema.statics.findByToken = async function(refreshToken) {
+  const session = await this.findOne({ token_hash: hashToken(refreshToken) });
+  return session && session.isActive() ? session : null;
+};
+
+// Static method to end every active session of a user, optionally keeping one - returns how many ended
+sessionSchema.statics.revokeAll = async function(userId, reason, exceptId = null) {
+  const result = await this.updateMany(
+    {
+      user_id: userId,
+      revoked_at: null,
+      ...(exceptId ? { _id: { $ne: exceptId } } : {})
+    },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+  return result.modifiedCount;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+Session.REVOKE_REASONS = REVOKE_REASONS;
+Session.REFRESH_TTL_DAYS = REFRESH_TTL_DAYS;
+
+module.exports = Session;
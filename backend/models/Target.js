@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Doctor visit counters on the daily report, one target each
+const SPECIALTIES = [
+  'dentists', 'physiotherapists', 'gynecologists', 'internists',
+  'general_practitioners', 'pediatricians', 'dermatologists'
+];
+
+// Metrics a rep or region target can set
+const METRICS = [...SPECIALTIES, 'pharmacies', 'dispensaries', 'orders_count', 'orders_value'];
+
+// Metrics a product target can set - units sold and the value of those order lines
+const PRODUCT_METRICS = ['units', 'orders_value', 'orders_count'];
+
+const metricField = {
+  type: Number,
+  min: [0, 'Targets cannot be negative']
+};
+
+const targetSchema = new mongoose.Schema({
+  // Calendar month the target applies to, as YYYY-MM
+  month: {
+    type: String,
+    required: [true, 'Target month is required'],
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Month must be in YYYY-MM format']
+  },
+  // A target belongs to either one rep or a whole region
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  region: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Set for product targets, which count only order lines for this product
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  metrics: {
+    ...[...METRICS, 'units'].reduce((fields, metric) => ({ ...fields, [metric]: metricField }), {})
+  },
+  set_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true  // Automatically adds createdAt and updatedAt
+});
+
+// One target per month for each rep or region, and each product within them
+targetSchema.index({ month: 1, user_id: 1, region: 1, product: 1 }, { unique: true });
+targetSchema.index({ user_id: 1, month: 1 });
+
+// Check the owner and that only metrics that fit the target type are set
+targetSchema.pre('validate', function(next) {
+  if (!this.user_id === !this.region) {
+    this.invalidate('user_id', 'A target must belong to either a rep or a region');
+  }
+
+  const allowed = this.product ? PRODUCT_METRICS : METRICS;
+  const metrics = this.metrics ? this.metrics.toObject() : {};
+  const setMetrics = Object.keys(metrics).filter(metric => metrics[metric] !== undefined && metrics[metric] !== null);
+
+  if (setMetrics.length === 0) {
+    this.invalidate('metrics', 'Set at least one target metric');
+  }
+  setMetrics.filter(metric => !allowed.includes(metric)).forEach(metric => {
+    this.invalidate(`metrics.${metric}`, `${metric} cannot be set on a ${this.product ? 'product' : 'rep or region'} target`);
+  });
+  next();
+});
+
+targetSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Target = mongoose.model('Target', targetSchema);
+
+Target.SPECIALTIES = SPECIALTIES;
+Target.METRICS = METRICS;
+Target.PRODUCT_METRICS = PRODUCT_METRICS;
+
+module.exports = Target;
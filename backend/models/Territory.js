@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// Levels of the territory tree, from the root down
+const LEVELS = ['country', 'province', 'district', 'territory'];
+
+const territorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Territory name is required'],
+    trim: true,
+    maxlength: [100, 'Territory name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Territory code cannot exceed 20 characters']
+  },
+  level: {
+    type: String,
+    required: [true, 'Territory level is required'],
+    enum: {
+      values: LEVELS,
+      message: 'Level must be country, province, district or territory'
+    }
+  },
+  parent_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Territory',
+    default: null
+  },
+  // IDs of every ancestor from the country down to the parent
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Territory'
+  }],
+  is_active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true  // Automatically adds createdAt and updatedAt
+});
+
+// Names are unique among siblings
+territorySchema.index({ parent_id: 1, name: 1 }, {
+  unique: true,
+  collation: { locale: 'en', strength: 2 },
+  name: 'unique_name_per_parent'
+});
+
+// Indexes for better query performance
+territorySchema.index({ level: 1 });
+territorySchema.index({ ancestors: 1 });
+
+// Check the parent sits one level up and copy its ancestry
+territorySchema.pre('validate', async function(next) {
+  if (!this.isNew && !this.isModified('parent_id') && !this.isModified('level')) return next();
+
+  try {
+    const depth = LEVELS.indexOf(this.level);
+
+    if (!this.parent_id) {
+      if (depth > 0) this.invalidate('parent_id', `A ${this.level} must have a parent`);
+      this.ancestors = [];
+      return next();
+    }
+
+    const parent = await this.constructor.findById(this.parent_id).select('level ancestors').lean();
+    if (!parent) {
+      this.invalidate('parent_id', 'Parent territory not found');
+    } else if (LEVELS.indexOf(parent.level) !== depth - 1) {
+      this.invalidate('parent_id', `A ${this.level} must sit under a ${LEVELS[depth - 1] || 'nothing'}`);
+    } else {
+      this.ancestors = [...parent.ancestors, parent._id];
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+territorySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to get a territory with its full path and reporting region
+// The region is the province name, so reports group the same way no matter what reps type
+territorySchema.statics.resolvePath = async function(territoryId) {
+  if (!territoryId) return null;
+
+  const territory = await this.findById(territoryId).lean();
+  if (!territory) return null;
+
+  const ancestors = await this.find({ _id: { $in: territory.ancestors } })
+    .select('name level')
+    .lean();
+  const nodes = [...territory.ancestors.map(id => ancestors.find(a => a._id.equals(id))), territory].filter(Boolean);
+  const province = nodes.find(node => node.level === 'province');
+
+  return {
+    territory,
+    path: nodes.map(node => node._id),
+    names: nodes.map(node => node.name),
+    region: (province || territory).name
+  };
+};
+
+// Static method to get the IDs of a territory and everything below it
+territorySchema.statics.getDescendantIds = async function(territoryId) {
+  const descendants = await this.find({ ancestors: territoryId }).select('_id').lean();
+  return [new mongoose.Types.ObjectId(territoryId), ...descendants.map(d => d._id)];
+};
+
+const Territory = mongoose.model('Territory', territorySchema);
+
+Territory.LEVELS = LEVELS;
+
+module.exports = Territory;
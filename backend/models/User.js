@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const Role = require('./Role');
+
+const MIN_PASSWORD_LENGTH = 6;
 
 const userSchema = new mongoose.Schema({
   username: { 
@@ -13,7 +17,7 @@ const userSchema = new mongoose.Schema({
   password: { 
     type: String, 
     required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters']
+    minlength: [MIN_PASSWORD_LENGTH, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`]
   },
   name: { 
     type: String, 
@@ -32,8 +36,8 @@ const userSchema = new mongoose.Schema({
   role: { 
     type: String, 
     enum: {
-      values: ['medrep', 'supervisor'],
-      message: 'Role must be either medrep or supervisor'
+      values: Role.ROLES,
+      message: `Role must be one of: ${Role.ROLES.join(', ')}`
     },
     default: 'medrep'
   },
@@ -42,9 +46,26 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Region cannot exceed 50 characters']
   },
+  // Managed territory the user is assigned to - region is derived from it
+  territory_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Territory',
+    default: null
+  },
+  // Reporting line - the supervisor or manager this user reports to
+  manager_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   is_active: { 
     type: Boolean, 
     default: true 
+  },
+  // Set while the account still has a temporary password handed out by someone else
+  must_change_password: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true  // Automatically adds createdAt and updatedAt
@@ -86,7 +107,59 @@ userSchema.index({ username: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ region: 1 });
+userSchema.index({ territory_id: 1 });
+userSchema.index({ manager_id: 1 });
+
+// Static method to get the IDs of everyone reporting to a manager, directly or indirectly
+userSchema.statics.getReportIds = async function(managerId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(managerId) } },
+    {
+      $graphLookup: {
+        from: 'users',
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'manager_id',
+        as: 'reports'
+      }
+    },
+    { $project: { ids: '$reports._id' } }
+  ]);
+  return result ? result.ids : [];
+};
+
+// Static method to get the user IDs whose data a user may see - themselves and their reporting line.
+// Returns null for users granted reports:read:all, who are not limited to a team
+userSchema.statics.getTeamScope = async function(user) {
+  if (user.permissions?.includes('reports:read:all')) return null;
+  return [user._id, ...(await this.getReportIds(user._id))];
+};
+
+// Static method to generate a temporary password - no look-alike characters, so it can be read out
+userSchema.statics.generateTemporaryPassword = function(length = 10) {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+  return Array.from({ length }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+};
+
+// Static method to check a password someone has chosen - returns an error message, or null when it is acceptable
+userSchema.statics.checkNewPassword = function(password, user = null) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > 128) return 'Password cannot exceed 128 characters';
+  if (user && [user.username, user.email].some(value => value && password.toLowerCase() === value.toLowerCase())) {
+    return 'Password cannot be your username or email';
+  }
+  return null;
+};
+
+// Static method to check whether a user falls within a team scope
+userSchema.statics.isInScope = function(teamIds, userId) {
+  return !teamIds || teamIds.some(id => id.toString() === String(userId));
+};
 
 const User = mongoose.model('User', userSchema);
 
+User.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,115 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { getPermissions } = require('../middleware/permissions');
+
+// Open server-sent event streams: { res, user, sessionId, expiresAt, teamIds, heartbeat }
+const clients = new Set();
+
+// Comment lines keep proxies (Render closes idle connections) from dropping the stream
+const HEARTBEAT_MS = 25 * 1000;
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const drop = (client) => {
+  clearInterval(client.heartbeat);
+  clients.delete(client);
+};
+
+// Tells the browser why the stream ended, then closes it
+const close = (client, reason) => {
+  if (!clients.has(client)) return;
+  drop(client);
+  try {
+    write(client.res, 'end', { reason });
+    client.res.end();
+  } catch (error) {
+    console.error('Error closing report stream:', error);
+  }
+};
+
+// ====================== RE-CHECK ======================
+// Run with every heartbeat, so a stream never outlives what let it open. Signing out,
+// "log out all devices" and deactivation revoke the session; the stream ends with it rather
+// than when the connection happens to drop. Once the access token expires the browser is told
+// to reconnect with a fresh one. Role and reporting line changes apply to the next event.
+const recheck = async (client) => {
+  if (Date.now() >= client.expiresAt) return close(client, 'token_expired');
+
+  const [session, user] = await Promise.all([
+    Session.findById(client.sessionId).select('user_id revoked_at expires_at'),
+    User.findOne({ _id: client.user._id, is_active: { $ne: false } }).select('-password').lean()
+  ]);
+  if (!session || !session.isActive() || !user) return close(client, 'session_revoked');
+
+  user.permissions = await getPermissions(user.role);
+  if (!user.permissions.includes('reports:read:team')) return close(client, 'forbidden');
+
+  const teamIds = await User.getTeamScope(user);
+  // The stream may have been closed while the lookups ran
+  if (!clients.has(client)) return;
+  client.user = user;
+  client.teamIds = teamIds;
+};
+
+// ====================== SUBSCRIBE ======================
+// Holds the request open and streams report events for everyone in the user's reporting line
+const subscribe = async (req, res) => {
+  const teamIds = await User.getTeamScope(req.user);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  write(res, 'ready', { connected_at: new Date().toISOString() });
+
+  const client = {
+    res,
+    user: req.user,
+    sessionId: req.sessionId,
+    expiresAt: req.tokenExpiresAt,
+    teamIds
+  };
+  client.heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    recheck(client).catch(error => console.error('Error re-checking report stream:', error));
+  }, HEARTBEAT_MS);
+  clients.add(client);
+  console.log(`📡 ${req.user.username} subscribed to report events (${clients.size} open)`);
+
+  req.on('close', () => drop(client));
+};
+
+// ====================== PUBLISH ======================
+// Tells supervisors whose reporting line includes the rep that a report was created, updated or deleted.
+// Drafts are private to the rep, so they are not broadcast until submitted.
+const publishReportEvent = (type, report, actor) => {
+  if (type !== 'deleted' && report.status === 'draft') return;
+
+  const ownerId = report.user_id?._id || report.user_id;
+  const payload = {
+    type,
+    report_id: report._id,
+    user_id: ownerId,
+    report_date: report.report_date,
+    status: report.status,
+    actor: actor ? { _id: actor._id, name: actor.name } : null,
+    at: new Date().toISOString()
+  };
+
+  clients.forEach(client => {
+    if (!User.isInScope(client.teamIds, ownerId)) return;
+    try {
+      write(client.res, 'report', payload);
+    } catch (error) {
+      console.error('Error publishing report event:', error);
+    }
+  });
+};
+
+module.exports = { subscribe, publishReportEvent };
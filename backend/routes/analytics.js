@@ -1,20 +1,195 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const DailyReport = require('../models/DailyReport');
 const User = require('../models/User');
+const Outlet = require('../models/Outlet');
+const Territory = require('../models/Territory');
+const Target = require('../models/Target');
+const JourneyPlan = require('../models/JourneyPlan');
+const Holiday = require('../models/Holiday');
+const { hasPermission, requirePermission } = require('../middleware/permissions');
+const { recordEvent } = require('../middleware/audit');
+const { EXPORT_FORMATS, sendTableExport } = require('../exports/tableExport');
+const {
+  percent, teamMatch, getSubmissionRates, teamSubmissionRate, statusMatch, periodStart, periodRange, getTeamPerformance
+} = require('../analytics/performance');
+const { DAY_MS, dayKey, startOfUTCDay } = require('../utils/helpers');
 const router = express.Router();
 
-// ====================== HELPER: Check Supervisor Role ======================
-const requireSupervisor = (req, res, next) => {
-  if (req.user.role !== 'supervisor' && req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Supervisor or admin role required.'
-    });
+// ====================== HELPER: Target Attainment ======================
+// First day of the month and first day of the next at midnight UTC, like report dates, for a YYYY-MM month
+const monthRange = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return { start: new Date(Date.UTC(year, monthIndex - 1, 1)), end: new Date(Date.UTC(year, monthIndex, 1)) };
+};
+
+// Current month as YYYY-MM, in UTC like the month bounds
+const currentMonth = () => dayKey(new Date()).slice(0, 7);
+
+// Monday to Friday days in [from, to), skipping any YYYY-MM-DD in holidays
+const countWorkingDays = (from, to, holidays = new Set()) => {
+  let count = 0;
+  for (let time = from.getTime(); time < to.getTime(); time += DAY_MS) {
+    const day = new Date(time);
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6 && !holidays.has(dayKey(day))) count++;
   }
-  next();
+  return count;
+};
+
+// Working days in the month and how many have passed, used for run-rate projections.
+// Nationwide holidays are not working days.
+const getMonthPace = async (month) => {
+  const { start, end } = monthRange(month);
+  const tomorrow = new Date(startOfUTCDay(new Date()).getTime() + DAY_MS);
+
+  const holidays = new Set((await Holiday.between(start, end)).filter(day => !day.region).map(day => day.key));
+  const total = countWorkingDays(start, end, holidays);
+  const elapsed = tomorrow >= end ? total : tomorrow <= start ? 0 : countWorkingDays(start, tomorrow, holidays);
+  return { total, elapsed, remaining: total - elapsed };
+};
+
+// Sum the metrics a target tracks over its month
+const getTargetActuals = async (target, filter = {}) => {
+  const { start, end } = monthRange(target.month);
+  const match = { report_date: { $gte: start, $lt: end }, ...filter };
+  if (target.user_id) {
+    match.user_id = target.user_id._id || target.user_id;
+  } else {
+    match.region = target.region;
+  }
+
+  if (target.product) {
+    const productId = target.product._id || target.product;
+    const [row] = await DailyReport.aggregate([
+      { $match: { ...match, 'orders.lines.product': productId } },
+      { $unwind: '$orders' },
+      { $unwind: '$orders.lines' },
+      { $match: { 'orders.lines.product': productId } },
+      {
+        $group: {
+          _id: null,
+          units: { $sum: '$orders.lines.quantity' },
+          orders_value: { $sum: '$orders.lines.line_total' },
+          orders: { $addToSet: '$orders._id' }
+        }
+      }
+    ]);
+    return {
+      units: row?.units || 0,
+      orders_value: row?.orders_value || 0,
+      orders_count: row ? row.orders.length : 0
+    };
+  }
+
+  const [row] = await DailyReport.aggregate([
+    { $match: match },
+    {
+      $group: Target.METRICS.reduce((group, metric) => ({ ...group, [metric]: { $sum: `$${metric}` } }), { _id: null })
+    }
+  ]);
+  return row || {};
+};
+
+// Attainment and run-rate projection for every metric the target sets
+const buildAttainment = async (target, pace, filter) => {
+  const actuals = await getTargetActuals(target, filter);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const metrics = Object.entries(target.metrics || {})
+    .filter(([, goal]) => goal !== undefined && goal !== null)
+    .map(([metric, goal]) => {
+      const actual = round(actuals[metric] || 0);
+      const projected = pace.elapsed > 0 ? round(actual / pace.elapsed * pace.total) : null;
+      return {
+        metric,
+        target: goal,
+        actual,
+        attainment: goal > 0 ? Math.round((actual / goal) * 100) : null,
+        projected,
+        projected_attainment: goal > 0 && projected !== null ? Math.round((projected / goal) * 100) : null
+      };
+    });
+
+  return {
+    target_id: target._id,
+    type: target.product ? 'product' : target.user_id ? 'rep' : 'region',
+    user: target.user_id || null,
+    region: target.user_id ? target.user_id.region : target.region,
+    product: target.product || null,
+    metrics
+  };
+};
+
+const sendAttainment = async (res, targets, month, filter) => {
+  const pace = await getMonthPace(month);
+  const data = await Promise.all(targets.map(target => buildAttainment(target, pace, filter)));
+
+  res.json({
+    success: true,
+    data,
+    month,
+    pace
+  });
+};
+
+// ====================== HELPER: Plan Adherence ======================
+// Compare one plan with the calls its rep logged that week. A planned call is completed when the
+// HCP or outlet was visited on the planned day, rescheduled when it was visited on another day of
+// the week, and missed otherwise. Calls still in the future are not counted yet.
+const buildAdherence = (plan, visits) => {
+  const today = dayKey(new Date());
+  const refOf = (item) => {
+    const visited = item.hcp || item.outlet;
+    return visited ? String(visited._id || visited) : null;
+  };
+  const plannedRefs = new Set(plan.entries.map(refOf));
+
+  const entries = plan.entries.map(entry => {
+    const ref = refOf(entry);
+    const date = dayKey(entry.date);
+    const matches = visits.filter(visit => visit.ref === ref);
+    let result = 'missed';
+    if (matches.some(visit => visit.day === date)) {
+      result = 'completed';
+    } else if (matches.length > 0) {
+      result = 'rescheduled';
+    } else if (date >= today) {
+      result = 'upcoming';
+    }
+    return {
+      date,
+      hcp: entry.hcp || null,
+      outlet: entry.outlet || null,
+      objective: entry.objective,
+      result,
+      visited_on: matches.map(visit => visit.day)
+    };
+  });
+
+  const count = (result) => entries.filter(entry => entry.result === result).length;
+  const completed = count('completed');
+  const rescheduled = count('rescheduled');
+  const missed = count('missed');
+  const due = completed + rescheduled + missed;
+
+  return {
+    plan_id: plan._id,
+    user: plan.user_id,
+    week_start: dayKey(plan.week_start),
+    status: plan.status,
+    planned: entries.length,
+    due,
+    completed,
+    rescheduled,
+    missed,
+    upcoming: count('upcoming'),
+    unplanned: visits.filter(visit => !plannedRefs.has(visit.ref)).length,
+    adherence: percent(completed, due),
+    coverage: percent(completed + rescheduled, due),
+    entries
+  };
 };
 
-// ====================== GET WEEKLY STATS FOR USER ======================
 router.get('/weekly', async (req, res) => {
   try {
     console.log(`📊 Weekly stats requested by user ID: ${req.user._id}`); // Changed to _id
@@ -26,7 +201,8 @@ router.get('/weekly', async (req, res) => {
       {
         $match: {
           user_id: req.user._id, // Changed to _id
-          report_date: { $gte: oneWeekAgo }
+          report_date: { $gte: oneWeekAgo },
+          ...statusMatch(req)
         }
       },
       {
@@ -88,7 +264,8 @@ router.get('/monthly', async (req, res) => {
     const monthlyStats = await DailyReport.aggregate([
       {
         $match: {
-          user_id: req.user._id // Changed to _id
+          user_id: req.user._id, // Changed to _id
+          ...statusMatch(req)
         }
       },
       {
@@ -157,84 +334,22 @@ router.get('/monthly', async (req, res) => {
 });
 
 // ====================== SUPERVISOR ANALYTICS - TEAM PERFORMANCE ======================
-router.get('/team-performance', requireSupervisor, async (req, res) => {
+router.get('/team-performance', requirePermission('analytics:read:team'), async (req, res) => {
   try {
     console.log(`👥 Team performance requested by supervisor: ${req.user.username}`);
     
     const { period = 'month' } = req.query;
     
-    let startDate = new Date();
-    if (period === 'week') {
-      startDate.setDate(startDate.getDate() - 7);
-    } else if (period === 'month') {
-      startDate.setDate(startDate.getDate() - 30);
-    } else if (period === 'quarter') {
-      startDate.setDate(startDate.getDate() - 90);
-    } else {
-      startDate = null;
-    }
-    
-    const dateFilter = startDate ? { report_date: { $gte: startDate } } : {};
-    
-    const teamPerformance = await User.aggregate([
-      {
-        $match: {
-          role: 'medrep',
-          is_active: true
-        }
-      },
-      {
-        $lookup: {
-          from: 'dailyreports',
-          let: { userId: '$_id' },
-          pipeline: [
-            {
-              $match: {
-                $expr: { $eq: ['$user_id', '$$userId'] },
-                ...dateFilter
-              }
-            }
-          ],
-          as: 'reports'
-        }
-      },
-      {
-        $project: {
-          user_id: '$_id',
-          user_name: '$name',
-          username: '$username',
-          email: '$email',
-          region: '$region',
-          reports_count: { $size: '$reports' },
-          total_doctors: {
-            $sum: {
-              $map: {
-                input: '$reports',
-                as: 'report',
-                in: {
-                  $add: [
-                    '$$report.dentists', '$$report.physiotherapists', '$$report.gynecologists',
-                    '$$report.internists', '$$report.general_practitioners', 
-                    '$$report.pediatricians', '$$report.dermatologists'
-                  ]
-                }
-              }
-            }
-          },
-          total_pharmacies: { $sum: '$reports.pharmacies' },
-          total_dispensaries: { $sum: '$reports.dispensaries' },
-          total_orders: { $sum: '$reports.orders_count' },
-          total_value: { $sum: '$reports.orders_value' }
-        }
-      },
-      { $sort: { total_value: -1 } }
-    ]);
+    const { members: teamPerformance, submission_rate } = await getTeamPerformance(
+      req.user, periodStart(period), null, statusMatch(req)
+    );
     
     console.log(`✅ Found team performance data for ${teamPerformance.length} medreps`);
     
     res.json({
       success: true,
       data: teamPerformance,
+      submission_rate,
       requested_by: req.user.username,
       count: teamPerformance.length,
       period: period
@@ -249,17 +364,20 @@ router.get('/team-performance', requireSupervisor, async (req, res) => {
 });
 
 // ====================== REGION-WISE ANALYTICS ======================
-router.get('/region-performance', requireSupervisor, async (req, res) => {
+router.get('/region-performance', requirePermission('analytics:read:team'), async (req, res) => {
   try {
     console.log(`🗺️ Region performance requested by: ${req.user.username}`);
     
     const oneMonthAgo = new Date();
     oneMonthAgo.setDate(oneMonthAgo.getDate() - 30);
+    const scope = await teamMatch(req.user);
 
     const regionPerformance = await DailyReport.aggregate([
       {
         $match: {
-          report_date: { $gte: oneMonthAgo }
+          report_date: { $gte: oneMonthAgo },
+          ...scope,
+          ...statusMatch(req)
         }
       },
       {
@@ -306,6 +424,65 @@ router.get('/region-performance', requireSupervisor, async (req, res) => {
       { $sort: { total_value: -1 } }
     ]);
 
+    // Outlet coverage: distinct registered outlets visited vs. registered per region
+    const [visitedOutlets, registeredOutlets] = await Promise.all([
+      DailyReport.aggregate([
+        {
+          $match: {
+            report_date: { $gte: oneMonthAgo },
+            'visits.outlet': { $exists: true },
+            ...scope,
+            ...statusMatch(req)
+          }
+        },
+        { $unwind: '$visits' },
+        { $match: { 'visits.outlet': { $exists: true } } },
+        {
+          $lookup: {
+            from: 'users',
+            localField: 'user_id',
+            foreignField: '_id',
+            as: 'user'
+          }
+        },
+        { $unwind: '$user' },
+        {
+          $group: {
+            _id: '$user.region',
+            outlets: { $addToSet: '$visits.outlet' }
+          }
+        },
+        { $project: { region: '$_id', count: { $size: '$outlets' }, _id: 0 } }
+      ]),
+      Outlet.aggregate([
+        { $match: { is_active: true, ...(scope.user_id ? { owner_id: scope.user_id } : {}) } },
+        {
+          $lookup: {
+            from: 'users',
+            localField: 'owner_id',
+            foreignField: '_id',
+            as: 'owner'
+          }
+        },
+        { $unwind: '$owner' },
+        { $group: { _id: '$owner.region', count: { $sum: 1 } } },
+        { $project: { region: '$_id', count: 1, _id: 0 } }
+      ])
+    ]);
+
+    const countByRegion = (rows) => 
+      rows.reduce((acc, row) => ({ ...acc, [row.region]: row.count }), {});
+    const visitedByRegion = countByRegion(visitedOutlets);
+    const registeredByRegion = countByRegion(registeredOutlets);
+
+    regionPerformance.forEach(region => {
+      region.outlets_visited = visitedByRegion[region.region] || 0;
+      region.outlets_registered = registeredByRegion[region.region] || 0;
+      region.outlet_coverage = region.outlets_registered > 0
+        ? Math.round((region.outlets_visited / region.outlets_registered) * 100)
+        : 0;
+    });
+
     console.log(`✅ Found region performance for ${regionPerformance.length} regions`);
     
     res.json({
@@ -323,6 +500,468 @@ router.get('/region-performance', requireSupervisor, async (req, res) => {
   }
 });
 
+// ====================== TERRITORY ROLLUP ANALYTICS ======================
+// Groups reports by the territory at the requested level (country, province, district or territory),
+// optionally limited to everything under one parent territory
+router.get('/territory-performance', requirePermission('analytics:read:team'), async (req, res) => {
+  try {
+    console.log(`🗺️ Territory performance requested by: ${req.user.username}`);
+    
+    const { level = 'province', parent_id, period = 'month' } = req.query;
+    const depth = Territory.LEVELS.indexOf(level);
+    
+    if (depth === -1) {
+      return res.status(400).json({
+        success: false,
+        message: `Level must be one of: ${Territory.LEVELS.join(', ')}`
+      });
+    }
+    
+    if (parent_id && !mongoose.Types.ObjectId.isValid(parent_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid parent territory ID'
+      });
+    }
+    
+    const range = periodRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+    
+    const dateFilter = {};
+    if (range.from) dateFilter.$gte = range.from;
+    if (range.to) dateFilter.$lt = range.to;
+    const reportDates = range.from || range.to ? { report_date: dateFilter } : {};
+    const scope = await teamMatch(req.user);
+    const match = { ...reportDates, ...scope, ...statusMatch(req), [`territory_path.${depth}`]: { $exists: true } };
+    if (parent_id) match.territory_path = new mongoose.Types.ObjectId(parent_id);
+    
+    const territoryQuery = { level, is_active: true };
+    if (parent_id) territoryQuery.ancestors = parent_id;
+    
+    const [stats, territories, unassignedReports, assignedUsers] = await Promise.all([
+      DailyReport.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { $arrayElemAt: ['$territory_path', depth] },
+            reports_count: { $sum: 1 },
+            active_reps: { $addToSet: '$user_id' },
+            total_doctors: {
+              $sum: {
+                $add: [
+                  '$dentists', '$physiotherapists', '$gynecologists', '$internists',
+                  '$general_practitioners', '$pediatricians', '$dermatologists'
+                ]
+              }
+            },
+            total_pharmacies: { $sum: '$pharmacies' },
+            total_dispensaries: { $sum: '$dispensaries' },
+            total_orders: { $sum: '$orders_count' },
+            total_value: { $sum: '$orders_value' }
+          }
+        }
+      ]),
+      Territory.find(territoryQuery).select('name code level ancestors').lean(),
+      DailyReport.countDocuments({ ...reportDates, ...scope, ...statusMatch(req), 'territory_path.0': { $exists: false } }),
+      User.find({
+        role: 'medrep',
+        is_active: true,
+        territory_id: { $ne: null },
+        ...(scope.user_id ? { _id: scope.user_id } : {})
+      })
+        .select('territory_id')
+        .populate('territory_id', 'level ancestors')
+        .lean()
+    ]);
+    
+    // Count assigned reps against the node they roll up to at this level
+    const assignedCounts = new Map();
+    assignedUsers.forEach(user => {
+      const territory = user.territory_id;
+      if (!territory) return;
+      const node = territory.level === level ? territory._id : territory.ancestors[depth];
+      if (node) assignedCounts.set(node.toString(), (assignedCounts.get(node.toString()) || 0) + 1);
+    });
+    
+    const statsById = new Map(stats.map(item => [item._id.toString(), item]));
+    const territoryPerformance = territories.map(territory => {
+      const item = statsById.get(territory._id.toString());
+      return {
+        territory_id: territory._id,
+        name: territory.name,
+        code: territory.code,
+        level: territory.level,
+        assigned_reps: assignedCounts.get(territory._id.toString()) || 0,
+        active_reps: item ? item.active_reps.length : 0,
+        reports_count: item?.reports_count || 0,
+        total_doctors: item?.total_doctors || 0,
+        total_pharmacies: item?.total_pharmacies || 0,
+        total_dispensaries: item?.total_dispensaries || 0,
+        total_orders: item?.total_orders || 0,
+        total_value: item?.total_value || 0
+      };
+    }).sort((a, b) => b.total_value - a.total_value);
+    
+    console.log(`✅ Found performance data for ${territoryPerformance.length} ${level} territories`);
+    
+    res.json({
+      success: true,
+      data: territoryPerformance,
+      level,
+      parent_id: parent_id || null,
+      period,
+      unassigned_reports: unassignedReports
+    });
+  } catch (error) {
+    console.error('Territory performance error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching territory performance'
+    });
+  }
+});
+
+// ====================== PRODUCT SALES ANALYTICS ======================
+router.get('/product-sales', requirePermission('analytics:read:team'), async (req, res) => {
+  try {
+    console.log(`💊 Product sales requested by: ${req.user.username}`);
+    
+    const { period = 'month', region } = req.query;
+    
+    // A repeated or nested region would put an array or query operator into the match
+    if (region !== undefined && typeof region !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Give region once as a single value'
+      });
+    }
+    
+    const range = periodRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+    
+    const dateFilter = {};
+    if (range.from) dateFilter.$gte = range.from;
+    if (range.to) dateFilter.$lt = range.to;
+    
+    const match = { 'orders.0': { $exists: true }, ...(await teamMatch(req.user)), ...statusMatch(req) };
+    if (range.from || range.to) match.report_date = dateFilter;
+    if (region) match.region = region;
+    
+    const productSales = await DailyReport.aggregate([
+      { $match: match },
+      { $unwind: '$orders' },
+      { $unwind: '$orders.lines' },
+      {
+        $group: {
+          _id: '$orders.lines.product',
+          sku: { $last: '$orders.lines.sku' },
+          product_name: { $last: '$orders.lines.product_name' },
+          units_sold: { $sum: '$orders.lines.quantity' },
+          total_value: { $sum: '$orders.lines.line_total' },
+          order_lines: { $sum: 1 },
+          outlets: { $addToSet: '$orders.outlet' },
+          reps: { $addToSet: '$user_id' }
+        }
+      },
+      {
+        $project: {
+          product_id: '$_id',
+          sku: 1,
+          product_name: 1,
+          units_sold: 1,
+          total_value: { $round: ['$total_value', 2] },
+          order_lines: 1,
+          outlet_count: { $size: '$outlets' },
+          rep_count: { $size: '$reps' },
+          _id: 0
+        }
+      },
+      { $sort: { total_value: -1 } }
+    ]);
+    
+    console.log(`✅ Found sales data for ${productSales.length} products`);
+    
+    res.json({
+      success: true,
+      data: productSales,
+      count: productSales.length,
+      period: period
+    });
+  } catch (error) {
+    console.error('Product sales error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching product sales'
+    });
+  }
+});
+
+// ====================== MY TARGET ATTAINMENT ======================
+// The rep's own targets plus the targets for their region
+router.get('/targets', async (req, res) => {
+  try {
+    const { month = currentMonth() } = req.query;
+
+    if (typeof month !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    const targets = await Target.find({
+      month,
+      $or: [
+        { user_id: req.user._id },
+        { user_id: null, region: req.user.region || null }
+      ]
+    })
+      .populate('user_id', 'name username region')
+      .populate('product', 'sku name')
+      .lean();
+
+    await sendAttainment(res, targets, month, statusMatch(req));
+  } catch (error) {
+    console.error('Target attainment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching target attainment'
+    });
+  }
+});
+
+// ====================== TEAM TARGET ATTAINMENT ======================
+router.get('/team-targets', requirePermission('analytics:read:team'), async (req, res) => {
+  try {
+    console.log(`🎯 Team targets requested by: ${req.user.username}`);
+
+    const { month = currentMonth() } = req.query;
+
+    if (typeof month !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    const query = { month };
+    const teamIds = await User.getTeamScope(req.user);
+    if (teamIds) {
+      const regions = await User.distinct('region', { _id: { $in: teamIds }, region: { $nin: [null, ''] } });
+      query.$or = [
+        { user_id: { $in: teamIds } },
+        { user_id: null, region: { $in: regions } }
+      ];
+    }
+
+    const targets = await Target.find(query)
+      .populate('user_id', 'name username region')
+      .populate('product', 'sku name')
+      .sort({ region: 1, createdAt: 1 })
+      .lean();
+
+    await sendAttainment(res, targets, month, statusMatch(req));
+  } catch (error) {
+    console.error('Team target attainment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching team target attainment'
+    });
+  }
+});
+
+// ====================== JOURNEY PLAN ADHERENCE ======================
+// Reps see their own plans, anyone with team analytics sees their reporting line
+router.get('/plan-adherence', async (req, res) => {
+  try {
+    console.log(`🗓️ Plan adherence requested by: ${req.user.username}`);
+
+    const { user_id } = req.query;
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 1, 1), 12);
+
+    const lastWeek = JourneyPlan.weekStartOf(req.query.week_start ? new Date(req.query.week_start) : new Date());
+    if (isNaN(lastWeek.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid week start'
+      });
+    }
+    const start = new Date(lastWeek.getTime() - (weeks - 1) * 7 * DAY_MS);
+    const end = new Date(lastWeek.getTime() + 7 * DAY_MS);
+
+    const teamIds = hasPermission(req.user, 'analytics:read:team')
+      ? await User.getTeamScope(req.user)
+      : [req.user._id];
+
+    const query = { week_start: { $gte: start, $lt: end }, status: { $ne: 'draft' } };
+    if (teamIds) query.user_id = { $in: teamIds };
+    if (user_id && mongoose.Types.ObjectId.isValid(user_id)) {
+      if (!User.isInScope(teamIds, user_id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This user is not in your team'
+        });
+      }
+      query.user_id = user_id;
+    }
+    if (req.query.status && JourneyPlan.STATUSES.includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+
+    const plans = await JourneyPlan.find(query)
+      .populate('user_id', 'name username region')
+      .populate('entries.hcp', 'name specialty facility')
+      .populate('entries.outlet', 'name type')
+      .sort({ week_start: -1 })
+      .lean();
+
+    // Every call logged by the planning reps over the same weeks, keyed by rep and week
+    const reports = await DailyReport.find({
+      user_id: { $in: [...new Set(plans.map(plan => String(plan.user_id._id)))] },
+      report_date: { $gte: start, $lt: end },
+      ...statusMatch(req)
+    }).select('user_id report_date visits.hcp visits.outlet').lean();
+
+    const visitsByWeek = new Map();
+    reports.forEach(report => {
+      const key = `${report.user_id}:${dayKey(JourneyPlan.weekStartOf(report.report_date))}`;
+      const visits = (report.visits || []).map(visit => ({
+        day: dayKey(report.report_date),
+        ref: String(visit.hcp || visit.outlet)
+      }));
+      visitsByWeek.set(key, [...(visitsByWeek.get(key) || []), ...visits]);
+    });
+
+    const data = plans.map(plan =>
+      buildAdherence(plan, visitsByWeek.get(`${plan.user_id._id}:${dayKey(plan.week_start)}`) || []));
+
+    // Roll the weeks up per rep for the summary table
+    const byUser = new Map();
+    data.forEach(item => {
+      const key = String(item.user._id);
+      const row = byUser.get(key) || {
+        user: item.user, plans: 0, due: 0, completed: 0, rescheduled: 0, missed: 0, unplanned: 0
+      };
+      ['due', 'completed', 'rescheduled', 'missed', 'unplanned'].forEach(field => {
+        row[field] += item[field];
+      });
+      row.plans += 1;
+      byUser.set(key, row);
+    });
+    const users = [...byUser.values()]
+      .map(row => ({ ...row, adherence: percent(row.completed, row.due), coverage: percent(row.completed + row.rescheduled, row.due) }))
+      .sort((a, b) => (b.adherence ?? -1) - (a.adherence ?? -1));
+
+    const totals = users.reduce((sum, row) => ({
+      due: sum.due + row.due,
+      completed: sum.completed + row.completed,
+      rescheduled: sum.rescheduled + row.rescheduled,
+      missed: sum.missed + row.missed,
+      unplanned: sum.unplanned + row.unplanned
+    }), { due: 0, completed: 0, rescheduled: 0, missed: 0, unplanned: 0 });
+
+    res.json({
+      success: true,
+      data,
+      users,
+      summary: {
+        ...totals,
+        plans: data.length,
+        adherence: percent(totals.completed, totals.due),
+        coverage: percent(totals.completed + totals.rescheduled, totals.due)
+      },
+      period: {
+        start: dayKey(start),
+        end: dayKey(new Date(end.getTime() - DAY_MS)),
+        weeks
+      }
+    });
+  } catch (error) {
+    console.error('Plan adherence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching plan adherence'
+    });
+  }
+});
+
+// ====================== REPORT SUBMISSION RATE ======================
+// Share of expected working days each rep submitted a report for. Weekends, holidays for the rep's
+// region and approved leave are not expected days; today only counts once it is over.
+// Reps see their own rate, supervisors everyone in their reporting line.
+router.get('/submission-rate', async (req, res) => {
+  try {
+    const { user_id } = req.query;
+    const today = startOfUTCDay(new Date());
+    const from = req.query.from ? new Date(req.query.from) : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if (isNaN(from.getTime()) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    // The range includes its last day
+    const end = to ? new Date(Math.min(startOfUTCDay(to).getTime() + DAY_MS, today.getTime())) : today;
+
+    const userQuery = { role: 'medrep', is_active: true };
+    if (!hasPermission(req.user, 'reports:read:team')) {
+      userQuery._id = req.user._id;
+      delete userQuery.role;
+    } else {
+      const teamIds = await User.getTeamScope(req.user);
+      if (teamIds) userQuery._id = { $in: teamIds };
+      if (user_id && mongoose.Types.ObjectId.isValid(user_id)) {
+        if (!User.isInScope(teamIds, user_id)) {
+          return res.status(403).json({
+            success: false,
+            message: 'This user is not in your team'
+          });
+        }
+        userQuery._id = user_id;
+      }
+    }
+
+    const reps = await User.find(userQuery).select('name username region createdAt').lean();
+    const rates = await getSubmissionRates(reps, from, end, statusMatch(req));
+
+    const data = reps
+      .map(rep => ({
+        user: { _id: rep._id, name: rep.name, username: rep.username, region: rep.region },
+        ...rates.get(rep._id.toString())
+      }))
+      .sort((a, b) => (a.submission_rate ?? 101) - (b.submission_rate ?? 101));
+
+    res.json({
+      success: true,
+      data,
+      submission_rate: teamSubmissionRate(rates),
+      range: {
+        from: dayKey(startOfUTCDay(from)),
+        to: dayKey(new Date(end.getTime() - DAY_MS))
+      }
+    });
+  } catch (error) {
+    console.error('Submission rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching submission rate'
+    });
+  }
+});
+
 // ====================== DASHBOARD SUMMARY STATS ======================
 router.get('/dashboard-summary', async (req, res) => {
   try {
@@ -343,7 +982,8 @@ router.get('/dashboard-summary', async (req, res) => {
       {
         $match: {
           user_id: req.user._id, // Changed to _id
-          report_date: { $gte: startOfWeek }
+          report_date: { $gte: startOfWeek },
+          ...statusMatch(req)
         }
       },
       {
@@ -393,16 +1033,20 @@ router.get('/dashboard-summary', async (req, res) => {
     
     // Team stats for supervisors
     let teamStats = {};
-    if (req.user.role === 'supervisor' || req.user.role === 'admin') {
+    if (hasPermission(req.user, 'analytics:read:team')) {
+      const scope = await teamMatch(req.user);
       const activeMedreps = await User.countDocuments({ 
         role: 'medrep', 
-        is_active: true 
+        is_active: true,
+        ...(scope.user_id ? { _id: scope.user_id } : {})
       });
       
       const teamWeeklyStats = await DailyReport.aggregate([
         {
           $match: {
-            report_date: { $gte: startOfWeek }
+            report_date: { $gte: startOfWeek },
+            ...scope,
+            ...statusMatch(req)
           }
         },
         {
@@ -448,4 +1092,218 @@ router.get('/dashboard-summary', async (req, res) => {
   }
 });
 
+// ====================== EXPORT TEAM REPORT ======================
+// ?format=pdf|csv|xlsx with ?period= or ?from=&to= - one row per medrep in the reporting line
+router.get('/export/team', requirePermission('analytics:read:team'), async (req, res) => {
+  try {
+    const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : 'pdf';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+    
+    const range = periodRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+    
+    const { members, submission_rate } = await getTeamPerformance(req.user, range.from, range.to, statusMatch(req));
+    const totals = members.reduce((sum, member) => ({
+      reports: sum.reports + member.reports_count,
+      doctors: sum.doctors + member.total_doctors,
+      orders: sum.orders + member.total_orders,
+      value: sum.value + member.total_value
+    }), { reports: 0, doctors: 0, orders: 0, value: 0 });
+    
+    recordEvent(req, {
+      user: req.user,
+      action: 'analytics.export',
+      resource_type: 'analytics',
+      details: { report: 'team', format, filters: req.query }
+    });
+    
+    console.log(`📤 Team ${format} export by ${req.user.username}: ${members.length} medreps`);
+    
+    await sendTableExport(res, format, {
+      filename: `team-performance-${dayKey(new Date())}`,
+      title: 'Team Performance Report',
+      subtitle: `${range.label}${req.query.approved_only === 'true' ? ' • approved reports only' : ''}`,
+      details: [
+        ['Generated', new Date().toISOString().replace('T', ' ').slice(0, 16) + ' UTC'],
+        ['Generated by', req.user.name || req.user.username],
+        ['Team members', members.length],
+        ['Reports submitted', totals.reports],
+        ['Doctor visits', totals.doctors],
+        ['Orders', totals.orders],
+        ['Revenue', `RWF ${Math.round(totals.value).toLocaleString('en-US')}`],
+        ['Report submission rate', submission_rate === null ? '—' : `${submission_rate}%`]
+      ],
+      tables: [{
+        title: 'Team Performance',
+        columns: [
+          ['Medical Representative', member => member.user_name, { width: 2 }],
+          ['Username', member => member.username, { width: 1.3 }],
+          ['Region', member => member.region || '', { width: 1.3 }],
+          ['Reports', member => member.reports_count, { align: 'right' }],
+          ['Doctors', member => member.total_doctors, { align: 'right' }],
+          ['Pharmacies', member => member.total_pharmacies, { align: 'right' }],
+          ['Dispensaries', member => member.total_dispensaries, { align: 'right' }],
+          ['Orders', member => member.total_orders, { align: 'right' }],
+          ['Revenue (RWF)', member => member.total_value, { width: 1.4, align: 'right', format: 'money' }],
+          ['Avg/Report (RWF)', member => Math.round(member.total_value / Math.max(member.reports_count, 1)), { width: 1.4, align: 'right', format: 'money' }],
+          ['Expected Days', member => member.expected_days, { align: 'right' }],
+          ['Reported Days', member => member.reported_days, { align: 'right' }],
+          ['Submission Rate', member => member.submission_rate, { align: 'right', format: 'percent' }]
+        ],
+        rows: members
+      }]
+    });
+  } catch (error) {
+    console.error('Team export error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting team report'
+    });
+  }
+});
+
+// ====================== EXPORT MEMBER REPORT ======================
+// One rep's daily reports and missing days - their own, or anyone in a supervisor's reporting line
+router.get('/export/member/:userId', async (req, res) => {
+  try {
+    const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : 'pdf';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !(hasPermission(req.user, 'analytics:read:team')
+      && User.isInScope(await User.getTeamScope(req.user), req.params.userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This user is not in your team'
+      });
+    }
+    
+    const range = periodRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+    
+    const member = await User.findById(req.params.userId).select('name username region createdAt').lean();
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const dateFilter = {};
+    if (range.from) dateFilter.$gte = range.from;
+    if (range.to) dateFilter.$lt = range.to;
+    const reports = await DailyReport.find({
+      user_id: member._id,
+      ...(range.from || range.to ? { report_date: dateFilter } : {}),
+      ...statusMatch(req)
+    }).sort({ report_date: 1 });
+    
+    const today = startOfUTCDay(new Date());
+    const rates = await getSubmissionRates(
+      [member],
+      range.from || new Date(member.createdAt || 0),
+      range.to && range.to < today ? range.to : today,
+      statusMatch(req)
+    );
+    const rate = rates.get(member._id.toString());
+    
+    const totals = reports.reduce((sum, report) => ({
+      doctors: sum.doctors + report.total_doctors,
+      pharmacies: sum.pharmacies + report.pharmacies + report.dispensaries,
+      orders: sum.orders + report.orders_count,
+      value: sum.value + report.orders_value
+    }), { doctors: 0, pharmacies: 0, orders: 0, value: 0 });
+    
+    recordEvent(req, {
+      user: req.user,
+      action: 'analytics.export',
+      resource_type: 'analytics',
+      resource_id: member._id,
+      details: { report: 'member', format, filters: req.query }
+    });
+    
+    console.log(`📤 Member ${format} export for ${member.username} by ${req.user.username}: ${reports.length} reports`);
+    
+    await sendTableExport(res, format, {
+      filename: `member-performance-${member.username}-${dayKey(new Date())}`,
+      title: 'Individual Performance Report',
+      subtitle: `${member.name} • ${range.label}${req.query.approved_only === 'true' ? ' • approved reports only' : ''}`,
+      details: [
+        ['Medical Representative', `${member.name} (${member.username})`],
+        ['Region', member.region || '—'],
+        ['Generated', new Date().toISOString().replace('T', ' ').slice(0, 16) + ' UTC'],
+        ['Generated by', req.user.name || req.user.username],
+        ['Reports submitted', reports.length],
+        ['Doctor visits', totals.doctors],
+        ['Pharmacy and dispensary visits', totals.pharmacies],
+        ['Orders', totals.orders],
+        ['Revenue', `RWF ${Math.round(totals.value).toLocaleString('en-US')}`],
+        ['Expected reporting days', rate.expected_days],
+        ['Days on leave', rate.leave_days],
+        ['Report submission rate', rate.submission_rate === null ? '—' : `${rate.submission_rate}%`]
+      ],
+      tables: [
+        {
+          title: 'Daily Reports',
+          columns: [
+            ['Date', report => dayKey(report.report_date), { width: 1.2 }],
+            ['Status', report => report.status],
+            ['Region', report => report.region || '', { width: 1.2 }],
+            ['Doctors', report => report.total_doctors, { align: 'right' }],
+            ['Pharmacies', report => report.pharmacies, { align: 'right' }],
+            ['Dispensaries', report => report.dispensaries, { align: 'right' }],
+            ['Orders', report => report.orders_count, { align: 'right' }],
+            ['Value (RWF)', report => report.orders_value, { width: 1.3, align: 'right', format: 'money' }],
+            ['Summary', report => report.summary || '', { width: 4 }]
+          ],
+          rows: reports
+        },
+        {
+          title: 'Missing Reports',
+          columns: [
+            ['Date', day => day],
+            ['Weekday', day => new Date(day).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })]
+          ],
+          rows: rate.missing_dates
+        }
+      ]
+    });
+  } catch (error) {
+    console.error('Member export error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting member report'
+    });
+  }
+});
+
 module.exports = router;
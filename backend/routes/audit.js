@@ -0,0 +1,179 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { requirePermission } = require('../middleware/permissions');
+const { recordEvent } = require('../middleware/audit');
+const { escapeCsv, escapeRegex } = require('../utils/helpers');
+const router = express.Router();
+
+// Most rows a single CSV export may contain
+const EXPORT_LIMIT = 50000;
+
+const CSV_COLUMNS = [
+  ['Time', entry => entry.createdAt.toISOString()],
+  ['Actor', entry => entry.actor_name || ''],
+  ['Role', entry => entry.actor_role || ''],
+  ['Action', entry => entry.action],
+  ['Outcome', entry => entry.outcome],
+  ['Status', entry => entry.status_code || ''],
+  ['Method', entry => entry.method || ''],
+  ['Path', entry => entry.path || ''],
+  ['Resource', entry => entry.resource_type || ''],
+  ['Resource ID', entry => entry.resource_id || ''],
+  ['IP', entry => entry.ip || ''],
+  ['Details', entry => entry.details === undefined ? '' : JSON.stringify(entry.details)]
+];
+
+const FILTER_PARAMS = ['actor', 'action', 'resource_type', 'resource_id', 'outcome', 'from', 'to', 'search'];
+
+// ====================== HELPER: Build Filter ======================
+// Turns the query string into a Mongo filter. Returns { error } for a bad value.
+const buildFilter = (query) => {
+  // Repeated (?action=a&action=b) or nested (?resource_id[$ne]=x) parameters are not plain values
+  const repeated = FILTER_PARAMS.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) return { error: `Give ${repeated} once as a single value` };
+
+  const { actor, action, resource_type, resource_id, outcome, from, to, search } = query;
+  const filter = {};
+
+  if (actor) {
+    if (!mongoose.Types.ObjectId.isValid(actor)) return { error: 'Invalid actor ID' };
+    filter.actor = actor;
+  }
+  // users. matches every users.* action
+  if (action) {
+    filter.action = action.endsWith('.') ? { $regex: `^${escapeRegex(action)}` } : action;
+  }
+  if (resource_type) filter.resource_type = resource_type;
+  if (resource_id) filter.resource_id = resource_id;
+  if (outcome) {
+    if (!AuditLog.OUTCOMES.includes(outcome)) return { error: `Outcome must be one of: ${AuditLog.OUTCOMES.join(', ')}` };
+    filter.outcome = outcome;
+  }
+
+  if (from || to) {
+    const start = from ? new Date(from) : null;
+    const end = to ? new Date(to) : null;
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+      return { error: 'Invalid date range' };
+    }
+    filter.createdAt = {};
+    if (start) filter.createdAt.$gte = start;
+    // A plain date means up to the end of that day
+    if (end) {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+      filter.createdAt.$lt = end;
+    }
+  }
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    filter.$or = [{ actor_name: pattern }, { path: pattern }, { resource_id: pattern }, { ip: pattern }];
+  }
+
+  return { filter };
+};
+
+// ====================== LIST AUDIT ENTRIES ======================
+router.get('/', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log'
+    });
+  }
+});
+
+// ====================== LIST RECORDED ACTIONS ======================
+// Distinct actions for the filter dropdown
+router.get('/actions', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const actions = await AuditLog.distinct('action');
+
+    res.json({
+      success: true,
+      data: actions.sort()
+    });
+  } catch (error) {
+    console.error('Error fetching audit actions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit actions'
+    });
+  }
+});
+
+// ====================== EXPORT AUDIT LOG AS CSV ======================
+router.get('/export', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Exports are themselves part of the record
+    recordEvent(req, {
+      user: req.user,
+      action: 'audit.export',
+      resource_type: 'audit',
+      details: { filters: req.query }
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().split('T')[0]}.csv"`);
+    res.write(CSV_COLUMNS.map(([header]) => header).join(',') + '\n');
+
+    const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).limit(EXPORT_LIMIT).lean().cursor();
+    for await (const entry of cursor) {
+      res.write(CSV_COLUMNS.map(([, value]) => escapeCsv(value(entry))).join(',') + '\n');
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,11 +2,62 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const { sendMail, appUrl } = require('../config/mailer');
+const { getPermissions } = require('../middleware/permissions');
+const { recordEvent, clientIp } = require('../middleware/audit');
+const { authenticateToken } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/helpers');
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'medical-reporting-system-secret-key-2023';
 
+// Access tokens are short-lived; clients renew them with the session's refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// ====================== HELPER: Issue Tokens ======================
+// A new access token for the session, plus the refresh token when one was just issued
+const issueTokens = (user, session, refreshToken) => {
+  const token = jwt.sign(
+    { 
+      _id: user._id.toString(),
+      sid: session._id.toString(),
+      username: user.username, 
+      role: user.role,
+      name: user.name,
+      email: user.email,
+      region: user.region
+    }, 
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { exp, iat } = jwt.decode(token);
+  
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: exp - iat,
+    refresh_expires_at: session.expires_at
+  };
+};
+
+const sessionContext = (req) => ({ ip: clientIp(req), user_agent: req.headers['user-agent'] });
+
+// Session of the access token on a request, even an expired one - signing out still works
+// after the access token has run out
+const sessionIdFromHeader = (req) => {
+  const token = req.headers['authorization']?.split(' ')[1];
+  if (!token) return null;
+  try {
+    return jwt.verify(token, JWT_SECRET, { ignoreExpiration: true }).sid || null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // ====================== LOGIN ENDPOINT ======================
 router.post('/login', [
   body('username').trim().notEmpty().withMessage('Username is required'),
@@ -34,6 +85,7 @@ router.post('/login', [
     
     if (!user) {
       console.log(`❌ User not found: ${username}`);
+      recordEvent(req, { action: 'auth.login_failed', outcome: 'failure', resource_type: 'auth', details: { username, reason: 'Unknown or inactive user' } });
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid username or password' 
@@ -45,40 +97,33 @@ router.post('/login', [
     
     if (!isMatch) {
       console.log(`❌ Wrong password for: ${username}`);
+      recordEvent(req, { action: 'auth.login_failed', outcome: 'failure', resource_type: 'auth', details: { username, reason: 'Wrong password' } });
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid username or password' 
       });
     }
 
-    // Create JWT token - Use _id
-    const token = jwt.sign(
-      { 
-        _id: user._id.toString(),
-        username: user.username, 
-        role: user.role,
-        name: user.name,
-        email: user.email,
-        region: user.region
-      }, 
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Every sign-in is its own session, so devices can be signed out one at a time
+    const { session, refreshToken } = await Session.start(user, sessionContext(req));
 
     console.log(`✅ Login successful: ${user.username} (${user.role})`);
+    recordEvent(req, { user, action: 'auth.login', resource_type: 'auth' });
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        token,
+        ...issueTokens(user, session, refreshToken),
         user: {
           id: user._id,
           username: user.username,
           name: user.name,
           email: user.email,
           role: user.role,
+          permissions: await getPermissions(user.role),
           region: user.region,
+          must_change_password: user.must_change_password,
           createdAt: user.createdAt
         }
       }
@@ -93,12 +138,383 @@ router.post('/login', [
   }
 });
 
+// ====================== REFRESH ENDPOINT ======================
+// Swaps a refresh token for a new access token and a new refresh token. The old refresh token
+// stops working; replaying it later ends the session, as it may have been stolen.
+router.post('/refresh', [
+  body('refresh_token').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+    
+    const result = await Session.rotate(req.body.refresh_token);
+    if (result.error) {
+      if (result.reused) {
+        console.log(`⚠️ Replayed refresh token - session ${result.session._id} ended`);
+        recordEvent(req, {
+          action: 'auth.refresh_reuse',
+          outcome: 'failure',
+          resource_type: 'auth',
+          resource_id: result.session._id,
+          details: { user_id: result.session.user_id }
+        });
+      }
+      // A superseded token means the client already holds the newer one - it can retry with that
+      return res.status(401).json({
+        success: false,
+        code: result.superseded ? 'refresh_superseded' : 'session_revoked',
+        message: result.error
+      });
+    }
+    
+    const { session, refreshToken } = result;
+    const user = await User.findOne({ _id: session.user_id, is_active: { $ne: false } }).select('-password');
+    if (!user) {
+      await Session.revokeAll(session.user_id, 'deactivated');
+      return res.status(401).json({
+        success: false,
+        code: 'session_revoked',
+        message: 'User not found or account is inactive'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: issueTokens(user, session, refreshToken)
+    });
+  } catch (error) {
+    console.error('❌ Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
 // ====================== LOGOUT ENDPOINT ======================
-router.post('/logout', (req, res) => {
-  res.json({ 
-    success: true, 
-    message: 'Logout successful' 
-  });
+// Ends the session of the access token, or of { refresh_token } when the access token is gone
+router.post('/logout', async (req, res) => {
+  try {
+    let session = null;
+    const sessionId = sessionIdFromHeader(req);
+    if (sessionId && mongoose.Types.ObjectId.isValid(sessionId)) {
+      session = await Session.findById(sessionId);
+    }
+    if (!session && req.body?.refresh_token) {
+      session = await Session.findByToken(req.body.refresh_token);
+    }
+    
+    if (session && !session.revoked_at) {
+      session.revoked_at = new Date();
+      session.revoked_reason = 'logout';
+      await session.save();
+      
+      const user = await User.findById(session.user_id).select('username role').lean();
+      recordEvent(req, { user, action: 'auth.logout', resource_type: 'auth', resource_id: session._id });
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'Logout successful' 
+    });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// ====================== LOG OUT ALL DEVICES ======================
+// Ends every session of the signed-in user, this one included
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const ended = await Session.revokeAll(req.user._id, 'logout_all');
+    
+    console.log(`🚪 ${req.user.username} signed out of ${ended} sessions`);
+    recordEvent(req, { user: req.user, action: 'auth.logout_all', resource_type: 'auth', details: { sessions: ended } });
+    
+    res.json({
+      success: true,
+      message: `Signed out of ${ended} ${ended === 1 ? 'device' : 'devices'}`,
+      data: { sessions: ended }
+    });
+  } catch (error) {
+    console.error('❌ Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// ====================== ACTIVE SESSIONS ======================
+// The signed-in user's devices, most recently used first
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user_id: req.user._id,
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    })
+      .select('ip user_agent createdAt last_used_at expires_at')
+      .sort({ last_used_at: -1 })
+      .lean();
+    
+    res.json({
+      success: true,
+      data: sessions.map(session => ({ ...session, current: session._id.toString() === req.sessionId }))
+    });
+  } catch (error) {
+    console.error('❌ Sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+});
+
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+    
+    const session = await Session.findOne({ _id: req.params.id, user_id: req.user._id, revoked_at: null });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    session.revoked_at = new Date();
+    session.revoked_reason = 'revoked';
+    await session.save();
+    recordEvent(req, { user: req.user, action: 'auth.session_revoked', resource_type: 'auth', resource_id: session._id });
+    
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    console.error('❌ Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out device'
+    });
+  }
+});
+
+// ====================== CHANGE PASSWORD ======================
+// The signed-in user's own password. Other devices are signed out; this one stays signed in.
+// A wrong current password is a 400, not a 401 - the client would take a 401 as an expired token.
+router.post('/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current and new password are required'
+      });
+    }
+    
+    const user = await User.findById(req.user._id);
+    
+    if (!(await user.comparePassword(current_password))) {
+      recordEvent(req, { user: req.user, action: 'auth.password_change_failed', outcome: 'failure', resource_type: 'auth', details: { reason: 'Wrong current password' } });
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    
+    const passwordError = new_password === current_password
+      ? 'New password must be different from the current one'
+      : User.checkNewPassword(new_password, user);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+    
+    user.password = new_password;
+    user.must_change_password = false;
+    await user.save();
+    
+    const ended = await Session.revokeAll(user._id, 'password_changed', req.sessionId);
+    await PasswordReset.expireAll(user._id);
+    
+    console.log(`🔑 ${user.username} changed their password`);
+    recordEvent(req, { user: req.user, action: 'auth.password_changed', resource_type: 'auth', details: { sessions_ended: ended } });
+    
+    res.json({
+      success: true,
+      message: ended > 0
+        ? `Password changed - signed out of ${ended} other ${ended === 1 ? 'device' : 'devices'}`
+        : 'Password changed',
+      data: { sessions_ended: ended }
+    });
+  } catch (error) {
+    console.error('❌ Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
+// ====================== FORGOT PASSWORD ======================
+// Emails a single-use reset link. The reply is the same whether or not an account matched,
+// so the form can't be used to find out who has one.
+router.post('/forgot-password', [
+  body('identifier').trim().notEmpty().withMessage('Email or username is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: errors.array()[0].msg, 
+        errors: errors.array() 
+      });
+    }
+    
+    const identifier = req.body.identifier;
+    const user = await User.findOne({
+      is_active: true,
+      $or: [
+        { email: identifier.toLowerCase() },
+        { username: { $regex: new RegExp(`^${escapeRegex(identifier)}$`, 'i') } }
+      ]
+    }).select('username name email role');
+    
+    if (user) {
+      const { token, throttled } = await PasswordReset.issue(user, { ip: clientIp(req) });
+      
+      if (!throttled) {
+        // Not awaited - a slow mail server would otherwise give away that the account exists
+        sendMail({
+          to: user.email,
+          subject: 'Reset your Regal Pharma Reports password',
+          text: [
+            `Hello ${user.name},`,
+            '',
+            'Someone asked to reset the password of your Regal Pharma Reports account.',
+            'Choose a new password here:',
+            '',
+            appUrl(`/reset-password?token=${token}`),
+            '',
+            `The link works once and expires in ${PasswordReset.RESET_TTL_MINUTES} minutes.`,
+            'If you did not ask for this, ignore this email - your password stays the same.'
+          ].join('\n')
+        }).then(emailed => {
+          recordEvent(req, { user, action: 'auth.password_reset_requested', outcome: emailed ? 'success' : 'failure', resource_type: 'auth', details: { emailed } });
+        });
+      }
+    } else {
+      recordEvent(req, { action: 'auth.password_reset_requested', outcome: 'failure', resource_type: 'auth', details: { identifier, reason: 'Unknown or inactive user' } });
+    }
+    
+    res.json({
+      success: true,
+      message: 'If an account matches, a reset link is on its way to the email address on file'
+    });
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting a password reset'
+    });
+  }
+});
+
+// ====================== RESET PASSWORD ======================
+// Checks a reset link before the new-password form is shown
+router.get('/reset-password/:token', async (req, res) => {
+  try {
+    const reset = await PasswordReset.findUsable(req.params.token);
+    const user = reset && await User.findOne({ _id: reset.user_id, is_active: true }).select('username').lean();
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { username: user.username, expires_at: reset.expires_at }
+    });
+  } catch (error) {
+    console.error('❌ Check reset link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking the reset link'
+    });
+  }
+});
+
+// Sets a new password from { token, new_password } and signs the account out everywhere
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+    const invalidLink = () => res.status(400).json({
+      success: false,
+      message: 'This reset link is invalid or has expired'
+    });
+    
+    if (!token) return invalidLink();
+    
+    const reset = await PasswordReset.findUsable(token);
+    const user = reset && await User.findOne({ _id: reset.user_id, is_active: true });
+    if (!user) return invalidLink();
+    
+    const passwordError = User.checkNewPassword(new_password, user);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+    
+    // Used up only now, so a rejected password doesn't cost the user their link
+    if (!(await PasswordReset.consume(token))) return invalidLink();
+    
+    user.password = new_password;
+    user.must_change_password = false;
+    await user.save();
+    
+    const ended = await Session.revokeAll(user._id, 'password_changed');
+    
+    console.log(`🔑 ${user.username} reset their password by email`);
+    recordEvent(req, { user, action: 'auth.password_reset', resource_type: 'auth', resource_id: reset._id, details: { sessions_ended: ended } });
+    
+    res.json({
+      success: true,
+      message: 'Password reset - sign in with your new password'
+    });
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
 });
 
 // ====================== TEST ENDPOINT ======================
@@ -108,7 +524,15 @@ router.get('/test', (req, res) => {
     message: 'Auth API is working',
     endpoints: [
       'POST /login',
-      'POST /logout'
+      'POST /refresh',
+      'POST /logout',
+      'POST /logout-all',
+      'GET  /sessions',
+      'DELETE /sessions/:id',
+      'POST /change-password',
+      'POST /forgot-password',
+      'GET  /reset-password/:token',
+      'POST /reset-password'
     ]
   });
 });
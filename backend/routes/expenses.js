@@ -0,0 +1,610 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const DailyReport = require('../models/DailyReport');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { hasPermission, requirePermission } = require('../middleware/permissions');
+const router = express.Router();
+
+// Doctor and facility counters that make up the calls on a report
+const CALL_FIELDS = [
+  'dentists', 'physiotherapists', 'gynecologists', 'internists', 'general_practitioners',
+  'pediatricians', 'dermatologists', 'pharmacies', 'dispensaries'
+];
+
+// Current month as YYYY-MM
+const currentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// First day of the month and first day of the next at midnight UTC, like report dates.
+// Returns null for anything that is not YYYY-MM.
+const monthRange = (month) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) return null;
+  const [year, monthIndex] = month.split('-').map(Number);
+  return { start: new Date(Date.UTC(year, monthIndex - 1, 1)), end: new Date(Date.UTC(year, monthIndex, 1)) };
+};
+
+// ====================== HELPER: Check Supervisor Access ======================
+const canSupervise = async (user, userId, permission = 'reports:read:team') => {
+  if (!hasPermission(user, permission)) return false;
+  return User.isInScope(await User.getTeamScope(user), userId);
+};
+
+const isOwner = (expense, user) => String(expense.user_id._id || expense.user_id) === String(user._id);
+
+const populateExpense = (query) => query
+  .populate('user_id', 'name username region')
+  .populate('reviewed_by', 'name username')
+  .populate('report_id', 'report_date status');
+
+// Checks that a call ID belongs to the report. Empty means the expense is for the whole day.
+const isVisitOnReport = (report, visitId) =>
+  !visitId || report.visits.some(visit => String(visit._id) === String(visitId));
+
+const sendValidationError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+  return false;
+};
+
+// ====================== GET MY EXPENSES ======================
+router.get('/my-expenses', requirePermission('reports:read:own'), async (req, res) => {
+  try {
+    const range = monthRange(req.query.month || currentMonth());
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    const query = { user_id: req.user._id, expense_date: { $gte: range.start, $lt: range.end } };
+    if (Expense.STATUSES.includes(req.query.status)) query.status = req.query.status;
+
+    const expenses = await populateExpense(Expense.find(query))
+      .sort({ expense_date: -1, createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: expenses,
+      count: expenses.length
+    });
+  } catch (error) {
+    console.error('Error fetching expenses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching expenses'
+    });
+  }
+});
+
+// ====================== GET TEAM EXPENSES (SUPERVISORS ONLY) ======================
+router.get('/team', requirePermission('reports:read:team'), async (req, res) => {
+  try {
+    const { status, user_id } = req.query;
+    const range = monthRange(req.query.month || currentMonth());
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    const teamIds = await User.getTeamScope(req.user);
+
+    const query = { expense_date: { $gte: range.start, $lt: range.end } };
+    if (teamIds) query.user_id = { $in: teamIds };
+    if (user_id && mongoose.Types.ObjectId.isValid(user_id)) {
+      if (!User.isInScope(teamIds, user_id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This user is not in your team'
+        });
+      }
+      query.user_id = user_id;
+    }
+    if (Expense.STATUSES.includes(status)) query.status = status;
+
+    const expenses = await populateExpense(Expense.find(query))
+      .sort({ status: 1, expense_date: 1 })
+      .limit(500)
+      .lean();
+
+    res.json({
+      success: true,
+      data: expenses,
+      count: expenses.length
+    });
+  } catch (error) {
+    console.error('Error fetching team expenses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching team expenses'
+    });
+  }
+});
+
+// ====================== MONTHLY EXPENSE SUMMARY ======================
+// Per rep and currency: claimed, approved and pending totals, totals by category,
+// and the approved cost per call and per order for the month's reports.
+router.get('/summary', requirePermission('reports:read:own'), async (req, res) => {
+  try {
+    const month = req.query.month || currentMonth();
+    const range = monthRange(month);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    // Reps see their own summary, supervisors everyone in their reporting line
+    let userFilter = { user_id: req.user._id };
+    if (hasPermission(req.user, 'reports:read:team')) {
+      const teamIds = await User.getTeamScope(req.user);
+      userFilter = teamIds ? { user_id: { $in: teamIds } } : {};
+    }
+    if (req.query.user_id && mongoose.Types.ObjectId.isValid(req.query.user_id)) {
+      if (userFilter.user_id && !User.isInScope(userFilter.user_id.$in || [userFilter.user_id], req.query.user_id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This user is not in your team'
+        });
+      }
+      userFilter = { user_id: new mongoose.Types.ObjectId(req.query.user_id) };
+    }
+
+    const dateFilter = { $gte: range.start, $lt: range.end };
+
+    const [expenseTotals, activity] = await Promise.all([
+      Expense.aggregate([
+        { $match: { ...userFilter, expense_date: dateFilter, status: { $ne: 'rejected' } } },
+        {
+          $group: {
+            _id: { user_id: '$user_id', currency: '$currency', category: '$category', status: '$status' },
+            amount: { $sum: '$amount' },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      DailyReport.aggregate([
+        { $match: { ...userFilter, report_date: dateFilter, status: { $ne: 'draft' } } },
+        {
+          $group: {
+            _id: '$user_id',
+            reports: { $sum: 1 },
+            calls: { $sum: { $add: CALL_FIELDS.map(field => ({ $ifNull: [`$${field}`, 0] })) } },
+            orders: { $sum: { $ifNull: ['$orders_count', 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const activityByUser = new Map(activity.map(item => [item._id.toString(), item]));
+
+    // One row per rep and currency
+    const rows = new Map();
+    expenseTotals.forEach(({ _id, amount, count }) => {
+      const key = `${_id.user_id}:${_id.currency}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          user_id: _id.user_id,
+          currency: _id.currency,
+          claims: 0,
+          approved: 0,
+          pending: 0,
+          by_category: {}
+        });
+      }
+      const row = rows.get(key);
+      row.claims += count;
+      row[_id.status] += amount;
+      row.by_category[_id.category] = (row.by_category[_id.category] || 0) + amount;
+    });
+
+    const users = await User.find({ _id: { $in: [...rows.values()].map(row => row.user_id) } })
+      .select('name username region')
+      .lean();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const data = [...rows.values()].map(row => {
+      const stats = activityByUser.get(row.user_id.toString()) || { reports: 0, calls: 0, orders: 0 };
+      return {
+        ...row,
+        user: usersById.get(row.user_id.toString()) || null,
+        reports: stats.reports,
+        calls: stats.calls,
+        orders: stats.orders,
+        cost_per_call: stats.calls > 0 ? Math.round(row.approved / stats.calls * 100) / 100 : null,
+        cost_per_order: stats.orders > 0 ? Math.round(row.approved / stats.orders * 100) / 100 : null
+      };
+    }).sort((a, b) => (a.user?.name || '').localeCompare(b.user?.name || '') || a.currency.localeCompare(b.currency));
+
+    res.json({
+      success: true,
+      data,
+      month
+    });
+  } catch (error) {
+    console.error('Error building expense summary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building expense summary'
+    });
+  }
+});
+
+// ====================== GET EXPENSES FOR A REPORT ======================
+router.get('/report/:reportId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.reportId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+
+    const report = await DailyReport.findById(req.params.reportId).select('user_id').lean();
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (String(report.user_id) !== String(req.user._id) && !(await canSupervise(req.user, report.user_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view these expenses'
+      });
+    }
+
+    const expenses = await populateExpense(Expense.find({ report_id: report._id }))
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: expenses,
+      count: expenses.length
+    });
+  } catch (error) {
+    console.error('Error fetching report expenses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching expenses'
+    });
+  }
+});
+
+// ====================== GET RECEIPT IMAGE ======================
+router.get('/:id/receipt', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid expense ID'
+      });
+    }
+
+    const expense = await Expense.findById(req.params.id).select('+receipt user_id');
+
+    if (!expense || !expense.receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    if (!isOwner(expense, req.user) && !(await canSupervise(req.user, expense.user_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this receipt'
+      });
+    }
+
+    res.setHeader('Content-Type', expense.receipt.content_type);
+    res.setHeader('Content-Disposition', `inline; filename="${(expense.receipt.filename || 'receipt').replace(/"/g, '')}"`);
+    res.send(expense.receipt.data);
+  } catch (error) {
+    console.error('Error fetching receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching receipt'
+    });
+  }
+});
+
+// ====================== ADD EXPENSE ======================
+router.post('/', requirePermission('reports:write:own'), async (req, res) => {
+  try {
+    const { report_id, visit_id, category, amount, currency, description, receipt, receipt_name } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(report_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose the daily report this expense belongs to'
+      });
+    }
+
+    const report = await DailyReport.findById(report_id).select('user_id report_date visits._id');
+
+    if (!report || String(report.user_id) !== String(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!isVisitOnReport(report, visit_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The selected call is not on this report'
+      });
+    }
+
+    const expense = new Expense({
+      report_id: report._id,
+      user_id: req.user._id,
+      expense_date: report.report_date,
+      visit_id: visit_id || null,
+      category,
+      amount,
+      currency,
+      description
+    });
+
+    if (receipt) {
+      const parsed = Expense.parseReceipt(receipt, receipt_name);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      expense.receipt = parsed.receipt;
+      expense.has_receipt = true;
+    }
+
+    await expense.save();
+
+    console.log(`💸 Expense of ${expense.amount} ${expense.currency} claimed by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense claimed - waiting for approval',
+      data: await populateExpense(Expense.findById(expense._id)).lean()
+    });
+  } catch (error) {
+    console.error('Error adding expense:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding expense'
+    });
+  }
+});
+
+// ====================== UPDATE MY EXPENSE ======================
+// Pending and rejected claims can be corrected - a corrected claim goes back for approval
+router.put('/:id', requirePermission('reports:write:own'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid expense ID'
+      });
+    }
+
+    const expense = await Expense.findById(req.params.id);
+
+    if (!expense || !isOwner(expense, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    if (expense.status === 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Approved expenses cannot be changed'
+      });
+    }
+
+    const { visit_id, category, amount, currency, description, receipt, receipt_name, remove_receipt } = req.body;
+
+    if (visit_id !== undefined) {
+      const report = await DailyReport.findById(expense.report_id).select('visits._id');
+      if (!report || !isVisitOnReport(report, visit_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The selected call is not on this report'
+        });
+      }
+      expense.visit_id = visit_id || null;
+    }
+    if (category !== undefined) expense.category = category;
+    if (amount !== undefined) expense.amount = amount;
+    if (currency !== undefined) expense.currency = currency;
+    if (description !== undefined) expense.description = description;
+
+    if (receipt) {
+      const parsed = Expense.parseReceipt(receipt, receipt_name);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      expense.receipt = parsed.receipt;
+      expense.has_receipt = true;
+    } else if (remove_receipt) {
+      expense.receipt = undefined;
+      expense.has_receipt = false;
+    }
+
+    expense.status = 'pending';
+    expense.reviewed_by = undefined;
+    expense.reviewed_at = undefined;
+    await expense.save();
+
+    res.json({
+      success: true,
+      message: 'Expense updated - waiting for approval',
+      data: await populateExpense(Expense.findById(expense._id)).lean()
+    });
+  } catch (error) {
+    console.error('Error updating expense:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating expense'
+    });
+  }
+});
+
+// ====================== REVIEW EXPENSE (APPROVERS ONLY) ======================
+router.post('/:id/review', requirePermission('expenses:approve'), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid expense ID'
+      });
+    }
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approved or rejected'
+      });
+    }
+
+    if (decision === 'rejected' && !(note || '').trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add a note telling the rep why the claim was rejected'
+      });
+    }
+
+    const expense = await Expense.findById(req.params.id);
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    if (isOwner(expense, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot approve your own expenses'
+      });
+    }
+
+    if (!(await canSupervise(req.user, expense.user_id, 'expenses:approve'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This user is not in your team'
+      });
+    }
+
+    if (expense.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This expense is already ${expense.status}`
+      });
+    }
+
+    expense.status = decision;
+    expense.reviewed_by = req.user._id;
+    expense.reviewed_at = new Date();
+    expense.review_note = (note || '').trim();
+    await expense.save();
+
+    console.log(`💸 Expense ${expense._id} ${decision} by ${req.user.username}`);
+
+    await Notification.notify(expense.user_id, {
+      type: 'expense_reviewed',
+      title: `Your ${expense.amount.toLocaleString()} ${expense.currency} expense claim was ${decision}`,
+      message: expense.review_note,
+      link: '/expenses',
+      actor: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: decision === 'approved' ? 'Expense approved' : 'Expense rejected',
+      data: await populateExpense(Expense.findById(expense._id)).lean()
+    });
+  } catch (error) {
+    console.error('Error reviewing expense:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing expense'
+    });
+  }
+});
+
+// ====================== DELETE MY EXPENSE ======================
+router.delete('/:id', requirePermission('reports:write:own'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid expense ID'
+      });
+    }
+
+    const expense = await Expense.findById(req.params.id);
+
+    if (!expense || !isOwner(expense, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    if (expense.status === 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Approved expenses cannot be deleted'
+      });
+    }
+
+    await expense.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Expense deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting expense'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,301 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Hcp = require('../models/Hcp');
+const DailyReport = require('../models/DailyReport');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/permissions');
+const { escapeRegex } = require('../utils/helpers');
+const router = express.Router();
+
+// ====================== LIST / SEARCH HCPS ======================
+router.get('/', async (req, res) => {
+  try {
+    const { search, specialty, town, facility, tier } = req.query;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.include_inactive !== 'true') query.is_active = true;
+    if (specialty) query.specialty = specialty;
+    if (tier) query.tier = tier;
+    if (town) query.town = { $regex: new RegExp(escapeRegex(town), 'i') };
+    if (facility) query.facility = { $regex: new RegExp(escapeRegex(facility), 'i') };
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { facility: pattern }, { town: pattern }];
+    }
+
+    const [hcps, total] = await Promise.all([
+      Hcp.find(query)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Hcp.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        hcps,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching HCPs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching HCPs'
+    });
+  }
+});
+
+// ====================== GET HCP BY ID ======================
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid HCP ID'
+      });
+    }
+
+    const hcp = await Hcp.findById(req.params.id).lean();
+
+    if (!hcp) {
+      return res.status(404).json({
+        success: false,
+        message: 'HCP not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: hcp
+    });
+  } catch (error) {
+    console.error('Error fetching HCP:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching HCP'
+    });
+  }
+});
+
+// ====================== GET HCP COVERAGE (WHO VISITS THIS HCP) ======================
+router.get('/:id/coverage', requirePermission('analytics:read:team'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid HCP ID'
+      });
+    }
+
+    const hcpId = new mongoose.Types.ObjectId(req.params.id);
+    const hcp = await Hcp.findById(hcpId).lean();
+
+    if (!hcp) {
+      return res.status(404).json({
+        success: false,
+        message: 'HCP not found'
+      });
+    }
+
+    // Only count calls made by the supervisor's own reporting line
+    const teamIds = await User.getTeamScope(req.user);
+
+    const coverage = await DailyReport.aggregate([
+      { $match: { 'visits.hcp': hcpId, ...(teamIds ? { user_id: { $in: teamIds } } : {}) } },
+      { $unwind: '$visits' },
+      { $match: { 'visits.hcp': hcpId } },
+      {
+        $group: {
+          _id: '$user_id',
+          visit_count: { $sum: 1 },
+          first_visit: { $min: '$report_date' },
+          last_visit: { $max: '$report_date' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      { $unwind: '$user' },
+      {
+        $project: {
+          user_id: '$_id',
+          user_name: '$user.name',
+          username: '$user.username',
+          region: '$user.region',
+          visit_count: 1,
+          first_visit: 1,
+          last_visit: 1,
+          _id: 0
+        }
+      },
+      { $sort: { last_visit: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        hcp,
+        coverage
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching HCP coverage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching HCP coverage'
+    });
+  }
+});
+
+// ====================== CREATE HCP ======================
+router.post('/', requirePermission('hcps:write'), async (req, res) => {
+  try {
+    const { name, specialty, facility, town, phone, tier } = req.body;
+
+    const hcp = new Hcp({
+      name,
+      specialty,
+      facility,
+      town,
+      phone,
+      tier,
+      created_by: req.user._id
+    });
+
+    await hcp.save();
+
+    console.log(`✅ HCP created: ${hcp.name} (${hcp.specialty}) by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'HCP created successfully',
+      data: hcp
+    });
+  } catch (error) {
+    console.error('Error creating HCP:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating HCP'
+    });
+  }
+});
+
+// ====================== UPDATE HCP (SUPERVISORS ONLY) ======================
+router.put('/:id', requirePermission('hcps:write'), async (req, res) => {
+  try {
+    const { name, specialty, facility, town, phone, tier, is_active } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (specialty !== undefined) updateData.specialty = specialty;
+    if (facility !== undefined) updateData.facility = facility;
+    if (town !== undefined) updateData.town = town;
+    if (phone !== undefined) updateData.phone = phone;
+    if (tier !== undefined) updateData.tier = tier;
+    if (is_active !== undefined) updateData.is_active = is_active;
+
+    const hcp = await Hcp.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!hcp) {
+      return res.status(404).json({
+        success: false,
+        message: 'HCP not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'HCP updated successfully',
+      data: hcp
+    });
+  } catch (error) {
+    console.error('Error updating HCP:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating HCP'
+    });
+  }
+});
+
+// ====================== DELETE HCP (SUPERVISORS ONLY) ======================
+router.delete('/:id', requirePermission('hcps:write'), async (req, res) => {
+  try {
+    const hcp = await Hcp.findById(req.params.id);
+
+    if (!hcp) {
+      return res.status(404).json({
+        success: false,
+        message: 'HCP not found'
+      });
+    }
+
+    // Keep HCPs that appear on reports so visit history stays intact
+    const visitCount = await DailyReport.countDocuments({ 'visits.hcp': hcp._id });
+
+    if (visitCount > 0) {
+      hcp.is_active = false;
+      await hcp.save();
+
+      return res.json({
+        success: true,
+        message: 'HCP has recorded visits and was deactivated instead of deleted'
+      });
+    }
+
+    await hcp.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'HCP deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting HCP:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting HCP'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Holiday = require('../models/Holiday');
+const { requirePermission } = require('../middleware/permissions');
+const { parseDay } = require('../utils/helpers');
+const router = express.Router();
+
+const sendValidationError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A holiday already exists on this date for this region'
+    });
+    return true;
+  }
+  return false;
+};
+
+// ====================== GET HOLIDAYS FOR A YEAR ======================
+// Every holiday falling in the year, with recurring ones placed on their date that year
+router.get('/', async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || new Date().getUTCFullYear();
+    const start = new Date(Date.UTC(year, 0, 1));
+    const end = new Date(Date.UTC(year + 1, 0, 1));
+
+    const holidays = await Holiday.find({
+      $or: [{ date: { $gte: start, $lt: end } }, { recurring: true, date: { $lt: end } }]
+    })
+      .populate('createdBy', 'name username')
+      .lean();
+
+    const data = holidays
+      .map(holiday => ({
+        ...holiday,
+        // The day it falls on in the requested year
+        observed_on: holiday.recurring
+          ? new Date(Date.UTC(year, holiday.date.getUTCMonth(), holiday.date.getUTCDate()))
+          : holiday.date
+      }))
+      .sort((a, b) => a.observed_on - b.observed_on);
+
+    res.json({
+      success: true,
+      data,
+      year
+    });
+  } catch (error) {
+    console.error('Error fetching holidays:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching holidays'
+    });
+  }
+});
+
+// ====================== CREATE HOLIDAY ======================
+router.post('/', requirePermission('holidays:manage'), async (req, res) => {
+  try {
+    const { name, region, recurring } = req.body;
+    const date = parseDay(req.body.date);
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid holiday date is required'
+      });
+    }
+
+    const holiday = new Holiday({
+      date,
+      name,
+      region: region || '',
+      recurring: Boolean(recurring),
+      createdBy: req.user._id
+    });
+    await holiday.save();
+
+    console.log(`🎉 Holiday ${holiday.name} on ${date.toISOString().split('T')[0]} added by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added successfully',
+      data: holiday
+    });
+  } catch (error) {
+    console.error('Error creating holiday:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating holiday'
+    });
+  }
+});
+
+// ====================== UPDATE HOLIDAY ======================
+router.put('/:id', requirePermission('holidays:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid holiday ID'
+      });
+    }
+
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    const { name, region, recurring } = req.body;
+    if (req.body.date !== undefined) {
+      const date = parseDay(req.body.date);
+      if (!date) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid holiday date is required'
+        });
+      }
+      holiday.date = date;
+    }
+    if (name !== undefined) holiday.name = name;
+    if (region !== undefined) holiday.region = region || '';
+    if (recurring !== undefined) holiday.recurring = Boolean(recurring);
+    await holiday.save();
+
+    res.json({
+      success: true,
+      message: 'Holiday updated successfully',
+      data: holiday
+    });
+  } catch (error) {
+    console.error('Error updating holiday:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating holiday'
+    });
+  }
+});
+
+// ====================== DELETE HOLIDAY ======================
+router.delete('/:id', requirePermission('holidays:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid holiday ID'
+      });
+    }
+
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    res.locals.audit = { details: { name: holiday.name, date: holiday.date } };
+
+    res.json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting holiday'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,443 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const JourneyPlan = require('../models/JourneyPlan');
+const Hcp = require('../models/Hcp');
+const Outlet = require('../models/Outlet');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { hasPermission, requirePermission } = require('../middleware/permissions');
+const { parseDay } = require('../utils/helpers');
+const router = express.Router();
+
+// ====================== HELPER: Check Supervisor Access ======================
+// True if the user holds the permission and the plan's owner is in their reporting line
+const canSupervise = async (user, userId, permission = 'reports:read:team') => {
+  if (!hasPermission(user, permission)) return false;
+  return User.isInScope(await User.getTeamScope(user), userId);
+};
+
+const isOwner = (plan, user) => String(plan.user_id._id || plan.user_id) === String(user._id);
+
+// ====================== HELPER: Resolve Plan Entries ======================
+// Checks that every planned HCP or outlet exists.
+// Returns null if any referenced ID or date is invalid or unknown.
+const resolveEntries = async (rawEntries) => {
+  if (!Array.isArray(rawEntries)) return [];
+
+  const refOf = (value) => value ? String(value._id || value) : null;
+  const hcpIds = rawEntries.map(entry => refOf(entry?.hcp)).filter(Boolean);
+  const outletIds = rawEntries.map(entry => refOf(entry?.outlet)).filter(Boolean);
+
+  if ([...hcpIds, ...outletIds].some(id => !mongoose.Types.ObjectId.isValid(id))) return null;
+
+  const [hcpCount, outletCount] = await Promise.all([
+    Hcp.countDocuments({ _id: { $in: hcpIds } }),
+    Outlet.countDocuments({ _id: { $in: outletIds } })
+  ]);
+  if (hcpCount !== new Set(hcpIds).size || outletCount !== new Set(outletIds).size) return null;
+
+  const entries = [];
+  for (const rawEntry of rawEntries) {
+    const date = parseDay(rawEntry?.date);
+    if (!date) return null;
+    entries.push({
+      date,
+      hcp: refOf(rawEntry.hcp) || undefined,
+      outlet: refOf(rawEntry.outlet) || undefined,
+      objective: rawEntry.objective || ''
+    });
+  }
+  return entries;
+};
+
+const populatePlan = (query) => query
+  .populate('user_id', 'name username region')
+  .populate('reviewed_by', 'name username')
+  .populate('entries.hcp', 'name specialty facility town')
+  .populate('entries.outlet', 'name type address');
+
+const sendValidationError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A plan for this week already exists'
+    });
+    return true;
+  }
+  return false;
+};
+
+// ====================== GET MY PLANS ======================
+router.get('/my-plans', requirePermission('reports:read:own'), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 8;
+
+    const query = { user_id: req.user._id };
+    if (req.query.week_start) {
+      const weekStart = parseDay(req.query.week_start);
+      if (!weekStart) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid week start'
+        });
+      }
+      query.week_start = JourneyPlan.weekStartOf(weekStart);
+    }
+
+    const plans = await populatePlan(JourneyPlan.find(query))
+      .sort({ week_start: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      data: plans,
+      count: plans.length
+    });
+  } catch (error) {
+    console.error('Error fetching plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching plans'
+    });
+  }
+});
+
+// ====================== GET TEAM PLANS (SUPERVISORS ONLY) ======================
+router.get('/team', requirePermission('reports:read:team'), async (req, res) => {
+  try {
+    const { status, user_id } = req.query;
+    const weekStart = req.query.week_start ? parseDay(req.query.week_start) : null;
+
+    if (req.query.week_start && !weekStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid week start'
+      });
+    }
+
+    const teamIds = await User.getTeamScope(req.user);
+
+    const query = {};
+    if (teamIds) query.user_id = { $in: teamIds };
+    if (user_id && mongoose.Types.ObjectId.isValid(user_id)) {
+      if (!User.isInScope(teamIds, user_id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This user is not in your team'
+        });
+      }
+      query.user_id = user_id;
+    }
+    if (weekStart) query.week_start = JourneyPlan.weekStartOf(weekStart);
+    if (status && JourneyPlan.STATUSES.includes(status)) {
+      query.status = status;
+    } else {
+      // Drafts stay private to the rep until they are submitted
+      query.status = { $ne: 'draft' };
+    }
+
+    const plans = await populatePlan(JourneyPlan.find(query))
+      .sort({ week_start: -1, submitted_at: 1 })
+      .limit(200)
+      .lean();
+
+    res.json({
+      success: true,
+      data: plans,
+      count: plans.length
+    });
+  } catch (error) {
+    console.error('Error fetching team plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching team plans'
+    });
+  }
+});
+
+// ====================== GET PLAN BY ID ======================
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid plan ID'
+      });
+    }
+
+    const plan = await populatePlan(JourneyPlan.findById(req.params.id)).lean();
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    if (!isOwner(plan, req.user) && !(await canSupervise(req.user, plan.user_id._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this plan'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    console.error('Error fetching plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching plan'
+    });
+  }
+});
+
+// ====================== SAVE MY PLAN ======================
+// Creates the plan for the week or replaces its entries. Any change sends the plan back to draft.
+router.put('/', requirePermission('reports:write:own'), async (req, res) => {
+  try {
+    const { week_start, entries } = req.body;
+
+    const weekStart = parseDay(week_start);
+    if (!weekStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid week start'
+      });
+    }
+
+    if (weekStart < JourneyPlan.weekStartOf()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Plans can only be made for the current or a future week'
+      });
+    }
+
+    const resolvedEntries = await resolveEntries(entries);
+    if (resolvedEntries === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more planned HCPs, outlets or dates are invalid'
+      });
+    }
+
+    let plan = await JourneyPlan.findOne({ user_id: req.user._id, week_start: weekStart });
+    const isNew = !plan;
+    if (isNew) plan = new JourneyPlan({ user_id: req.user._id, week_start: weekStart });
+
+    plan.entries = resolvedEntries;
+    plan.status = 'draft';
+    plan.submitted_at = undefined;
+    await plan.save();
+
+    console.log(`🗓️ Plan for week of ${week_start} ${isNew ? 'created' : 'updated'} by ${req.user.username}`);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Plan saved as draft' : 'Plan updated - submit it again for approval',
+      data: await populatePlan(JourneyPlan.findById(plan._id)).lean()
+    });
+  } catch (error) {
+    console.error('Error saving plan:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error saving plan'
+    });
+  }
+});
+
+// ====================== SUBMIT MY PLAN FOR APPROVAL ======================
+router.post('/:id/submit', requirePermission('reports:write:own'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid plan ID'
+      });
+    }
+
+    const plan = await JourneyPlan.findById(req.params.id);
+
+    if (!plan || !isOwner(plan, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    if (!['draft', 'returned'].includes(plan.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This plan is already ${plan.status}`
+      });
+    }
+
+    if (plan.entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add at least one planned visit before submitting'
+      });
+    }
+
+    plan.status = 'submitted';
+    plan.submitted_at = new Date();
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Plan submitted for approval',
+      data: plan
+    });
+  } catch (error) {
+    console.error('Error submitting plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting plan'
+    });
+  }
+});
+
+// ====================== REVIEW PLAN (APPROVERS ONLY) ======================
+router.post('/:id/review', requirePermission('plans:approve'), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid plan ID'
+      });
+    }
+
+    if (!['approved', 'returned'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approved or returned'
+      });
+    }
+
+    if (decision === 'returned' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add a note telling the rep what to change'
+      });
+    }
+
+    const plan = await JourneyPlan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    if (isOwner(plan, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own plan'
+      });
+    }
+
+    if (!(await canSupervise(req.user, plan.user_id, 'plans:approve'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This user is not in your team'
+      });
+    }
+
+    if (plan.status !== 'submitted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only submitted plans can be reviewed'
+      });
+    }
+
+    plan.status = decision;
+    plan.reviewed_by = req.user._id;
+    plan.reviewed_at = new Date();
+    plan.review_note = note || '';
+    await plan.save();
+
+    console.log(`🗓️ Plan ${plan._id} ${decision} by ${req.user.username}`);
+
+    await Notification.notify(plan.user_id, {
+      type: 'plan_reviewed',
+      title: `Your journey plan for the week of ${plan.week_start.toISOString().split('T')[0]} was ${decision}`,
+      message: plan.review_note,
+      link: '/journey-plan',
+      actor: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: decision === 'approved' ? 'Plan approved' : 'Plan returned to the rep',
+      data: await populatePlan(JourneyPlan.findById(plan._id)).lean()
+    });
+  } catch (error) {
+    console.error('Error reviewing plan:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing plan'
+    });
+  }
+});
+
+// ====================== DELETE MY PLAN ======================
+router.delete('/:id', requirePermission('reports:write:own'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid plan ID'
+      });
+    }
+
+    const plan = await JourneyPlan.findById(req.params.id);
+
+    if (!plan || !isOwner(plan, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    if (plan.status === 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Approved plans cannot be deleted'
+      });
+    }
+
+    await plan.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Plan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting plan'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Leave = require('../models/Leave');
+const Holiday = require('../models/Holiday');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { hasPermission, requirePermission } = require('../middleware/permissions');
+const { DAY_MS, parseDay } = require('../utils/helpers');
+const router = express.Router();
+
+// ====================== HELPER: Check Supervisor Access ======================
+const canSupervise = async (user, userId, permission = 'reports:read:team') => {
+  if (!hasPermission(user, permission)) return false;
+  return User.isInScope(await User.getTeamScope(user), userId);
+};
+
+const isOwner = (leave, user) => String(leave.user_id._id || leave.user_id) === String(user._id);
+
+const today = () => parseDay(new Date());
+
+const populateLeave = (query) => query
+  .populate('user_id', 'name username region')
+  .populate('reviewed_by', 'name username');
+
+const sendValidationError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+  return false;
+};
+
+// ====================== GET MY LEAVE ======================
+router.get('/my-leave', requirePermission('reports:read:own'), async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || new Date().getUTCFullYear();
+    const start = new Date(Date.UTC(year, 0, 1));
+    const end = new Date(Date.UTC(year + 1, 0, 1));
+
+    const leaves = await populateLeave(Leave.find({
+      user_id: req.user._id,
+      start_date: { $lt: end },
+      end_date: { $gte: start }
+    }))
+      .sort({ start_date: -1 })
+      .lean();
+
+    // Approved working days taken this year, by leave type
+    const taken = leaves
+      .filter(leave => leave.status === 'approved')
+      .reduce((totals, leave) => ({ ...totals, [leave.type]: (totals[leave.type] || 0) + leave.days }), {});
+
+    res.json({
+      success: true,
+      data: leaves,
+      taken,
+      year
+    });
+  } catch (error) {
+    console.error('Error fetching leave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching leave'
+    });
+  }
+});
+
+// ====================== GET TEAM LEAVE (SUPERVISORS ONLY) ======================
+router.get('/team', requirePermission('reports:read:team'), async (req, res) => {
+  try {
+    const { status, user_id, from, to } = req.query;
+    const teamIds = await User.getTeamScope(req.user);
+
+    const query = {};
+    if (teamIds) query.user_id = { $in: teamIds };
+    if (user_id && mongoose.Types.ObjectId.isValid(user_id)) {
+      if (!User.isInScope(teamIds, user_id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This user is not in your team'
+        });
+      }
+      query.user_id = user_id;
+    }
+    if (Leave.STATUSES.includes(status)) query.status = status;
+
+    // Leave overlapping the range; defaults to everything from the start of this year
+    const start = from ? parseDay(from) : new Date(Date.UTC(new Date().getUTCFullYear(), 0, 1));
+    const end = to ? parseDay(to) : null;
+    if (!start || (to && !end)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+    query.end_date = { $gte: start };
+    if (end) query.start_date = { $lte: end };
+
+    const leaves = await populateLeave(Leave.find(query))
+      .sort({ status: 1, start_date: 1 })
+      .limit(500)
+      .lean();
+
+    res.json({
+      success: true,
+      data: leaves,
+      count: leaves.length
+    });
+  } catch (error) {
+    console.error('Error fetching team leave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching team leave'
+    });
+  }
+});
+
+// ====================== REQUEST LEAVE ======================
+router.post('/', requirePermission('reports:write:own'), async (req, res) => {
+  try {
+    const { type, reason } = req.body;
+    const startDate = parseDay(req.body.start_date);
+    const endDate = parseDay(req.body.end_date || req.body.start_date);
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start and end dates are required'
+      });
+    }
+
+    // Reps cannot stack requests over days already requested or approved
+    const overlapping = await Leave.findOne({
+      user_id: req.user._id,
+      status: { $in: ['pending', 'approved'] },
+      start_date: { $lte: endDate },
+      end_date: { $gte: startDate }
+    }).lean();
+
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have leave requested for some of these days'
+      });
+    }
+
+    const workingDays = await Holiday.workingDays(startDate, new Date(endDate.getTime() + DAY_MS), req.user.region);
+    if (endDate >= startDate && workingDays.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The selected days are all weekends or holidays'
+      });
+    }
+
+    const leave = new Leave({
+      user_id: req.user._id,
+      type,
+      start_date: startDate,
+      end_date: endDate,
+      days: workingDays.length,
+      reason
+    });
+    await leave.save();
+
+    console.log(`🌴 Leave requested by ${req.user.username}: ${type} for ${workingDays.length} day(s)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave requested - your supervisor will review it',
+      data: await populateLeave(Leave.findById(leave._id)).lean()
+    });
+  } catch (error) {
+    console.error('Error requesting leave:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting leave'
+    });
+  }
+});
+
+// ====================== REVIEW LEAVE (APPROVE / REJECT) ======================
+router.post('/:id/review', requirePermission('leave:approve'), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid leave ID'
+      });
+    }
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approved or rejected'
+      });
+    }
+
+    if (decision === 'rejected' && !(note || '').trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add a note telling the rep why the leave was rejected'
+      });
+    }
+
+    const leave = await Leave.findById(req.params.id);
+
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    if (isOwner(leave, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot approve your own leave'
+      });
+    }
+
+    if (!(await canSupervise(req.user, leave.user_id, 'leave:approve'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This user is not in your team'
+      });
+    }
+
+    if (leave.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This leave request is already ${leave.status}`
+      });
+    }
+
+    leave.status = decision;
+    leave.reviewed_by = req.user._id;
+    leave.reviewed_at = new Date();
+    leave.review_note = (note || '').trim();
+    await leave.save();
+
+    console.log(`🌴 Leave ${leave._id} ${decision} by ${req.user.username}`);
+
+    await Notification.notify(leave.user_id, {
+      type: 'leave_reviewed',
+      title: `Your leave from ${leave.start_date.toISOString().split('T')[0]} to ${leave.end_date.toISOString().split('T')[0]} was ${decision}`,
+      message: leave.review_note,
+      link: '/leave',
+      actor: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: decision === 'approved' ? 'Leave approved' : 'Leave rejected',
+      data: await populateLeave(Leave.findById(leave._id)).lean()
+    });
+  } catch (error) {
+    console.error('Error reviewing leave:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing leave'
+    });
+  }
+});
+
+// ====================== CANCEL MY LEAVE ======================
+// Pending requests can be withdrawn at any time, approved leave only before it starts
+router.post('/:id/cancel', requirePermission('reports:write:own'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid leave ID'
+      });
+    }
+
+    const leave = await Leave.findById(req.params.id);
+
+    if (!leave || !isOwner(leave, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    if (!['pending', 'approved'].includes(leave.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This leave request is already ${leave.status}`
+      });
+    }
+
+    if (leave.status === 'approved' && leave.start_date <= today()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Leave that has already started cannot be cancelled - ask your supervisor'
+      });
+    }
+
+    leave.status = 'cancelled';
+    await leave.save();
+
+    res.json({
+      success: true,
+      message: 'Leave cancelled',
+      data: await populateLeave(Leave.findById(leave._id)).lean()
+    });
+  } catch (error) {
+    console.error('Error cancelling leave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling leave'
+    });
+  }
+});
+
+module.exports = router;
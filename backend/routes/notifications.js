@@ -0,0 +1,126 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const router = express.Router();
+
+// ====================== GET MY NOTIFICATIONS ======================
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { user_id: req.user._id };
+    if (req.query.unread_only === 'true') query.read_at = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate('actor', 'name username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user_id: req.user._id, read_at: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unread_count: unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications'
+    });
+  }
+});
+
+// ====================== GET UNREAD COUNT ======================
+// Cheap enough for the bell to poll
+router.get('/unread-count', async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user_id: req.user._id, read_at: null });
+
+    res.json({
+      success: true,
+      data: { unread_count: count }
+    });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error counting notifications'
+    });
+  }
+});
+
+// ====================== MARK ALL AS READ ======================
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user_id: req.user._id, read_at: null },
+      { read_at: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking notifications as read'
+    });
+  }
+});
+
+// ====================== MARK ONE AS READ ======================
+router.post('/:id/read', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user_id: req.user._id },
+      [{ $set: { read_at: { $ifNull: ['$read_at', '$$NOW'] } } }],
+      { new: true }
+    ).lean();
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking notification as read'
+    });
+  }
+});
+
+module.exports = router;
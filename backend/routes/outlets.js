@@ -0,0 +1,244 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Outlet = require('../models/Outlet');
+const DailyReport = require('../models/DailyReport');
+const { requirePermission } = require('../middleware/permissions');
+const { escapeRegex } = require('../utils/helpers');
+const router = express.Router();
+
+// Pick the writable outlet fields from a request body
+const pickOutletFields = (body) => {
+  const fields = {};
+  ['name', 'type', 'address', 'owner_id', 'is_active'].forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key] === '' ? null : body[key];
+  });
+  if (body.license_number !== undefined) {
+    fields.license_number = body.license_number ? String(body.license_number).trim() : undefined;
+  }
+  ['latitude', 'longitude'].forEach(key => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key] === '' || body[key] === null ? null : parseFloat(body[key]);
+    }
+  });
+  return fields;
+};
+
+const sendValidationError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'An outlet with this license number already exists'
+    });
+    return true;
+  }
+  return false;
+};
+
+// ====================== LIST / SEARCH OUTLETS ======================
+router.get('/', async (req, res) => {
+  try {
+    const { search, type, owner_id, mine } = req.query;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.include_inactive !== 'true') query.is_active = true;
+    if (type) query.type = type;
+    if (mine === 'true') {
+      query.owner_id = req.user._id;
+    } else if (owner_id && mongoose.Types.ObjectId.isValid(owner_id)) {
+      query.owner_id = owner_id;
+    }
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { address: pattern }, { license_number: pattern }];
+    }
+
+    const [outlets, total] = await Promise.all([
+      Outlet.find(query)
+        .populate('owner_id', 'name username region')
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Outlet.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        outlets,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching outlets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching outlets'
+    });
+  }
+});
+
+// ====================== GET OUTLET BY ID ======================
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid outlet ID'
+      });
+    }
+
+    const outlet = await Outlet.findById(req.params.id)
+      .populate('owner_id', 'name username region')
+      .lean();
+
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      });
+    }
+
+    const [visitCount, lastVisit] = await Promise.all([
+      DailyReport.countDocuments({ 'visits.outlet': outlet._id }),
+      DailyReport.findOne({ 'visits.outlet': outlet._id })
+        .sort({ report_date: -1 })
+        .select('report_date user_id')
+        .populate('user_id', 'name')
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...outlet,
+        visit_count: visitCount,
+        last_visit: lastVisit ? {
+          date: lastVisit.report_date,
+          by: lastVisit.user_id?.name
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching outlet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching outlet'
+    });
+  }
+});
+
+// ====================== CREATE OUTLET (SUPERVISORS ONLY) ======================
+router.post('/', requirePermission('outlets:write'), async (req, res) => {
+  try {
+    const outlet = new Outlet(pickOutletFields(req.body));
+    await outlet.save();
+
+    console.log(`✅ Outlet created: ${outlet.name} (${outlet.type}) by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Outlet created successfully',
+      data: outlet
+    });
+  } catch (error) {
+    console.error('Error creating outlet:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating outlet'
+    });
+  }
+});
+
+// ====================== UPDATE OUTLET (SUPERVISORS ONLY) ======================
+router.put('/:id', requirePermission('outlets:write'), async (req, res) => {
+  try {
+    const outlet = await Outlet.findById(req.params.id);
+
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      });
+    }
+
+    outlet.set(pickOutletFields(req.body));
+    await outlet.save();
+
+    res.json({
+      success: true,
+      message: 'Outlet updated successfully',
+      data: outlet
+    });
+  } catch (error) {
+    console.error('Error updating outlet:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating outlet'
+    });
+  }
+});
+
+// ====================== DELETE OUTLET (SUPERVISORS ONLY) ======================
+router.delete('/:id', requirePermission('outlets:write'), async (req, res) => {
+  try {
+    const outlet = await Outlet.findById(req.params.id);
+
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      });
+    }
+
+    // Keep outlets that appear on reports so visit history stays intact
+    const visitCount = await DailyReport.countDocuments({ 'visits.outlet': outlet._id });
+
+    if (visitCount > 0) {
+      outlet.is_active = false;
+      await outlet.save();
+
+      return res.json({
+        success: true,
+        message: 'Outlet has recorded visits and was deactivated instead of deleted'
+      });
+    }
+
+    await outlet.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Outlet deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting outlet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting outlet'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const DailyReport = require('../models/DailyReport');
+const { requirePermission } = require('../middleware/permissions');
+const { escapeRegex } = require('../utils/helpers');
+const router = express.Router();
+
+// Pick the writable product fields from a request body
+const pickProductFields = (body) => {
+  const fields = {};
+  ['sku', 'name', 'pack_size', 'is_active'].forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (body.unit_price !== undefined) {
+    fields.unit_price = body.unit_price === '' || body.unit_price === null ? undefined : parseFloat(body.unit_price);
+  }
+  return fields;
+};
+
+const sendValidationError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A product with this SKU already exists'
+    });
+    return true;
+  }
+  return false;
+};
+
+// ====================== LIST / SEARCH PRODUCTS ======================
+router.get('/', async (req, res) => {
+  try {
+    const { search } = req.query;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 100;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.include_inactive !== 'true') query.is_active = true;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { sku: pattern }];
+    }
+
+    const [products, total] = await Promise.all([
+      Product.find(query)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Product.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        products,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching products'
+    });
+  }
+});
+
+// ====================== GET PRODUCT BY ID ======================
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const product = await Product.findById(req.params.id).lean();
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching product'
+    });
+  }
+});
+
+// ====================== CREATE PRODUCT (SUPERVISORS ONLY) ======================
+router.post('/', requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = new Product(pickProductFields(req.body));
+    await product.save();
+
+    console.log(`✅ Product created: ${product.sku} ${product.name} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: product
+    });
+  } catch (error) {
+    console.error('Error creating product:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating product'
+    });
+  }
+});
+
+// ====================== UPDATE PRODUCT (SUPERVISORS ONLY) ======================
+router.put('/:id', requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    product.set(pickProductFields(req.body));
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      data: product
+    });
+  } catch (error) {
+    console.error('Error updating product:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating product'
+    });
+  }
+});
+
+// ====================== DELETE PRODUCT (SUPERVISORS ONLY) ======================
+router.delete('/:id', requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Keep products that appear on orders so sales history stays intact
+    const orderCount = await DailyReport.countDocuments({ 'orders.lines.product': product._id });
+
+    if (orderCount > 0) {
+      product.is_active = false;
+      await product.save();
+
+      return res.json({
+        success: true,
+        message: 'Product has recorded orders and was deactivated instead of deleted'
+      });
+    }
+
+    await product.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Product deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting product'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,37 +1,294 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const DailyReport = require('../models/DailyReport');
 const User = require('../models/User');
+const Hcp = require('../models/Hcp');
+const Outlet = require('../models/Outlet');
+const Product = require('../models/Product');
+const Territory = require('../models/Territory');
+const ReportComment = require('../models/ReportComment');
+const ReportRevision = require('../models/ReportRevision');
+const Expense = require('../models/Expense');
+const Notification = require('../models/Notification');
+const { findMissingReports } = require('../jobs/missingReports');
+const { subscribe, publishReportEvent } = require('../realtime/reportEvents');
+const { readSpreadsheet, suggestMapping } = require('../imports/spreadsheet');
+const { FIELDS: IMPORT_FIELDS, validateRows, commitRows } = require('../imports/reportImport');
+const { getReportTotals } = require('../analytics/performance');
+const { getPermissions, hasPermission, requirePermission } = require('../middleware/permissions');
+const { dayKey, escapeRegex } = require('../utils/helpers');
 const router = express.Router();
 
-// ====================== HELPER: Check Supervisor Role ======================
-const requireSupervisor = (req, res, next) => {
-  if (req.user.role !== 'supervisor' && req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Supervisor or admin role required.'
+// ====================== HELPER: Check Reporting Line ======================
+// Users holding a team permission may act on reports from anyone in their reporting line
+const canSupervise = async (user, userId, permission = 'reports:read:team') => {
+  if (!hasPermission(user, permission)) return false;
+  return User.isInScope(await User.getTeamScope(user), userId);
+};
+
+// ====================== HELPER: Check Report Access ======================
+// The rep who wrote a report and supervisors in their reporting line may read and discuss it.
+// Drafts are private to the rep.
+const canAccessReport = async (user, report) => {
+  if (report.user_id.toString() === user._id.toString()) return true;
+  return report.status !== 'draft' && canSupervise(user, report.user_id);
+};
+
+// ====================== HELPER: Report Filters ======================
+// Fields a report list can be sorted on with ?sort=field, or ?sort=-field for descending
+const SORT_FIELDS = [
+  'report_date', 'createdAt', 'updatedAt', 'region', 'status', 'orders_value', 'orders_count',
+  'pharmacies', 'dispensaries', 'dentists', 'physiotherapists', 'gynecologists', 'internists',
+  'general_practitioners', 'pediatricians', 'dermatologists'
+];
+
+const FILTER_PARAMS = ['user_id', 'region', 'from', 'to', 'min_value', 'max_value', 'has_summary', 'search', 'sort'];
+
+// Turns list query parameters into a query and sort, or { error } for a bad value:
+//   user_id    one or more reps, comma-separated - ignored by /my-reports
+//   region     one or more regions, comma-separated, any case
+//   from, to   inclusive YYYY-MM-DD report dates
+//   min_value, max_value   orders value in RWF
+//   has_summary  true or false
+//   search     text anywhere in the summary, any case
+//   sort       one of SORT_FIELDS, prefixed with - for descending (default -report_date)
+const buildReportFilters = (params) => {
+  // A repeated parameter arrives as an array, and ?field[key]= as an object
+  const repeated = FILTER_PARAMS.find(name => params[name] !== undefined && typeof params[name] !== 'string');
+  if (repeated) return { error: `Give ${repeated} once - separate several values with commas` };
+  
+  const query = {};
+  const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+  
+  if (params.user_id) {
+    const ids = list(params.user_id);
+    if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) return { error: 'Invalid rep ID' };
+    query.user_id = { $in: ids.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+  
+  if (params.region) {
+    query.region = { $in: list(params.region).map(region => new RegExp(`^${escapeRegex(region)}$`, 'i')) };
+  }
+  
+  if (params.from || params.to) {
+    const from = params.from ? new Date(params.from) : null;
+    const to = params.to ? new Date(params.to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) return { error: 'Invalid date format' };
+    if (from && to && to < from) return { error: 'The end date cannot be before the start date' };
+    query.report_date = {};
+    if (from) query.report_date.$gte = from;
+    // The end date is a whole day
+    if (to) query.report_date.$lt = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+  }
+  
+  if (params.min_value || params.max_value) {
+    const min = params.min_value ? Number(params.min_value) : null;
+    const max = params.max_value ? Number(params.max_value) : null;
+    if ((min !== null && isNaN(min)) || (max !== null && isNaN(max))) return { error: 'Order values must be numbers' };
+    query.orders_value = {};
+    if (min !== null) query.orders_value.$gte = min;
+    if (max !== null) query.orders_value.$lte = max;
+  }
+  
+  const conditions = [];
+  if (params.has_summary === 'true') conditions.push({ summary: { $nin: ['', null] } });
+  if (params.has_summary === 'false') conditions.push({ summary: { $in: ['', null] } });
+  if (params.search && params.search.trim()) {
+    conditions.push({ summary: new RegExp(escapeRegex(params.search.trim()), 'i') });
+  }
+  if (conditions.length > 0) query.$and = conditions;
+  
+  const sortParam = params.sort || '-report_date';
+  const sortField = sortParam.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(sortField)) return { error: `Reports can be sorted by: ${SORT_FIELDS.join(', ')}` };
+  const sort = { [sortField]: sortParam.startsWith('-') ? -1 : 1 };
+  // Newest first within equal values, so pages stay stable
+  if (sortField !== 'report_date') sort.report_date = -1;
+  sort.createdAt = -1;
+  
+  return { query, sort };
+};
+
+// Calendar day of a report for messages, e.g. 2024-05-17
+const reportDay = (report) => dayKey(report.report_date);
+
+// ====================== HELPER: Resolve Mentions ======================
+// Active users @mentioned in a comment who can see the report - other mentions are ignored
+const resolveMentions = async (body, report) => {
+  const usernames = ReportComment.parseMentions(body);
+  if (usernames.length === 0) return [];
+  
+  const users = await User.find({
+    username: { $in: usernames.map(username => new RegExp(`^${username.replace(/[.-]/g, '\\$&')}$`, 'i')) },
+    is_active: { $ne: false }
+  }).select('username role').lean();
+  
+  const mentions = [];
+  for (const user of users) {
+    user.permissions = await getPermissions(user.role);
+    if (await canAccessReport(user, report)) mentions.push(user._id);
+  }
+  return mentions;
+};
+
+// Comment as returned to a reader - read_by is replaced by whether this reader has seen it
+const formatComment = (comment, userId) => {
+  const { read_by, ...rest } = comment;
+  return {
+    ...rest,
+    unread: !(read_by || []).some(id => id.toString() === userId.toString())
+  };
+};
+
+const populateComment = (query) => query
+  .populate('author', 'name username role')
+  .populate('mentions', 'name username');
+
+// ====================== HELPER: Resolve Visits ======================
+// Looks up every visited HCP or outlet and copies its specialty / type onto the visit,
+// and checks that the products detailed or sampled on each call exist.
+// Returns null if any referenced ID is invalid or unknown.
+const resolveVisits = async (rawVisits) => {
+  if (!Array.isArray(rawVisits)) return [];
+  
+  const refOf = (value) => value ? String(value._id || value) : null;
+  const hcpIds = rawVisits.map(visit => refOf(visit?.hcp)).filter(Boolean);
+  const outletIds = rawVisits.map(visit => refOf(visit?.outlet)).filter(Boolean);
+  const productIds = rawVisits.flatMap(visit => [
+    ...(Array.isArray(visit?.products_detailed) ? visit.products_detailed.map(refOf) : []),
+    ...(Array.isArray(visit?.samples) ? visit.samples.map(sample => refOf(sample?.product)) : [])
+  ]);
+  
+  if ([...hcpIds, ...outletIds].some(id => !mongoose.Types.ObjectId.isValid(id))) return null;
+  if (productIds.some(id => !id || !mongoose.Types.ObjectId.isValid(id))) return null;
+  
+  const [hcps, outlets, productCount] = await Promise.all([
+    Hcp.find({ _id: { $in: hcpIds } }).select('specialty').lean(),
+    Outlet.find({ _id: { $in: outletIds } }).select('type').lean(),
+    Product.countDocuments({ _id: { $in: productIds } })
+  ]);
+  if (productCount !== new Set(productIds).size) return null;
+  
+  const hcpsById = new Map(hcps.map(hcp => [hcp._id.toString(), hcp]));
+  const outletsById = new Map(outlets.map(outlet => [outlet._id.toString(), outlet]));
+  
+  const visits = [];
+  for (const rawVisit of rawVisits) {
+    const hcp = hcpsById.get(refOf(rawVisit?.hcp));
+    const outlet = outletsById.get(refOf(rawVisit?.outlet));
+    if (!hcp === !outlet) return null;
+    
+    const callDetails = {
+      call_time: rawVisit.call_time || undefined,
+      products_detailed: [...new Set((rawVisit.products_detailed || []).map(refOf))],
+      samples: (rawVisit.samples || []).map(sample => ({
+        product: refOf(sample.product),
+        quantity: parseInt(sample.quantity) || 0
+      })),
+      objective: rawVisit.objective || '',
+      outcome: rawVisit.outcome || '',
+      next_step: rawVisit.next_step || '',
+      notes: rawVisit.notes || ''
+    };
+    
+    visits.push(hcp ? {
+      hcp: hcp._id,
+      specialty: hcp.specialty,
+      ...callDetails
+    } : {
+      outlet: outlet._id,
+      outlet_type: outlet.type,
+      ...callDetails
     });
   }
-  next();
+  
+  return visits;
+};
+
+// ====================== HELPER: Resolve Orders ======================
+// Checks every ordered outlet and product, copies the catalog SKU / name onto each line
+// and falls back to the catalog price when no price was entered.
+// Returns null if any referenced ID is invalid or unknown.
+const resolveOrders = async (rawOrders) => {
+  if (!Array.isArray(rawOrders)) return [];
+  
+  const refOf = (value) => value ? String(value._id || value) : null;
+  const outletIds = rawOrders.map(order => refOf(order?.outlet));
+  const productIds = rawOrders.flatMap(order => 
+    Array.isArray(order?.lines) ? order.lines.map(line => refOf(line?.product)) : []
+  );
+  
+  if ([...outletIds, ...productIds].some(id => !id || !mongoose.Types.ObjectId.isValid(id))) return null;
+  
+  const [outlets, products] = await Promise.all([
+    Outlet.find({ _id: { $in: outletIds } }).select('_id').lean(),
+    Product.find({ _id: { $in: productIds } }).select('sku name unit_price').lean()
+  ]);
+  const outletsById = new Map(outlets.map(outlet => [outlet._id.toString(), outlet]));
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  
+  const orders = [];
+  for (const rawOrder of rawOrders) {
+    const outlet = outletsById.get(refOf(rawOrder.outlet));
+    if (!outlet) return null;
+    
+    const lines = [];
+    for (const rawLine of rawOrder.lines || []) {
+      const product = productsById.get(refOf(rawLine.product));
+      if (!product) return null;
+      
+      const unitPrice = parseFloat(rawLine.unit_price);
+      lines.push({
+        product: product._id,
+        sku: product.sku,
+        product_name: product.name,
+        quantity: parseInt(rawLine.quantity) || 0,
+        unit_price: isNaN(unitPrice) ? product.unit_price : unitPrice,
+        discount: parseFloat(rawLine.discount) || 0
+      });
+    }
+    
+    orders.push({ outlet: outlet._id, lines });
+  }
+  
+  return orders;
 };
 
 // ====================== GET USER'S OWN REPORTS ======================
-router.get('/my-reports', async (req, res) => {
+router.get('/my-reports', requirePermission('reports:read:own'), async (req, res) => {
   try {
     console.log(`📋 Fetching reports for user ID: ${req.user._id}`);
     
     // Get query parameters for pagination
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 200);
     const skip = (page - 1) * limit;
     
+    const filters = buildReportFilters({ ...req.query, user_id: undefined });
+    if (filters.error) {
+      return res.status(400).json({
+        success: false,
+        message: filters.error
+      });
+    }
+    
     // Use user._id from JWT token
+    const query = { ...filters.query, user_id: req.user._id };
+    if (DailyReport.STATUSES.includes(req.query.status)) query.status = req.query.status;
+    
     const [reports, total] = await Promise.all([
-      DailyReport.find({ user_id: req.user._id })
-        .sort({ report_date: -1, createdAt: -1 })
+      DailyReport.find(query)
+        .populate('visits.hcp', 'name specialty facility town')
+        .populate('visits.outlet', 'name type address')
+        .populate('visits.products_detailed', 'sku name')
+        .populate('visits.samples.product', 'sku name')
+        .populate('orders.outlet', 'name type')
+        .populate('status_history.by', 'name username')
+        .sort(filters.sort)
         .skip(skip)
         .limit(limit)
         .lean(),
-      DailyReport.countDocuments({ user_id: req.user._id })
+      DailyReport.countDocuments(query)
     ]);
     
     console.log(`✅ Found ${reports.length} reports for user ${req.user.username}`);
@@ -64,22 +321,48 @@ router.get('/my-reports', async (req, res) => {
 });
 
 // ====================== GET ALL REPORTS (SUPERVISORS ONLY) ======================
-router.get('/all', requireSupervisor, async (req, res) => {
+// Accepts the report filters above plus status, page and limit (up to 200), and returns the
+// totals over every matching report alongside the page
+router.get('/all', requirePermission('reports:read:team'), async (req, res) => {
   try {
     console.log(`👨‍💼 Supervisor ${req.user.username} fetching all reports`);
     
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
     const skip = (page - 1) * limit;
     
-    const [reports, total] = await Promise.all([
-      DailyReport.find({})
+    const filters = buildReportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({
+        success: false,
+        message: filters.error
+      });
+    }
+    const { query } = filters;
+    
+    // Supervisors only see reports from their own reporting line
+    const teamIds = await User.getTeamScope(req.user);
+    if (teamIds) {
+      query.user_id = query.user_id
+        ? { $in: query.user_id.$in.filter(id => User.isInScope(teamIds, id)) }
+        : { $in: teamIds };
+    }
+    
+    // Drafts stay private to the rep until they are submitted
+    const { status } = req.query;
+    query.status = status && status !== 'draft' && DailyReport.STATUSES.includes(status)
+      ? status
+      : { $ne: 'draft' };
+    
+    const [reports, total, summary] = await Promise.all([
+      DailyReport.find(query)
         .populate('user_id', 'name username email region role')
-        .sort({ report_date: -1, createdAt: -1 })
+        .sort(filters.sort)
         .skip(skip)
         .limit(limit)
         .lean(),
-      DailyReport.countDocuments({})
+      DailyReport.countDocuments(query),
+      getReportTotals(query)
     ]);
     
     console.log(`📊 Found ${reports.length} total reports in database`);
@@ -88,6 +371,7 @@ router.get('/all', requireSupervisor, async (req, res) => {
       success: true,
       data: {
         reports: reports,
+        summary,
         pagination: {
           page,
           limit,
@@ -106,8 +390,346 @@ router.get('/all', requireSupervisor, async (req, res) => {
   }
 });
 
+// ====================== GET ONE USER'S REPORTS ======================
+// Reports for a single rep, newest first, with totals over every report in the date range.
+// Query: startDate/endDate (inclusive YYYY-MM-DD), status, page, limit (up to 100).
+// Reps may read their own, drafts included; supervisors any submitted report in their line.
+router.get('/user/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    
+    const isSelf = req.params.id === req.user._id.toString();
+    if (isSelf ? !hasPermission(req.user, 'reports:read:own') : !(await canSupervise(req.user, req.params.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view reports from your own team'
+      });
+    }
+    
+    const member = await User.findById(req.params.id).select('name username email region role is_active').lean();
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+    if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    
+    const query = { user_id: member._id };
+    if (startDate || endDate) {
+      query.report_date = {};
+      if (startDate) query.report_date.$gte = startDate;
+      // The end date is a whole day
+      if (endDate) query.report_date.$lt = new Date(endDate.getTime() + 24 * 60 * 60 * 1000);
+    }
+    const { status } = req.query;
+    if (isSelf) {
+      if (DailyReport.STATUSES.includes(status)) query.status = status;
+    } else {
+      query.status = status && status !== 'draft' && DailyReport.STATUSES.includes(status)
+        ? status
+        : { $ne: 'draft' };
+    }
+    
+    const [reports, total, summary] = await Promise.all([
+      DailyReport.find(query)
+        .populate('status_history.by', 'name username')
+        .sort({ report_date: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      DailyReport.countDocuments(query),
+      getReportTotals(query)
+    ]);
+    
+    res.json({
+      success: true,
+      data: {
+        reports: reports,
+        summary,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      },
+      user: member
+    });
+  } catch (error) {
+    console.error('Error fetching user reports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reports'
+    });
+  }
+});
+
+// ====================== REVIEW QUEUE (APPROVERS ONLY) ======================
+// Submitted reports from the reporting line, oldest first
+router.get('/review-queue', requirePermission('reports:approve'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const skip = (page - 1) * limit;
+    
+    const teamIds = await User.getTeamScope(req.user);
+    const query = { status: 'submitted', user_id: { $ne: req.user._id } };
+    if (teamIds) query.user_id = { $in: teamIds.filter(id => id.toString() !== req.user._id.toString()) };
+    
+    const [reports, total] = await Promise.all([
+      DailyReport.find(query)
+        .populate('user_id', 'name username region')
+        .populate('visits.hcp', 'name specialty facility')
+        .populate('visits.outlet', 'name type')
+        .populate('orders.outlet', 'name type')
+        .populate('status_history.by', 'name username')
+        .sort({ report_date: 1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      DailyReport.countDocuments(query)
+    ]);
+    
+    res.json({
+      success: true,
+      data: {
+        reports,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching review queue'
+    });
+  }
+});
+
+// ====================== GET MY COMMENT FEED ======================
+// Comments by others on my reports, mentioning me, or in threads I have taken part in
+router.get('/comments/feed', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    
+    const discussedReports = await ReportComment.distinct('report_id', { author: req.user._id });
+    const query = {
+      author: { $ne: req.user._id },
+      $or: [
+        { report_owner: req.user._id },
+        { mentions: req.user._id },
+        { report_id: { $in: discussedReports } }
+      ]
+    };
+    if (req.query.unread_only === 'true') query.read_by = { $ne: req.user._id };
+    
+    const [comments, unreadCount] = await Promise.all([
+      populateComment(ReportComment.find(query))
+        .populate({
+          path: 'report_id',
+          select: 'report_date region user_id status',
+          populate: { path: 'user_id', select: 'name username' }
+        })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean(),
+      ReportComment.countDocuments({ ...query, read_by: { $ne: req.user._id } })
+    ]);
+    
+    res.json({
+      success: true,
+      data: comments.map(comment => formatComment(comment, req.user._id)),
+      unread_count: unreadCount
+    });
+  } catch (error) {
+    console.error('Error fetching comment feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments'
+    });
+  }
+});
+
+// ====================== GET MISSING REPORTS (SUPERVISORS ONLY) ======================
+// Reps in the reporting line who were expected to report on ?date= (default today) and have not
+router.get('/missing', requirePermission('reports:read:team'), async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+    const day = req.query.date
+      ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+      : new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+
+    const teamIds = await User.getTeamScope(req.user);
+    const result = await findMissingReports(day, teamIds);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching missing reports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching missing reports'
+    });
+  }
+});
+
+// ====================== LIVE REPORT EVENTS (SUPERVISORS ONLY) ======================
+// Server-sent events for reports created, updated or deleted in the reporting line
+router.get('/stream', requirePermission('reports:read:team'), async (req, res) => {
+  try {
+    await subscribe(req, res);
+  } catch (error) {
+    console.error('Error opening report stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Error opening report stream'
+      });
+    }
+  }
+});
+
+// ====================== IMPORT REPORTS FROM A SPREADSHEET ======================
+// Body: { file (base64), filename, mapping: { field: column }, status, dry_run, skip_invalid }.
+// A dry run - the default - checks every row and saves nothing. Without a mapping the columns are
+// matched by header name. Committing saves the valid rows, but only with skip_invalid when some fail.
+const IMPORT_ERROR_LIMIT = 1000;
+const IMPORT_PREVIEW_LIMIT = 50;
+
+router.post('/import', requirePermission('reports:import'), async (req, res) => {
+  try {
+    const { filename, status = 'approved' } = req.body;
+    const dryRun = req.body.dry_run !== false;
+    
+    if (!['approved', 'submitted'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Imported reports must be approved or submitted'
+      });
+    }
+    
+    const sheet = await readSpreadsheet(req.body);
+    if (sheet.error) {
+      return res.status(400).json({
+        success: false,
+        message: sheet.error
+      });
+    }
+    
+    // Only columns that exist in the file can be mapped
+    const mapping = Object.fromEntries(
+      Object.entries(req.body.mapping || suggestMapping(sheet.headers, IMPORT_FIELDS))
+        .filter(([field, header]) => header && sheet.headers.includes(header) && IMPORT_FIELDS.some(([name]) => name === field))
+    );
+    const fields = IMPORT_FIELDS.map(([name, options]) => ({ name, label: options.label, required: Boolean(options.required) }));
+    const missingFields = fields.filter(field => field.required && !mapping[field.name]).map(field => field.label);
+    
+    if (missingFields.length > 0) {
+      if (!dryRun) {
+        return res.status(400).json({
+          success: false,
+          message: `Map a column to: ${missingFields.join(', ')}`
+        });
+      }
+      return res.json({
+        success: true,
+        data: { headers: sheet.headers, fields, mapping, missing_fields: missingFields, summary: { total: sheet.rows.length, valid: 0, invalid: 0 }, errors: [], preview: [] }
+      });
+    }
+    
+    const results = await validateRows(sheet.rows, mapping, req.user, { status, source: filename });
+    const invalid = results.filter(result => result.errors.length > 0);
+    const summary = { total: results.length, valid: results.length - invalid.length, invalid: invalid.length };
+    
+    if (dryRun) {
+      res.locals.audit = { details: { filename, dry_run: true, ...summary } };
+      return res.json({
+        success: true,
+        data: {
+          headers: sheet.headers,
+          fields,
+          mapping,
+          missing_fields: [],
+          summary,
+          errors: invalid.slice(0, IMPORT_ERROR_LIMIT).map(({ row, errors, user, report_date }) => ({ row, errors, user, report_date })),
+          preview: results.filter(result => result.errors.length === 0).slice(0, IMPORT_PREVIEW_LIMIT)
+            .map(({ row, user, report_date, report }) => ({
+              row,
+              user,
+              report_date,
+              region: report.region,
+              total_doctors: report.total_doctors,
+              pharmacies: report.pharmacies,
+              dispensaries: report.dispensaries,
+              orders_count: report.orders_count,
+              orders_value: report.orders_value
+            }))
+        }
+      });
+    }
+    
+    if (invalid.length > 0 && req.body.skip_invalid !== true) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalid.length} row(s) have errors - fix them or choose to skip invalid rows`
+      });
+    }
+    
+    const { imported, skipped } = await commitRows(results);
+    
+    console.log(`📥 ${req.user.username} imported ${imported} reports from ${filename || 'a spreadsheet'} (${invalid.length} invalid, ${skipped} skipped)`);
+    
+    res.locals.audit = {
+      details: { filename, status, mapping, rows: summary.total, imported, invalid: invalid.length, skipped }
+    };
+    
+    res.status(201).json({
+      success: true,
+      message: `Imported ${imported} report${imported === 1 ? '' : 's'}`,
+      data: { imported, invalid: invalid.length, skipped }
+    });
+  } catch (error) {
+    console.error('Error importing reports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing reports'
+    });
+  }
+});
+
 // ====================== CREATE NEW REPORT ======================
-router.post('/create', async (req, res) => {
+router.post('/create', requirePermission('reports:write:own'), async (req, res) => {
   try {
     const {
       report_date,
@@ -123,14 +745,22 @@ router.post('/create', async (req, res) => {
       dispensaries,
       orders_count,
       orders_value,
-      summary
+      summary,
+      visits,
+      orders
     } = req.body;
     
+    // Reports are submitted straight away unless the rep saves a draft
+    const initialStatus = req.body.status === 'draft' ? 'draft' : 'submitted';
+    
     console.log(`📝 User ${req.user.username} creating report`);
     console.log('Received data:', req.body);
     
+    // Reps assigned to a managed territory report against it - the region follows the territory
+    const territoryInfo = await Territory.resolvePath(req.user.territory_id);
+    
     // Get user region from user object if not provided
-    const userRegion = region || req.user?.region || 'Unknown Region';
+    const userRegion = territoryInfo?.region || region || req.user?.region || 'Unknown Region';
     
     // Check if region is too long
     if (userRegion.length > 50) {
@@ -176,11 +806,31 @@ router.post('/create', async (req, res) => {
       reportDate = new Date();
     }
     
+    // Resolve logged calls on HCPs and outlets - counters are derived from them by the model
+    const resolvedVisits = await resolveVisits(visits);
+    if (resolvedVisits === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more visited HCPs, outlets or call products could not be found'
+      });
+    }
+    
+    // Resolve ordered outlets and products - order totals are derived from them by the model
+    const resolvedOrders = await resolveOrders(orders);
+    if (resolvedOrders === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more ordered outlets or products could not be found'
+      });
+    }
+    
     // Create new report with current model structure
     const newReport = new DailyReport({
       user_id: req.user._id,  // Changed to _id
       report_date: reportDate,
       region: userRegion,
+      territory_id: territoryInfo?.territory._id,
+      territory_path: territoryInfo?.path || [],
       dentists: parseInt(dentists) || 0,
       physiotherapists: parseInt(physiotherapists) || 0,
       gynecologists: parseInt(gynecologists) || 0,
@@ -191,11 +841,16 @@ router.post('/create', async (req, res) => {
       pharmacies: parseInt(pharmacies) || 0,
       dispensaries: parseInt(dispensaries) || 0,
       orders_count: parseInt(orders_count) || 0,
-      orders_value: parseInt(orders_value) || 0,
-      summary: summary || ''
+      orders_value: parseFloat(orders_value) || 0,
+      summary: summary || '',
+      visits: resolvedVisits,
+      orders: resolvedOrders,
+      status: initialStatus,
+      status_history: [{ to: initialStatus, by: req.user._id, at: new Date() }]
     });
     
     await newReport.save();
+    publishReportEvent('created', newReport, req.user);
     
     console.log(`✅ Report created successfully for ${req.user.username}`);
     console.log('Report details:', {
@@ -209,7 +864,7 @@ router.post('/create', async (req, res) => {
     
     res.status(201).json({
       success: true,
-      message: 'Report submitted successfully',
+      message: initialStatus === 'draft' ? 'Report saved as draft' : 'Report submitted successfully',
       data: newReport
     });
   } catch (error) {
@@ -244,7 +899,14 @@ router.post('/create', async (req, res) => {
 // ====================== GET REPORT BY ID ======================
 router.get('/:id', async (req, res) => {
   try {
-    const report = await DailyReport.findById(req.params.id).lean();
+    const report = await DailyReport.findById(req.params.id)
+      .populate('visits.hcp', 'name specialty facility town tier')
+      .populate('visits.outlet', 'name type license_number address')
+      .populate('visits.products_detailed', 'sku name pack_size')
+      .populate('visits.samples.product', 'sku name pack_size')
+      .populate('orders.outlet', 'name type license_number address')
+      .populate('status_history.by', 'name username')
+      .lean();
     
     if (!report) {
       return res.status(404).json({
@@ -253,9 +915,9 @@ router.get('/:id', async (req, res) => {
       });
     }
     
-    // Check if user owns this report or is supervisor
+    // Check if user owns this report or supervises its author - drafts are private to the rep
     if (report.user_id.toString() !== req.user._id.toString() &&  // Changed to _id
-        req.user.role !== 'supervisor' && req.user.role !== 'admin') {
+        (report.status === 'draft' || !(await canSupervise(req.user, report.user_id)))) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to view this report'
@@ -276,7 +938,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // ====================== UPDATE REPORT ======================
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('reports:write:own'), async (req, res) => {
   try {
     const report = await DailyReport.findById(req.params.id);
     
@@ -295,6 +957,20 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    // Submitted reports are in the supervisor's queue and approved ones are final - both have
+    // to be returned for correction before they change
+    if (!['draft', 'returned'].includes(report.status)) {
+      return res.status(400).json({
+        success: false,
+        message: report.status === 'approved'
+          ? 'Approved reports cannot be edited. Ask your supervisor to return it for correction.'
+          : 'This report is waiting for review. Ask your supervisor to return it if it needs correcting.'
+      });
+    }
+    
+    // Kept so the edit can be stored as a revision
+    const before = ReportRevision.snapshot(report);
+    
     // Update report - only allow certain fields to be updated
     const {
       region,
@@ -309,11 +985,13 @@ router.put('/:id', async (req, res) => {
       dispensaries,
       orders_count,
       orders_value,
-      summary
+      summary,
+      visits,
+      orders
     } = req.body;
     
-    // Only update fields that are provided
-    if (region !== undefined) report.region = region;
+    // Only update fields that are provided - the region of a territory report is managed
+    if (region !== undefined && !report.territory_id) report.region = region;
     if (dentists !== undefined) report.dentists = parseInt(dentists) || 0;
     if (physiotherapists !== undefined) report.physiotherapists = parseInt(physiotherapists) || 0;
     if (gynecologists !== undefined) report.gynecologists = parseInt(gynecologists) || 0;
@@ -324,25 +1002,535 @@ router.put('/:id', async (req, res) => {
     if (pharmacies !== undefined) report.pharmacies = parseInt(pharmacies) || 0;
     if (dispensaries !== undefined) report.dispensaries = parseInt(dispensaries) || 0;
     if (orders_count !== undefined) report.orders_count = parseInt(orders_count) || 0;
-    if (orders_value !== undefined) report.orders_value = parseInt(orders_value) || 0;
+    if (orders_value !== undefined) report.orders_value = parseFloat(orders_value) || 0;
     if (summary !== undefined) report.summary = summary;
     
-    await report.save();
+    if (visits !== undefined) {
+      const resolvedVisits = await resolveVisits(visits);
+      if (resolvedVisits === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'One or more visited HCPs, outlets or call products could not be found'
+        });
+      }
+      report.visits = resolvedVisits;
+    }
     
-    res.json({
-      success: true,
-      message: 'Report updated successfully',
-      data: report
-    });
-  } catch (error) {
-    console.error('Error updating report:', error);
-    res.status(500).json({
+    if (orders !== undefined) {
+      const resolvedOrders = await resolveOrders(orders);
+      if (resolvedOrders === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'One or more ordered outlets or products could not be found'
+        });
+      }
+      report.orders = resolvedOrders;
+    }
+    
+    // Validate first so derived counters are final, then store the revision before the report -
+    // a change never lands without its revision, and a failed save takes its revision back out
+    await report.validate();
+    const revision = await ReportRevision.record(report._id, req.user._id, before, ReportRevision.snapshot(report));
+    try {
+      await report.save();
+    } catch (error) {
+      if (revision) await ReportRevision.deleteOne({ _id: revision._id });
+      throw error;
+    }
+    publishReportEvent('updated', report, req.user);
+    
+    if (revision) {
+      console.log(`📝 Report ${report._id} revision ${revision.revision} by ${req.user.username}: ${revision.changes.map(change => change.field).join(', ')}`);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Report updated successfully',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error updating report:', error);
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+    
+    res.status(500).json({
       success: false,
       message: 'Error updating report'
     });
   }
 });
 
+// ====================== SUBMIT REPORT FOR REVIEW ======================
+// Sends a draft, or a report returned for correction, to the supervisor
+router.post('/:id/submit', requirePermission('reports:write:own'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+    
+    const report = await DailyReport.findById(req.params.id);
+    
+    if (!report || report.user_id.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+    
+    if (!report.transitionTo('submitted', req.user._id, req.body.reason || '')) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${report.status} report cannot be submitted`
+      });
+    }
+    
+    await report.save();
+    publishReportEvent('updated', report, req.user);
+    
+    console.log(`📨 Report ${report._id} submitted for review by ${req.user.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Report submitted for review',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error submitting report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting report'
+    });
+  }
+});
+
+// ====================== REVIEW REPORT (APPROVERS ONLY) ======================
+// Approves a submitted report, or returns it to the rep for correction with a reason
+router.post('/:id/review', requirePermission('reports:approve'), async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+    
+    if (!['approved', 'returned'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approved or returned'
+      });
+    }
+    
+    if (decision === 'returned' && !(reason || '').trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required when returning a report'
+      });
+    }
+    
+    const report = await DailyReport.findById(req.params.id);
+    
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+    
+    if (report.user_id.toString() === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own report'
+      });
+    }
+    
+    if (!(await canSupervise(req.user, report.user_id, 'reports:approve'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to review this report'
+      });
+    }
+    
+    if (!report.transitionTo(decision, req.user._id, (reason || '').trim())) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${report.status} report cannot be ${decision}`
+      });
+    }
+    
+    await report.save();
+    publishReportEvent('updated', report, req.user);
+    
+    console.log(`✅ Report ${report._id} ${decision} by ${req.user.username}`);
+    
+    await Notification.notify(report.user_id, decision === 'approved' ? {
+      type: 'report_approved',
+      title: `Your report for ${reportDay(report)} was approved`,
+      link: `/reports?report=${report._id}`,
+      actor: req.user._id
+    } : {
+      type: 'report_returned',
+      title: `Your report for ${reportDay(report)} was returned for correction`,
+      message: (reason || '').trim(),
+      link: `/daily-report?edit=${report._id}`,
+      actor: req.user._id
+    });
+    
+    res.json({
+      success: true,
+      message: decision === 'approved' ? 'Report approved' : 'Report returned for correction',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error reviewing report:', error);
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing report'
+    });
+  }
+});
+
+// ====================== GET REPORT REVISIONS ======================
+// Every edit made to a report, newest first, with the old and new value of each changed field.
+// Names of the HCPs, outlets and products referenced in changed visits are returned alongside.
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+    
+    const report = await DailyReport.findById(req.params.id).select('user_id status').lean();
+    
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+    
+    if (!(await canAccessReport(req.user, report))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this report'
+      });
+    }
+    
+    const revisions = await ReportRevision.find({ report_id: report._id })
+      .populate('changed_by', 'name username role')
+      .sort({ revision: -1 })
+      .lean();
+    
+    const visits = revisions.flatMap(revision => revision.changes)
+      .filter(change => change.field === 'visits')
+      .flatMap(change => [...(change.old_value || []), ...(change.new_value || [])]);
+    const idsOf = (values) => [...new Set(values.filter(id => id && mongoose.Types.ObjectId.isValid(id)))];
+    
+    const [hcps, outlets, products] = await Promise.all([
+      Hcp.find({ _id: { $in: idsOf(visits.map(visit => visit.hcp)) } }).select('name').lean(),
+      Outlet.find({ _id: { $in: idsOf(visits.map(visit => visit.outlet)) } }).select('name').lean(),
+      Product.find({
+        _id: { $in: idsOf(visits.flatMap(visit => [
+          ...(visit.products_detailed || []),
+          ...(visit.samples || []).map(sample => sample.product)
+        ])) }
+      }).select('name').lean()
+    ]);
+    
+    const names = {};
+    [...hcps, ...outlets, ...products].forEach(item => { names[item._id.toString()] = item.name; });
+    
+    res.json({
+      success: true,
+      data: revisions,
+      count: revisions.length,
+      names
+    });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching revisions'
+    });
+  }
+});
+
+// ====================== GET REPORT COMMENTS ======================
+// Whole discussion on a report, oldest first - replies carry the parent_id of their thread
+router.get('/:id/comments', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+    
+    const report = await DailyReport.findById(req.params.id).select('user_id status').lean();
+    
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+    
+    if (!(await canAccessReport(req.user, report))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this report'
+      });
+    }
+    
+    const comments = await populateComment(ReportComment.find({ report_id: report._id }))
+      .sort({ createdAt: 1 })
+      .lean();
+    const formatted = comments.map(comment => formatComment(comment, req.user._id));
+    
+    res.json({
+      success: true,
+      data: formatted,
+      count: formatted.length,
+      unread_count: formatted.filter(comment => comment.unread).length
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments'
+    });
+  }
+});
+
+// ====================== ADD COMMENT ======================
+router.post('/:id/comments', async (req, res) => {
+  try {
+    const { body, parent_id } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+    
+    const report = await DailyReport.findById(req.params.id).select('user_id status report_date').lean();
+    
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+    
+    if (!(await canAccessReport(req.user, report))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to comment on this report'
+      });
+    }
+    
+    // Replies to a reply join the top-level thread
+    let threadId = null;
+    if (parent_id) {
+      const parent = mongoose.Types.ObjectId.isValid(parent_id)
+        ? await ReportComment.findOne({ _id: parent_id, report_id: report._id }).select('parent_id').lean()
+        : null;
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'The comment you are replying to was not found on this report'
+        });
+      }
+      threadId = parent.parent_id || parent._id;
+    }
+    
+    const comment = await ReportComment.create({
+      report_id: report._id,
+      report_owner: report.user_id,
+      author: req.user._id,
+      parent_id: threadId,
+      body,
+      mentions: await resolveMentions(body, report),
+      read_by: [req.user._id]
+    });
+    
+    console.log(`💬 Comment added to report ${report._id} by ${req.user.username}`);
+    
+    // Mentioned users hear about the mention; the owner and everyone else in the thread about the comment
+    const threadAuthors = threadId
+      ? await ReportComment.distinct('author', { report_id: report._id, $or: [{ _id: threadId }, { parent_id: threadId }] })
+      : [];
+    const mentioned = new Set(comment.mentions.map(String));
+    const link = `/reports?report=${report._id}`;
+    await Notification.notify([...comment.mentions], {
+      type: 'report_mention',
+      title: `${req.user.name} mentioned you on the report for ${reportDay(report)}`,
+      message: comment.body,
+      link,
+      actor: req.user._id
+    });
+    await Notification.notify([report.user_id, ...threadAuthors].filter(userId => !mentioned.has(String(userId))), {
+      type: 'report_comment',
+      title: `${req.user.name} commented on the report for ${reportDay(report)}`,
+      message: comment.body,
+      link,
+      actor: req.user._id
+    });
+    
+    const populated = await populateComment(ReportComment.findById(comment._id)).lean();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: formatComment(populated, req.user._id)
+    });
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error adding comment'
+    });
+  }
+});
+
+// ====================== MARK COMMENTS READ ======================
+router.post('/:id/comments/read', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+    
+    const report = await DailyReport.findById(req.params.id).select('user_id status').lean();
+    
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+    
+    if (!(await canAccessReport(req.user, report))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this report'
+      });
+    }
+    
+    const result = await ReportComment.updateMany(
+      { report_id: req.params.id, read_by: { $ne: req.user._id } },
+      { $addToSet: { read_by: req.user._id } }
+    );
+    
+    res.json({
+      success: true,
+      message: 'Comments marked as read',
+      data: { marked: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error marking comments read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking comments read'
+    });
+  }
+});
+
+// ====================== DELETE COMMENT ======================
+// Authors may remove their own comments. A thread's first comment takes its replies with it,
+// so it stays while anyone else has replied.
+router.delete('/:id/comments/:commentId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.commentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID'
+      });
+    }
+    
+    const comment = await ReportComment.findOne({ _id: req.params.commentId, report_id: req.params.id });
+    
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+    
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments'
+      });
+    }
+    
+    const otherReplies = await ReportComment.exists({ parent_id: comment._id, author: { $ne: comment.author } });
+    if (otherReplies) {
+      return res.status(400).json({
+        success: false,
+        message: 'Others have replied to this comment, so it cannot be deleted'
+      });
+    }
+    
+    await ReportComment.deleteMany({ $or: [{ _id: comment._id }, { parent_id: comment._id }] });
+    
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting comment'
+    });
+  }
+});
+
 // ====================== DELETE REPORT ======================
 router.delete('/:id', async (req, res) => {
   try {
@@ -355,16 +1543,49 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Check if user owns this report or is supervisor
-    if (report.user_id.toString() !== req.user._id.toString() &&  // Changed to _id
-        req.user.role !== 'supervisor' && req.user.role !== 'admin') {
+    // Owners need write access to their own reports; everyone else needs team delete rights
+    const isOwner = report.user_id.toString() === req.user._id.toString();  // Changed to _id
+    if (isOwner ? !hasPermission(req.user, 'reports:write:own')
+      : !(await canSupervise(req.user, report.user_id, 'reports:delete:team'))) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to delete this report'
       });
     }
     
+    // Same rule as editing - a report in the review queue or approved has to be returned first
+    if (isOwner && !['draft', 'returned'].includes(report.status)) {
+      return res.status(400).json({
+        success: false,
+        message: report.status === 'approved'
+          ? 'Approved reports cannot be deleted'
+          : 'This report is waiting for review. Ask your supervisor to return it before deleting it.'
+      });
+    }
+    
+    // Paid claims must stay attached to the day they were incurred on
+    if (await Expense.exists({ report_id: report._id, status: 'approved' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This report has approved expenses and cannot be deleted'
+      });
+    }
+    
     await report.deleteOne();
+    await ReportComment.deleteMany({ report_id: report._id });
+    await Expense.deleteMany({ report_id: report._id });
+    publishReportEvent('deleted', report, req.user);
+    
+    // Keep enough of the deleted report in the audit log to show what was removed
+    res.locals.audit = {
+      details: {
+        user_id: report.user_id,
+        report_date: report.report_date,
+        status: report.status,
+        orders_count: report.orders_count,
+        orders_value: report.orders_value
+      }
+    };
     
     res.json({
       success: true,
@@ -401,9 +1622,13 @@ router.get('/date-range/:start/:end', async (req, res) => {
       }
     };
     
-    // Regular users only see their own reports
-    if (req.user.role !== 'supervisor' && req.user.role !== 'admin') {
+    // Regular users only see their own reports, supervisors their reporting line
+    if (!hasPermission(req.user, 'reports:read:team')) {
       query.user_id = req.user._id;  // Changed to _id
+    } else {
+      const teamIds = await User.getTeamScope(req.user);
+      if (teamIds) query.user_id = { $in: teamIds };
+      query.$or = [{ user_id: req.user._id }, { status: { $ne: 'draft' } }];
     }
     
     const reports = await DailyReport.find(query)
@@ -0,0 +1,102 @@
+const express = require('express');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { getPermissions, clearPermissionCache, requirePermission } = require('../middleware/permissions');
+const router = express.Router();
+
+// ====================== LIST ROLES ======================
+router.get('/', async (req, res) => {
+  try {
+    const [roles, userCounts] = await Promise.all([
+      Role.find({}).lean(),
+      User.aggregate([
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const rolesByName = new Map(roles.map(role => [role.name, role]));
+    const countsByRole = new Map(userCounts.map(item => [item._id, item.count]));
+
+    // Always list every named role, even before the grants have been seeded
+    const data = await Promise.all(Role.ROLES.map(async name => ({
+      name,
+      label: rolesByName.get(name)?.label || Role.LABELS[name],
+      permissions: await getPermissions(name),
+      user_count: countsByRole.get(name) || 0,
+      updatedAt: rolesByName.get(name)?.updatedAt || null
+    })));
+
+    res.json({
+      success: true,
+      data,
+      permissions: Role.PERMISSIONS
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles'
+    });
+  }
+});
+
+// ====================== UPDATE ROLE GRANTS (ROLE MANAGERS ONLY) ======================
+router.put('/:name', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { permissions } = req.body;
+
+    if (!Role.ROLES.includes(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'permissions must be a list of permission names'
+      });
+    }
+
+    let role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      role = new Role({
+        name: req.params.name,
+        label: Role.LABELS[req.params.name],
+        granted_defaults: Role.DEFAULT_GRANTS[req.params.name]
+      });
+    }
+
+    role.permissions = permissions;
+    role.updatedBy = req.user._id;
+    await role.save();
+
+    clearPermissionCache();
+
+    console.log(`✅ Role ${role.name} updated by ${req.user.username}: ${role.permissions.join(', ')}`);
+
+    res.json({
+      success: true,
+      message: `${role.label || role.name} permissions updated`,
+      data: role
+    });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role'
+    });
+  }
+});
+
+module.exports = router;
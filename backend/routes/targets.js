@@ -0,0 +1,225 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Target = require('../models/Target');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Notification = require('../models/Notification');
+const { requirePermission } = require('../middleware/permissions');
+const router = express.Router();
+
+// Current month as YYYY-MM
+const currentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Keep only the metric values that were filled in
+const pickMetrics = (body = {}) => {
+  const metrics = {};
+  [...Target.METRICS, 'units'].forEach(metric => {
+    if (body[metric] !== undefined && body[metric] !== null && body[metric] !== '') {
+      metrics[metric] = parseFloat(body[metric]);
+    }
+  });
+  return metrics;
+};
+
+// Regions a scoped user may set or see region targets for - null means every region
+const getScopeRegions = async (teamIds) => {
+  if (!teamIds) return null;
+  return User.distinct('region', { _id: { $in: teamIds }, region: { $nin: [null, ''] } });
+};
+
+// ====================== HELPER: Check Target Scope ======================
+const isTargetInScope = async (target, teamIds) => {
+  if (target.user_id) return User.isInScope(teamIds, target.user_id);
+  const regions = await getScopeRegions(teamIds);
+  return !regions || regions.includes(target.region);
+};
+
+const sendValidationError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A target for this month already exists'
+    });
+    return true;
+  }
+  return false;
+};
+
+// ====================== LIST TARGETS ======================
+router.get('/', requirePermission('analytics:read:team'), async (req, res) => {
+  try {
+    const { month = currentMonth(), user_id, region } = req.query;
+
+    const teamIds = await User.getTeamScope(req.user);
+    const regions = await getScopeRegions(teamIds);
+
+    const query = { month };
+    if (user_id && mongoose.Types.ObjectId.isValid(user_id)) {
+      query.user_id = user_id;
+    } else if (region) {
+      query.region = region;
+    }
+    if (teamIds) {
+      query.$or = [
+        { user_id: { $in: teamIds } },
+        { user_id: null, region: { $in: regions } }
+      ];
+    }
+
+    const targets = await Target.find(query)
+      .populate('user_id', 'name username region')
+      .populate('product', 'sku name')
+      .sort({ region: 1, createdAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: targets,
+      count: targets.length,
+      month,
+      metrics: Target.METRICS,
+      product_metrics: Target.PRODUCT_METRICS
+    });
+  } catch (error) {
+    console.error('Error fetching targets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching targets'
+    });
+  }
+});
+
+// ====================== SET TARGET (TARGET SETTERS ONLY) ======================
+// Creates the target for the month / owner / product, or replaces its metrics
+router.put('/', requirePermission('targets:write'), async (req, res) => {
+  try {
+    const { month, user_id, region, product } = req.body;
+
+    if (user_id && !mongoose.Types.ObjectId.isValid(user_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (product) {
+      if (!mongoose.Types.ObjectId.isValid(product) || !(await Product.exists({ _id: product }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+    }
+
+    const key = {
+      month,
+      user_id: user_id || null,
+      region: user_id ? null : (region || null),
+      product: product || null
+    };
+
+    const teamIds = await User.getTeamScope(req.user);
+    if (!(await isTargetInScope(key, teamIds))) {
+      return res.status(403).json({
+        success: false,
+        message: user_id ? 'This user is not in your team' : 'This region is not covered by your team'
+      });
+    }
+
+    let target = await Target.findOne(key);
+    const isNew = !target;
+    if (isNew) target = new Target(key);
+
+    target.metrics = pickMetrics(req.body.metrics);
+    target.set_by = req.user._id;
+    await target.save();
+
+    console.log(`🎯 Target ${isNew ? 'set' : 'updated'} for ${user_id || region} (${month}) by ${req.user.username}`);
+
+    // The rep, or every active rep in the region, sees the new numbers on their dashboard
+    const recipients = user_id
+      ? [user_id]
+      : await User.distinct('_id', {
+        role: 'medrep',
+        is_active: true,
+        region: key.region,
+        ...(teamIds ? { _id: { $in: teamIds } } : {})
+      });
+    const productName = product ? (await Product.findById(product).select('name').lean())?.name : null;
+    await Notification.notify(recipients, {
+      type: 'target_set',
+      title: `${user_id ? 'Your' : `The ${key.region} region's`} ${productName ? `${productName} ` : ''}target for ${month} was ${isNew ? 'set' : 'updated'}`,
+      link: '/dashboard',
+      actor: req.user._id
+    });
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Target set successfully' : 'Target updated successfully',
+      data: target
+    });
+  } catch (error) {
+    console.error('Error saving target:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error saving target'
+    });
+  }
+});
+
+// ====================== DELETE TARGET (TARGET SETTERS ONLY) ======================
+router.delete('/:id', requirePermission('targets:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid target ID'
+      });
+    }
+
+    const target = await Target.findById(req.params.id);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Target not found'
+      });
+    }
+
+    if (!(await isTargetInScope(target, await User.getTeamScope(req.user)))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this target'
+      });
+    }
+
+    await target.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Target deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting target:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting target'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,352 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Territory = require('../models/Territory');
+const User = require('../models/User');
+const DailyReport = require('../models/DailyReport');
+const { requirePermission } = require('../middleware/permissions');
+const router = express.Router();
+
+const sendValidationError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A territory with this name already exists under the same parent'
+    });
+    return true;
+  }
+  return false;
+};
+
+// Re-derive the region of every user assigned within the given territories
+const syncUserRegions = async (territoryIds) => {
+  const users = await User.find({ territory_id: { $in: territoryIds } }).select('territory_id');
+  const regions = new Map();
+
+  for (const user of users) {
+    const key = user.territory_id.toString();
+    if (!regions.has(key)) {
+      regions.set(key, (await Territory.resolvePath(user.territory_id))?.region);
+    }
+    await User.updateOne({ _id: user._id }, { region: regions.get(key) });
+  }
+};
+
+// ====================== LIST TERRITORIES ======================
+router.get('/', async (req, res) => {
+  try {
+    const { level, parent_id } = req.query;
+
+    const query = {};
+    if (req.query.include_inactive !== 'true') query.is_active = true;
+    if (level) query.level = level;
+    if (parent_id && mongoose.Types.ObjectId.isValid(parent_id)) query.parent_id = parent_id;
+
+    const territories = await Territory.find(query)
+      .sort({ level: 1, name: 1 })
+      .lean();
+
+    // Attach the full name path so pickers can show where each territory sits
+    const ancestorIds = [...new Set(territories.flatMap(t => t.ancestors.map(id => id.toString())))];
+    const ancestors = await Territory.find({ _id: { $in: ancestorIds } }).select('name').lean();
+    const namesById = new Map(ancestors.map(a => [a._id.toString(), a.name]));
+
+    const data = territories
+      .map(territory => ({
+        ...territory,
+        path: [...territory.ancestors.map(id => namesById.get(id.toString())), territory.name]
+      }))
+      .sort((a, b) => a.path.join('/').localeCompare(b.path.join('/')));
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('Error fetching territories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching territories'
+    });
+  }
+});
+
+// ====================== GET TERRITORY TREE ======================
+router.get('/tree', async (req, res) => {
+  try {
+    const query = req.query.include_inactive === 'true' ? {} : { is_active: true };
+
+    const [territories, repCounts] = await Promise.all([
+      Territory.find(query).sort({ name: 1 }).lean(),
+      User.aggregate([
+        { $match: { territory_id: { $ne: null }, is_active: true } },
+        { $group: { _id: '$territory_id', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countsById = new Map(repCounts.map(item => [item._id.toString(), item.count]));
+    const nodesById = new Map(territories.map(territory => [
+      territory._id.toString(),
+      { ...territory, rep_count: countsById.get(territory._id.toString()) || 0, children: [] }
+    ]));
+
+    const roots = [];
+    nodesById.forEach(node => {
+      const parent = node.parent_id && nodesById.get(node.parent_id.toString());
+      if (parent) {
+        parent.children.push(node);
+      } else if (!node.parent_id) {
+        roots.push(node);
+      }
+    });
+
+    // Roll rep counts up so every node shows the reps in and below it
+    const totalReps = (node) => {
+      node.total_rep_count = node.rep_count + node.children.reduce((sum, child) => sum + totalReps(child), 0);
+      return node.total_rep_count;
+    };
+    roots.forEach(totalReps);
+
+    res.json({
+      success: true,
+      data: roots,
+      levels: Territory.LEVELS
+    });
+  } catch (error) {
+    console.error('Error fetching territory tree:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching territory tree'
+    });
+  }
+});
+
+// ====================== GET TERRITORY BY ID ======================
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid territory ID'
+      });
+    }
+
+    const info = await Territory.resolvePath(req.params.id);
+
+    if (!info) {
+      return res.status(404).json({
+        success: false,
+        message: 'Territory not found'
+      });
+    }
+
+    const territoryIds = await Territory.getDescendantIds(req.params.id);
+    const [children, reps] = await Promise.all([
+      Territory.find({ parent_id: req.params.id }).sort({ name: 1 }).lean(),
+      User.find({ territory_id: { $in: territoryIds } })
+        .select('name username email role region territory_id is_active')
+        .populate('territory_id', 'name level')
+        .sort({ name: 1 })
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...info.territory,
+        path: info.names,
+        region: info.region,
+        children,
+        reps
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching territory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching territory'
+    });
+  }
+});
+
+// ====================== CREATE TERRITORY (SUPERVISORS ONLY) ======================
+router.post('/', requirePermission('territories:write'), async (req, res) => {
+  try {
+    const { name, code, level, parent_id } = req.body;
+
+    const territory = new Territory({
+      name,
+      code,
+      level,
+      parent_id: parent_id || null
+    });
+
+    await territory.save();
+
+    console.log(`✅ Territory created: ${territory.name} (${territory.level}) by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Territory created successfully',
+      data: territory
+    });
+  } catch (error) {
+    console.error('Error creating territory:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating territory'
+    });
+  }
+});
+
+// ====================== UPDATE TERRITORY (SUPERVISORS ONLY) ======================
+router.put('/:id', requirePermission('territories:write'), async (req, res) => {
+  try {
+    const territory = await Territory.findById(req.params.id);
+
+    if (!territory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Territory not found'
+      });
+    }
+
+    const { name, code, is_active } = req.body;
+    const renamed = name !== undefined && name !== territory.name;
+
+    if (name !== undefined) territory.name = name;
+    if (code !== undefined) territory.code = code;
+    if (is_active !== undefined) territory.is_active = is_active;
+
+    await territory.save();
+
+    // Province and country names are used as the region of everyone below them
+    if (renamed && ['country', 'province'].includes(territory.level)) {
+      await syncUserRegions(await Territory.getDescendantIds(territory._id));
+    }
+
+    res.json({
+      success: true,
+      message: 'Territory updated successfully',
+      data: territory
+    });
+  } catch (error) {
+    console.error('Error updating territory:', error);
+    if (sendValidationError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating territory'
+    });
+  }
+});
+
+// ====================== ASSIGN REPS TO TERRITORY (SUPERVISORS ONLY) ======================
+router.put('/:id/reps', requirePermission('territories:write'), async (req, res) => {
+  try {
+    const { user_ids } = req.body;
+
+    if (!Array.isArray(user_ids) || user_ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'user_ids must be a list of user IDs'
+      });
+    }
+
+    const info = await Territory.resolvePath(req.params.id);
+
+    if (!info) {
+      return res.status(404).json({
+        success: false,
+        message: 'Territory not found'
+      });
+    }
+
+    const result = await User.updateMany(
+      { _id: { $in: user_ids } },
+      { territory_id: info.territory._id, region: info.region }
+    );
+
+    console.log(`✅ ${result.modifiedCount} users assigned to ${info.territory.name} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} users assigned to ${info.territory.name}`,
+      data: {
+        territory_id: info.territory._id,
+        region: info.region,
+        assigned: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error assigning territory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning territory'
+    });
+  }
+});
+
+// ====================== DELETE TERRITORY (SUPERVISORS ONLY) ======================
+router.delete('/:id', requirePermission('territories:write'), async (req, res) => {
+  try {
+    const territory = await Territory.findById(req.params.id);
+
+    if (!territory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Territory not found'
+      });
+    }
+
+    const [childCount, userCount, reportCount] = await Promise.all([
+      Territory.countDocuments({ parent_id: territory._id }),
+      User.countDocuments({ territory_id: territory._id }),
+      DailyReport.countDocuments({ territory_path: territory._id })
+    ]);
+
+    if (childCount > 0 || userCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Move or remove the sub-territories and assigned users before deleting this territory'
+      });
+    }
+
+    // Keep territories that appear on reports so history still rolls up
+    if (reportCount > 0) {
+      territory.is_active = false;
+      await territory.save();
+
+      return res.json({
+        success: true,
+        message: 'Territory has recorded reports and was deactivated instead of deleted'
+      });
+    }
+
+    await territory.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Territory deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting territory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting territory'
+    });
+  }
+});
+
+module.exports = router;
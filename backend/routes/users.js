@@ -1,25 +1,150 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Territory = require('../models/Territory');
+const Role = require('../models/Role');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const { sendMail, appUrl } = require('../config/mailer');
+const { readSpreadsheet, suggestMapping } = require('../imports/spreadsheet');
+const { statusMatch, periodRange, getTeamPerformance } = require('../analytics/performance');
+const { getPermissions, hasPermission, requirePermission } = require('../middleware/permissions');
+const { escapeRegex } = require('../utils/helpers');
 const router = express.Router();
 
-// ====================== HELPER: Check Supervisor Role ======================
-const requireSupervisor = (req, res, next) => {
-  if (req.user.role !== 'supervisor' && req.user.role !== 'admin') {
-    return res.status(403).json({
+// ====================== HELPER: Roles ======================
+// Roles whose holders can have people reporting to them
+const getManagerRoles = async () => {
+  const roles = [];
+  for (const role of Role.ROLES) {
+    if ((await getPermissions(role)).includes('users:write')) roles.push(role);
+  }
+  return roles;
+};
+
+// Users may only hand out roles that grant nothing beyond their own permissions
+const checkRoleAssignment = async (actor, role) => {
+  if (!Role.ROLES.includes(role)) return `Role must be one of: ${Role.ROLES.join(', ')}`;
+  if (hasPermission(actor, 'roles:manage')) return null;
+  
+  const granted = await getPermissions(role);
+  const missing = granted.filter(permission => !hasPermission(actor, permission));
+  return missing.length > 0 ? `You cannot assign the ${role} role` : null;
+};
+
+// ====================== HELPER: Resolve Territory ======================
+// Returns the territory path info, null when cleared, or false when the ID is unknown
+const resolveTerritory = async (territoryId) => {
+  if (!territoryId) return null;
+  if (!mongoose.Types.ObjectId.isValid(territoryId)) return false;
+  return (await Territory.resolvePath(territoryId)) || false;
+};
+
+// ====================== HELPER: Check Team Scope ======================
+// Supervisors may only manage users in their own reporting line
+const requireInScope = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    
+    req.teamIds = await User.getTeamScope(req.user);
+    if (!User.isInScope(req.teamIds, req.params.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This user is not in your team'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Team scope error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Access denied. Supervisor or admin role required.'
+      message: 'Error checking team scope'
     });
   }
-  next();
+};
+
+// ====================== HELPER: Notify Account Changes ======================
+// Tells the user (and their manager, when the user can no longer sign in) what changed on their account
+const notifyAccountChanges = async (before, after, actor) => {
+  const changed = (field) => String(before[field] ?? '') !== String(after[field] ?? '');
+  
+  if (changed('role')) {
+    await Notification.notify(after._id, {
+      type: 'role_changed',
+      title: `Your role is now ${Role.LABELS[after.role] || after.role}`,
+      message: 'Sign out and back in to see your new menu.',
+      link: '/dashboard',
+      actor: actor._id
+    });
+  }
+  
+  if (changed('manager_id') && after.manager_id) {
+    const manager = await User.findById(after.manager_id).select('name').lean();
+    await Notification.notify(after._id, {
+      type: 'manager_changed',
+      title: `You now report to ${manager?.name || 'a new manager'}`,
+      link: '/dashboard',
+      actor: actor._id
+    });
+    await Notification.notify(after.manager_id, {
+      type: 'manager_changed',
+      title: `${after.name} now reports to you`,
+      link: '/team-management',
+      actor: actor._id
+    });
+  }
+  
+  if (changed('is_active')) {
+    await Notification.notify(after.is_active ? [after._id, after.manager_id] : [after.manager_id], {
+      type: after.is_active ? 'user_reactivated' : 'user_deactivated',
+      title: after.is_active
+        ? `${after.name}'s account was reactivated`
+        : `${after.name}'s account was deactivated`,
+      message: `By ${actor.name}`,
+      link: '/team-management',
+      actor: actor._id
+    });
+  }
+};
+
+// ====================== HELPER: Resolve Manager ======================
+// Returns the manager, null when cleared, or an error message when the manager can't be used
+const resolveManager = async (managerId, teamIds, userId) => {
+  if (!managerId) return null;
+  if (!mongoose.Types.ObjectId.isValid(managerId)) return 'Manager not found';
+  
+  const manager = await User.findById(managerId).select('name username role is_active').lean();
+  if (!manager || !manager.is_active) return 'Manager not found';
+  if (!(await getManagerRoles()).includes(manager.role)) return `A ${manager.role} cannot manage other users`;
+  if (!User.isInScope(teamIds, manager._id)) return 'Manager is not in your team';
+  
+  // A user cannot report to themselves or to anyone below them
+  if (userId) {
+    const reportIds = await User.getReportIds(userId);
+    if (manager._id.toString() === userId.toString() || User.isInScope(reportIds, manager._id)) {
+      return 'A user cannot report to themselves or to one of their own reports';
+    }
+  }
+  
+  return manager;
 };
 
 // ====================== GET ALL USERS (SUPERVISORS ONLY) ======================
-router.get('/', requireSupervisor, async (req, res) => {
+router.get('/', requirePermission('users:read'), async (req, res) => {
   try {
     console.log(`👥 Supervisor ${req.user.username} fetching all users`);
     
-    const users = await User.find({})
+    const teamIds = await User.getTeamScope(req.user);
+    const users = await User.find(teamIds ? { _id: { $in: teamIds } } : {})
       .select('-password -__v')
+      .populate('territory_id', 'name level')
+      .populate('manager_id', 'name username')
       .sort({ role: 1, name: 1 })
       .lean();
     
@@ -62,7 +187,7 @@ router.get('/profile/me', async (req, res) => {
     
     res.json({
       success: true,
-      data: dbUser,
+      data: { ...dbUser, permissions: req.user.permissions },
       source: 'MongoDB'
     });
   } catch (error) {
@@ -74,41 +199,16 @@ router.get('/profile/me', async (req, res) => {
   }
 });
 
-// ====================== GET USER BY ID ======================
-router.get('/:id', requireSupervisor, async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id)
-      .select('-password -__v')
-      .lean();
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: user
-    });
-  } catch (error) {
-    console.error('Get user by ID error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching user'
-    });
-  }
-});
-
 // ====================== GET ACTIVE MEDREPS (SUPERVISORS ONLY) ======================
-router.get('/active-medreps', requireSupervisor, async (req, res) => {
+router.get('/active-medreps', requirePermission('users:read'), async (req, res) => {
   try {
     console.log(`👥 Supervisor ${req.user.username} fetching active medreps`);
     
+    const teamIds = await User.getTeamScope(req.user);
     const medreps = await User.find({ 
       role: 'medrep',
-      is_active: true 
+      is_active: true,
+      ...(teamIds ? { _id: { $in: teamIds } } : {})
     })
     .select('name username email region role createdAt')
     .sort({ name: 1 })
@@ -132,11 +232,13 @@ router.get('/active-medreps', requireSupervisor, async (req, res) => {
 });
 
 // ====================== GET SUPERVISORS (SUPERVISORS ONLY) ======================
-router.get('/supervisors', requireSupervisor, async (req, res) => {
+router.get('/supervisors', requirePermission('users:read'), async (req, res) => {
   try {
+    const teamIds = await User.getTeamScope(req.user);
     const supervisors = await User.find({ 
-      role: { $in: ['supervisor', 'admin'] },
-      is_active: true 
+      role: { $in: await getManagerRoles() },
+      is_active: true,
+      ...(teamIds ? { _id: { $in: teamIds } } : {})
     })
     .select('name username email region role')
     .sort({ name: 1 })
@@ -156,6 +258,265 @@ router.get('/supervisors', requireSupervisor, async (req, res) => {
   }
 });
 
+// ====================== GET ORG CHART (SUPERVISORS ONLY) ======================
+router.get('/org-chart', requirePermission('users:read'), async (req, res) => {
+  try {
+    const teamIds = await User.getTeamScope(req.user);
+    const query = teamIds ? { _id: { $in: teamIds } } : {};
+    if (req.query.include_inactive !== 'true') query.is_active = true;
+    
+    const users = await User.find(query)
+      .select('name username email role region is_active manager_id territory_id')
+      .populate('territory_id', 'name level')
+      .sort({ name: 1 })
+      .lean();
+    
+    const nodesById = new Map(users.map(user => [user._id.toString(), { ...user, children: [] }]));
+    
+    // Supervisors see their own line; organisation-wide users see everyone without a manager as a root
+    const roots = [];
+    nodesById.forEach(node => {
+      const manager = node.manager_id && nodesById.get(node.manager_id.toString());
+      if (manager && node._id.toString() !== req.user._id.toString()) {
+        manager.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+    
+    const countReports = (node) => {
+      node.direct_reports = node.children.length;
+      node.total_reports = node.children.reduce((sum, child) => sum + 1 + countReports(child), 0);
+      return node.total_reports;
+    };
+    roots.forEach(countReports);
+    
+    res.json({
+      success: true,
+      data: roots,
+      count: users.length
+    });
+  } catch (error) {
+    console.error('Org chart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching org chart'
+    });
+  }
+});
+
+// ====================== SEARCH USERS (SUPERVISORS ONLY) ======================
+// ?query= matches name, username or email anywhere; ?role= and ?include_inactive=true narrow
+// or widen it. Returns at most ?limit= (default 20, up to 50) people from the reporting line.
+router.get('/search', requirePermission('users:read'), async (req, res) => {
+  try {
+    const text = String(req.query.query || '').trim();
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enter something to search for'
+      });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const pattern = new RegExp(escapeRegex(text), 'i');
+    const teamIds = await User.getTeamScope(req.user);
+    const query = {
+      $or: [{ name: pattern }, { username: pattern }, { email: pattern }],
+      ...(teamIds ? { _id: { $in: teamIds } } : {})
+    };
+    if (Role.ROLES.includes(req.query.role)) query.role = req.query.role;
+    if (req.query.include_inactive !== 'true') query.is_active = true;
+    
+    const users = await User.find(query)
+      .select('name username email role region is_active manager_id')
+      .sort({ name: 1 })
+      .limit(limit)
+      .lean();
+    
+    res.json({
+      success: true,
+      data: users,
+      count: users.length
+    });
+  } catch (error) {
+    console.error('User search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching users'
+    });
+  }
+});
+
+// ====================== GET TEAM MEMBERS WITH PERFORMANCE (SUPERVISORS ONLY) ======================
+// Everyone in the reporting line with their activity totals and submission rate for the period,
+// in the same shape as team performance, so team management needs a single request.
+// Query: period (week, month, quarter, all) or from/to, status (active, inactive, all),
+// role (medrep by default, all for every role), search, approved_only, page, limit (up to 200).
+router.get('/team-members', requirePermission('users:read'), async (req, res) => {
+  try {
+    const range = periodRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+    
+    const teamIds = await User.getTeamScope(req.user);
+    const query = teamIds ? { _id: { $in: teamIds } } : {};
+    const { role = 'medrep', status = 'all' } = req.query;
+    if (role !== 'all' && !Role.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be all or one of: ${Role.ROLES.join(', ')}`
+      });
+    }
+    if (role !== 'all') query.role = role;
+    if (status === 'active') query.is_active = true;
+    if (status === 'inactive') query.is_active = false;
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { username: pattern }, { email: pattern }];
+    }
+    
+    const [members, total] = await Promise.all([
+      User.find(query)
+        .select('-password -__v')
+        .populate('territory_id', 'name level')
+        .populate('manager_id', 'name username')
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+    
+    const { members: performance } = await getTeamPerformance(
+      req.user, range.from, range.to, statusMatch(req), { userIds: members.map(member => member._id) }
+    );
+    const performanceById = new Map(performance.map(row => [row.user_id.toString(), row]));
+    
+    res.json({
+      success: true,
+      data: members.map(member => {
+        const { user_id, user_name, username, email, region, createdAt, ...stats } = performanceById.get(member._id.toString()) || {};
+        return { ...member, performance: stats };
+      }),
+      count: members.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      period: {
+        label: range.label,
+        from: range.from,
+        to: range.to
+      }
+    });
+  } catch (error) {
+    console.error('Team members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching team members'
+    });
+  }
+});
+
+// ====================== GET USER BY ID ======================
+router.get('/:id', requirePermission('users:read'), requireInScope, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('-password -__v')
+      .populate('manager_id', 'name username role')
+      .lean();
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Get user by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user'
+    });
+  }
+});
+
+// ====================== GET USER PERFORMANCE ======================
+// One person's activity totals and submission rate for ?period= or ?from=&to=, in the same
+// shape as a team performance row. Open to the user themselves and supervisors of their line.
+router.get('/:id/performance', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    
+    const isSelf = req.params.id === req.user._id.toString();
+    if (!isSelf && !(hasPermission(req.user, 'analytics:read:team')
+      && User.isInScope(await User.getTeamScope(req.user), req.params.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This user is not in your team'
+      });
+    }
+    
+    const range = periodRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+    
+    // A user's team scope always includes themselves
+    const { members: [performance] } = await getTeamPerformance(
+      req.user, range.from, range.to, statusMatch(req), { userIds: [new mongoose.Types.ObjectId(req.params.id)] }
+    );
+    if (!performance) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: performance,
+      period: {
+        name: req.query.from || req.query.to ? 'custom' : req.query.period || 'month',
+        label: range.label,
+        from: range.from,
+        to: range.to
+      }
+    });
+  } catch (error) {
+    console.error('User performance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user performance'
+    });
+  }
+});
+
 // ====================== UPDATE USER PROFILE ======================
 router.put('/profile/me', async (req, res) => {
   try {
@@ -164,7 +525,8 @@ router.put('/profile/me', async (req, res) => {
     const updateData = {};
     if (name) updateData.name = name;
     if (email) updateData.email = email;
-    if (region) updateData.region = region;
+    // The region of a user in a managed territory follows the territory
+    if (region && !req.user.territory_id) updateData.region = region;
     
     const updatedUser = await User.findByIdAndUpdate(
       req.user._id, // Changed to _id
@@ -194,9 +556,35 @@ router.put('/profile/me', async (req, res) => {
 });
 
 // ====================== CREATE NEW USER (SUPERVISORS ONLY) ======================
-router.post('/', requireSupervisor, async (req, res) => {
+router.post('/', requirePermission('users:write'), async (req, res) => {
   try {
-    const { username, password, name, email, role, region } = req.body;
+    const { username, password, name, email, role = 'medrep', region, territory_id, manager_id } = req.body;
+    
+    const roleError = await checkRoleAssignment(req.user, role);
+    if (roleError) {
+      return res.status(403).json({
+        success: false,
+        message: roleError
+      });
+    }
+    
+    // New users report to whoever creates them unless another manager in the team is given
+    const manager = await resolveManager(manager_id || req.user._id, await User.getTeamScope(req.user));
+    if (typeof manager === 'string') {
+      return res.status(400).json({
+        success: false,
+        message: manager
+      });
+    }
+    
+    // Users in a managed territory take their region from it
+    const territoryInfo = await resolveTerritory(territory_id);
+    if (territoryInfo === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Territory not found'
+      });
+    }
     
     const existingUser = await User.findOne({ 
       $or: [
@@ -217,8 +605,10 @@ router.post('/', requireSupervisor, async (req, res) => {
       password,
       name,
       email,
-      role: role || 'medrep',
-      region: region || 'General',
+      role,
+      region: territoryInfo?.region || region || 'General',
+      territory_id: territoryInfo?.territory._id || null,
+      manager_id: manager?._id || null,
       is_active: true,
       createdBy: req.user._id // Changed to _id
     });
@@ -245,18 +635,262 @@ router.post('/', requireSupervisor, async (req, res) => {
   }
 });
 
+// ====================== IMPORT USERS FROM CSV (SUPERVISORS ONLY) ======================
+// Body: { file (base64), filename, dry_run, send_emails }. Columns: username, name, email, region
+// and role (role name or label, medrep when blank). A dry run - the default - checks every row
+// against the same rules as a single new user and creates nothing. Committing needs every row to
+// pass; each account gets a temporary password that must be changed at first sign-in.
+const IMPORT_USER_FIELDS = [
+  ['username', { required: true, aliases: ['user_name', 'login'] }],
+  ['name', { required: true, aliases: ['full_name', 'names'] }],
+  ['email', { required: true, aliases: ['email_address', 'e_mail'] }],
+  ['region', { aliases: ['area', 'province'] }],
+  ['role', { aliases: ['position', 'title'] }]
+];
+
+// Checks each row and returns { row, errors, user } - user holds the cleaned fields
+const validateUserRows = async (rows, mapping, actor) => {
+  const cell = (values, field) => String((mapping[field] ? values[mapping[field]] : '') ?? '').trim();
+  const roleNames = Object.fromEntries(Role.ROLES.flatMap(role => [
+    [role.toLowerCase(), role],
+    [(Role.LABELS[role] || role).toLowerCase(), role]
+  ]));
+
+  const usernames = rows.map(({ values }) => cell(values, 'username')).filter(Boolean);
+  const emails = rows.map(({ values }) => cell(values, 'email').toLowerCase()).filter(Boolean);
+  const existing = await User.find({
+    $or: [
+      { username: { $in: usernames.map(username => new RegExp(`^${escapeRegex(username)}$`, 'i')) } },
+      { email: { $in: emails } }
+    ]
+  }).select('username email').lean();
+  const takenUsernames = new Set(existing.map(user => user.username.toLowerCase()));
+  const takenEmails = new Set(existing.map(user => user.email));
+
+  const seenUsernames = new Map();
+  const seenEmails = new Map();
+  const roleErrors = new Map();
+  const results = [];
+  for (const { row, values } of rows) {
+    const errors = [];
+    const user = {
+      username: cell(values, 'username'),
+      name: cell(values, 'name'),
+      email: cell(values, 'email').toLowerCase(),
+      region: cell(values, 'region') || 'General',
+      role: 'medrep'
+    };
+
+    const roleValue = cell(values, 'role');
+    if (roleValue) {
+      user.role = roleNames[roleValue.toLowerCase()];
+      if (!user.role) errors.push(`"${roleValue}" is not a role`);
+    }
+    if (user.role) {
+      if (!roleErrors.has(user.role)) roleErrors.set(user.role, await checkRoleAssignment(actor, user.role));
+      if (roleErrors.get(user.role)) errors.push(roleErrors.get(user.role));
+    }
+
+    // Same field rules as a single new user - the password is generated later
+    const validation = new User({ ...user, password: 'placeholder' }).validateSync();
+    if (validation) Object.values(validation.errors).forEach(error => errors.push(error.message));
+
+    const usernameKey = user.username.toLowerCase();
+    if (usernameKey && takenUsernames.has(usernameKey)) errors.push(`Username ${user.username} already exists`);
+    else if (usernameKey && seenUsernames.has(usernameKey)) errors.push(`Username ${user.username} is also used on row ${seenUsernames.get(usernameKey)}`);
+    if (user.email && takenEmails.has(user.email)) errors.push(`Email ${user.email} already exists`);
+    else if (user.email && seenEmails.has(user.email)) errors.push(`Email ${user.email} is also used on row ${seenEmails.get(user.email)}`);
+    if (usernameKey && !seenUsernames.has(usernameKey)) seenUsernames.set(usernameKey, row);
+    if (user.email && !seenEmails.has(user.email)) seenEmails.set(user.email, row);
+
+    results.push({ row, errors, user });
+  }
+  return results;
+};
+
+const sendWelcomeEmail = (user, password, actor) => sendMail({
+  to: user.email,
+  subject: 'Your Regal Pharma Reports account',
+  text: [
+    `Hello ${user.name},`,
+    '',
+    `${actor.name || actor.username} has created an account for you on Regal Pharma Reports.`,
+    '',
+    `Sign in at: ${appUrl('/login')}`,
+    `Username: ${user.username}`,
+    `Temporary password: ${password}`,
+    '',
+    'You will be asked to choose your own password the first time you sign in.'
+  ].join('\n')
+});
+
+router.post('/import', requirePermission('users:write'), async (req, res) => {
+  try {
+    const { filename } = req.body;
+    const dryRun = req.body.dry_run !== false;
+
+    const sheet = await readSpreadsheet(req.body);
+    if (sheet.error) {
+      return res.status(400).json({
+        success: false,
+        message: sheet.error
+      });
+    }
+
+    const mapping = suggestMapping(sheet.headers, IMPORT_USER_FIELDS);
+    const missing = IMPORT_USER_FIELDS.filter(([field, options]) => options.required && !mapping[field]).map(([field]) => field);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The file needs these columns: ${missing.join(', ')}`
+      });
+    }
+
+    const results = await validateUserRows(sheet.rows, mapping, req.user);
+    const invalid = results.filter(result => result.errors.length > 0);
+    const summary = { total: results.length, valid: results.length - invalid.length, invalid: invalid.length };
+
+    if (dryRun) {
+      res.locals.audit = { details: { filename, dry_run: true, ...summary } };
+      return res.json({
+        success: true,
+        data: {
+          summary,
+          rows: results.map(({ row, errors, user }) => ({ row, errors, ...user }))
+        }
+      });
+    }
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalid.length} row(s) have errors - fix the file and upload it again`
+      });
+    }
+
+    // New users report to whoever imports them, as with a single new user
+    const created = [];
+    for (const { user } of results) {
+      const password = User.generateTemporaryPassword();
+      const newUser = new User({
+        ...user,
+        password,
+        manager_id: req.user._id,
+        is_active: true,
+        must_change_password: true,
+        createdBy: req.user._id
+      });
+      try {
+        await newUser.save();
+      } catch (error) {
+        // Taken by someone else since the dry run - report it and carry on with the rest
+        if (error.code !== 11000) throw error;
+        created.push({ ...user, error: 'Username or email already exists' });
+        continue;
+      }
+      const emailed = req.body.send_emails === true ? await sendWelcomeEmail(user, password, req.user) : false;
+      created.push({ _id: newUser._id, ...user, temporary_password: password, emailed });
+    }
+
+    const createdCount = created.filter(user => !user.error).length;
+    console.log(`✅ ${req.user.username} imported ${createdCount} users from ${filename || 'a CSV file'}`);
+
+    // Temporary passwords go back to the importer once and are never logged
+    res.locals.audit = {
+      details: {
+        filename,
+        created: created.filter(user => !user.error).map(user => user.username),
+        failed: created.filter(user => user.error).map(user => user.username),
+        emailed: created.filter(user => user.emailed).length
+      }
+    };
+
+    res.status(201).json({
+      success: true,
+      message: `Created ${createdCount} account${createdCount === 1 ? '' : 's'}`,
+      data: created
+    });
+  } catch (error) {
+    console.error('Import users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing users'
+    });
+  }
+});
+
 // ====================== UPDATE USER (SUPERVISORS ONLY) ======================
-router.put('/:id', requireSupervisor, async (req, res) => {
+router.put('/:id', requirePermission('users:write'), requireInScope, async (req, res) => {
   try {
-    const { name, email, role, region, is_active } = req.body;
+    const { name, email, role, region, territory_id, manager_id, is_active } = req.body;
+    
+    const previousUser = await User.findById(req.params.id).select('role manager_id is_active').lean();
+    if (!previousUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Nobody changes their own role, reporting line or active status - as on the dedicated routes
+    const isSelf = previousUser._id.toString() === req.user._id.toString();
+    const changesOwnAccess =
+      (role !== undefined && role !== previousUser.role) ||
+      (manager_id !== undefined && String(manager_id || '') !== String(previousUser.manager_id || '')) ||
+      (is_active !== undefined && is_active !== previousUser.is_active);
+    if (isSelf && changesOwnAccess) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role, manager or active status'
+      });
+    }
     
     const updateData = {};
     if (name) updateData.name = name;
     if (email) updateData.email = email;
-    if (role) updateData.role = role;
+    if (role) {
+      const roleError = await checkRoleAssignment(req.user, role);
+      if (roleError) {
+        return res.status(403).json({
+          success: false,
+          message: roleError
+        });
+      }
+      updateData.role = role;
+    }
     if (region !== undefined) updateData.region = region;
     if (is_active !== undefined) updateData.is_active = is_active;
     
+    if (territory_id !== undefined) {
+      const territoryInfo = await resolveTerritory(territory_id);
+      if (territoryInfo === false) {
+        return res.status(400).json({
+          success: false,
+          message: 'Territory not found'
+        });
+      }
+      updateData.territory_id = territoryInfo?.territory._id || null;
+      if (territoryInfo) updateData.region = territoryInfo.region;
+    }
+    
+    if (manager_id !== undefined) {
+      const manager = await resolveManager(manager_id, req.teamIds, req.params.id);
+      if (typeof manager === 'string') {
+        return res.status(400).json({
+          success: false,
+          message: manager
+        });
+      }
+      // Only organisation-wide users may leave someone without a manager - nobody else would see them
+      if (!manager && previousUser.manager_id && !hasPermission(req.user, 'reports:read:all')) {
+        return res.status(400).json({
+          success: false,
+          message: 'A manager is required'
+        });
+      }
+      updateData.manager_id = manager?._id || null;
+    }
+    
     const updatedUser = await User.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -270,6 +904,13 @@ router.put('/:id', requireSupervisor, async (req, res) => {
       });
     }
     
+    // A deactivated account is signed out everywhere straight away
+    if (previousUser?.is_active && updatedUser.is_active === false) {
+      await Session.revokeAll(updatedUser._id, 'deactivated');
+    }
+    
+    await notifyAccountChanges(previousUser, updatedUser, req.user);
+    
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -284,8 +925,61 @@ router.put('/:id', requireSupervisor, async (req, res) => {
   }
 });
 
+// ====================== CHANGE MANAGER (SUPERVISORS ONLY) ======================
+router.put('/:id/manager', requirePermission('users:write'), requireInScope, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const manager = await resolveManager(req.body.manager_id, req.teamIds, user._id);
+    if (typeof manager === 'string') {
+      return res.status(400).json({
+        success: false,
+        message: manager
+      });
+    }
+    
+    // Only organisation-wide users may leave someone without a manager - nobody else would see them
+    if (!manager && !hasPermission(req.user, 'reports:read:all')) {
+      return res.status(400).json({
+        success: false,
+        message: 'A manager is required'
+      });
+    }
+    
+    const previousManager = user.manager_id;
+    user.manager_id = manager?._id || null;
+    await user.save();
+    
+    await notifyAccountChanges({ manager_id: previousManager }, user, req.user);
+    
+    console.log(`✅ ${user.username} now reports to ${manager ? manager.username : 'nobody'} (by ${req.user.username})`);
+    
+    res.json({
+      success: true,
+      message: manager ? `${user.name} now reports to ${manager.name}` : `${user.name} no longer has a manager`,
+      data: {
+        _id: user._id,
+        manager_id: user.manager_id
+      }
+    });
+  } catch (error) {
+    console.error('Change manager error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing manager'
+    });
+  }
+});
+
 // ====================== DEACTIVATE USER (SUPERVISORS ONLY) ======================
-router.put('/:id/deactivate', requireSupervisor, async (req, res) => {
+router.put('/:id/deactivate', requirePermission('users:write'), requireInScope, async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -303,9 +997,17 @@ router.put('/:id/deactivate', requireSupervisor, async (req, res) => {
       });
     }
     
+    const wasActive = user.is_active;
     user.is_active = false;
     await user.save();
     
+    // Signed out everywhere straight away, not when their access token runs out
+    const sessions = await Session.revokeAll(user._id, 'deactivated');
+    
+    await notifyAccountChanges({ is_active: wasActive }, user, req.user);
+    
+    res.locals.audit = { details: { username: user.username, name: user.name, role: user.role, sessions_ended: sessions } };
+    
     res.json({
       success: true,
       message: 'User deactivated successfully'
@@ -320,8 +1022,9 @@ router.put('/:id/deactivate', requireSupervisor, async (req, res) => {
 });
 
 // ====================== ACTIVATE USER (SUPERVISORS ONLY) ======================
-router.put('/:id/activate', requireSupervisor, async (req, res) => {
+router.put('/:id/activate', requirePermission('users:write'), requireInScope, async (req, res) => {
   try {
+    const previousUser = await User.findById(req.params.id).select('is_active').lean();
     const user = await User.findByIdAndUpdate(
       req.params.id,
       { is_active: true },
@@ -335,6 +1038,8 @@ router.put('/:id/activate', requireSupervisor, async (req, res) => {
       });
     }
     
+    await notifyAccountChanges(previousUser, user, req.user);
+    
     res.json({
       success: true,
       message: 'User activated successfully',
@@ -349,4 +1054,78 @@ router.put('/:id/activate', requireSupervisor, async (req, res) => {
   }
 });
 
+// ====================== RESET PASSWORD (SUPERVISORS ONLY) ======================
+// For someone who has forgotten their password and can't use the email link. Gives the account
+// a temporary password, signs it out everywhere and makes them choose a new password at sign-in.
+// Pass { send_email: false } to hand the password over in person only.
+router.post('/:id/reset-password', requirePermission('users:write'), requireInScope, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Change your own password from your profile'
+      });
+    }
+    
+    // Only for roles the actor could hand out - otherwise they could take over a more privileged account
+    if (await checkRoleAssignment(req.user, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot reset the password of a ${Role.LABELS[user.role] || user.role}`
+      });
+    }
+    
+    const password = User.generateTemporaryPassword();
+    user.password = password;
+    user.must_change_password = true;
+    await user.save();
+    
+    const sessions = await Session.revokeAll(user._id, 'password_changed');
+    await PasswordReset.expireAll(user._id);
+    
+    const emailed = req.body.send_email !== false && user.is_active ? await sendMail({
+      to: user.email,
+      subject: 'Your Regal Pharma Reports password was reset',
+      text: [
+        `Hello ${user.name},`,
+        '',
+        `${req.user.name || req.user.username} has reset your Regal Pharma Reports password.`,
+        '',
+        `Sign in at: ${appUrl('/login')}`,
+        `Username: ${user.username}`,
+        `Temporary password: ${password}`,
+        '',
+        'You will be asked to choose a new password when you sign in.'
+      ].join('\n')
+    }) : false;
+    
+    // The temporary password goes back to the supervisor only when it could not be emailed,
+    // and is never logged
+    res.locals.audit = { details: { username: user.username, name: user.name, emailed, sessions_ended: sessions } };
+    
+    res.json({
+      success: true,
+      message: emailed
+        ? `Password reset - the temporary password was emailed to ${user.email}`
+        : 'Password reset - hand the temporary password over to them',
+      data: { ...(emailed ? {} : { temporary_password: password }), emailed, sessions_ended: sessions }
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password'
+    });
+  }
+});
+
 module.exports = router;
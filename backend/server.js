@@ -13,9 +13,26 @@ const authRoutes = require('./routes/auth');
 const reportRoutes = require('./routes/reports');
 const analyticsRoutes = require('./routes/analytics');
 const userRoutes = require('./routes/users');
+const hcpRoutes = require('./routes/hcps');
+const outletRoutes = require('./routes/outlets');
+const productRoutes = require('./routes/products');
+const territoryRoutes = require('./routes/territories');
+const roleRoutes = require('./routes/roles');
+const targetRoutes = require('./routes/targets');
+const journeyPlanRoutes = require('./routes/journeyPlans');
+const auditRoutes = require('./routes/audit');
+const expenseRoutes = require('./routes/expenses');
+const leaveRoutes = require('./routes/leave');
+const holidayRoutes = require('./routes/holidays');
+const notificationRoutes = require('./routes/notifications');
 
 // Import auth middleware
 const { authenticateToken } = require('./middleware/auth');
+const { auditMutations } = require('./middleware/audit');
+
+// Scheduled jobs
+const { scheduleDaily, startScheduler } = require('./jobs/scheduler');
+const { sendMissingReportReminders } = require('./jobs/missingReports');
 
 const app = express();
 
@@ -26,11 +43,21 @@ console.log('\n' + '='.repeat(50));
 console.log('STARTING REGAL PHARMA API SERVER...');
 console.log('='.repeat(50));
 
+// Client IPs for audit logs and sessions come from req.ip, so only trust X-Forwarded-For from our
+// own proxies. TRUST_PROXY is a hop count (1 on Render), a list of proxy addresses or true/false.
+const trustProxy = process.env.TRUST_PROXY || 'false';
+if (/^\d+$/.test(trustProxy)) {
+  app.set('trust proxy', parseInt(trustProxy));
+} else {
+  app.set('trust proxy', trustProxy === 'true' || (trustProxy !== 'false' && trustProxy));
+}
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
 
-// Morgan logging
+// Morgan logging - event streams carry the access token in the URL, so keep it out of the logs
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/access_token=[^&]*/, 'access_token=[redacted]'));
 app.use(morgan('combined'));
 
 // ========== PRODUCTION CORS CONFIGURATION ==========
@@ -101,9 +128,13 @@ app.get('/api/test', (req, res) => {
 });
 
 // ====================== AUTH ROUTES ======================
+// Logins and logouts are audited by the auth routes themselves
 app.use('/api/auth', authRoutes);
 
 // ====================== PROTECTED ROUTES ======================
+// Every change made through the API below is written to the audit log
+app.use('/api', auditMutations);
+
 app.get('/api/test-auth', authenticateToken, (req, res) => {
   res.json({
     success: true,
@@ -111,7 +142,8 @@ app.get('/api/test-auth', authenticateToken, (req, res) => {
     user: {
       id: req.user._id,
       username: req.user.username,
-      role: req.user.role
+      role: req.user.role,
+      permissions: req.user.permissions
     },
     timestamp: new Date().toISOString()
   });
@@ -120,6 +152,18 @@ app.get('/api/test-auth', authenticateToken, (req, res) => {
 app.use('/api/reports', authenticateToken, reportRoutes);
 app.use('/api/analytics', authenticateToken, analyticsRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/hcps', authenticateToken, hcpRoutes);
+app.use('/api/outlets', authenticateToken, outletRoutes);
+app.use('/api/products', authenticateToken, productRoutes);
+app.use('/api/territories', authenticateToken, territoryRoutes);
+app.use('/api/roles', authenticateToken, roleRoutes);
+app.use('/api/targets', authenticateToken, targetRoutes);
+app.use('/api/journey-plans', authenticateToken, journeyPlanRoutes);
+app.use('/api/audit', authenticateToken, auditRoutes);
+app.use('/api/expenses', authenticateToken, expenseRoutes);
+app.use('/api/leave', authenticateToken, leaveRoutes);
+app.use('/api/holidays', authenticateToken, holidayRoutes);
+app.use('/api/notifications', authenticateToken, notificationRoutes);
 
 // ====================== ERROR HANDLING ======================
 // 404 handler
@@ -135,14 +179,80 @@ app.use('*', (req, res) => {
       'GET  /api/health',
       'GET  /api/test',
       'POST /api/auth/login',
+      'POST /api/auth/refresh',
       'POST /api/auth/logout',
+      'POST /api/auth/logout-all',
+      'GET  /api/auth/sessions',
+      'POST /api/auth/change-password',
+      'POST /api/auth/forgot-password',
+      'POST /api/auth/reset-password',
       'GET  /api/test-auth',
       'GET  /api/reports/my-reports',
       'GET  /api/reports/all',
+      'GET  /api/reports/user/:id',
+      'GET  /api/reports/review-queue',
+      'POST /api/reports/:id/submit',
+      'POST /api/reports/:id/review',
+      'GET  /api/reports/:id/revisions',
+      'GET  /api/reports/missing',
+      'GET  /api/reports/stream',
+      'GET  /api/reports/comments/feed',
+      'GET  /api/reports/:id/comments',
+      'POST /api/reports/:id/comments',
+      'POST /api/reports/:id/comments/read',
+      'DELETE /api/reports/:id/comments/:commentId',
       'POST /api/reports/create',
+      'POST /api/reports/import',
       'GET  /api/reports/:id',
       'GET  /api/analytics/*',
-      'GET  /api/users/*'
+      'GET  /api/users/*',
+      'GET  /api/users/org-chart',
+      'GET  /api/users/team-members',
+      'GET  /api/users/search',
+      'GET  /api/users/:id/performance',
+      'POST /api/users/import',
+      'PUT  /api/users/:id/manager',
+      'POST /api/users/:id/reset-password',
+      'GET  /api/hcps',
+      'GET  /api/hcps/:id/coverage',
+      'GET  /api/outlets',
+      'GET  /api/products',
+      'GET  /api/territories/tree',
+      'GET  /api/targets',
+      'PUT  /api/targets',
+      'GET  /api/analytics/targets',
+      'GET  /api/analytics/team-targets',
+      'GET  /api/journey-plans/my-plans',
+      'GET  /api/journey-plans/team',
+      'PUT  /api/journey-plans',
+      'POST /api/journey-plans/:id/submit',
+      'POST /api/journey-plans/:id/review',
+      'GET  /api/analytics/plan-adherence',
+      'GET  /api/expenses/my-expenses',
+      'GET  /api/expenses/team',
+      'GET  /api/expenses/summary',
+      'GET  /api/expenses/report/:reportId',
+      'POST /api/expenses',
+      'POST /api/expenses/:id/review',
+      'GET  /api/leave/my-leave',
+      'GET  /api/leave/team',
+      'POST /api/leave',
+      'POST /api/leave/:id/review',
+      'POST /api/leave/:id/cancel',
+      'GET  /api/holidays',
+      'POST /api/holidays',
+      'GET  /api/analytics/submission-rate',
+      'GET  /api/analytics/export/team',
+      'GET  /api/analytics/export/member/:userId',
+      'GET  /api/notifications',
+      'GET  /api/notifications/unread-count',
+      'POST /api/notifications/:id/read',
+      'POST /api/notifications/read-all',
+      'GET  /api/roles',
+      'GET  /api/audit',
+      'GET  /api/audit/actions',
+      'GET  /api/audit/export',
+      'PUT  /api/roles/:name'
     ]
   });
 });
@@ -156,6 +266,12 @@ app.use((err, req, res, next) => {
   });
 });
 
+// ====================== SCHEDULED JOBS ======================
+// Reminders go out at the report cut-off, server-local time (set TZ, e.g. Africa/Kigali)
+if (process.env.REPORT_REMINDERS_ENABLED !== 'false') {
+  scheduleDaily('missing-report-reminders', process.env.REPORT_CUTOFF_TIME || '18:00', sendMissingReportReminders);
+}
+
 // ====================== START SERVER ======================
 const PORT = process.env.PORT || 5000;
 
@@ -164,6 +280,7 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`🌍 Allowed origins: ${allowedOrigins.join(', ')}`);
   console.log('='.repeat(50));
+  startScheduler();
   console.log('\n✅ Backend ready!');
   console.log(`📡 Endpoint: https://regal-pharma-backend.onrender.com`);
 });
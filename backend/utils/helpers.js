@@ -0,0 +1,37 @@
+// ====================== SHARED HELPERS ======================
+// Small helpers used across routes, models, imports and exports - defined once here so every
+// module escapes text and counts days the same way.
+
+// ====================== DATES ======================
+// Report dates, holidays, leave and plans are stored as midnight UTC
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD of a date in UTC
+const dayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const startOfUTCDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Parse a YYYY-MM-DD (or any date) value to midnight UTC, or null if it is not a date
+const parseDay = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return startOfUTCDay(date);
+};
+
+// ====================== TEXT ======================
+
+// Literal text for use inside a $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Text typed in by users that a spreadsheet would run as a formula (=, +, -, @, tab or CR first)
+// gets a leading ' so it opens as plain text. Numbers are left alone, negative ones included.
+const neutralizeFormula = (value) =>
+  typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+const escapeCsv = (value) => {
+  const text = String(neutralizeFormula(value) ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+module.exports = { DAY_MS, dayKey, startOfUTCDay, parseDay, escapeRegex, neutralizeFormula, escapeCsv };
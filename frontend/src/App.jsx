@@ -1,7 +1,9 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Login from './components/Login';
+import { ForgotPassword, ResetPassword } from './components/PasswordReset';
+import Profile from './components/Profile';
 import MedRepDashboard from './components/MedRepDashboard';
 import SupervisorDashboard from './components/SupervisorDashboard';
 import DailyReport from './components/DailyReport';
@@ -9,6 +11,17 @@ import ReportsHistory from './components/ReportsHistory';
 import PersonalAnalytics from './components/PersonalAnalytics';
 import TeamAnalytics from './components/TeamAnalytics';
 import TeamManagement from './components/TeamManagement'; // NEW IMPORT
+import OutletManagement from './components/OutletManagement';
+import ProductManagement from './components/ProductManagement';
+import TerritoryManagement from './components/TerritoryManagement';
+import OrgChart from './components/OrgChart';
+import RoleManagement from './components/RoleManagement';
+import JourneyPlanner from './components/JourneyPlanner';
+import Expenses from './components/Expenses';
+import LeaveCalendar from './components/LeaveCalendar';
+import ReviewQueue from './components/ReviewQueue';
+import ReportImport from './components/ReportImport';
+import AuditLog from './components/AuditLog';
 import Layout from './components/Layout';
 
 // Loading component for better UX
@@ -39,8 +52,9 @@ const LoadingSpinner = () => (
   </div>
 );
 
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
-  const { user, loading } = useAuth();
+const ProtectedRoute = ({ children, allowedRoles = [], permission }) => {
+  const { user, loading, hasPermission } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return <LoadingSpinner />;
@@ -53,21 +67,32 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
 
   console.log('👤 ProtectedRoute - User role:', user.role);
   
+  // A temporary password has to be replaced before anything else
+  if (user.must_change_password && location.pathname !== '/profile') {
+    console.log('🔑 ProtectedRoute: Password change required, redirecting to profile');
+    return <Navigate to="/profile" replace />;
+  }
+  
   if (allowedRoles.length > 0 && !allowedRoles.includes(user.role)) {
     console.log(`🚫 ProtectedRoute: Role ${user.role} not allowed, redirecting`);
     return <Navigate to="/dashboard" replace />;
   }
 
+  if (permission && !hasPermission(permission)) {
+    console.log(`🚫 ProtectedRoute: Missing permission ${permission}, redirecting`);
+    return <Navigate to="/dashboard" replace />;
+  }
+
   return children;
 };
 
 // Role-based dashboard component
 const RoleBasedDashboard = () => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   
   console.log('🎯 RoleBasedDashboard - User role:', user?.role);
   
-  if (user?.role === 'supervisor' || user?.role === 'admin') {
+  if (hasPermission('reports:read:team')) {
     console.log('➡️ Redirecting to SupervisorDashboard');
     return <Navigate to="/supervisor-dashboard" replace />;
   } else {
@@ -78,11 +103,11 @@ const RoleBasedDashboard = () => {
 
 // Role-based analytics component
 const RoleBasedAnalytics = () => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   
   console.log('📊 RoleBasedAnalytics - User role:', user?.role);
   
-  if (user?.role === 'supervisor' || user?.role === 'admin') {
+  if (hasPermission('analytics:read:team')) {
     return <TeamAnalytics />;
   } else {
     return <PersonalAnalytics />;
@@ -91,11 +116,11 @@ const RoleBasedAnalytics = () => {
 
 // Supervisor Dashboard Route
 const SupervisorDashboardRoute = () => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   
   console.log('👨‍💼 SupervisorDashboardRoute - User role:', user?.role);
   
-  if (user?.role === 'supervisor' || user?.role === 'admin') {
+  if (hasPermission('reports:read:team')) {
     return <SupervisorDashboard />;
   } else {
     console.log('🚫 Access denied to supervisor dashboard, redirecting');
@@ -103,13 +128,13 @@ const SupervisorDashboardRoute = () => {
   }
 };
 
-// Team Management Route - Only for supervisors/admins
+// Team Management Route - Only for users who can see the team
 const TeamManagementRoute = () => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   
   console.log('👥 TeamManagementRoute - User role:', user?.role);
   
-  if (user?.role === 'supervisor' || user?.role === 'admin') {
+  if (hasPermission('users:read')) {
     return <TeamManagement />;
   } else {
     console.log('🚫 Access denied to team management, redirecting');
@@ -117,6 +142,66 @@ const TeamManagementRoute = () => {
   }
 };
 
+// Outlet Management Route - Only for supervisors/admins
+const OutletManagementRoute = () => {
+  const { hasPermission } = useAuth();
+  
+  if (hasPermission('outlets:write')) {
+    return <OutletManagement />;
+  } else {
+    console.log('🚫 Access denied to outlet management, redirecting');
+    return <Navigate to="/dashboard" replace />;
+  }
+};
+
+// Product Catalog Route - Only for supervisors/admins
+const ProductManagementRoute = () => {
+  const { hasPermission } = useAuth();
+  
+  if (hasPermission('products:write')) {
+    return <ProductManagement />;
+  } else {
+    console.log('🚫 Access denied to product catalog, redirecting');
+    return <Navigate to="/dashboard" replace />;
+  }
+};
+
+// Territory Management Route - Only for supervisors/admins
+const TerritoryManagementRoute = () => {
+  const { hasPermission } = useAuth();
+  
+  if (hasPermission('territories:write')) {
+    return <TerritoryManagement />;
+  } else {
+    console.log('🚫 Access denied to territory management, redirecting');
+    return <Navigate to="/dashboard" replace />;
+  }
+};
+
+// Org Chart Route - Only for users who can see the team
+const OrgChartRoute = () => {
+  const { hasPermission } = useAuth();
+  
+  if (hasPermission('users:read')) {
+    return <OrgChart />;
+  } else {
+    console.log('🚫 Access denied to org chart, redirecting');
+    return <Navigate to="/dashboard" replace />;
+  }
+};
+
+// Role Management Route - Only for users who manage roles
+const RoleManagementRoute = () => {
+  const { hasPermission } = useAuth();
+  
+  if (hasPermission('roles:manage')) {
+    return <RoleManagement />;
+  } else {
+    console.log('🚫 Access denied to role management, redirecting');
+    return <Navigate to="/dashboard" replace />;
+  }
+};
+
 // Main App Component
 function App() {
   return (
@@ -125,6 +210,8 @@ function App() {
         <Routes>
           {/* Login route should NOT be wrapped in Layout */}
           <Route path="/login" element={<Login />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
           
           {/* All other routes are wrapped in Layout */}
           <Route path="/" element={<Layout />}>
@@ -144,7 +231,7 @@ function App() {
             <Route 
               path="supervisor-dashboard" 
               element={
-                <ProtectedRoute allowedRoles={['supervisor', 'admin']}>
+                <ProtectedRoute permission="reports:read:team">
                   <SupervisorDashboardRoute />
                 </ProtectedRoute>
               } 
@@ -154,12 +241,52 @@ function App() {
             <Route 
               path="daily-report" 
               element={
-                <ProtectedRoute>
+                <ProtectedRoute permission="reports:write:own">
                   <DailyReport />
                 </ProtectedRoute>
               } 
             />
             
+            {/* JOURNEY PLAN - Reps plan their week, supervisors review */}
+            <Route 
+              path="journey-plan" 
+              element={
+                <ProtectedRoute>
+                  <JourneyPlanner />
+                </ProtectedRoute>
+              } 
+            />
+            
+            {/* EXPENSES - Reps claim costs against reports, supervisors approve */}
+            <Route 
+              path="expenses" 
+              element={
+                <ProtectedRoute>
+                  <Expenses />
+                </ProtectedRoute>
+              } 
+            />
+            
+            {/* LEAVE & HOLIDAYS - Leave requests, holiday calendar and report compliance */}
+            <Route 
+              path="leave" 
+              element={
+                <ProtectedRoute>
+                  <LeaveCalendar />
+                </ProtectedRoute>
+              } 
+            />
+            
+            {/* REVIEW QUEUE - Supervisors approve or return submitted reports */}
+            <Route 
+              path="review-queue" 
+              element={
+                <ProtectedRoute permission="reports:approve">
+                  <ReviewQueue />
+                </ProtectedRoute>
+              } 
+            />
+            
             {/* REPORTS HISTORY - For all authenticated users */}
             <Route 
               path="reports" 
@@ -170,6 +297,16 @@ function App() {
               } 
             />
             
+            {/* REPORT IMPORT - Historical reports from spreadsheets */}
+            <Route 
+              path="report-import" 
+              element={
+                <ProtectedRoute permission="reports:import">
+                  <ReportImport />
+                </ProtectedRoute>
+              } 
+            />
+            
             {/* ANALYTICS - Role-based */}
             <Route 
               path="analytics" 
@@ -184,21 +321,81 @@ function App() {
             <Route 
               path="team-management" 
               element={
-                <ProtectedRoute allowedRoles={['supervisor', 'admin']}>
+                <ProtectedRoute permission="users:read">
                   <TeamManagementRoute />
                 </ProtectedRoute>
               } 
             />
             
-            {/* PROFILE PAGE (optional - you might want to add this later) */}
-            {/* <Route 
+            {/* OUTLET MANAGEMENT - Only for supervisors/admins */}
+            <Route 
+              path="outlet-management" 
+              element={
+                <ProtectedRoute permission="outlets:write">
+                  <OutletManagementRoute />
+                </ProtectedRoute>
+              } 
+            />
+            
+            {/* PRODUCT CATALOG - Only for supervisors/admins */}
+            <Route 
+              path="product-management" 
+              element={
+                <ProtectedRoute permission="products:write">
+                  <ProductManagementRoute />
+                </ProtectedRoute>
+              } 
+            />
+            
+            {/* TERRITORY MANAGEMENT - Only for supervisors/admins */}
+            <Route 
+              path="territory-management" 
+              element={
+                <ProtectedRoute permission="territories:write">
+                  <TerritoryManagementRoute />
+                </ProtectedRoute>
+              } 
+            />
+            
+            {/* ORG CHART - Only for supervisors/admins */}
+            <Route 
+              path="org-chart" 
+              element={
+                <ProtectedRoute permission="users:read">
+                  <OrgChartRoute />
+                </ProtectedRoute>
+              } 
+            />
+            
+            {/* ROLE MANAGEMENT - Only for users who manage roles */}
+            <Route 
+              path="role-management" 
+              element={
+                <ProtectedRoute permission="roles:manage">
+                  <RoleManagementRoute />
+                </ProtectedRoute>
+              } 
+            />
+            
+            {/* AUDIT LOG - Admins and auditors */}
+            <Route 
+              path="audit-log" 
+              element={
+                <ProtectedRoute permission="audit:read">
+                  <AuditLog />
+                </ProtectedRoute>
+              } 
+            />
+            
+            {/* PROFILE - Own details, password and signed-in devices */}
+            <Route 
               path="profile" 
               element={
                 <ProtectedRoute>
                   <Profile />
                 </ProtectedRoute>
               } 
-            /> */}
+            />
           </Route>
           
           {/* 404 route - at root level */}
@@ -0,0 +1,426 @@
+import React, { useState, useEffect } from 'react'
+import { auditAPI, exportAPI } from '../services/api'
+
+const emptyFilters = () => ({
+  action: '',
+  outcome: '',
+  resource_type: '',
+  from: '',
+  to: '',
+  search: ''
+})
+
+// Only send the filters that have a value
+const activeFilters = (filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
+
+const formatTime = (dateString) =>
+  new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  })
+
+// Append-only record of every change made through the API and every sign-in
+const AuditLog = () => {
+  const [entries, setEntries] = useState([])
+  const [actions, setActions] = useState([])
+  const [filters, setFilters] = useState(emptyFilters())
+  const [appliedFilters, setAppliedFilters] = useState({})
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 })
+  const [page, setPage] = useState(1)
+  const [expanded, setExpanded] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [exporting, setExporting] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadActions()
+  }, [])
+
+  useEffect(() => {
+    loadEntries()
+  }, [page, appliedFilters])
+
+  const loadActions = async () => {
+    try {
+      const response = await auditAPI.getActions()
+      if (response.data.success) setActions(response.data.data || [])
+    } catch (error) {
+      console.error('Error loading audit actions:', error)
+    }
+  }
+
+  const loadEntries = async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const response = await auditAPI.getEntries({ ...appliedFilters, page, limit: 50 })
+      if (response.data.success) {
+        setEntries(response.data.data.entries || [])
+        setPagination(response.data.data.pagination)
+      }
+    } catch (error) {
+      console.error('Error loading audit log:', error)
+      setError(error.response?.data?.message || 'Failed to load audit log')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const applyFilters = (e) => {
+    e.preventDefault()
+    setPage(1)
+    setAppliedFilters(activeFilters(filters))
+  }
+
+  const clearFilters = () => {
+    setFilters(emptyFilters())
+    setPage(1)
+    setAppliedFilters({})
+  }
+
+  const exportCsv = async () => {
+    try {
+      setExporting(true)
+      const response = await auditAPI.exportCsv(appliedFilters)
+      exportAPI.downloadFile(
+        new Blob([response.data], { type: 'text/csv' }),
+        `audit-log-${new Date().toISOString().split('T')[0]}.csv`
+      )
+    } catch (error) {
+      console.error('Error exporting audit log:', error)
+      setError('Failed to export audit log')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }))
+
+  return (
+    <div className="audit-container">
+      {/* Header */}
+      <div className="audit-header">
+        <div>
+          <h1>Audit Log</h1>
+          <p className="header-subtitle">
+            Every change made in the system and every sign-in, with who did it and when. Entries cannot be edited or deleted.
+          </p>
+        </div>
+        <button onClick={exportCsv} disabled={exporting} className="save-button">
+          {exporting ? 'Exporting...' : '⬇️ Export CSV'}
+        </button>
+      </div>
+
+      {/* Filters */}
+      <form onSubmit={applyFilters} className="audit-filters">
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => updateFilter('search', e.target.value)}
+          placeholder="Search user, path, ID or IP"
+          className="audit-input wide"
+        />
+        <select value={filters.action} onChange={(e) => updateFilter('action', e.target.value)} className="audit-input">
+          <option value="">All actions</option>
+          {[...new Set(actions.map(action => action.split('.')[0]))].map(resource => (
+            <option key={resource} value={`${resource}.`}>{resource}.*</option>
+          ))}
+          {actions.map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <select value={filters.outcome} onChange={(e) => updateFilter('outcome', e.target.value)} className="audit-input">
+          <option value="">Any outcome</option>
+          <option value="success">Success</option>
+          <option value="failure">Failure</option>
+        </select>
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => updateFilter('from', e.target.value)}
+          className="audit-input"
+          title="From"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => updateFilter('to', e.target.value)}
+          className="audit-input"
+          title="To"
+        />
+        <button type="submit" className="save-button">Apply</button>
+        <button type="button" onClick={clearFilters} className="cancel-button">Clear</button>
+      </form>
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-card">
+          <div className="error-content">
+            <div className="error-text">{error}</div>
+            <button onClick={() => setError('')} className="error-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="audit-card">
+        <div className="audit-summary">
+          {pagination.total.toLocaleString()} entries • Page {pagination.page} of {Math.max(pagination.pages, 1)}
+        </div>
+
+        {loading ? (
+          <div className="audit-empty">Loading...</div>
+        ) : entries.length === 0 ? (
+          <div className="audit-empty">No audit entries match these filters.</div>
+        ) : (
+          <div className="audit-table-wrapper">
+            <table className="audit-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>User</th>
+                  <th>Action</th>
+                  <th>Resource</th>
+                  <th>Outcome</th>
+                  <th>IP</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <React.Fragment key={entry._id}>
+                    <tr
+                      onClick={() => setExpanded(expanded === entry._id ? null : entry._id)}
+                      className={`audit-row ${expanded === entry._id ? 'open' : ''}`}
+                    >
+                      <td className="audit-time">{formatTime(entry.createdAt)}</td>
+                      <td>
+                        <div className="audit-actor">{entry.actor_name || 'Anonymous'}</div>
+                        {entry.actor_role && <div className="audit-muted">{entry.actor_role}</div>}
+                      </td>
+                      <td><code className="audit-action">{entry.action}</code></td>
+                      <td>
+                        <div>{entry.resource_type || '—'}</div>
+                        {entry.resource_id && <div className="audit-muted">{entry.resource_id}</div>}
+                      </td>
+                      <td>
+                        <span className={`audit-outcome ${entry.outcome}`}>
+                          {entry.outcome}{entry.status_code ? ` (${entry.status_code})` : ''}
+                        </span>
+                      </td>
+                      <td className="audit-muted">{entry.ip || '—'}</td>
+                    </tr>
+                    {expanded === entry._id && (
+                      <tr className="audit-details-row">
+                        <td colSpan={6}>
+                          <div className="audit-muted">{entry.method} {entry.path}</div>
+                          {entry.user_agent && <div className="audit-muted">{entry.user_agent}</div>}
+                          {entry.details !== undefined && (
+                            <pre className="audit-details">{JSON.stringify(entry.details, null, 2)}</pre>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="audit-pagination">
+            <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="cancel-button">
+              Previous
+            </button>
+            <span>Page {pagination.page} of {pagination.pages}</span>
+            <button onClick={() => setPage(page + 1)} disabled={page >= pagination.pages} className="cancel-button">
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.audit-container {
+  padding: 30px;
+  min-height: 100vh;
+  font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+}
+
+.audit-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 20px;
+  background: #ffffff;
+  padding: 30px;
+  border-radius: 16px;
+  margin-bottom: 24px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+}
+
+.audit-header h1 {
+  margin: 0 0 8px 0;
+  color: #1e293b;
+  font-size: 28px;
+  font-weight: 700;
+}
+
+.audit-filters {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 24px;
+}
+
+.audit-input {
+  padding: 9px 12px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  background: #ffffff;
+  font-size: 14px;
+  font-family: inherit;
+}
+
+.audit-input.wide {
+  flex: 1;
+  min-width: 220px;
+}
+
+.audit-card {
+  background: #ffffff;
+  padding: 24px;
+  border-radius: 16px;
+  border: 1px solid #e2e8f0;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+}
+
+.audit-summary {
+  margin-bottom: 16px;
+  font-size: 13px;
+  color: #64748b;
+}
+
+.audit-empty {
+  padding: 40px;
+  text-align: center;
+  color: #94a3b8;
+}
+
+.audit-table-wrapper {
+  overflow-x: auto;
+}
+
+.audit-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+}
+
+.audit-table th {
+  padding: 10px 12px;
+  background: #f8fafc;
+  color: #475569;
+  font-weight: 600;
+  text-align: left;
+  border-bottom: 1px solid #e2e8f0;
+}
+
+.audit-table td {
+  padding: 10px 12px;
+  border-bottom: 1px solid #f1f5f9;
+  vertical-align: top;
+}
+
+.audit-row {
+  cursor: pointer;
+}
+
+.audit-row:hover,
+.audit-row.open {
+  background: #f8fafc;
+}
+
+.audit-time {
+  white-space: nowrap;
+  color: #334155;
+}
+
+.audit-actor {
+  font-weight: 500;
+  color: #1e293b;
+}
+
+.audit-muted {
+  font-size: 12px;
+  color: #94a3b8;
+  word-break: break-all;
+}
+
+.audit-action {
+  padding: 2px 6px;
+  border-radius: 4px;
+  background: #f1f5f9;
+  color: #334155;
+  font-size: 12px;
+}
+
+.audit-outcome {
+  padding: 2px 8px;
+  border-radius: 999px;
+  font-size: 12px;
+  font-weight: 600;
+  white-space: nowrap;
+}
+
+.audit-outcome.success {
+  background: #dcfce7;
+  color: #15803d;
+}
+
+.audit-outcome.failure {
+  background: #fee2e2;
+  color: #b91c1c;
+}
+
+.audit-details-row td {
+  background: #f8fafc;
+}
+
+.audit-details {
+  margin: 8px 0 0 0;
+  padding: 12px;
+  border-radius: 8px;
+  background: #1e293b;
+  color: #e2e8f0;
+  font-size: 12px;
+  max-height: 300px;
+  overflow: auto;
+}
+
+.audit-pagination {
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  gap: 16px;
+  margin-top: 20px;
+  color: #64748b;
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default AuditLog
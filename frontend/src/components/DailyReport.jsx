@@ -1,10 +1,52 @@
-import React, { useState } from 'react'
-import { reportsAPI } from '../services/api'
+import React, { useState, useEffect } from 'react'
+import { useSearchParams, useNavigate } from 'react-router-dom'
+import { reportsAPI, hcpsAPI, outletsAPI, productsAPI } from '../services/api'
 import { useAuth } from '../contexts/AuthContext'
 
+// HCP specialty -> report counter it rolls up into
+const SPECIALTY_FIELDS = {
+  dentist: 'dentists',
+  physiotherapist: 'physiotherapists',
+  gynecologist: 'gynecologists',
+  internist: 'internists',
+  general_practitioner: 'general_practitioners',
+  pediatrician: 'pediatricians',
+  dermatologist: 'dermatologists'
+}
+
+// Outlet type -> report counter it rolls up into (wholesalers are tracked but not counted)
+const OUTLET_TYPE_FIELDS = {
+  pharmacy: 'pharmacies',
+  dispensary: 'dispensaries'
+}
+
+const formatSpecialty = (specialty) => 
+  (specialty || '').split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+
+const hcpMeta = (hcp) => 
+  `${formatSpecialty(hcp.specialty)}${hcp.facility ? ` • ${hcp.facility}` : ''}${hcp.town ? ` • ${hcp.town}` : ''}`
+
+const outletMeta = (outlet) => 
+  `${formatSpecialty(outlet.type)}${outlet.address ? ` • ${outlet.address}` : ''}`
+
+// Value of an order line after its percentage discount
+const getLineTotal = (line) => 
+  Math.round((parseInt(line.quantity) || 0) * (parseFloat(line.unit_price) || 0) * (100 - (parseFloat(line.discount) || 0))) / 100
+
+const getOrderTotal = (order) => 
+  order.lines.reduce((total, line) => total + getLineTotal(line), 0)
+
+const COUNTER_FIELDS = [
+  'dentists', 'physiotherapists', 'gynecologists', 'internists', 'general_practitioners',
+  'pediatricians', 'dermatologists', 'pharmacies', 'dispensaries', 'orders_count', 'orders_value'
+]
+
 const DailyReport = () => {
   const { user } = useAuth()
-  const [formData, setFormData] = useState({
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const editId = searchParams.get('edit')
+  const blankForm = () => ({
     report_date: new Date().toISOString().split('T')[0],
     region: user?.region || '',
     dentists: '',
@@ -20,8 +62,166 @@ const DailyReport = () => {
     orders_value: '',
     summary: ''
   })
+  const [formData, setFormData] = useState(blankForm)
+  // Draft or returned report being corrected, opened with ?edit=<id>
+  const [editingReport, setEditingReport] = useState(null)
   const [loading, setLoading] = useState(false)
   const [message, setMessage] = useState('')
+  const [visits, setVisits] = useState([])
+  const [orders, setOrders] = useState([])
+  const [products, setProducts] = useState([])
+
+  // Load the active product catalog for order lines
+  useEffect(() => {
+    const fetchProducts = async () => {
+      try {
+        const response = await productsAPI.getAll()
+        if (response.data.success) {
+          setProducts(response.data.data?.products || [])
+        }
+      } catch (error) {
+        console.error('Error loading products:', error)
+      }
+    }
+    fetchProducts()
+  }, [])
+
+  // Load a draft or returned report back into the form
+  useEffect(() => {
+    if (!editId) {
+      setEditingReport(null)
+      return
+    }
+
+    const fetchReport = async () => {
+      try {
+        const response = await reportsAPI.getReport(editId)
+        if (!response.data.success) return
+        const report = response.data.data
+        setEditingReport(report)
+        setFormData({
+          ...blankForm(),
+          report_date: String(report.report_date).slice(0, 10),
+          region: report.region || '',
+          summary: report.summary || '',
+          ...COUNTER_FIELDS.reduce((fields, field) => ({ ...fields, [field]: report[field] ?? '' }), {})
+        })
+        setVisits((report.visits || []).filter(visit => visit.hcp || visit.outlet).map(visit => ({
+          hcp: visit.hcp || undefined,
+          outlet: visit.outlet || undefined,
+          call_time: visit.call_time || '',
+          products_detailed: (visit.products_detailed || []).map(product => product._id || product),
+          samples: (visit.samples || []).map(sample => ({ product: sample.product?._id || sample.product, quantity: sample.quantity })),
+          objective: visit.objective || '',
+          outcome: visit.outcome || '',
+          next_step: visit.next_step || '',
+          notes: visit.notes || ''
+        })))
+        setOrders((report.orders || []).filter(order => order.outlet).map(order => ({
+          outlet: order.outlet,
+          lines: order.lines.map(line => ({
+            product: line.product?._id || line.product,
+            quantity: line.quantity,
+            unit_price: line.unit_price,
+            discount: line.discount || 0
+          }))
+        })))
+      } catch (error) {
+        console.error('Error loading report:', error)
+        setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to load report' })
+      }
+    }
+    fetchReport()
+  }, [editId])
+
+  const searchHcps = async (query) => {
+    const response = await hcpsAPI.search({ search: query, limit: 8 })
+    return response.data.success ? response.data.data?.hcps || [] : []
+  }
+
+  const searchOutlets = async (query) => {
+    const response = await outletsAPI.search({ search: query, limit: 8 })
+    return response.data.success ? response.data.data?.outlets || [] : []
+  }
+
+  // Each call starts at the current time with empty details
+  const addVisit = (visit) => {
+    setVisits(prev => [...prev, {
+      ...visit,
+      call_time: new Date().toTimeString().slice(0, 5),
+      products_detailed: [],
+      samples: [],
+      objective: '',
+      outcome: '',
+      next_step: '',
+      notes: ''
+    }])
+  }
+
+  const removeVisit = (visit) => {
+    setVisits(prev => prev.filter(v => v !== visit))
+  }
+
+  const updateVisit = (visit, changes) => {
+    setVisits(prev => prev.map(v => v === visit ? { ...v, ...changes } : v))
+  }
+
+  const emptyLine = () => ({ product: '', quantity: 1, unit_price: '', discount: 0 })
+
+  const addOrder = (outlet) => {
+    setOrders(prev => [...prev, { outlet, lines: [emptyLine()] }])
+  }
+
+  const removeOrder = (order) => {
+    setOrders(prev => prev.filter(o => o !== order))
+  }
+
+  const updateOrderLines = (order, lines) => {
+    setOrders(prev => prev.map(o => o === order ? { ...o, lines } : o))
+  }
+
+  const addOrderLine = (order) => {
+    updateOrderLines(order, [...order.lines, emptyLine()])
+  }
+
+  const removeOrderLine = (order, index) => {
+    updateOrderLines(order, order.lines.filter((_, i) => i !== index))
+  }
+
+  const updateOrderLine = (order, index, name, value) => {
+    updateOrderLines(order, order.lines.map((line, i) => {
+      if (i !== index) return line
+      const updated = { ...line, [name]: value }
+      // Picking a product fills in its catalog price
+      if (name === 'product') {
+        const product = products.find(p => p._id === value)
+        updated.unit_price = product ? product.unit_price : ''
+      }
+      return updated
+    }))
+  }
+
+  const ordersValue = Math.round(orders.reduce((total, order) => total + getOrderTotal(order), 0) * 100) / 100
+  const ordersCount = orders.length > 0 ? orders.length : (parseInt(formData.orders_count) || 0)
+  const orderValue = orders.length > 0 ? ordersValue : (parseFloat(formData.orders_value) || 0)
+
+  const hcpVisits = visits.filter(visit => visit.hcp)
+  const outletVisits = visits.filter(visit => visit.outlet)
+
+  // When visits are listed, the matching counters are calculated from them
+  const visitCounts = visits.reduce((counts, visit) => {
+    const field = visit.hcp 
+      ? SPECIALTY_FIELDS[visit.hcp.specialty] 
+      : OUTLET_TYPE_FIELDS[visit.outlet.type]
+    if (field) counts[field] = (counts[field] || 0) + 1
+    return counts
+  }, {})
+
+  const getDoctorCount = (field) => 
+    hcpVisits.length > 0 ? (visitCounts[field] || 0) : formData[field]
+
+  const getFacilityCount = (field) => 
+    outletVisits.length > 0 ? (visitCounts[field] || 0) : formData[field]
 
   const handleChange = (e) => {
     const { name, value } = e.target
@@ -39,8 +239,21 @@ const DailyReport = () => {
     }))
   }
 
-  const handleSubmit = async (e) => {
+  const handleDecimalChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value === '' ? '' : Math.max(0, parseFloat(value) || 0)
+    }))
+  }
+
+  const handleSubmit = (e) => {
     e.preventDefault()
+    saveReport(false)
+  }
+
+  // Drafts stay private until submitted; corrections to a returned report go back for review
+  const saveReport = async (asDraft) => {
     setLoading(true)
     setMessage('')
 
@@ -58,40 +271,60 @@ const DailyReport = () => {
       pharmacies: parseInt(formData.pharmacies) || 0,
       dispensaries: parseInt(formData.dispensaries) || 0,
       orders_count: parseInt(formData.orders_count) || 0,
-      orders_value: parseInt(formData.orders_value) || 0,
-      summary: formData.summary || ''
+      orders_value: parseFloat(formData.orders_value) || 0,
+      summary: formData.summary || '',
+      visits: visits.map(visit => ({
+        hcp: visit.hcp?._id,
+        outlet: visit.outlet?._id,
+        call_time: visit.call_time,
+        products_detailed: visit.products_detailed,
+        samples: visit.samples
+          .filter(sample => sample.product)
+          .map(sample => ({ product: sample.product, quantity: parseInt(sample.quantity) || 0 })),
+        objective: visit.objective,
+        outcome: visit.outcome,
+        next_step: visit.next_step,
+        notes: visit.notes
+      })),
+      orders: orders.map(order => ({
+        outlet: order.outlet._id,
+        lines: order.lines
+          .filter(line => line.product)
+          .map(line => ({
+            product: line.product,
+            quantity: parseInt(line.quantity) || 0,
+            unit_price: parseFloat(line.unit_price) || 0,
+            discount: parseFloat(line.discount) || 0
+          }))
+      }))
     }
 
     console.log('Submitting report:', submitData)
     console.log('User ID:', user?._id || user?.id)
 
     try {
-      const response = await reportsAPI.create(submitData)
+      let response
+      if (editingReport) {
+        response = await reportsAPI.updateReport(editingReport._id, submitData)
+        if (response.data.success && !asDraft) {
+          response = await reportsAPI.submitReport(editingReport._id)
+        }
+      } else {
+        response = await reportsAPI.create(asDraft ? { ...submitData, status: 'draft' } : submitData)
+      }
       console.log('API Response:', response.data)
       
       if (response.data.success) {
         setMessage({ 
           type: 'success', 
-          text: 'Report submitted successfully!' 
+          text: asDraft ? 'Draft saved. Submit it when the day is complete.' : 'Report submitted successfully!' 
         })
         
         // Reset form
-        setFormData({
-          report_date: new Date().toISOString().split('T')[0],
-          region: user?.region || '',
-          dentists: '',
-          physiotherapists: '',
-          gynecologists: '',
-          internists: '',
-          general_practitioners: '',
-          pediatricians: '',
-          dermatologists: '',
-          pharmacies: '',
-          dispensaries: '',
-          orders_count: '',
-          orders_value: '',
-          summary: ''
-        })
+        setFormData(blankForm())
+        setVisits([])
+        setOrders([])
+        if (editingReport) navigate('/daily-report', { replace: true })
         
         // Trigger dashboard refresh
         setTimeout(() => {
@@ -137,7 +370,7 @@ const DailyReport = () => {
     setLoading(false)
   }
 
-  const totalDoctors = (
+  const totalDoctors = hcpVisits.length > 0 ? hcpVisits.length : (
     (parseInt(formData.dentists) || 0) +
     (parseInt(formData.physiotherapists) || 0) +
     (parseInt(formData.gynecologists) || 0) +
@@ -147,7 +380,8 @@ const DailyReport = () => {
     (parseInt(formData.dermatologists) || 0)
   )
 
-  const totalVisits = totalDoctors + (parseInt(formData.pharmacies) || 0) + (parseInt(formData.dispensaries) || 0)
+  const totalFacilities = (parseInt(getFacilityCount('pharmacies')) || 0) + (parseInt(getFacilityCount('dispensaries')) || 0)
+  const totalVisits = totalDoctors + totalFacilities
 
   return (
     <div className="daily-report-container">
@@ -189,19 +423,19 @@ const DailyReport = () => {
           color="#3b82f6"
         />
         <SummaryCard 
-          value={(parseInt(formData.pharmacies) || 0) + (parseInt(formData.dispensaries) || 0)} 
+          value={totalFacilities} 
           label="Facilities Visited"
           icon="🏢"
           color="#10b981"
         />
         <SummaryCard 
-          value={parseInt(formData.orders_count) || 0} 
+          value={ordersCount} 
           label="Orders Received"
           icon="📦"
           color="#f59e0b"
         />
         <SummaryCard 
-          value={`RWF ${(parseInt(formData.orders_value) || 0).toLocaleString()}`} 
+          value={`RWF ${orderValue.toLocaleString()}`} 
           label="Order Value"
           icon="💰"
           color="#8b5cf6"
@@ -210,6 +444,20 @@ const DailyReport = () => {
 
       {/* Main Form */}
       <div className="form-card">
+        {editingReport && (
+          <div className={`editing-banner ${editingReport.status}`}>
+            <div className="editing-title">
+              {editingReport.status === 'returned' ? '↩️ Returned for correction' : '📝 Editing draft'}
+              {' '}• {new Date(editingReport.report_date).toLocaleDateString()}
+            </div>
+            {editingReport.status === 'returned' && (
+              <div className="editing-reason">
+                {editingReport.status_history?.filter(change => change.to === 'returned').slice(-1)[0]?.reason}
+              </div>
+            )}
+          </div>
+        )}
+
         {message && (
           <div className={`message-alert ${message.type}`}>
             <div className="message-icon">
@@ -253,6 +501,47 @@ const DailyReport = () => {
             </div>
           </Section>
 
+          {/* Calls */}
+          <Section title="Calls" icon="🗓️">
+            <div className="form-row">
+              <SearchPicker
+                label="Log HCP Call"
+                placeholder="Search by doctor name, facility or town"
+                onSearch={searchHcps}
+                onSelect={(hcp) => addVisit({ hcp })}
+                getMeta={hcpMeta}
+              />
+              <SearchPicker
+                label="Log Outlet Call"
+                placeholder="Search by outlet name, address or license"
+                onSearch={searchOutlets}
+                onSelect={(outlet) => addVisit({ outlet })}
+                getMeta={outletMeta}
+              />
+            </div>
+
+            {visits.length > 0 ? (
+              <div className="call-list">
+                {visits.map((visit, index) => (
+                  <CallEditor
+                    key={`${(visit.hcp || visit.outlet)._id}-${index}`}
+                    visit={visit}
+                    products={products}
+                    onChange={(changes) => updateVisit(visit, changes)}
+                    onRemove={() => removeVisit(visit)}
+                  />
+                ))}
+                <div className="visit-hint">
+                  Doctor and facility counts below are calculated from the calls you have logged.
+                </div>
+              </div>
+            ) : (
+              <div className="visit-hint call-empty">
+                Log each call as you make it. If you do not log calls, enter the day's totals below.
+              </div>
+            )}
+          </Section>
+
           {/* Doctors Visited */}
           <Section title="Doctors Visited" icon="👨‍⚕️">
             <div className="doctors-grid">
@@ -269,9 +558,10 @@ const DailyReport = () => {
                   key={field.name}
                   label={field.label}
                   name={field.name}
-                  value={formData[field.name]}
+                  value={getDoctorCount(field.name)}
                   onChange={handleNumberChange}
                   icon={field.icon}
+                  disabled={hcpVisits.length > 0}
                 />
               ))}
             </div>
@@ -297,16 +587,18 @@ const DailyReport = () => {
               <NumberField
                 label="Pharmacies"
                 name="pharmacies"
-                value={formData.pharmacies}
+                value={getFacilityCount('pharmacies')}
                 onChange={handleNumberChange}
                 icon="💊"
+                disabled={outletVisits.length > 0}
               />
               <NumberField
                 label="Dispensaries"
                 name="dispensaries"
-                value={formData.dispensaries}
+                value={getFacilityCount('dispensaries')}
                 onChange={handleNumberChange}
                 icon="🏥"
+                disabled={outletVisits.length > 0}
               />
             </div>
             
@@ -329,25 +621,53 @@ const DailyReport = () => {
 
           {/* Orders */}
           <Section title="Orders Received" icon="📦">
+            <SearchPicker
+              label="Add Order at Outlet"
+              placeholder="Search for the outlet that placed the order"
+              onSearch={searchOutlets}
+              onSelect={addOrder}
+              getMeta={outletMeta}
+            />
+
+            {orders.map((order, index) => (
+              <OrderEditor
+                key={`${order.outlet._id}-${index}`}
+                order={order}
+                products={products}
+                onLineChange={(lineIndex, name, value) => updateOrderLine(order, lineIndex, name, value)}
+                onAddLine={() => addOrderLine(order)}
+                onRemoveLine={(lineIndex) => removeOrderLine(order, lineIndex)}
+                onRemove={() => removeOrder(order)}
+              />
+            ))}
+
+            {orders.length > 0 && (
+              <div className="visit-hint order-hint">
+                Order count and value below are calculated from the order lines you have added.
+              </div>
+            )}
+
             <div className="form-row">
               <NumberField
                 label="Number of Orders"
                 name="orders_count"
-                value={formData.orders_count}
+                value={orders.length > 0 ? ordersCount : formData.orders_count}
                 onChange={handleNumberChange}
                 icon="📊"
+                disabled={orders.length > 0}
               />
               <NumberField
                 label="Total Order Value (RWF)"
                 name="orders_value"
-                value={formData.orders_value}
-                onChange={handleNumberChange}
-                step="1000"
+                value={orders.length > 0 ? ordersValue : formData.orders_value}
+                onChange={handleDecimalChange}
+                step="0.01"
                 icon="💰"
+                disabled={orders.length > 0}
               />
             </div>
             
-            {(parseInt(formData.orders_count) > 0 || parseInt(formData.orders_value) > 0) && (
+            {(ordersCount > 0 || orderValue > 0) && (
               <div className="total-summary tertiary">
                 <div className="summary-icon">
                   <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -357,7 +677,7 @@ const DailyReport = () => {
                 <div>
                   <div className="summary-title">Order Summary</div>
                   <div className="summary-value">
-                    {parseInt(formData.orders_count) || 0} orders • RWF {(parseInt(formData.orders_value) || 0).toLocaleString()}
+                    {ordersCount} orders • RWF {orderValue.toLocaleString()}
                   </div>
                 </div>
               </div>
@@ -414,11 +734,20 @@ const DailyReport = () => {
                       <path d="M20 6L9 17L4 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                     </svg>
                   </span>
-                  Submit Report
+                  {editingReport?.status === 'returned' ? 'Resubmit Report' : 'Submit Report'}
                 </>
               )}
             </button>
             
+            <button
+              type="button"
+              onClick={() => saveReport(true)}
+              disabled={loading}
+              className="draft-button"
+            >
+              Save as Draft
+            </button>
+            
             <div className="submit-note">
               <span className="lock-icon">
                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -452,6 +781,307 @@ const DailyReport = () => {
 }
 
 // Reusable Components
+const SearchPicker = ({ label, placeholder, onSearch, onSelect, getMeta }) => {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+
+  // Search as the rep types
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults([])
+      return
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        setResults(await onSearch(query.trim()))
+      } catch (error) {
+        console.error('Search error:', error)
+        setResults([])
+      }
+    }, 300)
+
+    return () => clearTimeout(timer)
+  }, [query])
+
+  const select = (item) => {
+    onSelect(item)
+    setQuery('')
+    setResults([])
+  }
+
+  return (
+    <div className="hcp-picker">
+      <label className="field-label">
+        <span className="field-icon">🔍</span>
+        {label}
+      </label>
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={placeholder}
+        className="form-input"
+      />
+      {results.length > 0 && (
+        <div className="hcp-results">
+          {results.map(item => (
+            <button
+              key={item._id}
+              type="button"
+              onClick={() => select(item)}
+              className="hcp-result"
+            >
+              <span className="hcp-name">{item.name}</span>
+              <span className="hcp-meta">{getMeta(item)}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const CallEditor = ({ visit, products, onChange, onRemove }) => {
+  const target = visit.hcp || visit.outlet
+  const productLabel = (id) => {
+    const product = products.find(p => p._id === id)
+    return product ? `${product.sku} - ${product.name}` : 'Unknown product'
+  }
+
+  const addDetailedProduct = (productId) => {
+    if (productId && !visit.products_detailed.includes(productId)) {
+      onChange({ products_detailed: [...visit.products_detailed, productId] })
+    }
+  }
+
+  const updateSample = (index, changes) => {
+    onChange({ samples: visit.samples.map((sample, i) => i === index ? { ...sample, ...changes } : sample) })
+  }
+
+  return (
+    <div className="call-card">
+      <div className="call-header">
+        <input
+          type="time"
+          value={visit.call_time}
+          onChange={(e) => onChange({ call_time: e.target.value })}
+          className="form-input call-time"
+        />
+        <div className="visit-info">
+          <div className="hcp-name">{visit.hcp ? '👨‍⚕️' : '🏪'} {target.name}</div>
+          <div className="hcp-meta">{visit.hcp ? hcpMeta(target) : outletMeta(target)}</div>
+        </div>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="visit-remove"
+        >
+          &times;
+        </button>
+      </div>
+
+      <div className="call-grid">
+        <div className="call-field">
+          <label className="field-label">Products Detailed</label>
+          <div className="call-chips">
+            {visit.products_detailed.map(id => (
+              <span key={id} className="call-chip">
+                {productLabel(id)}
+                <button
+                  type="button"
+                  onClick={() => onChange({ products_detailed: visit.products_detailed.filter(p => p !== id) })}
+                >
+                  &times;
+                </button>
+              </span>
+            ))}
+          </div>
+          <select
+            value=""
+            onChange={(e) => addDetailedProduct(e.target.value)}
+            className="form-input"
+          >
+            <option value="">Add product...</option>
+            {products
+              .filter(product => !visit.products_detailed.includes(product._id))
+              .map(product => (
+                <option key={product._id} value={product._id}>{product.sku} - {product.name}</option>
+              ))}
+          </select>
+        </div>
+
+        <div className="call-field">
+          <label className="field-label">Samples Left</label>
+          {visit.samples.map((sample, index) => (
+            <div key={index} className="call-sample">
+              <select
+                value={sample.product}
+                onChange={(e) => updateSample(index, { product: e.target.value })}
+                className="form-input"
+              >
+                <option value="">Select product</option>
+                {products.map(product => (
+                  <option key={product._id} value={product._id}>{product.sku} - {product.name}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="1"
+                value={sample.quantity}
+                onChange={(e) => updateSample(index, { quantity: e.target.value })}
+                className="form-input"
+              />
+              <button
+                type="button"
+                onClick={() => onChange({ samples: visit.samples.filter((_, i) => i !== index) })}
+                className="visit-remove"
+              >
+                &times;
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => onChange({ samples: [...visit.samples, { product: '', quantity: 1 }] })}
+            className="order-add-line"
+          >
+            + Add sample
+          </button>
+        </div>
+
+        <div className="call-field">
+          <label className="field-label">Call Objective</label>
+          <input
+            type="text"
+            value={visit.objective}
+            onChange={(e) => onChange({ objective: e.target.value })}
+            placeholder="What did you plan to achieve?"
+            className="form-input"
+          />
+        </div>
+
+        <div className="call-field">
+          <label className="field-label">Outcome</label>
+          <input
+            type="text"
+            value={visit.outcome}
+            onChange={(e) => onChange({ outcome: e.target.value })}
+            placeholder="What was agreed or learned?"
+            className="form-input"
+          />
+        </div>
+
+        <div className="call-field">
+          <label className="field-label">Next Step</label>
+          <input
+            type="text"
+            value={visit.next_step}
+            onChange={(e) => onChange({ next_step: e.target.value })}
+            placeholder="Follow-up action"
+            className="form-input"
+          />
+        </div>
+
+        <div className="call-field">
+          <label className="field-label">Notes</label>
+          <input
+            type="text"
+            value={visit.notes}
+            onChange={(e) => onChange({ notes: e.target.value })}
+            placeholder="Other notes (optional)"
+            className="form-input"
+          />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+const OrderEditor = ({ order, products, onLineChange, onAddLine, onRemoveLine, onRemove }) => (
+  <div className="order-card">
+    <div className="order-header">
+      <div>
+        <div className="hcp-name">{order.outlet.name}</div>
+        <div className="hcp-meta">{outletMeta(order.outlet)}</div>
+      </div>
+      <button
+        type="button"
+        onClick={onRemove}
+        className="visit-remove"
+      >
+        &times;
+      </button>
+    </div>
+
+    <div className="order-lines">
+      <div className="order-line order-line-head">
+        <span>Product</span>
+        <span>Qty</span>
+        <span>Unit Price</span>
+        <span>Disc. %</span>
+        <span>Total</span>
+        <span></span>
+      </div>
+      {order.lines.map((line, index) => (
+        <div key={index} className="order-line">
+          <select
+            value={line.product}
+            onChange={(e) => onLineChange(index, 'product', e.target.value)}
+            className="form-input"
+          >
+            <option value="">Select product</option>
+            {products.map(product => (
+              <option key={product._id} value={product._id}>
+                {product.sku} - {product.name}{product.pack_size ? ` (${product.pack_size})` : ''}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="1"
+            value={line.quantity}
+            onChange={(e) => onLineChange(index, 'quantity', e.target.value)}
+            className="form-input"
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={line.unit_price}
+            onChange={(e) => onLineChange(index, 'unit_price', e.target.value)}
+            className="form-input"
+          />
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={line.discount}
+            onChange={(e) => onLineChange(index, 'discount', e.target.value)}
+            className="form-input"
+          />
+          <span className="order-line-total">{getLineTotal(line).toLocaleString()}</span>
+          <button
+            type="button"
+            onClick={() => onRemoveLine(index)}
+            disabled={order.lines.length === 1}
+            className="visit-remove"
+          >
+            &times;
+          </button>
+        </div>
+      ))}
+    </div>
+
+    <div className="order-footer">
+      <button type="button" onClick={onAddLine} className="order-add-line">
+        + Add product
+      </button>
+      <span className="order-total">Order total: RWF {getOrderTotal(order).toLocaleString()}</span>
+    </div>
+  </div>
+)
+
 const Section = ({ title, children, icon }) => (
   <div className="form-section">
     <div className="section-header">
@@ -490,7 +1120,7 @@ const FormField = ({ label, name, type = 'text', value, onChange, placeholder, r
   </div>
 )
 
-const NumberField = ({ label, name, value, onChange, step, icon }) => (
+const NumberField = ({ label, name, value, onChange, step, icon, disabled }) => (
   <div className="number-field">
     <label className="field-label">
       {icon && <span className="field-icon">{icon}</span>}
@@ -503,6 +1133,7 @@ const NumberField = ({ label, name, value, onChange, step, icon }) => (
       onChange={onChange}
       min="0"
       step={step || "1"}
+      disabled={disabled}
       className="form-input"
     />
   </div>
@@ -769,6 +1400,10 @@ const styles = `
   .form-row {
     grid-template-columns: 1fr;
   }
+
+  .call-grid {
+    grid-template-columns: 1fr;
+  }
 }
 
 .doctors-grid {
@@ -797,6 +1432,260 @@ const styles = `
   opacity: 0.8;
 }
 
+/* HCP Picker */
+.hcp-picker {
+  position: relative;
+  margin-bottom: 20px;
+}
+
+.hcp-results {
+  position: absolute;
+  top: 100%;
+  left: 0;
+  right: 0;
+  background: #ffffff;
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  box-shadow: 0 8px 24px rgba(0, 0, 0, 0.08);
+  z-index: 10;
+  max-height: 280px;
+  overflow-y: auto;
+  margin-top: 4px;
+}
+
+.hcp-result {
+  display: flex;
+  flex-direction: column;
+  align-items: flex-start;
+  gap: 2px;
+  width: 100%;
+  padding: 12px 16px;
+  background: none;
+  border: none;
+  border-bottom: 1px solid #f1f5f9;
+  cursor: pointer;
+  text-align: left;
+}
+
+.hcp-result:hover {
+  background: #f8fafc;
+}
+
+.hcp-name {
+  font-weight: 600;
+  color: #1e293b;
+  font-size: 14px;
+}
+
+.hcp-meta {
+  font-size: 12px;
+  color: #64748b;
+}
+
+.call-list {
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+}
+
+.call-card {
+  background: #f8fafc;
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  padding: 16px;
+}
+
+.call-header {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  margin-bottom: 16px;
+}
+
+.call-time {
+  width: 120px;
+  flex-shrink: 0;
+  background: white;
+}
+
+.visit-info {
+  flex: 1;
+  min-width: 0;
+}
+
+.call-grid {
+  display: grid;
+  grid-template-columns: repeat(2, 1fr);
+  gap: 16px;
+}
+
+.call-field {
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+}
+
+.call-field .field-label {
+  margin-bottom: 0;
+}
+
+.call-field .form-input {
+  padding: 8px 10px;
+  background: white;
+}
+
+.call-chips {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+}
+
+.call-chip {
+  display: inline-flex;
+  align-items: center;
+  gap: 4px;
+  padding: 4px 8px;
+  background: #dbeafe;
+  color: #1d4ed8;
+  border-radius: 999px;
+  font-size: 12px;
+  font-weight: 500;
+}
+
+.call-chip button {
+  background: none;
+  border: none;
+  color: inherit;
+  cursor: pointer;
+  font-size: 14px;
+  line-height: 1;
+  padding: 0;
+}
+
+.call-sample {
+  display: grid;
+  grid-template-columns: 1fr 80px 28px;
+  gap: 8px;
+  align-items: center;
+}
+
+.call-field > .order-add-line {
+  align-self: flex-start;
+}
+
+.call-empty {
+  padding: 16px;
+  background: #f8fafc;
+  border: 1px dashed #cbd5e1;
+  border-radius: 10px;
+  text-align: center;
+}
+
+.visit-remove {
+  background: none;
+  border: none;
+  color: #ef4444;
+  font-size: 20px;
+  cursor: pointer;
+  width: 28px;
+  height: 28px;
+  border-radius: 6px;
+}
+
+.visit-remove:hover {
+  background: #fef2f2;
+}
+
+.visit-hint {
+  font-size: 12px;
+  color: #64748b;
+}
+
+/* Order Lines */
+.order-card {
+  background: #f8fafc;
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  padding: 16px;
+  margin-bottom: 16px;
+}
+
+.order-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  margin-bottom: 12px;
+}
+
+.order-lines {
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+}
+
+.order-line {
+  display: grid;
+  grid-template-columns: 3fr 1fr 1.3fr 1fr 1.3fr 28px;
+  gap: 8px;
+  align-items: center;
+}
+
+.order-line .form-input {
+  padding: 8px 10px;
+  background: white;
+}
+
+.order-line-head {
+  font-size: 12px;
+  font-weight: 600;
+  color: #64748b;
+  text-transform: uppercase;
+}
+
+.order-line-total {
+  font-weight: 600;
+  color: #1e293b;
+  font-size: 14px;
+  text-align: right;
+}
+
+.visit-remove:disabled {
+  opacity: 0.3;
+  cursor: not-allowed;
+}
+
+.order-footer {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-top: 12px;
+}
+
+.order-add-line {
+  background: none;
+  border: 1px dashed #94a3b8;
+  color: #475569;
+  padding: 6px 12px;
+  border-radius: 6px;
+  font-size: 13px;
+  cursor: pointer;
+}
+
+.order-add-line:hover {
+  border-color: #3b82f6;
+  color: #3b82f6;
+}
+
+.order-total {
+  font-weight: 600;
+  color: #8b5cf6;
+  font-size: 14px;
+}
+
+.order-hint {
+  margin-bottom: 16px;
+}
+
 .form-input, .form-textarea {
   width: 100%;
   padding: 12px 16px;
@@ -808,6 +1697,12 @@ const styles = `
   background: #f8fafc;
 }
 
+.form-input:disabled {
+  background: #f1f5f9;
+  color: #64748b;
+  cursor: not-allowed;
+}
+
 .form-input:focus, .form-textarea:focus {
   outline: none;
   border-color: #3b82f6;
@@ -953,6 +1848,47 @@ const styles = `
   box-shadow: none;
 }
 
+.draft-button {
+  margin-left: 12px;
+  padding: 16px 32px;
+  border: 1px solid #cbd5e1;
+  border-radius: 10px;
+  background: white;
+  color: #475569;
+  font-size: 16px;
+  font-weight: 600;
+  cursor: pointer;
+}
+
+.draft-button:disabled {
+  cursor: not-allowed;
+  opacity: 0.6;
+}
+
+.editing-banner {
+  padding: 14px 18px;
+  margin-bottom: 24px;
+  border-radius: 10px;
+  border-left: 4px solid #64748b;
+  background: #f8fafc;
+}
+
+.editing-banner.returned {
+  border-left-color: #ef4444;
+  background: #fef2f2;
+}
+
+.editing-title {
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.editing-reason {
+  margin-top: 4px;
+  font-size: 14px;
+  color: #7f1d1d;
+}
+
 .submit-icon {
   display: flex;
   align-items: center;
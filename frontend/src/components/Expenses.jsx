@@ -0,0 +1,797 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { expensesAPI, reportsAPI } from '../services/api'
+
+export const CATEGORY_LABELS = {
+  transport: '🚕 Transport',
+  meals: '🍽️ Meals',
+  hcp_meeting: '👨‍⚕️ HCP Meeting',
+  per_diem: '📅 Per Diem',
+  accommodation: '🏨 Accommodation',
+  communication: '📱 Airtime & Data',
+  other: '📎 Other'
+}
+
+const STATUS_BADGES = {
+  pending: { label: 'Pending', color: '#b45309', background: '#fef3c7' },
+  approved: { label: 'Approved', color: '#047857', background: '#d1fae5' },
+  rejected: { label: 'Rejected', color: '#b91c1c', background: '#fee2e2' }
+}
+
+const MAX_RECEIPT_BYTES = 2 * 1024 * 1024
+
+const currentMonth = () => new Date().toISOString().slice(0, 7)
+
+const formatMoney = (amount, currency = 'RWF') =>
+  `${currency} ${Number(amount || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })}`
+
+const formatDay = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' })
+
+const emptyClaim = () => ({
+  report_id: '',
+  visit_id: '',
+  category: 'transport',
+  amount: '',
+  currency: 'RWF',
+  description: '',
+  receipt: null,
+  receipt_name: ''
+})
+
+// Read a chosen image as a data: URL for the API
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = reject
+  reader.readAsDataURL(file)
+})
+
+const StatusBadge = ({ status }) => {
+  const badge = STATUS_BADGES[status] || STATUS_BADGES.pending
+  return (
+    <span className="expense-status" style={{ color: badge.color, backgroundColor: badge.background }}>
+      {badge.label}
+    </span>
+  )
+}
+
+// Expense claims attached to daily reports, their approval, and the monthly summary
+const Expenses = () => {
+  const { user, hasPermission } = useAuth()
+  const userId = user?._id || user?.id
+  const canClaim = hasPermission('reports:write:own')
+  const canSeeTeam = hasPermission('reports:read:team')
+  const canApprove = hasPermission('expenses:approve')
+
+  const [tab, setTab] = useState(canClaim ? 'mine' : 'team')
+  const [month, setMonth] = useState(currentMonth())
+  const [myExpenses, setMyExpenses] = useState([])
+  const [teamExpenses, setTeamExpenses] = useState([])
+  const [teamStatus, setTeamStatus] = useState('pending')
+  const [summary, setSummary] = useState([])
+  const [monthReports, setMonthReports] = useState([])
+  const [reportVisits, setReportVisits] = useState([])
+  const [showModal, setShowModal] = useState(false)
+  const [editingExpense, setEditingExpense] = useState(null)
+  const [claim, setClaim] = useState(emptyClaim())
+  const [receiptUrl, setReceiptUrl] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [successMessage, setSuccessMessage] = useState('')
+
+  useEffect(() => {
+    loadTab()
+  }, [tab, month, teamStatus])
+
+  const loadTab = async () => {
+    try {
+      setLoading(true)
+      setError('')
+      if (tab === 'mine') {
+        const response = await expensesAPI.getMyExpenses(month)
+        if (response.data.success) setMyExpenses(response.data.data || [])
+      } else if (tab === 'team') {
+        const response = await expensesAPI.getTeamExpenses({ month, ...(teamStatus ? { status: teamStatus } : {}) })
+        if (response.data.success) setTeamExpenses(response.data.data || [])
+      } else {
+        const response = await expensesAPI.getSummary(month)
+        if (response.data.success) setSummary(response.data.data || [])
+      }
+    } catch (error) {
+      console.error('Error loading expenses:', error)
+      setError(error.response?.data?.message || 'Failed to load expenses')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // The rep's own reports in the month, to attach a claim to
+  const loadMonthReports = async () => {
+    const [year, monthIndex] = month.split('-').map(Number)
+    const lastDay = new Date(Date.UTC(year, monthIndex, 0)).toISOString().split('T')[0]
+    try {
+      const response = await reportsAPI.getByDateRange(`${month}-01`, lastDay)
+      if (response.data.success) {
+        setMonthReports((response.data.data || []).filter(report => (report.user_id?._id || report.user_id) === userId))
+      }
+    } catch (error) {
+      console.error('Error loading reports:', error)
+      setMonthReports([])
+    }
+  }
+
+  // Calls on the chosen report, so a claim can be tied to one of them
+  const loadReportVisits = async (reportId) => {
+    setReportVisits([])
+    if (!reportId) return
+    try {
+      const response = await reportsAPI.getReport(reportId)
+      if (response.data.success) setReportVisits(response.data.data.visits || [])
+    } catch (error) {
+      console.error('Error loading report calls:', error)
+    }
+  }
+
+  const openClaimModal = (expense = null) => {
+    setEditingExpense(expense)
+    setClaim(expense ? {
+      report_id: expense.report_id?._id || expense.report_id,
+      visit_id: expense.visit_id || '',
+      category: expense.category,
+      amount: expense.amount,
+      currency: expense.currency,
+      description: expense.description || '',
+      receipt: null,
+      receipt_name: ''
+    } : emptyClaim())
+    if (!expense) loadMonthReports()
+    loadReportVisits(expense ? expense.report_id?._id || expense.report_id : '')
+    setShowModal(true)
+  }
+
+  const chooseReceipt = async (file) => {
+    if (!file) return
+    if (file.size > MAX_RECEIPT_BYTES) {
+      setError('Receipt images cannot be larger than 2 MB')
+      return
+    }
+    const receipt = await readFile(file)
+    setClaim(prev => ({ ...prev, receipt, receipt_name: file.name }))
+  }
+
+  const saveClaim = async () => {
+    try {
+      setSaving(true)
+      setError('')
+      const data = {
+        visit_id: claim.visit_id || null,
+        category: claim.category,
+        amount: parseFloat(claim.amount),
+        currency: claim.currency,
+        description: claim.description,
+        ...(claim.receipt ? { receipt: claim.receipt, receipt_name: claim.receipt_name } : {})
+      }
+      const response = editingExpense
+        ? await expensesAPI.update(editingExpense._id, data)
+        : await expensesAPI.create({ ...data, report_id: claim.report_id })
+      if (response.data.success) {
+        setSuccessMessage(response.data.message)
+        setShowModal(false)
+        loadTab()
+      }
+    } catch (error) {
+      console.error('Error saving expense:', error)
+      setError(error.response?.data?.errors?.join(', ') || error.response?.data?.message || 'Failed to save expense')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const deleteClaim = async (expense) => {
+    if (!window.confirm(`Delete this ${formatMoney(expense.amount, expense.currency)} claim?`)) return
+    try {
+      const response = await expensesAPI.delete(expense._id)
+      if (response.data.success) {
+        setSuccessMessage(response.data.message)
+        loadTab()
+      }
+    } catch (error) {
+      console.error('Error deleting expense:', error)
+      setError(error.response?.data?.message || 'Failed to delete expense')
+    }
+  }
+
+  const reviewClaim = async (expense, decision) => {
+    const note = decision === 'rejected'
+      ? window.prompt('Why is this claim being rejected?')
+      : ''
+    if (note === null || (decision === 'rejected' && !note.trim())) return
+
+    try {
+      setSaving(true)
+      setError('')
+      const response = await expensesAPI.review(expense._id, decision, note.trim())
+      if (response.data.success) {
+        setSuccessMessage(`${response.data.message} - ${expense.user_id?.name}, ${formatMoney(expense.amount, expense.currency)}`)
+        loadTab()
+      }
+    } catch (error) {
+      console.error('Error reviewing expense:', error)
+      setError(error.response?.data?.message || 'Failed to review expense')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const viewReceipt = async (expense) => {
+    try {
+      const response = await expensesAPI.getReceipt(expense._id)
+      setReceiptUrl(window.URL.createObjectURL(response.data))
+    } catch (error) {
+      console.error('Error loading receipt:', error)
+      setError('Failed to load receipt')
+    }
+  }
+
+  const closeReceipt = () => {
+    window.URL.revokeObjectURL(receiptUrl)
+    setReceiptUrl(null)
+  }
+
+  const myTotals = myExpenses.reduce((totals, expense) => {
+    if (expense.status === 'rejected') return totals
+    const key = expense.currency
+    totals[key] = (totals[key] || 0) + expense.amount
+    return totals
+  }, {})
+
+  const renderExpenseRow = (expense, actions) => (
+    <tr key={expense._id}>
+      <td className="expense-date">{formatDay(expense.expense_date)}</td>
+      {tab === 'team' && <td>{expense.user_id?.name || 'Unknown'}</td>}
+      <td>{CATEGORY_LABELS[expense.category] || expense.category}</td>
+      <td>
+        {expense.description || '—'}
+        {expense.status === 'rejected' && expense.review_note && (
+          <div className="expense-note">↩️ {expense.review_note}</div>
+        )}
+      </td>
+      <td className="expense-amount">{formatMoney(expense.amount, expense.currency)}</td>
+      <td>
+        {expense.has_receipt
+          ? <button onClick={() => viewReceipt(expense)} className="expense-link">View</button>
+          : <span className="expense-muted">None</span>}
+      </td>
+      <td><StatusBadge status={expense.status} /></td>
+      <td className="expense-actions">{actions}</td>
+    </tr>
+  )
+
+  return (
+    <div className="expense-container">
+      {/* Header */}
+      <div className="expense-header">
+        <div>
+          <h1>Expenses</h1>
+          <p className="header-subtitle">
+            Claim transport, meals and meeting costs against your daily reports and track their approval.
+          </p>
+        </div>
+        <div className="expense-header-controls">
+          <input
+            type="month"
+            value={month}
+            onChange={(e) => e.target.value && setMonth(e.target.value)}
+            className="expense-input"
+          />
+          {canClaim && tab === 'mine' && (
+            <button onClick={() => openClaimModal()} className="save-button">
+              + New Claim
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Tabs */}
+      <div className="expense-tabs">
+        {canClaim && (
+          <button onClick={() => setTab('mine')} className={`expense-tab ${tab === 'mine' ? 'active' : ''}`}>
+            My Claims
+          </button>
+        )}
+        {canSeeTeam && (
+          <button onClick={() => setTab('team')} className={`expense-tab ${tab === 'team' ? 'active' : ''}`}>
+            Team Claims
+          </button>
+        )}
+        <button onClick={() => setTab('summary')} className={`expense-tab ${tab === 'summary' ? 'active' : ''}`}>
+          Monthly Summary
+        </button>
+      </div>
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="success-card">
+          <div className="success-content">
+            <div className="success-text">{successMessage}</div>
+            <button onClick={() => setSuccessMessage('')} className="success-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-card">
+          <div className="error-content">
+            <div className="error-text">{error}</div>
+            <button onClick={() => setError('')} className="error-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="expense-card">
+        {loading ? (
+          <div className="expense-empty">Loading...</div>
+        ) : tab === 'mine' ? (
+          <>
+            {Object.keys(myTotals).length > 0 && (
+              <div className="expense-totals">
+                Claimed this month: {Object.entries(myTotals).map(([currency, amount]) => formatMoney(amount, currency)).join(' • ')}
+              </div>
+            )}
+            {myExpenses.length === 0 ? (
+              <div className="expense-empty">
+                <div className="empty-icon">💸</div>
+                <p>No expense claims this month.</p>
+              </div>
+            ) : (
+              <div className="expense-table-wrapper">
+                <table className="expense-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Category</th>
+                      <th>Description</th>
+                      <th>Amount</th>
+                      <th>Receipt</th>
+                      <th>Status</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {myExpenses.map(expense => renderExpenseRow(expense, expense.status !== 'approved' && (
+                      <>
+                        <button onClick={() => openClaimModal(expense)} className="expense-link">
+                          {expense.status === 'rejected' ? 'Fix' : 'Edit'}
+                        </button>
+                        <button onClick={() => deleteClaim(expense)} className="expense-link remove">Delete</button>
+                      </>
+                    )))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        ) : tab === 'team' ? (
+          <>
+            <div className="expense-filter">
+              <select value={teamStatus} onChange={(e) => setTeamStatus(e.target.value)} className="expense-input">
+                <option value="pending">Pending approval</option>
+                <option value="approved">Approved</option>
+                <option value="rejected">Rejected</option>
+                <option value="">All claims</option>
+              </select>
+            </div>
+            {teamExpenses.length === 0 ? (
+              <div className="expense-empty">
+                <div className="empty-icon">✅</div>
+                <p>No team claims match this filter.</p>
+              </div>
+            ) : (
+              <div className="expense-table-wrapper">
+                <table className="expense-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Rep</th>
+                      <th>Category</th>
+                      <th>Description</th>
+                      <th>Amount</th>
+                      <th>Receipt</th>
+                      <th>Status</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {teamExpenses.map(expense => renderExpenseRow(expense,
+                      canApprove && expense.status === 'pending' && (expense.user_id?._id || expense.user_id) !== userId && (
+                        <>
+                          <button onClick={() => reviewClaim(expense, 'rejected')} className="cancel-button" disabled={saving}>
+                            Reject
+                          </button>
+                          <button onClick={() => reviewClaim(expense, 'approved')} className="save-button" disabled={saving}>
+                            Approve
+                          </button>
+                        </>
+                      )
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        ) : summary.length === 0 ? (
+          <div className="expense-empty">
+            <div className="empty-icon">📊</div>
+            <p>No expenses claimed in this month.</p>
+          </div>
+        ) : (
+          <div className="expense-table-wrapper">
+            <table className="expense-table">
+              <thead>
+                <tr>
+                  <th>Rep</th>
+                  <th>Approved</th>
+                  <th>Pending</th>
+                  <th>Biggest Category</th>
+                  <th>Calls</th>
+                  <th>Orders</th>
+                  <th>Cost per Call</th>
+                  <th>Cost per Order</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.map(row => {
+                  const [topCategory, topAmount] = Object.entries(row.by_category)
+                    .sort((a, b) => b[1] - a[1])[0] || []
+                  return (
+                    <tr key={`${row.user_id}-${row.currency}`}>
+                      <td>
+                        <div className="expense-rep">{row.user?.name || 'Unknown'}</div>
+                        <div className="expense-muted">{row.user?.region || ''} • {row.claims} claims</div>
+                      </td>
+                      <td className="expense-amount">{formatMoney(row.approved, row.currency)}</td>
+                      <td>{formatMoney(row.pending, row.currency)}</td>
+                      <td>{topCategory ? `${CATEGORY_LABELS[topCategory] || topCategory} (${formatMoney(topAmount, row.currency)})` : '—'}</td>
+                      <td>{row.calls}</td>
+                      <td>{row.orders}</td>
+                      <td>{row.cost_per_call !== null ? formatMoney(row.cost_per_call, row.currency) : '—'}</td>
+                      <td>{row.cost_per_order !== null ? formatMoney(row.cost_per_order, row.currency) : '—'}</td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+            <p className="expense-muted expense-footnote">
+              Cost per call and per order use approved claims and the month's submitted reports.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Claim Modal */}
+      {showModal && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h3>{editingExpense ? 'Edit Claim' : 'New Expense Claim'}</h3>
+              <button onClick={() => setShowModal(false)} className="modal-close">&times;</button>
+            </div>
+            <div className="modal-body">
+              {!editingExpense && (
+                <div className="form-group">
+                  <label>Daily Report *</label>
+                  <select
+                    value={claim.report_id}
+                    onChange={(e) => {
+                      setClaim(prev => ({ ...prev, report_id: e.target.value, visit_id: '' }))
+                      loadReportVisits(e.target.value)
+                    }}
+                  >
+                    <option value="">Choose the day...</option>
+                    {monthReports.map(report => (
+                      <option key={report._id} value={report._id}>
+                        {formatDay(report.report_date)} • {report.region || 'No region'}
+                      </option>
+                    ))}
+                  </select>
+                  {monthReports.length === 0 && (
+                    <small className="expense-muted">Submit a daily report for the day before claiming expenses on it.</small>
+                  )}
+                </div>
+              )}
+              {reportVisits.length > 0 && (
+                <div className="form-group">
+                  <label>Call (optional)</label>
+                  <select value={claim.visit_id} onChange={(e) => setClaim(prev => ({ ...prev, visit_id: e.target.value }))}>
+                    <option value="">Whole day</option>
+                    {reportVisits.map(visit => (
+                      <option key={visit._id} value={visit._id}>
+                        {visit.call_time || '--:--'} • {(visit.hcp || visit.outlet)?.name || 'Call'}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="form-group">
+                <label>Category *</label>
+                <select value={claim.category} onChange={(e) => setClaim(prev => ({ ...prev, category: e.target.value }))}>
+                  {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="expense-amount-row">
+                <div className="form-group">
+                  <label>Amount *</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={claim.amount}
+                    onChange={(e) => setClaim(prev => ({ ...prev, amount: e.target.value }))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Currency</label>
+                  <input
+                    type="text"
+                    maxLength={3}
+                    value={claim.currency}
+                    onChange={(e) => setClaim(prev => ({ ...prev, currency: e.target.value.toUpperCase() }))}
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Description</label>
+                <input
+                  type="text"
+                  maxLength={300}
+                  value={claim.description}
+                  onChange={(e) => setClaim(prev => ({ ...prev, description: e.target.value }))}
+                  placeholder="e.g. Moto from Remera to CHUK"
+                />
+              </div>
+              <div className="form-group">
+                <label>Receipt Image</label>
+                <input type="file" accept="image/jpeg,image/png,image/webp" onChange={(e) => chooseReceipt(e.target.files[0])} />
+                {editingExpense?.has_receipt && !claim.receipt && (
+                  <small className="expense-muted">A receipt is already attached - choose a file to replace it.</small>
+                )}
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button onClick={() => setShowModal(false)} className="cancel-button">
+                Cancel
+              </button>
+              <button
+                onClick={saveClaim}
+                className="save-button"
+                disabled={saving || !claim.amount || (!editingExpense && !claim.report_id)}
+              >
+                {saving ? 'Saving...' : editingExpense ? 'Save & Resubmit' : 'Submit Claim'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Receipt Viewer */}
+      {receiptUrl && (
+        <div className="modal-overlay" onClick={closeReceipt}>
+          <div className="expense-receipt">
+            <img src={receiptUrl} alt="Receipt" />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.expense-container {
+  padding: 30px;
+  min-height: 100vh;
+  font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+}
+
+.expense-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 20px;
+  background: #ffffff;
+  padding: 30px;
+  border-radius: 16px;
+  margin-bottom: 24px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+}
+
+.expense-header h1 {
+  margin: 0 0 8px 0;
+  color: #1e293b;
+  font-size: 28px;
+  font-weight: 700;
+}
+
+.expense-header-controls {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+}
+
+.expense-input {
+  padding: 9px 12px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  background: #ffffff;
+  font-size: 14px;
+  font-family: inherit;
+}
+
+.expense-tabs {
+  display: flex;
+  gap: 8px;
+  margin-bottom: 24px;
+}
+
+.expense-tab {
+  padding: 10px 20px;
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  background: #ffffff;
+  color: #475569;
+  font-weight: 500;
+  cursor: pointer;
+}
+
+.expense-tab.active {
+  background: #3b82f6;
+  border-color: #3b82f6;
+  color: #ffffff;
+}
+
+.expense-card {
+  background: #ffffff;
+  padding: 24px;
+  border-radius: 16px;
+  border: 1px solid #e2e8f0;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+}
+
+.expense-empty {
+  padding: 40px;
+  text-align: center;
+  color: #94a3b8;
+}
+
+.expense-totals {
+  margin-bottom: 16px;
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.expense-filter {
+  margin-bottom: 16px;
+}
+
+.expense-table-wrapper {
+  overflow-x: auto;
+}
+
+.expense-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+}
+
+.expense-table th {
+  padding: 10px 12px;
+  background: #f8fafc;
+  color: #475569;
+  font-weight: 600;
+  text-align: left;
+  border-bottom: 1px solid #e2e8f0;
+}
+
+.expense-table td {
+  padding: 10px 12px;
+  border-bottom: 1px solid #f1f5f9;
+  vertical-align: top;
+}
+
+.expense-date {
+  white-space: nowrap;
+}
+
+.expense-amount {
+  font-weight: 600;
+  color: #1e293b;
+  white-space: nowrap;
+}
+
+.expense-rep {
+  font-weight: 500;
+  color: #1e293b;
+}
+
+.expense-muted {
+  font-size: 12px;
+  color: #94a3b8;
+}
+
+.expense-note {
+  margin-top: 4px;
+  font-size: 12px;
+  color: #b91c1c;
+}
+
+.expense-status {
+  padding: 2px 10px;
+  border-radius: 999px;
+  font-size: 12px;
+  font-weight: 600;
+  white-space: nowrap;
+}
+
+.expense-actions {
+  display: flex;
+  gap: 8px;
+  justify-content: flex-end;
+}
+
+.expense-link {
+  padding: 0;
+  border: none;
+  background: none;
+  color: #3b82f6;
+  font-size: 13px;
+  cursor: pointer;
+}
+
+.expense-link.remove {
+  color: #ef4444;
+}
+
+.expense-footnote {
+  margin: 12px 0 0 0;
+}
+
+.expense-amount-row {
+  display: grid;
+  grid-template-columns: 2fr 1fr;
+  gap: 12px;
+}
+
+.expense-receipt {
+  max-width: 90vw;
+  max-height: 90vh;
+  padding: 12px;
+  border-radius: 12px;
+  background: #ffffff;
+}
+
+.expense-receipt img {
+  display: block;
+  max-width: 100%;
+  max-height: calc(90vh - 24px);
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default Expenses
@@ -0,0 +1,982 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { journeyPlansAPI, analyticsAPI, hcpsAPI, outletsAPI } from '../services/api'
+
+const STATUS_BADGES = {
+  draft: { label: 'Draft', color: '#64748b', background: '#f1f5f9' },
+  submitted: { label: 'Awaiting Approval', color: '#b45309', background: '#fef3c7' },
+  approved: { label: 'Approved', color: '#047857', background: '#d1fae5' },
+  returned: { label: 'Returned', color: '#b91c1c', background: '#fee2e2' }
+}
+
+const RESULT_BADGES = {
+  completed: { label: 'Visited', icon: '✅', color: '#047857' },
+  rescheduled: { label: 'Visited another day', icon: '🔁', color: '#b45309' },
+  missed: { label: 'Missed', icon: '❌', color: '#b91c1c' },
+  upcoming: { label: 'Upcoming', icon: '⏳', color: '#64748b' }
+}
+
+// Local calendar days as YYYY-MM-DD, matching how report dates are entered
+const toDayString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+const mondayOf = (date = new Date()) => {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate())
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7))
+  return toDayString(day)
+}
+
+const addDays = (day, count) => {
+  const [year, month, date] = day.split('-').map(Number)
+  return toDayString(new Date(year, month - 1, date + count))
+}
+
+const formatDay = (day, options = { weekday: 'short', day: 'numeric', month: 'short' }) =>
+  new Date(`${day}T00:00:00`).toLocaleDateString(undefined, options)
+
+const formatLabel = (value) => (value || '').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase())
+
+const hcpMeta = (hcp) =>
+  `${formatLabel(hcp.specialty)}${hcp.facility ? ` • ${hcp.facility}` : ''}${hcp.town ? ` • ${hcp.town}` : ''}`
+
+const outletMeta = (outlet) =>
+  `${formatLabel(outlet.type)}${outlet.address ? ` • ${outlet.address}` : ''}`
+
+// Key used to line a planned visit up with its adherence result
+const entryKey = (entry) => `${entry.date}:${(entry.hcp || entry.outlet)?._id}`
+
+const toDraftEntries = (plan) => (plan?.entries || [])
+  .filter(entry => entry.hcp || entry.outlet)
+  .map(entry => ({
+    date: String(entry.date).slice(0, 10),
+    hcp: entry.hcp || null,
+    outlet: entry.outlet || null,
+    objective: entry.objective || ''
+  }))
+
+const JourneyPlanner = () => {
+  const { user, hasPermission } = useAuth()
+  const canPlan = hasPermission('reports:write:own')
+  const canSeeTeam = hasPermission('reports:read:team')
+  const canApprove = hasPermission('plans:approve')
+
+  const [tab, setTab] = useState(canPlan ? 'mine' : 'team')
+  const [weekStart, setWeekStart] = useState(mondayOf())
+  const [plan, setPlan] = useState(null)
+  const [entries, setEntries] = useState([])
+  const [dirty, setDirty] = useState(false)
+  const [newEntryDay, setNewEntryDay] = useState(mondayOf())
+  const [myAdherence, setMyAdherence] = useState(null)
+  const [teamPlans, setTeamPlans] = useState([])
+  const [teamAdherence, setTeamAdherence] = useState(null)
+  const [expandedPlan, setExpandedPlan] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [successMessage, setSuccessMessage] = useState('')
+
+  const userId = user?._id || user?.id
+  const weekDays = [0, 1, 2, 3, 4, 5, 6].map(offset => addDays(weekStart, offset))
+  const isPastWeek = weekStart < mondayOf()
+
+  useEffect(() => {
+    setNewEntryDay(weekStart)
+    if (tab === 'mine') {
+      loadMyPlan()
+    } else {
+      loadTeamPlans()
+    }
+  }, [weekStart, tab])
+
+  const loadMyPlan = async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const response = await journeyPlansAPI.getMyPlans({ week_start: weekStart, limit: 1 })
+      const current = response.data.success ? response.data.data?.[0] || null : null
+      setPlan(current)
+      setEntries(toDraftEntries(current))
+      setDirty(false)
+
+      if (current && current.status !== 'draft') {
+        const adherence = await analyticsAPI.getPlanAdherence({ week_start: weekStart, user_id: userId })
+        setMyAdherence(adherence.data.success ? adherence.data.data?.[0] || null : null)
+      } else {
+        setMyAdherence(null)
+      }
+    } catch (error) {
+      console.error('Error loading plan:', error)
+      setError(error.response?.data?.message || 'Failed to load your plan')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadTeamPlans = async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const [plansResponse, adherenceResponse] = await Promise.all([
+        journeyPlansAPI.getTeamPlans({ week_start: weekStart }),
+        analyticsAPI.getPlanAdherence({ week_start: weekStart })
+      ])
+      setTeamPlans(plansResponse.data.success ? plansResponse.data.data || [] : [])
+      setTeamAdherence(adherenceResponse.data.success ? adherenceResponse.data : null)
+    } catch (error) {
+      console.error('Error loading team plans:', error)
+      setError(error.response?.data?.message || 'Failed to load team plans')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const searchHcps = async (query) => {
+    const response = await hcpsAPI.search({ search: query, limit: 8 })
+    return response.data.success ? response.data.data?.hcps || [] : []
+  }
+
+  const searchOutlets = async (query) => {
+    const response = await outletsAPI.search({ search: query, limit: 8 })
+    return response.data.success ? response.data.data?.outlets || [] : []
+  }
+
+  const addEntry = (visit) => {
+    const ref = (visit.hcp || visit.outlet)._id
+    if (entries.some(entry => entry.date === newEntryDay && (entry.hcp || entry.outlet)?._id === ref)) {
+      setError('That visit is already planned for this day')
+      return
+    }
+    setEntries(prev => [...prev, { date: newEntryDay, hcp: null, outlet: null, objective: '', ...visit }])
+    setDirty(true)
+  }
+
+  const updateEntry = (target, changes) => {
+    setEntries(prev => prev.map(entry => entry === target ? { ...entry, ...changes } : entry))
+    setDirty(true)
+  }
+
+  const removeEntry = (target) => {
+    setEntries(prev => prev.filter(entry => entry !== target))
+    setDirty(true)
+  }
+
+  const savePlan = async () => {
+    try {
+      setSaving(true)
+      setError('')
+      const response = await journeyPlansAPI.save({
+        week_start: weekStart,
+        entries: entries.map(entry => ({
+          date: entry.date,
+          hcp: entry.hcp?._id,
+          outlet: entry.outlet?._id,
+          objective: entry.objective
+        }))
+      })
+      if (response.data.success) {
+        setSuccessMessage(response.data.message)
+        setPlan(response.data.data)
+        setEntries(toDraftEntries(response.data.data))
+        setDirty(false)
+        setMyAdherence(null)
+      }
+    } catch (error) {
+      console.error('Error saving plan:', error)
+      const data = error.response?.data
+      setError(data?.errors ? data.errors.join(', ') : data?.message || 'Failed to save plan')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const submitPlan = async () => {
+    try {
+      setSaving(true)
+      setError('')
+      const response = await journeyPlansAPI.submit(plan._id)
+      if (response.data.success) {
+        setSuccessMessage(response.data.message)
+        loadMyPlan()
+      }
+    } catch (error) {
+      console.error('Error submitting plan:', error)
+      setError(error.response?.data?.message || 'Failed to submit plan')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const deletePlan = async () => {
+    if (!window.confirm('Delete this plan?')) return
+    try {
+      const response = await journeyPlansAPI.delete(plan._id)
+      if (response.data.success) {
+        setSuccessMessage(response.data.message)
+        loadMyPlan()
+      }
+    } catch (error) {
+      console.error('Error deleting plan:', error)
+      setError(error.response?.data?.message || 'Failed to delete plan')
+    }
+  }
+
+  const reviewPlan = async (teamPlan, decision) => {
+    const note = decision === 'returned'
+      ? window.prompt('What should the rep change?')
+      : ''
+    if (note === null || (decision === 'returned' && !note.trim())) return
+
+    try {
+      setSaving(true)
+      setError('')
+      const response = await journeyPlansAPI.review(teamPlan._id, decision, note.trim())
+      if (response.data.success) {
+        setSuccessMessage(`${response.data.message} - ${teamPlan.user_id?.name}`)
+        loadTeamPlans()
+      }
+    } catch (error) {
+      console.error('Error reviewing plan:', error)
+      setError(error.response?.data?.message || 'Failed to review plan')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const results = new Map((myAdherence?.entries || []).map(entry => [entryKey(entry), entry.result]))
+  const editable = canPlan && !isPastWeek
+  const status = plan ? STATUS_BADGES[plan.status] : null
+
+  return (
+    <div className="plan-container">
+      {/* Header */}
+      <div className="plan-header">
+        <div>
+          <h1>Journey Plan</h1>
+          <p className="header-subtitle">
+            Plan the week's calls, get them approved, and see how the week went against the plan.
+          </p>
+        </div>
+        <div className="plan-week-nav">
+          <button onClick={() => setWeekStart(addDays(weekStart, -7))} className="plan-week-button">‹</button>
+          <div className="plan-week-label">
+            {formatDay(weekStart, { day: 'numeric', month: 'short' })} – {formatDay(addDays(weekStart, 6), { day: 'numeric', month: 'short', year: 'numeric' })}
+          </div>
+          <button onClick={() => setWeekStart(addDays(weekStart, 7))} className="plan-week-button">›</button>
+          {weekStart !== mondayOf() && (
+            <button onClick={() => setWeekStart(mondayOf())} className="plan-today-button">This week</button>
+          )}
+        </div>
+      </div>
+
+      {/* Tabs */}
+      {canPlan && canSeeTeam && (
+        <div className="plan-tabs">
+          <button onClick={() => setTab('mine')} className={`plan-tab ${tab === 'mine' ? 'active' : ''}`}>
+            My Plan
+          </button>
+          <button onClick={() => setTab('team')} className={`plan-tab ${tab === 'team' ? 'active' : ''}`}>
+            Team Plans
+          </button>
+        </div>
+      )}
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="success-card">
+          <div className="success-content">
+            <div className="success-text">{successMessage}</div>
+            <button onClick={() => setSuccessMessage('')} className="success-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-card">
+          <div className="error-content">
+            <div className="error-text">{error}</div>
+            <button onClick={() => setError('')} className="error-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="plan-card plan-empty">Loading...</div>
+      ) : tab === 'mine' ? (
+        <>
+          {/* My Plan */}
+          <div className="plan-card">
+            <div className="plan-card-header">
+              <h3>My Plan</h3>
+              {status && (
+                <span className="plan-status" style={{ color: status.color, background: status.background }}>
+                  {status.label}
+                </span>
+              )}
+            </div>
+
+            {plan?.status === 'returned' && plan.review_note && (
+              <div className="plan-review-note">
+                <strong>{plan.reviewed_by?.name || 'Your supervisor'}:</strong> {plan.review_note}
+              </div>
+            )}
+
+            {myAdherence && (
+              <div className="plan-adherence-strip">
+                <AdherenceStat label="Adherence" value={myAdherence.adherence} suffix="%" />
+                <AdherenceStat label="Visited" value={myAdherence.completed} />
+                <AdherenceStat label="Another day" value={myAdherence.rescheduled} />
+                <AdherenceStat label="Missed" value={myAdherence.missed} />
+                <AdherenceStat label="Unplanned calls" value={myAdherence.unplanned} />
+              </div>
+            )}
+
+            {editable && (
+              <div className="plan-add-row">
+                <div className="form-group">
+                  <label>Day</label>
+                  <select value={newEntryDay} onChange={(e) => setNewEntryDay(e.target.value)}>
+                    {weekDays.map(day => (
+                      <option key={day} value={day}>{formatDay(day)}</option>
+                    ))}
+                  </select>
+                </div>
+                <PlanPicker
+                  label="Plan HCP Visit"
+                  placeholder="Search by doctor name, facility or town"
+                  onSearch={searchHcps}
+                  onSelect={(hcp) => addEntry({ hcp })}
+                  getMeta={hcpMeta}
+                />
+                <PlanPicker
+                  label="Plan Outlet Visit"
+                  placeholder="Search by outlet name or address"
+                  onSearch={searchOutlets}
+                  onSelect={(outlet) => addEntry({ outlet })}
+                  getMeta={outletMeta}
+                />
+              </div>
+            )}
+
+            {entries.length === 0 ? (
+              <div className="plan-empty">
+                <div className="empty-icon">🗓️</div>
+                <p>{editable ? 'No visits planned for this week yet. Add HCPs and outlets above.' : 'No plan was made for this week.'}</p>
+              </div>
+            ) : (
+              <div className="plan-days">
+                {weekDays.filter(day => entries.some(entry => entry.date === day)).map(day => (
+                  <div key={day} className="plan-day">
+                    <div className="plan-day-title">{formatDay(day, { weekday: 'long', day: 'numeric', month: 'short' })}</div>
+                    {entries.filter(entry => entry.date === day).map((entry, index) => {
+                      const result = dirty ? null : RESULT_BADGES[results.get(entryKey(entry))]
+                      return (
+                        <div key={`${day}-${index}`} className="plan-entry">
+                          <div className="plan-entry-main">
+                            <div className="plan-entry-name">
+                              {entry.hcp ? '👨‍⚕️' : '🏪'} {(entry.hcp || entry.outlet).name}
+                            </div>
+                            <div className="plan-entry-meta">
+                              {entry.hcp ? hcpMeta(entry.hcp) : outletMeta(entry.outlet)}
+                            </div>
+                            {editable ? (
+                              <input
+                                type="text"
+                                value={entry.objective}
+                                onChange={(e) => updateEntry(entry, { objective: e.target.value })}
+                                placeholder="Objective for this call"
+                                className="plan-objective"
+                              />
+                            ) : entry.objective && (
+                              <div className="plan-entry-meta">🎯 {entry.objective}</div>
+                            )}
+                          </div>
+                          {result && (
+                            <span className="plan-result" style={{ color: result.color }}>
+                              {result.icon} {result.label}
+                            </span>
+                          )}
+                          {editable && (
+                            <button onClick={() => removeEntry(entry)} className="plan-remove">&times;</button>
+                          )}
+                        </div>
+                      )
+                    })}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {editable && (
+              <div className="plan-actions">
+                {plan && plan.status !== 'approved' && (
+                  <button onClick={deletePlan} className="cancel-button" disabled={saving}>
+                    Delete Plan
+                  </button>
+                )}
+                <button onClick={savePlan} className="cancel-button" disabled={saving || !dirty}>
+                  {saving ? 'Saving...' : 'Save Draft'}
+                </button>
+                <button
+                  onClick={submitPlan}
+                  className="save-button"
+                  disabled={saving || dirty || !plan || !['draft', 'returned'].includes(plan.status) || entries.length === 0}
+                >
+                  Submit for Approval
+                </button>
+              </div>
+            )}
+          </div>
+        </>
+      ) : (
+        <>
+          {/* Team Adherence */}
+          {teamAdherence && (
+            <div className="plan-card">
+              <div className="plan-card-header">
+                <h3>Plan Adherence</h3>
+              </div>
+              <div className="plan-adherence-strip">
+                <AdherenceStat label="Plans" value={teamAdherence.summary.plans} />
+                <AdherenceStat label="Adherence" value={teamAdherence.summary.adherence} suffix="%" />
+                <AdherenceStat label="Coverage" value={teamAdherence.summary.coverage} suffix="%" />
+                <AdherenceStat label="Missed" value={teamAdherence.summary.missed} />
+                <AdherenceStat label="Unplanned calls" value={teamAdherence.summary.unplanned} />
+              </div>
+              {teamAdherence.users.length > 0 && (
+                <div className="plan-table-wrapper">
+                  <table className="plan-table">
+                    <thead>
+                      <tr>
+                        <th>Rep</th>
+                        <th>Due</th>
+                        <th>Visited</th>
+                        <th>Another day</th>
+                        <th>Missed</th>
+                        <th>Unplanned</th>
+                        <th>Adherence</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {teamAdherence.users.map(row => (
+                        <tr key={row.user._id}>
+                          <td>{row.user.name}</td>
+                          <td>{row.due}</td>
+                          <td>{row.completed}</td>
+                          <td>{row.rescheduled}</td>
+                          <td>{row.missed}</td>
+                          <td>{row.unplanned}</td>
+                          <td><strong>{row.adherence === null ? '–' : `${row.adherence}%`}</strong></td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Team Plans */}
+          <div className="plan-card">
+            <div className="plan-card-header">
+              <h3>Team Plans</h3>
+            </div>
+            {teamPlans.length === 0 ? (
+              <div className="plan-empty">
+                <div className="empty-icon">🗓️</div>
+                <p>No plans have been submitted for this week.</p>
+              </div>
+            ) : (
+              <div className="plan-team-list">
+                {teamPlans.map(teamPlan => {
+                  const badge = STATUS_BADGES[teamPlan.status]
+                  const isOpen = expandedPlan === teamPlan._id
+                  const planEntries = toDraftEntries(teamPlan)
+                  return (
+                    <div key={teamPlan._id} className="plan-team-item">
+                      <div className="plan-team-row">
+                        <button onClick={() => setExpandedPlan(isOpen ? null : teamPlan._id)} className="tree-toggle">
+                          {isOpen ? '▾' : '▸'}
+                        </button>
+                        <div className="plan-team-info">
+                          <div className="plan-entry-name">{teamPlan.user_id?.name}</div>
+                          <div className="plan-entry-meta">
+                            {teamPlan.user_id?.region} • {planEntries.length} planned visits
+                            {teamPlan.submitted_at && ` • submitted ${new Date(teamPlan.submitted_at).toLocaleDateString()}`}
+                          </div>
+                        </div>
+                        <span className="plan-status" style={{ color: badge.color, background: badge.background }}>
+                          {badge.label}
+                        </span>
+                        {canApprove && teamPlan.status === 'submitted' && String(teamPlan.user_id?._id) !== String(userId) && (
+                          <div className="plan-review-actions">
+                            <button onClick={() => reviewPlan(teamPlan, 'returned')} className="cancel-button" disabled={saving}>
+                              Return
+                            </button>
+                            <button onClick={() => reviewPlan(teamPlan, 'approved')} className="save-button" disabled={saving}>
+                              Approve
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                      {isOpen && (
+                        <div className="plan-days">
+                          {weekDays.filter(day => planEntries.some(entry => entry.date === day)).map(day => (
+                            <div key={day} className="plan-day">
+                              <div className="plan-day-title">{formatDay(day, { weekday: 'long', day: 'numeric', month: 'short' })}</div>
+                              {planEntries.filter(entry => entry.date === day).map((entry, index) => (
+                                <div key={`${day}-${index}`} className="plan-entry">
+                                  <div className="plan-entry-main">
+                                    <div className="plan-entry-name">
+                                      {entry.hcp ? '👨‍⚕️' : '🏪'} {(entry.hcp || entry.outlet).name}
+                                    </div>
+                                    <div className="plan-entry-meta">
+                                      {entry.hcp ? hcpMeta(entry.hcp) : outletMeta(entry.outlet)}
+                                      {entry.objective && ` • 🎯 ${entry.objective}`}
+                                    </div>
+                                  </div>
+                                </div>
+                              ))}
+                            </div>
+                          ))}
+                          {teamPlan.review_note && (
+                            <div className="plan-review-note">
+                              <strong>{teamPlan.reviewed_by?.name}:</strong> {teamPlan.review_note}
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+const AdherenceStat = ({ label, value, suffix = '' }) => (
+  <div className="plan-stat">
+    <div className="plan-stat-value">{value === null || value === undefined ? '–' : `${value}${suffix}`}</div>
+    <div className="plan-stat-label">{label}</div>
+  </div>
+)
+
+const PlanPicker = ({ label, placeholder, onSearch, onSelect, getMeta }) => {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+
+  // Search as the rep types
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults([])
+      return
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        setResults(await onSearch(query.trim()))
+      } catch (error) {
+        console.error('Search error:', error)
+        setResults([])
+      }
+    }, 300)
+
+    return () => clearTimeout(timer)
+  }, [query])
+
+  const select = (item) => {
+    onSelect(item)
+    setQuery('')
+    setResults([])
+  }
+
+  return (
+    <div className="form-group plan-picker">
+      <label>{label}</label>
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={placeholder}
+      />
+      {results.length > 0 && (
+        <div className="plan-picker-results">
+          {results.map(item => (
+            <button
+              key={item._id}
+              type="button"
+              onClick={() => select(item)}
+              className="plan-picker-result"
+            >
+              <span className="plan-entry-name">{item.name}</span>
+              <span className="plan-entry-meta">{getMeta(item)}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.plan-container {
+  padding: 30px;
+  min-height: 100vh;
+  font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+}
+
+.plan-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 20px;
+  background: #ffffff;
+  padding: 30px;
+  border-radius: 16px;
+  margin-bottom: 24px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+}
+
+.plan-header h1 {
+  margin: 0 0 8px 0;
+  color: #1e293b;
+  font-size: 28px;
+  font-weight: 700;
+}
+
+.plan-week-nav {
+  display: flex;
+  align-items: center;
+  gap: 10px;
+}
+
+.plan-week-button {
+  width: 36px;
+  height: 36px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  background: #ffffff;
+  font-size: 18px;
+  cursor: pointer;
+}
+
+.plan-week-label {
+  min-width: 180px;
+  text-align: center;
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.plan-today-button {
+  padding: 8px 12px;
+  border: 1px solid #3b82f6;
+  border-radius: 8px;
+  background: #eff6ff;
+  color: #1d4ed8;
+  font-size: 13px;
+  cursor: pointer;
+}
+
+.plan-tabs {
+  display: flex;
+  gap: 8px;
+  margin-bottom: 24px;
+}
+
+.plan-tab {
+  padding: 10px 18px;
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  background: #ffffff;
+  color: #475569;
+  font-weight: 600;
+  cursor: pointer;
+}
+
+.plan-tab.active {
+  background: #146C94;
+  border-color: #146C94;
+  color: #ffffff;
+}
+
+.plan-card {
+  background: #ffffff;
+  border-radius: 16px;
+  border: 1px solid #e2e8f0;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  padding: 24px;
+  margin-bottom: 24px;
+}
+
+.plan-card-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 20px;
+}
+
+.plan-card-header h3 {
+  margin: 0;
+  color: #1e293b;
+  font-size: 20px;
+}
+
+.plan-status {
+  padding: 4px 12px;
+  border-radius: 999px;
+  font-size: 12px;
+  font-weight: 600;
+  white-space: nowrap;
+}
+
+.plan-review-note {
+  padding: 12px 16px;
+  margin-bottom: 20px;
+  border-left: 4px solid #ef4444;
+  background: #fef2f2;
+  border-radius: 8px;
+  color: #7f1d1d;
+  font-size: 14px;
+}
+
+.plan-adherence-strip {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(120px, 1fr));
+  gap: 12px;
+  margin-bottom: 20px;
+}
+
+.plan-stat {
+  padding: 14px;
+  background: #f8fafc;
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  text-align: center;
+}
+
+.plan-stat-value {
+  font-size: 22px;
+  font-weight: 700;
+  color: #146C94;
+}
+
+.plan-stat-label {
+  font-size: 12px;
+  color: #64748b;
+}
+
+.plan-add-row {
+  display: grid;
+  grid-template-columns: 180px 1fr 1fr;
+  gap: 16px;
+  margin-bottom: 12px;
+}
+
+.plan-picker {
+  position: relative;
+}
+
+.plan-picker-results {
+  position: absolute;
+  top: 100%;
+  left: 0;
+  right: 0;
+  background: #ffffff;
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  box-shadow: 0 8px 24px rgba(0, 0, 0, 0.08);
+  z-index: 10;
+  max-height: 280px;
+  overflow-y: auto;
+}
+
+.plan-picker-result {
+  display: flex;
+  flex-direction: column;
+  align-items: flex-start;
+  gap: 2px;
+  width: 100%;
+  padding: 12px 16px;
+  background: none;
+  border: none;
+  border-bottom: 1px solid #f1f5f9;
+  cursor: pointer;
+  text-align: left;
+}
+
+.plan-picker-result:hover {
+  background: #f8fafc;
+}
+
+.plan-days {
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+}
+
+.plan-day-title {
+  font-size: 13px;
+  font-weight: 700;
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+  color: #64748b;
+  margin-bottom: 8px;
+}
+
+.plan-entry {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 12px 16px;
+  background: #f8fafc;
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  margin-bottom: 8px;
+}
+
+.plan-entry-main {
+  flex: 1;
+  min-width: 0;
+}
+
+.plan-entry-name {
+  font-weight: 600;
+  color: #1e293b;
+  font-size: 14px;
+}
+
+.plan-entry-meta {
+  font-size: 12px;
+  color: #64748b;
+}
+
+.plan-objective {
+  width: 100%;
+  margin-top: 8px;
+  padding: 8px 10px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  font-size: 13px;
+  box-sizing: border-box;
+}
+
+.plan-result {
+  font-size: 12px;
+  font-weight: 600;
+  white-space: nowrap;
+}
+
+.plan-remove {
+  width: 28px;
+  height: 28px;
+  border: none;
+  border-radius: 6px;
+  background: #fee2e2;
+  color: #b91c1c;
+  font-size: 18px;
+  cursor: pointer;
+}
+
+.plan-actions {
+  display: flex;
+  justify-content: flex-end;
+  gap: 12px;
+  margin-top: 20px;
+}
+
+.plan-empty {
+  padding: 40px 20px;
+  text-align: center;
+  color: #64748b;
+}
+
+.plan-table-wrapper {
+  overflow-x: auto;
+}
+
+.plan-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+}
+
+.plan-table th {
+  padding: 10px 12px;
+  background: #f8fafc;
+  color: #475569;
+  text-align: left;
+  border-bottom: 1px solid #e2e8f0;
+}
+
+.plan-table td {
+  padding: 10px 12px;
+  border-bottom: 1px solid #f1f5f9;
+  color: #334155;
+}
+
+.plan-team-list {
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+}
+
+.plan-team-item {
+  border: 1px solid #e2e8f0;
+  border-radius: 12px;
+  padding: 14px 16px;
+}
+
+.plan-team-row {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+}
+
+.plan-team-info {
+  flex: 1;
+  min-width: 0;
+}
+
+.plan-team-item .plan-days {
+  margin-top: 16px;
+}
+
+.plan-review-actions {
+  display: flex;
+  gap: 8px;
+}
+
+@media (max-width: 768px) {
+  .plan-container {
+    padding: 16px;
+  }
+
+  .plan-add-row {
+    grid-template-columns: 1fr;
+  }
+
+  .plan-team-row {
+    flex-wrap: wrap;
+  }
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default JourneyPlanner
@@ -1,9 +1,17 @@
 import React from 'react'
 import { Outlet, useNavigate, useLocation } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
+import NotificationBell from './NotificationBell'
+
+const ROLE_AVATARS = {
+  supervisor: '👑',
+  regional_manager: '🧭',
+  admin: '🔧',
+  auditor: '🔍'
+}
 
 const Layout = () => {
-  const { user, logout } = useAuth()
+  const { user, logout, hasPermission } = useAuth()
   const navigate = useNavigate()
   const location = useLocation()
   const isMobile = window.innerWidth < 768
@@ -13,17 +21,28 @@ const Layout = () => {
   }
 
   const navigationItems = [
-    { path: '/dashboard', label: 'Dashboard', icon: '📊', roles: ['medrep', 'supervisor', 'admin'] },
-    { path: '/daily-report', label: 'Daily Report', icon: '📝', roles: ['medrep', 'supervisor', 'admin'] },
-    { path: '/reports', label: 'Reports', icon: '📋', roles: ['medrep', 'supervisor', 'admin'] },
-    { path: '/analytics', label: 'Analytics', icon: '📈', roles: ['medrep', 'supervisor', 'admin'] },
-    { path: '/supervisor-dashboard', label: 'Team Dashboard', icon: '👥', roles: ['supervisor', 'admin'] },
-    { path: '/team-management', label: 'Team Management', icon: '⚙️', roles: ['supervisor', 'admin'] },
+    { path: '/dashboard', label: 'Dashboard', icon: '📊' },
+    { path: '/daily-report', label: 'Daily Report', icon: '📝', permission: 'reports:write:own' },
+    { path: '/journey-plan', label: 'Journey Plan', icon: '🗓️' },
+    { path: '/expenses', label: 'Expenses', icon: '💸' },
+    { path: '/leave', label: 'Leave & Holidays', icon: '🌴' },
+    { path: '/reports', label: 'Reports', icon: '📋' },
+    { path: '/review-queue', label: 'Review Queue', icon: '✅', permission: 'reports:approve' },
+    { path: '/report-import', label: 'Import Reports', icon: '📥', permission: 'reports:import' },
+    { path: '/analytics', label: 'Analytics', icon: '📈' },
+    { path: '/supervisor-dashboard', label: 'Team Dashboard', icon: '👥', permission: 'reports:read:team' },
+    { path: '/team-management', label: 'Team Management', icon: '⚙️', permission: 'users:read' },
+    { path: '/outlet-management', label: 'Outlets', icon: '🏪', permission: 'outlets:write' },
+    { path: '/product-management', label: 'Products', icon: '💊', permission: 'products:write' },
+    { path: '/territory-management', label: 'Territories', icon: '🗺️', permission: 'territories:write' },
+    { path: '/org-chart', label: 'Org Chart', icon: '🧭', permission: 'users:read' },
+    { path: '/role-management', label: 'Roles', icon: '🔐', permission: 'roles:manage' },
+    { path: '/audit-log', label: 'Audit Log', icon: '🛡️', permission: 'audit:read' },
   ]
 
-  // Filter navigation items based on user role
+  // Filter navigation items based on the permissions of the user's role
   const filteredNavItems = navigationItems.filter(item => 
-    item.roles.includes(user?.role || 'medrep')
+    !item.permission || hasPermission(item.permission)
   )
 
   const isActive = (path) => {
@@ -56,16 +75,21 @@ const Layout = () => {
 
             {/* User Info & Logout */}
             <div className="user-actions">
-              <div className="user-badge">
+              <NotificationBell />
+              <div
+                className="user-badge"
+                onClick={() => navigate('/profile')}
+                title="My profile"
+              >
                 <div className="user-avatar">
-                  {user?.role === 'supervisor' ? '👑' : user?.role === 'admin' ? '🔧' : '👤'}
+                  {ROLE_AVATARS[user?.role] || '👤'}
                 </div>
                 <div className="user-details">
                   <span className="user-name">
                     {isMobile ? user?.name?.split(' ')[0] || 'User' : user?.name || 'User'}
                   </span>
                   <span className="user-role">
-                    {user?.role || 'User'}
+                    {user?.role?.replace('_', ' ') || 'User'}
                   </span>
                 </div>
               </div>
@@ -129,7 +153,7 @@ const Layout = () => {
                 <span className="stat-icon">📈</span>
                 <span>v1.0.0</span>
               </div>
-              {(user?.role === 'supervisor' || user?.role === 'admin') && (
+              {hasPermission('users:read') && (
                 <div className="stat-item">
                   <span className="stat-icon">👥</span>
                   <span>Team Management</span>
@@ -154,7 +178,7 @@ const Layout = () => {
                 >
                   Daily Report
                 </button>
-                {(user?.role === 'supervisor' || user?.role === 'admin') && (
+                {hasPermission('users:read') && (
                   <button 
                     onClick={() => navigate('/team-management')}
                     className="footer-link"
@@ -256,6 +280,7 @@ const styles = `
   padding: 8px 16px;
   border-radius: 10px;
   border: 1px solid #e2e8f0;
+  cursor: pointer;
   transition: all 0.2s ease;
 }
 
@@ -0,0 +1,806 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { leaveAPI, holidaysAPI, analyticsAPI } from '../services/api'
+
+const LEAVE_TYPES = {
+  annual: '🌴 Annual',
+  sick: '🤒 Sick',
+  maternity: '👶 Maternity / Paternity',
+  compassionate: '🕊️ Compassionate',
+  training: '🎓 Training',
+  unpaid: '📭 Unpaid',
+  other: '📎 Other'
+}
+
+const STATUS_BADGES = {
+  pending: { label: 'Pending', color: '#b45309', background: '#fef3c7' },
+  approved: { label: 'Approved', color: '#047857', background: '#d1fae5' },
+  rejected: { label: 'Rejected', color: '#b91c1c', background: '#fee2e2' },
+  cancelled: { label: 'Cancelled', color: '#64748b', background: '#f1f5f9' }
+}
+
+const todayKey = () => new Date().toISOString().split('T')[0]
+
+const formatDay = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+
+const formatRange = (leave) => {
+  const start = formatDay(leave.start_date)
+  const end = formatDay(leave.end_date)
+  return start === end ? start : `${start} – ${end}`
+}
+
+const emptyRequest = () => ({ type: 'annual', start_date: todayKey(), end_date: todayKey(), reason: '' })
+
+const emptyHoliday = () => ({ date: '', name: '', region: '', recurring: false })
+
+const StatusBadge = ({ status }) => {
+  const badge = STATUS_BADGES[status] || STATUS_BADGES.pending
+  return (
+    <span className="leave-status" style={{ color: badge.color, backgroundColor: badge.background }}>
+      {badge.label}
+    </span>
+  )
+}
+
+// Leave requests, the holiday calendar, and report compliance that allows for both
+const LeaveCalendar = () => {
+  const { hasPermission } = useAuth()
+  const canRequest = hasPermission('reports:write:own')
+  const canSeeTeam = hasPermission('reports:read:team')
+  const canApprove = hasPermission('leave:approve')
+  const canManageHolidays = hasPermission('holidays:manage')
+
+  const [tab, setTab] = useState(canRequest ? 'mine' : 'team')
+  const [year, setYear] = useState(new Date().getFullYear())
+  const [myLeave, setMyLeave] = useState({ data: [], taken: {} })
+  const [teamLeave, setTeamLeave] = useState([])
+  const [teamStatus, setTeamStatus] = useState('pending')
+  const [holidays, setHolidays] = useState([])
+  const [compliance, setCompliance] = useState({ data: [], submission_rate: null, range: null })
+  const [showRequestModal, setShowRequestModal] = useState(false)
+  const [leaveRequest, setLeaveRequest] = useState(emptyRequest())
+  const [showHolidayModal, setShowHolidayModal] = useState(false)
+  const [holidayForm, setHolidayForm] = useState(emptyHoliday())
+  const [editingHoliday, setEditingHoliday] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [successMessage, setSuccessMessage] = useState('')
+
+  useEffect(() => {
+    loadTab()
+  }, [tab, year, teamStatus])
+
+  const loadTab = async () => {
+    try {
+      setLoading(true)
+      setError('')
+      if (tab === 'mine') {
+        const response = await leaveAPI.getMyLeave(year)
+        if (response.data.success) setMyLeave({ data: response.data.data || [], taken: response.data.taken || {} })
+      } else if (tab === 'team') {
+        const response = await leaveAPI.getTeamLeave({
+          from: `${year}-01-01`,
+          to: `${year}-12-31`,
+          ...(teamStatus ? { status: teamStatus } : {})
+        })
+        if (response.data.success) setTeamLeave(response.data.data || [])
+      } else if (tab === 'holidays') {
+        const response = await holidaysAPI.getAll(year)
+        if (response.data.success) setHolidays(response.data.data || [])
+      } else {
+        const response = await analyticsAPI.getSubmissionRate()
+        if (response.data.success) {
+          setCompliance({
+            data: response.data.data || [],
+            submission_rate: response.data.submission_rate,
+            range: response.data.range
+          })
+        }
+      }
+    } catch (error) {
+      console.error('Error loading leave data:', error)
+      setError(error.response?.data?.message || 'Failed to load data')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const submitRequest = async () => {
+    try {
+      setSaving(true)
+      setError('')
+      const response = await leaveAPI.request(leaveRequest)
+      if (response.data.success) {
+        setSuccessMessage(`${response.data.message} (${response.data.data.days} working day${response.data.data.days === 1 ? '' : 's'})`)
+        setShowRequestModal(false)
+        loadTab()
+      }
+    } catch (error) {
+      console.error('Error requesting leave:', error)
+      setError(error.response?.data?.errors?.join(', ') || error.response?.data?.message || 'Failed to request leave')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const cancelLeave = async (leave) => {
+    if (!window.confirm(`Cancel your ${LEAVE_TYPES[leave.type] || leave.type} leave for ${formatRange(leave)}?`)) return
+    try {
+      const response = await leaveAPI.cancel(leave._id)
+      if (response.data.success) {
+        setSuccessMessage(response.data.message)
+        loadTab()
+      }
+    } catch (error) {
+      console.error('Error cancelling leave:', error)
+      setError(error.response?.data?.message || 'Failed to cancel leave')
+    }
+  }
+
+  const reviewLeave = async (leave, decision) => {
+    const note = decision === 'rejected'
+      ? window.prompt('Why is this leave request being rejected?')
+      : ''
+    if (note === null || (decision === 'rejected' && !note.trim())) return
+
+    try {
+      setSaving(true)
+      setError('')
+      const response = await leaveAPI.review(leave._id, decision, note.trim())
+      if (response.data.success) {
+        setSuccessMessage(`${response.data.message} - ${leave.user_id?.name}, ${formatRange(leave)}`)
+        loadTab()
+      }
+    } catch (error) {
+      console.error('Error reviewing leave:', error)
+      setError(error.response?.data?.message || 'Failed to review leave')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const openHolidayModal = (holiday = null) => {
+    setEditingHoliday(holiday)
+    setHolidayForm(holiday ? {
+      date: holiday.date.split('T')[0],
+      name: holiday.name,
+      region: holiday.region || '',
+      recurring: holiday.recurring
+    } : emptyHoliday())
+    setShowHolidayModal(true)
+  }
+
+  const saveHoliday = async () => {
+    try {
+      setSaving(true)
+      setError('')
+      const response = editingHoliday
+        ? await holidaysAPI.update(editingHoliday._id, holidayForm)
+        : await holidaysAPI.create(holidayForm)
+      if (response.data.success) {
+        setSuccessMessage(response.data.message)
+        setShowHolidayModal(false)
+        loadTab()
+      }
+    } catch (error) {
+      console.error('Error saving holiday:', error)
+      setError(error.response?.data?.errors?.join(', ') || error.response?.data?.message || 'Failed to save holiday')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const deleteHoliday = async (holiday) => {
+    if (!window.confirm(`Remove ${holiday.name} from the holiday calendar${holiday.recurring ? ' for every year' : ''}?`)) return
+    try {
+      const response = await holidaysAPI.delete(holiday._id)
+      if (response.data.success) {
+        setSuccessMessage(response.data.message)
+        loadTab()
+      }
+    } catch (error) {
+      console.error('Error deleting holiday:', error)
+      setError(error.response?.data?.message || 'Failed to delete holiday')
+    }
+  }
+
+  const rateClass = (rate) => rate === null ? '' : rate >= 90 ? 'good' : rate >= 70 ? 'fair' : 'poor'
+
+  return (
+    <div className="leave-container">
+      {/* Header */}
+      <div className="leave-header">
+        <div>
+          <h1>Leave & Holidays</h1>
+          <p className="header-subtitle">
+            Request time off and see the holiday calendar. Days on approved leave and holidays never count as missed reports.
+          </p>
+        </div>
+        <div className="leave-header-controls">
+          {tab !== 'compliance' && (
+            <select value={year} onChange={(e) => setYear(parseInt(e.target.value))} className="leave-input">
+              {[-1, 0, 1].map(offset => new Date().getFullYear() + offset).map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          )}
+          {canRequest && tab === 'mine' && (
+            <button onClick={() => { setLeaveRequest(emptyRequest()); setShowRequestModal(true) }} className="save-button">
+              + Request Leave
+            </button>
+          )}
+          {canManageHolidays && tab === 'holidays' && (
+            <button onClick={() => openHolidayModal()} className="save-button">
+              + Add Holiday
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Tabs */}
+      <div className="leave-tabs">
+        {canRequest && (
+          <button onClick={() => setTab('mine')} className={`leave-tab ${tab === 'mine' ? 'active' : ''}`}>
+            My Leave
+          </button>
+        )}
+        {canSeeTeam && (
+          <button onClick={() => setTab('team')} className={`leave-tab ${tab === 'team' ? 'active' : ''}`}>
+            Team Leave
+          </button>
+        )}
+        <button onClick={() => setTab('holidays')} className={`leave-tab ${tab === 'holidays' ? 'active' : ''}`}>
+          Holiday Calendar
+        </button>
+        <button onClick={() => setTab('compliance')} className={`leave-tab ${tab === 'compliance' ? 'active' : ''}`}>
+          Report Compliance
+        </button>
+      </div>
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="success-card">
+          <div className="success-content">
+            <div className="success-text">{successMessage}</div>
+            <button onClick={() => setSuccessMessage('')} className="success-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-card">
+          <div className="error-content">
+            <div className="error-text">{error}</div>
+            <button onClick={() => setError('')} className="error-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="leave-card">
+        {loading ? (
+          <div className="leave-empty">Loading...</div>
+        ) : tab === 'mine' ? (
+          <>
+            {Object.keys(myLeave.taken).length > 0 && (
+              <div className="leave-taken">
+                Taken in {year}: {Object.entries(myLeave.taken).map(([type, days]) => `${LEAVE_TYPES[type] || type} ${days}d`).join(' • ')}
+              </div>
+            )}
+            {myLeave.data.length === 0 ? (
+              <div className="leave-empty">
+                <div className="empty-icon">🌴</div>
+                <p>No leave requested in {year}.</p>
+              </div>
+            ) : (
+              <div className="leave-list">
+                {myLeave.data.map(leave => (
+                  <div key={leave._id} className="leave-item">
+                    <div className="leave-item-main">
+                      <div className="leave-item-title">{LEAVE_TYPES[leave.type] || leave.type} • {leave.days} day{leave.days === 1 ? '' : 's'}</div>
+                      <div className="leave-muted">{formatRange(leave)}</div>
+                      {leave.reason && <div className="leave-reason">{leave.reason}</div>}
+                      {leave.review_note && (
+                        <div className="leave-note">{leave.reviewed_by?.name || 'Supervisor'}: {leave.review_note}</div>
+                      )}
+                    </div>
+                    <StatusBadge status={leave.status} />
+                    {(leave.status === 'pending' || (leave.status === 'approved' && leave.start_date.split('T')[0] > todayKey())) && (
+                      <button onClick={() => cancelLeave(leave)} className="leave-link remove">Cancel</button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        ) : tab === 'team' ? (
+          <>
+            <div className="leave-filter">
+              <select value={teamStatus} onChange={(e) => setTeamStatus(e.target.value)} className="leave-input">
+                <option value="pending">Awaiting approval</option>
+                <option value="approved">Approved</option>
+                <option value="rejected">Rejected</option>
+                <option value="">All requests</option>
+              </select>
+            </div>
+            {teamLeave.length === 0 ? (
+              <div className="leave-empty">
+                <div className="empty-icon">✅</div>
+                <p>No team leave matches this filter.</p>
+              </div>
+            ) : (
+              <div className="leave-list">
+                {teamLeave.map(leave => (
+                  <div key={leave._id} className="leave-item">
+                    <div className="leave-item-main">
+                      <div className="leave-item-title">
+                        {leave.user_id?.name || 'Unknown'} • {LEAVE_TYPES[leave.type] || leave.type} • {leave.days} day{leave.days === 1 ? '' : 's'}
+                      </div>
+                      <div className="leave-muted">{formatRange(leave)}{leave.user_id?.region ? ` • ${leave.user_id.region}` : ''}</div>
+                      {leave.reason && <div className="leave-reason">{leave.reason}</div>}
+                      {leave.review_note && <div className="leave-note">{leave.review_note}</div>}
+                    </div>
+                    <StatusBadge status={leave.status} />
+                    {canApprove && leave.status === 'pending' && (
+                      <div className="leave-actions">
+                        <button onClick={() => reviewLeave(leave, 'rejected')} className="cancel-button" disabled={saving}>
+                          Reject
+                        </button>
+                        <button onClick={() => reviewLeave(leave, 'approved')} className="save-button" disabled={saving}>
+                          Approve
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        ) : tab === 'holidays' ? (
+          holidays.length === 0 ? (
+            <div className="leave-empty">
+              <div className="empty-icon">🎉</div>
+              <p>No holidays on the calendar for {year}.</p>
+            </div>
+          ) : (
+            <div className="leave-list">
+              {holidays.map(holiday => (
+                <div key={holiday._id} className="leave-item">
+                  <div className="leave-holiday-date">{formatDay(holiday.observed_on)}</div>
+                  <div className="leave-item-main">
+                    <div className="leave-item-title">{holiday.name}</div>
+                    <div className="leave-muted">
+                      {holiday.region ? `${holiday.region} region only` : 'Nationwide'}
+                      {holiday.recurring && ' • Every year'}
+                    </div>
+                  </div>
+                  {canManageHolidays && (
+                    <div className="leave-actions">
+                      <button onClick={() => openHolidayModal(holiday)} className="leave-link">Edit</button>
+                      <button onClick={() => deleteHoliday(holiday)} className="leave-link remove">Remove</button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )
+        ) : (
+          <>
+            {compliance.range && (
+              <div className="leave-taken">
+                {compliance.submission_rate !== null ? `${compliance.submission_rate}% of expected reports submitted` : 'No reports were due yet'}
+                <span className="leave-muted"> • {formatDay(compliance.range.from)} – {formatDay(compliance.range.to)}</span>
+              </div>
+            )}
+            {compliance.data.length === 0 ? (
+              <div className="leave-empty">
+                <div className="empty-icon">📊</div>
+                <p>No active reps to show.</p>
+              </div>
+            ) : (
+              <div className="leave-table-wrapper">
+                <table className="leave-table">
+                  <thead>
+                    <tr>
+                      <th>Rep</th>
+                      <th>Working Days</th>
+                      <th>On Leave</th>
+                      <th>Expected</th>
+                      <th>Reported</th>
+                      <th>Missing</th>
+                      <th>Submission Rate</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {compliance.data.map(row => (
+                      <tr key={row.user._id}>
+                        <td>
+                          <div className="leave-item-title">{row.user.name}</div>
+                          <div className="leave-muted">{row.user.region || ''}</div>
+                        </td>
+                        <td>{row.working_days}</td>
+                        <td>{row.leave_days}</td>
+                        <td>{row.expected_days}</td>
+                        <td>{row.reported_days}</td>
+                        <td title={row.missing_dates.join(', ')}>{row.missing_days}</td>
+                        <td>
+                          <span className={`leave-rate ${rateClass(row.submission_rate)}`}>
+                            {row.submission_rate !== null ? `${row.submission_rate}%` : '—'}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Leave Request Modal */}
+      {showRequestModal && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h3>Request Leave</h3>
+              <button onClick={() => setShowRequestModal(false)} className="modal-close">&times;</button>
+            </div>
+            <div className="modal-body">
+              <div className="form-group">
+                <label>Type *</label>
+                <select value={leaveRequest.type} onChange={(e) => setLeaveRequest(prev => ({ ...prev, type: e.target.value }))}>
+                  {Object.entries(LEAVE_TYPES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="leave-date-row">
+                <div className="form-group">
+                  <label>First Day Off *</label>
+                  <input
+                    type="date"
+                    value={leaveRequest.start_date}
+                    onChange={(e) => setLeaveRequest(prev => ({
+                      ...prev,
+                      start_date: e.target.value,
+                      end_date: prev.end_date < e.target.value ? e.target.value : prev.end_date
+                    }))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Last Day Off *</label>
+                  <input
+                    type="date"
+                    min={leaveRequest.start_date}
+                    value={leaveRequest.end_date}
+                    onChange={(e) => setLeaveRequest(prev => ({ ...prev, end_date: e.target.value }))}
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Reason</label>
+                <textarea
+                  rows={3}
+                  maxLength={500}
+                  value={leaveRequest.reason}
+                  onChange={(e) => setLeaveRequest(prev => ({ ...prev, reason: e.target.value }))}
+                />
+              </div>
+              <small className="leave-muted">Weekends and public holidays inside the range are not counted as leave days.</small>
+            </div>
+            <div className="modal-footer">
+              <button onClick={() => setShowRequestModal(false)} className="cancel-button">
+                Cancel
+              </button>
+              <button
+                onClick={submitRequest}
+                className="save-button"
+                disabled={saving || !leaveRequest.start_date || !leaveRequest.end_date}
+              >
+                {saving ? 'Sending...' : 'Send Request'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Holiday Modal */}
+      {showHolidayModal && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h3>{editingHoliday ? 'Edit Holiday' : 'Add Holiday'}</h3>
+              <button onClick={() => setShowHolidayModal(false)} className="modal-close">&times;</button>
+            </div>
+            <div className="modal-body">
+              <div className="form-group">
+                <label>Date *</label>
+                <input
+                  type="date"
+                  value={holidayForm.date}
+                  onChange={(e) => setHolidayForm(prev => ({ ...prev, date: e.target.value }))}
+                />
+              </div>
+              <div className="form-group">
+                <label>Name *</label>
+                <input
+                  type="text"
+                  maxLength={100}
+                  value={holidayForm.name}
+                  onChange={(e) => setHolidayForm(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="e.g. Good Friday"
+                />
+              </div>
+              <div className="form-group">
+                <label>Region</label>
+                <input
+                  type="text"
+                  value={holidayForm.region}
+                  onChange={(e) => setHolidayForm(prev => ({ ...prev, region: e.target.value }))}
+                  placeholder="Leave empty for a nationwide holiday"
+                />
+              </div>
+              <label className="leave-checkbox">
+                <input
+                  type="checkbox"
+                  checked={holidayForm.recurring}
+                  onChange={(e) => setHolidayForm(prev => ({ ...prev, recurring: e.target.checked }))}
+                />
+                Repeats on this date every year
+              </label>
+            </div>
+            <div className="modal-footer">
+              <button onClick={() => setShowHolidayModal(false)} className="cancel-button">
+                Cancel
+              </button>
+              <button
+                onClick={saveHoliday}
+                className="save-button"
+                disabled={saving || !holidayForm.date || !holidayForm.name.trim()}
+              >
+                {saving ? 'Saving...' : 'Save Holiday'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.leave-container {
+  padding: 30px;
+  min-height: 100vh;
+  font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+}
+
+.leave-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 20px;
+  background: #ffffff;
+  padding: 30px;
+  border-radius: 16px;
+  margin-bottom: 24px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+}
+
+.leave-header h1 {
+  margin: 0 0 8px 0;
+  color: #1e293b;
+  font-size: 28px;
+  font-weight: 700;
+}
+
+.leave-header-controls {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+}
+
+.leave-input {
+  padding: 9px 12px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  background: #ffffff;
+  font-size: 14px;
+  font-family: inherit;
+}
+
+.leave-tabs {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+  margin-bottom: 24px;
+}
+
+.leave-tab {
+  padding: 10px 20px;
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  background: #ffffff;
+  color: #475569;
+  font-weight: 500;
+  cursor: pointer;
+}
+
+.leave-tab.active {
+  background: #3b82f6;
+  border-color: #3b82f6;
+  color: #ffffff;
+}
+
+.leave-card {
+  background: #ffffff;
+  padding: 24px;
+  border-radius: 16px;
+  border: 1px solid #e2e8f0;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+}
+
+.leave-empty {
+  padding: 40px;
+  text-align: center;
+  color: #94a3b8;
+}
+
+.leave-taken {
+  margin-bottom: 16px;
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.leave-filter {
+  margin-bottom: 16px;
+}
+
+.leave-list {
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+}
+
+.leave-item {
+  display: flex;
+  align-items: center;
+  gap: 16px;
+  padding: 14px 16px;
+  border: 1px solid #f1f5f9;
+  border-radius: 10px;
+  background: #f8fafc;
+}
+
+.leave-item-main {
+  flex: 1;
+  min-width: 0;
+}
+
+.leave-item-title {
+  font-weight: 500;
+  color: #1e293b;
+}
+
+.leave-holiday-date {
+  min-width: 150px;
+  font-weight: 600;
+  color: #3b82f6;
+}
+
+.leave-muted {
+  font-size: 12px;
+  color: #94a3b8;
+}
+
+.leave-reason {
+  margin-top: 4px;
+  font-size: 13px;
+  color: #475569;
+}
+
+.leave-note {
+  margin-top: 4px;
+  font-size: 12px;
+  color: #b45309;
+}
+
+.leave-status {
+  padding: 2px 10px;
+  border-radius: 999px;
+  font-size: 12px;
+  font-weight: 600;
+  white-space: nowrap;
+}
+
+.leave-actions {
+  display: flex;
+  gap: 8px;
+}
+
+.leave-link {
+  padding: 0;
+  border: none;
+  background: none;
+  color: #3b82f6;
+  font-size: 13px;
+  cursor: pointer;
+}
+
+.leave-link.remove {
+  color: #ef4444;
+}
+
+.leave-table-wrapper {
+  overflow-x: auto;
+}
+
+.leave-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+}
+
+.leave-table th {
+  padding: 10px 12px;
+  background: #f8fafc;
+  color: #475569;
+  font-weight: 600;
+  text-align: left;
+  border-bottom: 1px solid #e2e8f0;
+}
+
+.leave-table td {
+  padding: 10px 12px;
+  border-bottom: 1px solid #f1f5f9;
+}
+
+.leave-rate {
+  font-weight: 600;
+}
+
+.leave-rate.good {
+  color: #047857;
+}
+
+.leave-rate.fair {
+  color: #b45309;
+}
+
+.leave-rate.poor {
+  color: #b91c1c;
+}
+
+.leave-date-row {
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 12px;
+}
+
+.leave-checkbox {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 14px;
+  color: #475569;
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default LeaveCalendar
@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { reportsAPI, refreshAccessToken } from '../services/api'
+
+// Events arriving within this window are handled together, so a burst of
+// end-of-day submissions costs one refresh instead of one per report
+const BATCH_MS = 2000
+
+// A stream the server refused (expired token, lost permission) is retried after this long
+const RECONNECT_MS = 30 * 1000
+
+// Subscribes to live report events for the supervisor's team and calls
+// onReports with each batch. Returns whether the stream is connected.
+export const useReportEvents = (onReports, enabled = true) => {
+  const [connected, setConnected] = useState(false)
+  const handlerRef = useRef(onReports)
+  handlerRef.current = onReports
+
+  useEffect(() => {
+    if (!enabled || typeof EventSource === 'undefined') return
+
+    let source = null
+    let pending = []
+    let batchTimer = null
+    let reconnectTimer = null
+    let stopped = false
+
+    const flush = () => {
+      const events = pending
+      pending = []
+      batchTimer = null
+      handlerRef.current(events)
+    }
+
+    // Streams are refused or ended once the access token expires, so get a fresh one first
+    const reopen = () => {
+      refreshAccessToken().catch(() => {}).finally(() => {
+        if (!stopped) open()
+      })
+    }
+
+    const open = () => {
+      source = reportsAPI.openEventStream()
+      source.addEventListener('ready', () => setConnected(true))
+      source.addEventListener('report', (e) => {
+        try {
+          pending.push(JSON.parse(e.data))
+        } catch (error) {
+          console.error('Error reading report event:', error)
+          return
+        }
+        if (!batchTimer) batchTimer = setTimeout(flush, BATCH_MS)
+      })
+      // The server ends the stream when the access token expires or access is withdrawn
+      source.addEventListener('end', (e) => {
+        source.close()
+        setConnected(false)
+        let reason = ''
+        try {
+          reason = JSON.parse(e.data).reason
+        } catch (error) {
+          console.error('Error reading stream end event:', error)
+        }
+        if (reason === 'token_expired') reopen()
+        else reconnectTimer = setTimeout(reopen, RECONNECT_MS)
+      })
+      source.onerror = () => {
+        setConnected(false)
+        // The browser retries dropped connections itself - only a refused one stays closed
+        if (source.readyState === EventSource.CLOSED) {
+          reconnectTimer = setTimeout(reopen, RECONNECT_MS)
+        }
+      }
+    }
+
+    open()
+
+    return () => {
+      stopped = true
+      clearTimeout(batchTimer)
+      clearTimeout(reconnectTimer)
+      if (source) source.close()
+      setConnected(false)
+    }
+  }, [enabled])
+
+  return connected
+}
+
+// Small pill showing whether the page is receiving live updates
+export const LiveBadge = ({ connected, lastUpdate }) => (
+  <span
+    className={`live-badge ${connected ? 'connected' : ''}`}
+    title={connected ? 'Updates automatically as reports come in' : 'Live updates unavailable - refresh to see new reports'}
+  >
+    <span className="live-dot" />
+    {connected ? 'Live' : 'Offline'}
+    {connected && lastUpdate && (
+      <span className="live-updated">
+        • updated {lastUpdate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+      </span>
+    )}
+  </span>
+)
+
+// CSS Styles
+const styles = `
+.live-badge {
+  display: inline-flex;
+  align-items: center;
+  gap: 6px;
+  padding: 4px 10px;
+  border-radius: 999px;
+  background: #f1f5f9;
+  color: #64748b;
+  font-size: 12px;
+  font-weight: 600;
+  white-space: nowrap;
+}
+
+.live-badge.connected {
+  background: #dcfce7;
+  color: #166534;
+}
+
+.live-dot {
+  width: 8px;
+  height: 8px;
+  border-radius: 50%;
+  background: #94a3b8;
+}
+
+.live-badge.connected .live-dot {
+  background: #22c55e;
+  animation: live-pulse 2s infinite;
+}
+
+.live-updated {
+  font-weight: 400;
+}
+
+@keyframes live-pulse {
+  0% { box-shadow: 0 0 0 0 rgba(34, 197, 94, 0.5); }
+  70% { box-shadow: 0 0 0 6px rgba(34, 197, 94, 0); }
+  100% { box-shadow: 0 0 0 0 rgba(34, 197, 94, 0); }
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
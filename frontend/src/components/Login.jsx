@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { authAPI } from '../services/api';
 
 const Login = () => {
@@ -41,17 +41,18 @@ const Login = () => {
       const response = await authAPI.login(username.trim(), password.trim());
       
       if (response.data.success) {
-        const { token, user: userData } = response.data.data;
+        const { token, refresh_token, user: userData } = response.data.data;
         
-        // Store token and user data
+        // Store token and user data - the refresh token keeps the session going once the token expires
         localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refresh_token);
         localStorage.setItem('user', JSON.stringify(userData));
         
         // Update auth context
         login(userData);
         
-        // Determine redirect path based on role
-        const redirectPath = userData.role === 'supervisor' || userData.role === 'admin' 
+        // Determine redirect path based on permissions
+        const redirectPath = userData.permissions?.includes('reports:read:team') 
           ? '/supervisor-dashboard' 
           : '/dashboard';
         
@@ -209,6 +210,10 @@ const Login = () => {
           </button>
         </form>
 
+        <div className="forgot-password-link">
+          <Link to="/forgot-password">Forgot your password?</Link>
+        </div>
+
         <div className="login-footer">
           <p>
             © {new Date().getFullYear()} Regal Pharma. All rights reserved.
@@ -242,6 +247,22 @@ const styles = `
   backdrop-filter: blur(10px);
 }
 
+.forgot-password-link {
+  text-align: center;
+  margin-top: 20px;
+  font-size: 14px;
+}
+
+.forgot-password-link a {
+  color: #667eea;
+  font-weight: 500;
+  text-decoration: none;
+}
+
+.forgot-password-link a:hover {
+  text-decoration: underline;
+}
+
 /* Loading State */
 .login-loading {
   min-height: 100vh;
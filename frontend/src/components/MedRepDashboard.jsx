@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react'
 import { useAuth } from '../contexts/AuthContext'
 import { useNavigate } from 'react-router-dom'
-import { reportsAPI } from '../services/api'
+import { reportsAPI, analyticsAPI } from '../services/api'
+import TargetProgress from './TargetProgress'
+import { CommentFeed } from './ReportComments'
 
 const MedRepDashboard = () => {
   const { user, logout } = useAuth()
@@ -9,6 +11,9 @@ const MedRepDashboard = () => {
   const [recentReports, setRecentReports] = useState([])
   const [loading, setLoading] = useState(true)
   const [lastRefresh, setLastRefresh] = useState(Date.now())
+  const [targets, setTargets] = useState({ data: [], pace: null })
+  const [openReports, setOpenReports] = useState([])
+  const [comments, setComments] = useState({ data: [], unread: 0 })
   const [stats, setStats] = useState({
     totalDoctors: 0,
     totalPharmacies: 0,
@@ -75,6 +80,49 @@ const MedRepDashboard = () => {
     }
   }
 
+  // Load this month's targets with attainment so far
+  const loadTargets = async () => {
+    try {
+      const response = await analyticsAPI.getMyTargets()
+      if (response.data.success) {
+        setTargets({ data: response.data.data || [], pace: response.data.pace })
+      }
+    } catch (error) {
+      console.error('Error loading targets:', error)
+      setTargets({ data: [], pace: null })
+    }
+  }
+
+  // Reports the rep still has to act on - returned by a supervisor or saved as a draft
+  const loadOpenReports = async () => {
+    try {
+      const [returned, drafts] = await Promise.all([
+        reportsAPI.getMyReports(1, 20, 'returned'),
+        reportsAPI.getMyReports(1, 20, 'draft')
+      ])
+      setOpenReports([
+        ...(returned.data.success ? returned.data.data?.reports || [] : []),
+        ...(drafts.data.success ? drafts.data.data?.reports || [] : [])
+      ])
+    } catch (error) {
+      console.error('Error loading open reports:', error)
+      setOpenReports([])
+    }
+  }
+
+  // Latest supervisor feedback on my reports
+  const loadComments = async () => {
+    try {
+      const response = await reportsAPI.getCommentFeed(5)
+      if (response.data.success) {
+        setComments({ data: response.data.data || [], unread: response.data.unread_count || 0 })
+      }
+    } catch (error) {
+      console.error('Error loading comments:', error)
+      setComments({ data: [], unread: 0 })
+    }
+  }
+
   // Fallback method if getMyReports fails
   const tryFallbackLoad = async () => {
     try {
@@ -129,10 +177,16 @@ const MedRepDashboard = () => {
   // Listen for report submission events
   useEffect(() => {
     loadDashboardData()
+    loadTargets()
+    loadOpenReports()
+    loadComments()
     
     const handleReportSubmitted = () => {
       console.log('📢 Report submitted event received, refreshing dashboard...')
       loadDashboardData()
+      loadTargets()
+      loadOpenReports()
+      loadComments()
     }
     
     window.addEventListener('reportSubmitted', handleReportSubmitted)
@@ -308,6 +362,63 @@ const MedRepDashboard = () => {
         </div>
       </div>
 
+      {/* Returned and draft reports */}
+      {openReports.length > 0 && (
+        <div className="open-reports-card">
+          <div className="card-header">
+            <h3>Needs Your Attention</h3>
+          </div>
+          <div className="reports-list">
+            {openReports.map(report => (
+              <div key={report._id} className={`open-report ${report.status}`}>
+                <div className="open-report-details">
+                  <div className="report-title">
+                    {report.status === 'returned' ? '↩️ Returned' : '📝 Draft'} • {new Date(report.report_date).toLocaleDateString()}
+                  </div>
+                  {report.status === 'returned' && (
+                    <div className="report-subtitle">
+                      {report.status_history?.filter(change => change.to === 'returned').slice(-1)[0]?.reason || 'Returned for correction'}
+                    </div>
+                  )}
+                </div>
+                <button
+                  onClick={() => navigate(`/daily-report?edit=${report._id}`)}
+                  className="primary-button"
+                >
+                  {report.status === 'returned' ? 'Fix Report' : 'Continue'}
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Report comments */}
+      {comments.data.length > 0 && (
+        <div className="comments-card">
+          <div className="card-header">
+            <h3>
+              Feedback on My Reports
+              {comments.unread > 0 && <span className="unread-count">{comments.unread} new</span>}
+            </h3>
+          </div>
+          <CommentFeed
+            comments={comments.data}
+            onOpen={(comment) => navigate(`/reports?report=${comment.report_id?._id}`)}
+          />
+        </div>
+      )}
+
+      {/* Monthly Targets */}
+      {targets.data.length > 0 && (
+        <div className="targets-card">
+          <div className="card-header">
+            <h3>My Targets This Month</h3>
+          </div>
+          <TargetProgress targets={targets.data} pace={targets.pace} showOwner={false} />
+        </div>
+      )}
+
       {/* Performance Tips */}
       <div className="tips-card">
         <div className="card-header">
@@ -611,6 +722,7 @@ const styles = `
 /* Cards */
 .quick-actions-card,
 .reports-card,
+.targets-card,
 .tips-card {
   background: white;
   padding: 30px;
@@ -861,6 +973,62 @@ const styles = `
   box-shadow: 0 6px 20px rgba(59, 130, 246, 0.35);
 }
 
+/* Targets Card */
+.targets-card {
+  margin-bottom: 30px;
+}
+
+/* Comments Card */
+.comments-card {
+  background: white;
+  padding: 30px;
+  margin-bottom: 30px;
+  border-radius: 16px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+  border: 1px solid #e2e8f0;
+}
+
+.unread-count {
+  margin-left: 10px;
+  padding: 2px 10px;
+  border-radius: 999px;
+  background: #3b82f6;
+  color: white;
+  font-size: 12px;
+  font-weight: 600;
+  vertical-align: middle;
+}
+
+/* Open Reports Card */
+.open-reports-card {
+  background: white;
+  padding: 30px;
+  margin-bottom: 30px;
+  border-radius: 16px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+  border: 1px solid #fecaca;
+}
+
+.open-report {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 16px;
+  padding: 16px 20px;
+  background: #f8fafc;
+  border-radius: 10px;
+  border-left: 4px solid #94a3b8;
+}
+
+.open-report.returned {
+  background: #fef2f2;
+  border-left-color: #ef4444;
+}
+
+.open-report-details {
+  flex: 1;
+}
+
 /* Tips Card */
 .tips-card {
   background: linear-gradient(135deg, #fef3c7 0%, #fde68a 100%);
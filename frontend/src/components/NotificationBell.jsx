@@ -0,0 +1,325 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { useNavigate, useLocation } from 'react-router-dom'
+import { notificationsAPI } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+
+const TYPE_ICONS = {
+  report_approved: '✅',
+  report_returned: '↩️',
+  report_comment: '💬',
+  report_mention: '📣',
+  target_set: '🎯',
+  plan_reviewed: '🗓️',
+  expense_reviewed: '💸',
+  leave_reviewed: '🌴',
+  user_deactivated: '🚫',
+  user_reactivated: '🔓',
+  role_changed: '🔐',
+  manager_changed: '🧭'
+}
+
+// How often the unread count is refreshed while the app is open
+const POLL_MS = 60 * 1000
+
+const timeAgo = (dateString) => {
+  const minutes = Math.floor((Date.now() - new Date(dateString).getTime()) / 60000)
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes}m ago`
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`
+  return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+}
+
+// Bell with an unread badge and a dropdown of the latest notifications
+const NotificationBell = () => {
+  const navigate = useNavigate()
+  const location = useLocation()
+  const { user } = useAuth()
+  // Everything but the profile page is refused until a temporary password is changed
+  const mustChangePassword = Boolean(user?.must_change_password)
+  const [open, setOpen] = useState(false)
+  const [unreadCount, setUnreadCount] = useState(0)
+  const [notifications, setNotifications] = useState([])
+  const [loading, setLoading] = useState(false)
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    if (mustChangePassword) return
+    loadUnreadCount()
+    const timer = setInterval(loadUnreadCount, POLL_MS)
+    return () => clearInterval(timer)
+  }, [mustChangePassword])
+
+  // Something the user just did may have been answered - check again on every page change
+  useEffect(() => {
+    if (!mustChangePassword) loadUnreadCount()
+    setOpen(false)
+  }, [location.pathname])
+
+  useEffect(() => {
+    if (!open) return
+    const closeOnOutsideClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', closeOnOutsideClick)
+    return () => document.removeEventListener('mousedown', closeOnOutsideClick)
+  }, [open])
+
+  const loadUnreadCount = async () => {
+    try {
+      const response = await notificationsAPI.getUnreadCount()
+      if (response.data.success) setUnreadCount(response.data.data.unread_count)
+    } catch (error) {
+      console.error('Error loading notification count:', error)
+    }
+  }
+
+  const loadNotifications = async () => {
+    try {
+      setLoading(true)
+      const response = await notificationsAPI.getAll({ limit: 15 })
+      if (response.data.success) {
+        setNotifications(response.data.data.notifications || [])
+        setUnreadCount(response.data.data.unread_count)
+      }
+    } catch (error) {
+      console.error('Error loading notifications:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggle = () => {
+    if (!open) loadNotifications()
+    setOpen(!open)
+  }
+
+  const openNotification = async (notification) => {
+    if (!notification.read_at) {
+      try {
+        await notificationsAPI.markRead(notification._id)
+        setUnreadCount(count => Math.max(count - 1, 0))
+        setNotifications(prev => prev.map(item =>
+          item._id === notification._id ? { ...item, read_at: new Date().toISOString() } : item
+        ))
+      } catch (error) {
+        console.error('Error marking notification read:', error)
+      }
+    }
+    setOpen(false)
+    if (notification.link) navigate(notification.link)
+  }
+
+  const markAllRead = async () => {
+    try {
+      await notificationsAPI.markAllRead()
+      setUnreadCount(0)
+      setNotifications(prev => prev.map(item => ({ ...item, read_at: item.read_at || new Date().toISOString() })))
+    } catch (error) {
+      console.error('Error marking notifications read:', error)
+    }
+  }
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        onClick={toggle}
+        className={`bell-button ${open ? 'open' : ''}`}
+        title={mustChangePassword ? 'Change your password to see notifications' : 'Notifications'}
+        disabled={mustChangePassword}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="bell-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div className="bell-dropdown">
+          <div className="bell-header">
+            <span>Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={markAllRead} className="bell-mark-all">Mark all read</button>
+            )}
+          </div>
+          <div className="bell-list">
+            {loading && notifications.length === 0 ? (
+              <div className="bell-empty">Loading...</div>
+            ) : notifications.length === 0 ? (
+              <div className="bell-empty">You're all caught up.</div>
+            ) : (
+              notifications.map(notification => (
+                <button
+                  key={notification._id}
+                  onClick={() => openNotification(notification)}
+                  className={`bell-item ${notification.read_at ? '' : 'unread'}`}
+                >
+                  <span className="bell-icon">{TYPE_ICONS[notification.type] || '🔔'}</span>
+                  <span className="bell-content">
+                    <span className="bell-title">{notification.title}</span>
+                    {notification.message && <span className="bell-message">{notification.message}</span>}
+                    <span className="bell-time">
+                      {notification.actor?.name ? `${notification.actor.name} • ` : ''}{timeAgo(notification.createdAt)}
+                    </span>
+                  </span>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.notification-bell {
+  position: relative;
+}
+
+.bell-button {
+  position: relative;
+  width: 44px;
+  height: 44px;
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  background: #f8fafc;
+  font-size: 18px;
+  cursor: pointer;
+  transition: all 0.2s ease;
+}
+
+.bell-button:hover:not(:disabled),
+.bell-button.open {
+  background: #f1f5f9;
+  border-color: #cbd5e1;
+}
+
+.bell-button:disabled {
+  opacity: 0.5;
+  cursor: not-allowed;
+}
+
+.bell-badge {
+  position: absolute;
+  top: -6px;
+  right: -6px;
+  min-width: 20px;
+  height: 20px;
+  padding: 0 5px;
+  border-radius: 999px;
+  background: #ef4444;
+  color: white;
+  font-size: 11px;
+  font-weight: 700;
+  line-height: 20px;
+  box-sizing: border-box;
+}
+
+.bell-dropdown {
+  position: absolute;
+  top: calc(100% + 8px);
+  right: 0;
+  width: 360px;
+  max-width: calc(100vw - 32px);
+  background: #ffffff;
+  border: 1px solid #e2e8f0;
+  border-radius: 12px;
+  box-shadow: 0 12px 32px rgba(0, 0, 0, 0.12);
+  z-index: 200;
+  overflow: hidden;
+}
+
+.bell-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 14px 16px;
+  border-bottom: 1px solid #f1f5f9;
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.bell-mark-all {
+  border: none;
+  background: none;
+  color: #3b82f6;
+  font-size: 13px;
+  cursor: pointer;
+}
+
+.bell-list {
+  max-height: 420px;
+  overflow-y: auto;
+}
+
+.bell-empty {
+  padding: 32px 16px;
+  text-align: center;
+  color: #94a3b8;
+  font-size: 14px;
+}
+
+.bell-item {
+  display: flex;
+  gap: 12px;
+  width: 100%;
+  padding: 12px 16px;
+  border: none;
+  border-bottom: 1px solid #f8fafc;
+  background: #ffffff;
+  text-align: left;
+  cursor: pointer;
+  font-family: inherit;
+}
+
+.bell-item:hover {
+  background: #f8fafc;
+}
+
+.bell-item.unread {
+  background: #eff6ff;
+}
+
+.bell-icon {
+  font-size: 18px;
+}
+
+.bell-content {
+  display: flex;
+  flex-direction: column;
+  gap: 2px;
+  min-width: 0;
+}
+
+.bell-title {
+  font-size: 14px;
+  color: #1e293b;
+}
+
+.bell-item.unread .bell-title {
+  font-weight: 600;
+}
+
+.bell-message {
+  font-size: 13px;
+  color: #64748b;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+.bell-time {
+  font-size: 12px;
+  color: #94a3b8;
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default NotificationBell
@@ -0,0 +1,363 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { usersAPI } from '../services/api'
+
+const ROLE_ICONS = {
+  admin: '🛡️',
+  supervisor: '👔',
+  regional_manager: '🧭',
+  auditor: '🔍',
+  medrep: '💼'
+}
+
+// IDs of a node and everyone below it - none of them can become its manager
+const collectIds = (node) => [node._id, ...node.children.flatMap(collectIds)]
+
+const OrgChart = () => {
+  const { user, hasPermission } = useAuth()
+  const [tree, setTree] = useState([])
+  const [supervisors, setSupervisors] = useState([])
+  const [expanded, setExpanded] = useState({})
+  const [showInactive, setShowInactive] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [savingId, setSavingId] = useState(null)
+  const [error, setError] = useState('')
+  const [successMessage, setSuccessMessage] = useState('')
+
+  useEffect(() => {
+    loadChart()
+  }, [showInactive])
+
+  useEffect(() => {
+    loadSupervisors()
+  }, [])
+
+  const loadChart = async () => {
+    try {
+      setLoading(true)
+      const response = await usersAPI.getOrgChart(showInactive)
+      if (response.data.success) {
+        const roots = response.data.data || []
+        setTree(roots)
+        // Open the top of the chart on first load
+        setExpanded(prev => Object.keys(prev).length > 0
+          ? prev
+          : roots.reduce((open, root) => ({ ...open, [root._id]: true }), {}))
+      } else {
+        setError(response.data.message || 'Failed to load org chart')
+      }
+    } catch (error) {
+      console.error('Error loading org chart:', error)
+      setError(error.response?.data?.message || 'Failed to load org chart')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadSupervisors = async () => {
+    try {
+      const response = await usersAPI.getSupervisors()
+      if (response.data.success) {
+        setSupervisors(response.data.data || [])
+      }
+    } catch (error) {
+      console.error('Error loading supervisors:', error)
+    }
+  }
+
+  const changeManager = async (node, managerId) => {
+    try {
+      setSavingId(node._id)
+      setError('')
+      const response = await usersAPI.setManager(node._id, managerId || null)
+      setSuccessMessage(response.data.message || 'Manager updated')
+      if (managerId) setExpanded(prev => ({ ...prev, [managerId]: true }))
+      loadChart()
+    } catch (error) {
+      console.error('Error changing manager:', error)
+      setError(error.response?.data?.message || 'Failed to change manager')
+    } finally {
+      setSavingId(null)
+    }
+  }
+
+  if (!user || !hasPermission('users:read')) {
+    return (
+      <div className="org-chart-container">
+        <div className="access-denied">
+          <div className="access-icon">🔒</div>
+          <h2>Access Denied</h2>
+          <p>This section is only available for supervisors and administrators.</p>
+        </div>
+      </div>
+    )
+  }
+
+  const totalPeople = tree.reduce((sum, root) => sum + 1 + (root.total_reports || 0), 0)
+
+  return (
+    <div className="org-chart-container">
+      {/* Header */}
+      <div className="org-chart-header">
+        <div>
+          <h1>Org Chart</h1>
+          <p className="header-subtitle">
+            Who reports to whom. Supervisors see reports and analytics for everyone below them.
+          </p>
+        </div>
+        <label className="org-chart-toggle">
+          <input
+            type="checkbox"
+            checked={showInactive}
+            onChange={(e) => setShowInactive(e.target.checked)}
+          />
+          Show inactive users
+        </label>
+      </div>
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="success-card">
+          <div className="success-content">
+            <div className="success-text">{successMessage}</div>
+            <button onClick={() => setSuccessMessage('')} className="success-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-card">
+          <div className="error-content">
+            <div className="error-text">{error}</div>
+            <button onClick={() => setError('')} className="error-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="org-chart-card">
+        {loading && tree.length === 0 ? (
+          <div className="org-chart-empty">Loading org chart...</div>
+        ) : tree.length === 0 ? (
+          <div className="org-chart-empty">
+            <div className="empty-icon">👥</div>
+            <p>No users found.</p>
+          </div>
+        ) : (
+          <>
+            <div className="org-chart-summary">{totalPeople} people</div>
+            {tree.map(node => (
+              <OrgNode
+                key={node._id}
+                node={node}
+                isRoot
+                currentUserId={user._id || user.id}
+                supervisors={supervisors}
+                expanded={expanded}
+                savingId={savingId}
+                onToggle={(id) => setExpanded(prev => ({ ...prev, [id]: !prev[id] }))}
+                onChangeManager={changeManager}
+              />
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Org Chart Node Component
+const OrgNode = ({ node, isRoot, currentUserId, supervisors, expanded, savingId, onToggle, onChangeManager }) => {
+  const excluded = new Set(collectIds(node))
+  const managerOptions = supervisors.filter(s => !excluded.has(s._id))
+  // Supervisors can't move themselves; the roots of an admin's chart have no manager to change
+  const canMove = node._id !== currentUserId && !(isRoot && !node.manager_id)
+
+  return (
+    <div className="org-node">
+      <div className={`org-row ${node.is_active === false ? 'inactive' : ''}`}>
+        <button
+          onClick={() => onToggle(node._id)}
+          className="tree-toggle"
+          disabled={node.children.length === 0}
+        >
+          {node.children.length === 0 ? '•' : expanded[node._id] ? '▾' : '▸'}
+        </button>
+        <div className="org-person">
+          <div className="org-name">
+            {ROLE_ICONS[node.role] || '👤'} {node.name}
+            {node._id === currentUserId && <span className="org-you">You</span>}
+          </div>
+          <div className="org-meta">
+            @{node.username} • {node.role} • {node.territory_id?.name || node.region || 'No region'}
+            {node.total_reports > 0 && ` • ${node.direct_reports} direct, ${node.total_reports} total`}
+          </div>
+        </div>
+        {canMove && (
+          <select
+            value={node.manager_id || ''}
+            onChange={(e) => onChangeManager(node, e.target.value)}
+            disabled={savingId === node._id}
+            className="org-manager-select"
+            title="Reports to"
+          >
+            {!node.manager_id && <option value="">No manager</option>}
+            {managerOptions.map(s => (
+              <option key={s._id} value={s._id}>Reports to {s.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      {expanded[node._id] && node.children.length > 0 && (
+        <div className="tree-children">
+          {node.children.map(child => (
+            <OrgNode
+              key={child._id}
+              node={child}
+              currentUserId={currentUserId}
+              supervisors={supervisors}
+              expanded={expanded}
+              savingId={savingId}
+              onToggle={onToggle}
+              onChangeManager={onChangeManager}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.org-chart-container {
+  padding: 30px;
+  min-height: 100vh;
+  font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+}
+
+.org-chart-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 20px;
+  background: #ffffff;
+  padding: 30px;
+  border-radius: 16px;
+  margin-bottom: 30px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+}
+
+.org-chart-header h1 {
+  margin: 0 0 8px 0;
+  color: #1e293b;
+  font-size: 28px;
+  font-weight: 700;
+}
+
+.org-chart-toggle {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 14px;
+  color: #475569;
+  cursor: pointer;
+}
+
+.org-chart-card {
+  background: #ffffff;
+  border-radius: 16px;
+  border: 1px solid #e2e8f0;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  padding: 20px;
+}
+
+.org-chart-summary {
+  font-size: 13px;
+  color: #64748b;
+  margin-bottom: 12px;
+}
+
+.org-row {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 8px 6px;
+  border-radius: 8px;
+}
+
+.org-row:hover {
+  background: #f8fafc;
+}
+
+.org-row.inactive {
+  opacity: 0.55;
+}
+
+.org-person {
+  flex: 1;
+  min-width: 0;
+}
+
+.org-name {
+  font-size: 15px;
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.org-you {
+  margin-left: 8px;
+  padding: 2px 8px;
+  border-radius: 999px;
+  background: #eff6ff;
+  color: #3b82f6;
+  font-size: 11px;
+  font-weight: 600;
+}
+
+.org-meta {
+  font-size: 13px;
+  color: #64748b;
+}
+
+.org-manager-select {
+  padding: 6px 10px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  font-size: 13px;
+  background: #ffffff;
+  max-width: 220px;
+}
+
+.org-chart-empty {
+  padding: 60px 20px;
+  text-align: center;
+  color: #64748b;
+}
+
+@media (max-width: 768px) {
+  .org-chart-container {
+    padding: 16px;
+  }
+
+  .org-chart-header,
+  .org-row {
+    flex-direction: column;
+    align-items: stretch;
+  }
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default OrgChart
@@ -0,0 +1,581 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { outletsAPI, usersAPI } from '../services/api'
+
+const OUTLET_TYPES = [
+  { value: 'pharmacy', label: 'Pharmacy', icon: '💊' },
+  { value: 'dispensary', label: 'Dispensary', icon: '🏥' },
+  { value: 'wholesaler', label: 'Wholesaler', icon: '🚚' }
+]
+
+const emptyOutlet = {
+  name: '',
+  type: 'pharmacy',
+  license_number: '',
+  address: '',
+  latitude: '',
+  longitude: '',
+  owner_id: ''
+}
+
+const OutletManagement = () => {
+  const { user, hasPermission } = useAuth()
+  const [outlets, setOutlets] = useState([])
+  const [medreps, setMedreps] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [typeFilter, setTypeFilter] = useState('all')
+  const [search, setSearch] = useState('')
+  const [error, setError] = useState('')
+  const [successMessage, setSuccessMessage] = useState('')
+  const [showModal, setShowModal] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [formData, setFormData] = useState(emptyOutlet)
+
+  useEffect(() => {
+    loadMedreps()
+  }, [])
+
+  useEffect(() => {
+    const timer = setTimeout(loadOutlets, 300)
+    return () => clearTimeout(timer)
+  }, [typeFilter, search])
+
+  const loadOutlets = async () => {
+    try {
+      setLoading(true)
+      setError('')
+
+      const params = { limit: 200 }
+      if (typeFilter !== 'all') params.type = typeFilter
+      if (search.trim()) params.search = search.trim()
+
+      const response = await outletsAPI.search(params)
+      if (response.data.success) {
+        setOutlets(response.data.data?.outlets || [])
+      } else {
+        setError(response.data.message || 'Failed to load outlets')
+      }
+    } catch (error) {
+      console.error('Error loading outlets:', error)
+      setError(error.response?.data?.message || 'Failed to load outlets')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadMedreps = async () => {
+    try {
+      const response = await usersAPI.getAll()
+      if (response.data.success) {
+        setMedreps((response.data.data || []).filter(u => u.role === 'medrep' && u.is_active !== false))
+      }
+    } catch (error) {
+      console.error('Error loading medreps:', error)
+    }
+  }
+
+  const openCreateModal = () => {
+    setEditingId(null)
+    setFormData(emptyOutlet)
+    setShowModal(true)
+  }
+
+  const openEditModal = (outlet) => {
+    setEditingId(outlet._id)
+    setFormData({
+      name: outlet.name || '',
+      type: outlet.type || 'pharmacy',
+      license_number: outlet.license_number || '',
+      address: outlet.address || '',
+      latitude: outlet.latitude ?? '',
+      longitude: outlet.longitude ?? '',
+      owner_id: outlet.owner_id?._id || outlet.owner_id || ''
+    })
+    setShowModal(true)
+  }
+
+  const saveOutlet = async () => {
+    if (!formData.name.trim()) {
+      setError('Outlet name is required')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError('')
+
+      const response = editingId
+        ? await outletsAPI.update(editingId, formData)
+        : await outletsAPI.create(formData)
+
+      if (response.data.success) {
+        setSuccessMessage(`Outlet ${formData.name} ${editingId ? 'updated' : 'added'} successfully!`)
+        setShowModal(false)
+        loadOutlets()
+      } else {
+        setError(response.data.message || 'Failed to save outlet')
+      }
+    } catch (error) {
+      console.error('Error saving outlet:', error)
+      const data = error.response?.data
+      setError(data?.errors ? data.errors.join(', ') : data?.message || 'Failed to save outlet')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const removeOutlet = async (outlet) => {
+    if (!window.confirm(`Are you sure you want to remove ${outlet.name}?`)) return
+
+    try {
+      const response = await outletsAPI.delete(outlet._id)
+      setSuccessMessage(response.data.message || `${outlet.name} removed`)
+      loadOutlets()
+    } catch (error) {
+      console.error('Error removing outlet:', error)
+      setError(error.response?.data?.message || 'Failed to remove outlet')
+    }
+  }
+
+  if (!user || !hasPermission('outlets:write')) {
+    return (
+      <div className="outlet-management-container">
+        <div className="access-denied">
+          <div className="access-icon">🔒</div>
+          <h2>Access Denied</h2>
+          <p>This section is only available for supervisors and administrators.</p>
+        </div>
+      </div>
+    )
+  }
+
+  const typeCounts = OUTLET_TYPES.reduce((counts, type) => ({
+    ...counts,
+    [type.value]: outlets.filter(outlet => outlet.type === type.value).length
+  }), {})
+
+  return (
+    <div className="outlet-management-container">
+      {/* Header */}
+      <div className="outlet-header">
+        <div>
+          <h1>Outlet Registry</h1>
+          <p className="header-subtitle">
+            Pharmacies, dispensaries and wholesalers covered by the team • {outlets.length} outlets
+          </p>
+        </div>
+        <button onClick={openCreateModal} className="add-member-button">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M12 5V19M5 12H19" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+          </svg>
+          Add Outlet
+        </button>
+      </div>
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="success-card">
+          <div className="success-content">
+            <div className="success-text">{successMessage}</div>
+            <button onClick={() => setSuccessMessage('')} className="success-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-card">
+          <div className="error-content">
+            <div className="error-text">{error}</div>
+            <button onClick={() => setError('')} className="error-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Type Summary */}
+      <div className="outlet-summary">
+        {OUTLET_TYPES.map(type => (
+          <div key={type.value} className="outlet-summary-item">
+            <span className="outlet-summary-icon">{type.icon}</span>
+            <span className="outlet-summary-value">{typeCounts[type.value] || 0}</span>
+            <span className="outlet-summary-label">{type.label}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Filters */}
+      <div className="action-bar">
+        <div className="filter-buttons">
+          {['all', ...OUTLET_TYPES.map(type => type.value)].map(type => (
+            <button
+              key={type}
+              onClick={() => setTypeFilter(type)}
+              className={`filter-button ${typeFilter === type ? 'active' : ''}`}
+            >
+              {type === 'all' ? 'All' : OUTLET_TYPES.find(t => t.value === type).label}
+            </button>
+          ))}
+        </div>
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search name, address or license"
+          className="outlet-search"
+        />
+      </div>
+
+      {/* Outlets Table */}
+      <div className="outlet-table-card">
+        {loading && outlets.length === 0 ? (
+          <div className="outlet-empty">Loading outlets...</div>
+        ) : outlets.length === 0 ? (
+          <div className="outlet-empty">
+            <div className="empty-icon">🏪</div>
+            <p>No outlets found. Add the pharmacies and dispensaries your team visits.</p>
+          </div>
+        ) : (
+          <table className="outlet-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Type</th>
+                <th>License</th>
+                <th>Address</th>
+                <th>GPS</th>
+                <th>Owning Rep</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {outlets.map(outlet => (
+                <tr key={outlet._id}>
+                  <td className="outlet-name">{outlet.name}</td>
+                  <td>
+                    <span className={`outlet-type-badge ${outlet.type}`}>
+                      {OUTLET_TYPES.find(t => t.value === outlet.type)?.label || outlet.type}
+                    </span>
+                  </td>
+                  <td>{outlet.license_number || '—'}</td>
+                  <td>{outlet.address || '—'}</td>
+                  <td className="outlet-gps">
+                    {outlet.latitude != null && outlet.longitude != null
+                      ? `${outlet.latitude.toFixed(4)}, ${outlet.longitude.toFixed(4)}`
+                      : '—'}
+                  </td>
+                  <td>{outlet.owner_id?.name || 'Unassigned'}</td>
+                  <td className="outlet-actions">
+                    <button onClick={() => openEditModal(outlet)} className="outlet-action edit">Edit</button>
+                    <button onClick={() => removeOutlet(outlet)} className="outlet-action remove">Remove</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Add / Edit Modal */}
+      {showModal && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h3>{editingId ? 'Edit Outlet' : 'Add New Outlet'}</h3>
+              <button onClick={() => setShowModal(false)} className="modal-close">&times;</button>
+            </div>
+            <div className="modal-body">
+              <div className="form-group">
+                <label>Outlet Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="Enter outlet name"
+                />
+              </div>
+              <div className="form-group">
+                <label>Type *</label>
+                <select
+                  value={formData.type}
+                  onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                >
+                  {OUTLET_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>License Number</label>
+                <input
+                  type="text"
+                  value={formData.license_number}
+                  onChange={(e) => setFormData({ ...formData, license_number: e.target.value })}
+                  placeholder="Enter license number"
+                />
+              </div>
+              <div className="form-group">
+                <label>Address</label>
+                <input
+                  type="text"
+                  value={formData.address}
+                  onChange={(e) => setFormData({ ...formData, address: e.target.value })}
+                  placeholder="Street, town"
+                />
+              </div>
+              <div className="outlet-gps-row">
+                <div className="form-group">
+                  <label>Latitude</label>
+                  <input
+                    type="number"
+                    step="0.000001"
+                    value={formData.latitude}
+                    onChange={(e) => setFormData({ ...formData, latitude: e.target.value })}
+                    placeholder="-1.9441"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Longitude</label>
+                  <input
+                    type="number"
+                    step="0.000001"
+                    value={formData.longitude}
+                    onChange={(e) => setFormData({ ...formData, longitude: e.target.value })}
+                    placeholder="30.0619"
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Owning Rep</label>
+                <select
+                  value={formData.owner_id}
+                  onChange={(e) => setFormData({ ...formData, owner_id: e.target.value })}
+                >
+                  <option value="">Unassigned</option>
+                  {medreps.map(rep => (
+                    <option key={rep._id} value={rep._id}>
+                      {rep.name}{rep.region ? ` (${rep.region})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button onClick={() => setShowModal(false)} className="cancel-button">
+                Cancel
+              </button>
+              <button onClick={saveOutlet} className="save-button" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Add Outlet'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.outlet-management-container {
+  padding: 30px;
+  min-height: 100vh;
+  font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+}
+
+.outlet-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 20px;
+  background: #ffffff;
+  padding: 30px;
+  border-radius: 16px;
+  margin-bottom: 30px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+}
+
+.outlet-header h1 {
+  margin: 0 0 8px 0;
+  color: #1e293b;
+  font-size: 28px;
+  font-weight: 700;
+}
+
+.outlet-summary {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 16px;
+  margin-bottom: 30px;
+}
+
+.outlet-summary-item {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  background: #ffffff;
+  padding: 20px;
+  border-radius: 12px;
+  border: 1px solid #e2e8f0;
+}
+
+.outlet-summary-icon {
+  font-size: 24px;
+}
+
+.outlet-summary-value {
+  font-size: 24px;
+  font-weight: 700;
+  color: #1e293b;
+}
+
+.outlet-summary-label {
+  color: #64748b;
+  font-size: 14px;
+}
+
+.outlet-search {
+  padding: 10px 16px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  font-size: 14px;
+  min-width: 280px;
+  background: #ffffff;
+}
+
+.outlet-search:focus {
+  outline: none;
+  border-color: #3b82f6;
+  box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+}
+
+.outlet-table-card {
+  background: #ffffff;
+  border-radius: 16px;
+  border: 1px solid #e2e8f0;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  overflow-x: auto;
+}
+
+.outlet-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+}
+
+.outlet-table th {
+  text-align: left;
+  padding: 14px 16px;
+  background: #f8fafc;
+  color: #475569;
+  font-weight: 600;
+  border-bottom: 1px solid #e2e8f0;
+  white-space: nowrap;
+}
+
+.outlet-table td {
+  padding: 14px 16px;
+  border-bottom: 1px solid #f1f5f9;
+  color: #334155;
+}
+
+.outlet-name {
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.outlet-gps {
+  font-family: monospace;
+  font-size: 12px;
+}
+
+.outlet-type-badge {
+  display: inline-block;
+  padding: 4px 10px;
+  border-radius: 999px;
+  font-size: 12px;
+  font-weight: 600;
+}
+
+.outlet-type-badge.pharmacy {
+  background: #dbeafe;
+  color: #1d4ed8;
+}
+
+.outlet-type-badge.dispensary {
+  background: #dcfce7;
+  color: #15803d;
+}
+
+.outlet-type-badge.wholesaler {
+  background: #fef3c7;
+  color: #92400e;
+}
+
+.outlet-actions {
+  display: flex;
+  gap: 8px;
+}
+
+.outlet-action {
+  padding: 6px 12px;
+  border-radius: 6px;
+  border: 1px solid #e2e8f0;
+  background: #ffffff;
+  cursor: pointer;
+  font-size: 13px;
+  font-weight: 500;
+}
+
+.outlet-action.edit:hover {
+  border-color: #3b82f6;
+  color: #3b82f6;
+}
+
+.outlet-action.remove:hover {
+  border-color: #ef4444;
+  color: #ef4444;
+}
+
+.outlet-empty {
+  padding: 60px 20px;
+  text-align: center;
+  color: #64748b;
+}
+
+.outlet-gps-row {
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 16px;
+}
+
+@media (max-width: 768px) {
+  .outlet-management-container {
+    padding: 16px;
+  }
+
+  .outlet-header {
+    flex-direction: column;
+    align-items: flex-start;
+  }
+
+  .outlet-search {
+    min-width: 0;
+    width: 100%;
+  }
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default OutletManagement
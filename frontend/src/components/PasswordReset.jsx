@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+// Both screens sit on the login page's card and reuse its styles
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const AuthCard = ({ title, children }) => (
+  <div className="login-container">
+    <div className="login-card">
+      <div className="login-header">
+        <h1>Regal Pharma</h1>
+        <p className="login-subtitle">{title}</p>
+      </div>
+      {children}
+      <div className="auth-links">
+        <Link to="/login">Back to sign in</Link>
+      </div>
+    </div>
+  </div>
+);
+
+// Asks for an email or username and sends a reset link. The reply is the same whether or
+// not the account exists, so there is nothing to show beyond "check your inbox".
+export const ForgotPassword = () => {
+  const [identifier, setIdentifier] = useState('');
+  const [sent, setSent] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!identifier.trim()) {
+      setError('Please enter your email or username');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      const response = await authAPI.forgotPassword(identifier.trim());
+      setSent(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not send the reset link. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthCard title="Reset your password">
+      {sent ? (
+        <div className="auth-success">
+          <p>{sent}.</p>
+          <p>The link works once and expires soon. Nothing arrived? Check your spam folder or ask your supervisor to reset your password.</p>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          {error && <div className="error-message"><span>{error}</span></div>}
+          <p className="auth-help">Enter the email address or username of your account and we'll email you a link to choose a new password.</p>
+          <div className="form-group">
+            <label>Email or username</label>
+            <div className="input-wrapper">
+              <input
+                type="text"
+                value={identifier}
+                onChange={(e) => setIdentifier(e.target.value)}
+                disabled={loading}
+                autoComplete="username"
+                placeholder="you@regalpharma.rw"
+                autoFocus
+              />
+            </div>
+          </div>
+          <button type="submit" disabled={loading} className="login-button">
+            {loading ? 'Sending...' : 'Send reset link'}
+          </button>
+        </form>
+      )}
+    </AuthCard>
+  );
+};
+
+// Opened from the emailed link - /reset-password?token=...
+export const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [account, setAccount] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState('');
+  const [linkError, setLinkError] = useState('');
+  const [done, setDone] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  // Check the link first, so an expired one says so before anything is typed
+  useEffect(() => {
+    const checkToken = async () => {
+      if (!token) {
+        setLinkError('This reset link is incomplete - open it from the email again.');
+        setChecking(false);
+        return;
+      }
+      try {
+        const response = await authAPI.checkResetToken(token);
+        setAccount(response.data.data);
+      } catch (err) {
+        setLinkError(err.response?.data?.message || 'This reset link could not be checked.');
+      } finally {
+        setChecking(false);
+      }
+    };
+    checkToken();
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('The passwords do not match');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      const response = await authAPI.resetPassword(token, password);
+      setDone(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not reset the password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (checking) {
+    return (
+      <AuthCard title="Choose a new password">
+        <div className="auth-help">Checking your reset link...</div>
+      </AuthCard>
+    );
+  }
+
+  if (linkError) {
+    return (
+      <AuthCard title="Choose a new password">
+        <div className="error-message"><span>{linkError}</span></div>
+        <div className="auth-help">
+          Links work once and expire after a while. <Link to="/forgot-password">Request a new link</Link>.
+        </div>
+      </AuthCard>
+    );
+  }
+
+  return (
+    <AuthCard title="Choose a new password">
+      {done ? (
+        <div className="auth-success">
+          <p>{done}.</p>
+          <p>You have been signed out on every device.</p>
+          <Link to="/login" className="login-button auth-button-link">Go to sign in</Link>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          {error && <div className="error-message"><span>{error}</span></div>}
+          <p className="auth-help">New password for <strong>{account?.username}</strong>.</p>
+          <div className="form-group">
+            <div className="label-row">
+              <label>New password</label>
+              <button type="button" onClick={() => setShowPassword(!showPassword)} className="show-password-btn">
+                {showPassword ? 'Hide' : 'Show'}
+              </button>
+            </div>
+            <div className="input-wrapper">
+              <input
+                type={showPassword ? 'text' : 'password'}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                disabled={loading}
+                autoComplete="new-password"
+                placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                autoFocus
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Confirm new password</label>
+            <div className="input-wrapper">
+              <input
+                type={showPassword ? 'text' : 'password'}
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                disabled={loading}
+                autoComplete="new-password"
+                placeholder="Type it again"
+              />
+            </div>
+          </div>
+          <button type="submit" disabled={loading} className="login-button">
+            {loading ? 'Saving...' : 'Set new password'}
+          </button>
+        </form>
+      )}
+    </AuthCard>
+  );
+};
+
+// CSS Styles
+const styles = `
+.auth-help {
+  color: #64748b;
+  font-size: 14px;
+  line-height: 1.6;
+  margin-bottom: 20px;
+}
+
+.auth-help a,
+.auth-links a {
+  color: #667eea;
+  font-weight: 500;
+  text-decoration: none;
+}
+
+.auth-help a:hover,
+.auth-links a:hover {
+  text-decoration: underline;
+}
+
+.auth-links {
+  text-align: center;
+  margin-top: 24px;
+  font-size: 14px;
+}
+
+.auth-success {
+  background: #f0fdf4;
+  border: 1px solid #bbf7d0;
+  color: #166534;
+  border-radius: 12px;
+  padding: 16px 20px;
+  font-size: 14px;
+  line-height: 1.6;
+}
+
+.auth-success p {
+  margin: 0 0 8px;
+}
+
+.auth-button-link {
+  margin-top: 12px;
+  text-decoration: none;
+}
+`;
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style');
+  styleSheet.textContent = styles;
+  document.head.appendChild(styleSheet);
+}
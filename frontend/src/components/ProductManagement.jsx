@@ -0,0 +1,556 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { productsAPI, analyticsAPI } from '../services/api'
+
+const PERIODS = [
+  { value: 'week', label: 'Last 7 days' },
+  { value: 'month', label: 'Last 30 days' },
+  { value: 'quarter', label: 'Last 90 days' },
+  { value: 'all', label: 'All time' }
+]
+
+const emptyProduct = {
+  sku: '',
+  name: '',
+  pack_size: '',
+  unit_price: '',
+  is_active: true
+}
+
+const ProductManagement = () => {
+  const { user, hasPermission } = useAuth()
+  const [products, setProducts] = useState([])
+  const [sales, setSales] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [period, setPeriod] = useState('month')
+  const [search, setSearch] = useState('')
+  const [showInactive, setShowInactive] = useState(false)
+  const [error, setError] = useState('')
+  const [successMessage, setSuccessMessage] = useState('')
+  const [showModal, setShowModal] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [formData, setFormData] = useState(emptyProduct)
+
+  useEffect(() => {
+    const timer = setTimeout(loadProducts, 300)
+    return () => clearTimeout(timer)
+  }, [search, showInactive])
+
+  useEffect(() => {
+    loadSales()
+  }, [period])
+
+  const loadProducts = async () => {
+    try {
+      setLoading(true)
+      setError('')
+
+      const params = { limit: 500 }
+      if (search.trim()) params.search = search.trim()
+      if (showInactive) params.include_inactive = true
+
+      const response = await productsAPI.getAll(params)
+      if (response.data.success) {
+        setProducts(response.data.data?.products || [])
+      } else {
+        setError(response.data.message || 'Failed to load products')
+      }
+    } catch (error) {
+      console.error('Error loading products:', error)
+      setError(error.response?.data?.message || 'Failed to load products')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadSales = async () => {
+    try {
+      const response = await analyticsAPI.getProductSales(period)
+      if (response.data.success) {
+        setSales(response.data.data || [])
+      }
+    } catch (error) {
+      console.error('Error loading product sales:', error)
+    }
+  }
+
+  const openCreateModal = () => {
+    setEditingId(null)
+    setFormData(emptyProduct)
+    setShowModal(true)
+  }
+
+  const openEditModal = (product) => {
+    setEditingId(product._id)
+    setFormData({
+      sku: product.sku || '',
+      name: product.name || '',
+      pack_size: product.pack_size || '',
+      unit_price: product.unit_price ?? '',
+      is_active: product.is_active !== false
+    })
+    setShowModal(true)
+  }
+
+  const saveProduct = async () => {
+    if (!formData.sku.trim() || !formData.name.trim()) {
+      setError('SKU and product name are required')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError('')
+
+      const response = editingId
+        ? await productsAPI.update(editingId, formData)
+        : await productsAPI.create(formData)
+
+      if (response.data.success) {
+        setSuccessMessage(`Product ${formData.name} ${editingId ? 'updated' : 'added'} successfully!`)
+        setShowModal(false)
+        loadProducts()
+      } else {
+        setError(response.data.message || 'Failed to save product')
+      }
+    } catch (error) {
+      console.error('Error saving product:', error)
+      const data = error.response?.data
+      setError(data?.errors ? data.errors.join(', ') : data?.message || 'Failed to save product')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const removeProduct = async (product) => {
+    if (!window.confirm(`Are you sure you want to remove ${product.name}?`)) return
+
+    try {
+      const response = await productsAPI.delete(product._id)
+      setSuccessMessage(response.data.message || `${product.name} removed`)
+      loadProducts()
+    } catch (error) {
+      console.error('Error removing product:', error)
+      setError(error.response?.data?.message || 'Failed to remove product')
+    }
+  }
+
+  if (!user || !hasPermission('products:write')) {
+    return (
+      <div className="product-management-container">
+        <div className="access-denied">
+          <div className="access-icon">🔒</div>
+          <h2>Access Denied</h2>
+          <p>This section is only available for supervisors and administrators.</p>
+        </div>
+      </div>
+    )
+  }
+
+  const salesByProduct = sales.reduce((map, item) => ({ ...map, [item.product_id]: item }), {})
+  const totalUnits = sales.reduce((total, item) => total + item.units_sold, 0)
+  const totalValue = sales.reduce((total, item) => total + item.total_value, 0)
+
+  return (
+    <div className="product-management-container">
+      {/* Header */}
+      <div className="product-header">
+        <div>
+          <h1>Product Catalog</h1>
+          <p className="header-subtitle">
+            Products available for order lines • {products.length} products
+          </p>
+        </div>
+        <button onClick={openCreateModal} className="add-member-button">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M12 5V19M5 12H19" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+          </svg>
+          Add Product
+        </button>
+      </div>
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="success-card">
+          <div className="success-content">
+            <div className="success-text">{successMessage}</div>
+            <button onClick={() => setSuccessMessage('')} className="success-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-card">
+          <div className="error-content">
+            <div className="error-text">{error}</div>
+            <button onClick={() => setError('')} className="error-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Sales Summary */}
+      <div className="product-summary">
+        <div className="product-summary-item">
+          <span className="product-summary-icon">💊</span>
+          <span className="product-summary-value">{sales.length}</span>
+          <span className="product-summary-label">Products Sold</span>
+        </div>
+        <div className="product-summary-item">
+          <span className="product-summary-icon">📦</span>
+          <span className="product-summary-value">{totalUnits.toLocaleString()}</span>
+          <span className="product-summary-label">Units Sold</span>
+        </div>
+        <div className="product-summary-item">
+          <span className="product-summary-icon">💰</span>
+          <span className="product-summary-value">RWF {totalValue.toLocaleString()}</span>
+          <span className="product-summary-label">Sales Value</span>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="action-bar">
+        <div className="filter-buttons">
+          {PERIODS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setPeriod(option.value)}
+              className={`filter-button ${period === option.value ? 'active' : ''}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <div className="product-filters">
+          <label className="product-inactive-toggle">
+            <input
+              type="checkbox"
+              checked={showInactive}
+              onChange={(e) => setShowInactive(e.target.checked)}
+            />
+            Show inactive
+          </label>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search SKU or name"
+            className="product-search"
+          />
+        </div>
+      </div>
+
+      {/* Products Table */}
+      <div className="product-table-card">
+        {loading && products.length === 0 ? (
+          <div className="product-empty">Loading products...</div>
+        ) : products.length === 0 ? (
+          <div className="product-empty">
+            <div className="empty-icon">💊</div>
+            <p>No products found. Add the products your reps take orders for.</p>
+          </div>
+        ) : (
+          <table className="product-table">
+            <thead>
+              <tr>
+                <th>SKU</th>
+                <th>Name</th>
+                <th>Pack Size</th>
+                <th>Unit Price</th>
+                <th>Units Sold</th>
+                <th>Sales Value</th>
+                <th>Outlets</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {products.map(product => {
+                const productSales = salesByProduct[product._id]
+                return (
+                  <tr key={product._id} className={product.is_active === false ? 'inactive' : ''}>
+                    <td className="product-sku">{product.sku}</td>
+                    <td className="product-name">
+                      {product.name}
+                      {product.is_active === false && <span className="product-inactive-badge">Inactive</span>}
+                    </td>
+                    <td>{product.pack_size || '—'}</td>
+                    <td>RWF {(product.unit_price || 0).toLocaleString()}</td>
+                    <td>{(productSales?.units_sold || 0).toLocaleString()}</td>
+                    <td>RWF {(productSales?.total_value || 0).toLocaleString()}</td>
+                    <td>{productSales?.outlet_count || 0}</td>
+                    <td className="product-actions">
+                      <button onClick={() => openEditModal(product)} className="outlet-action edit">Edit</button>
+                      <button onClick={() => removeProduct(product)} className="outlet-action remove">Remove</button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Add / Edit Modal */}
+      {showModal && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h3>{editingId ? 'Edit Product' : 'Add New Product'}</h3>
+              <button onClick={() => setShowModal(false)} className="modal-close">&times;</button>
+            </div>
+            <div className="modal-body">
+              <div className="form-group">
+                <label>SKU *</label>
+                <input
+                  type="text"
+                  value={formData.sku}
+                  onChange={(e) => setFormData({ ...formData, sku: e.target.value })}
+                  placeholder="e.g. AMX-500"
+                />
+              </div>
+              <div className="form-group">
+                <label>Product Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="Enter product name"
+                />
+              </div>
+              <div className="form-group">
+                <label>Pack Size</label>
+                <input
+                  type="text"
+                  value={formData.pack_size}
+                  onChange={(e) => setFormData({ ...formData, pack_size: e.target.value })}
+                  placeholder="e.g. 10 x 10"
+                />
+              </div>
+              <div className="form-group">
+                <label>Unit Price (RWF) *</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={formData.unit_price}
+                  onChange={(e) => setFormData({ ...formData, unit_price: e.target.value })}
+                  placeholder="0"
+                />
+              </div>
+              <div className="form-group">
+                <label className="product-inactive-toggle">
+                  <input
+                    type="checkbox"
+                    checked={formData.is_active}
+                    onChange={(e) => setFormData({ ...formData, is_active: e.target.checked })}
+                  />
+                  Active - available on new orders
+                </label>
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button onClick={() => setShowModal(false)} className="cancel-button">
+                Cancel
+              </button>
+              <button onClick={saveProduct} className="save-button" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Add Product'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.product-management-container {
+  padding: 30px;
+  min-height: 100vh;
+  font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+}
+
+.product-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 20px;
+  background: #ffffff;
+  padding: 30px;
+  border-radius: 16px;
+  margin-bottom: 30px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+}
+
+.product-header h1 {
+  margin: 0 0 8px 0;
+  color: #1e293b;
+  font-size: 28px;
+  font-weight: 700;
+}
+
+.product-summary {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+  gap: 16px;
+  margin-bottom: 30px;
+}
+
+.product-summary-item {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  background: #ffffff;
+  padding: 20px;
+  border-radius: 12px;
+  border: 1px solid #e2e8f0;
+}
+
+.product-summary-icon {
+  font-size: 24px;
+}
+
+.product-summary-value {
+  font-size: 22px;
+  font-weight: 700;
+  color: #1e293b;
+}
+
+.product-summary-label {
+  color: #64748b;
+  font-size: 14px;
+}
+
+.product-filters {
+  display: flex;
+  align-items: center;
+  gap: 16px;
+}
+
+.product-inactive-toggle {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 14px;
+  color: #475569;
+  cursor: pointer;
+}
+
+.product-search {
+  padding: 10px 16px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  font-size: 14px;
+  min-width: 240px;
+  background: #ffffff;
+}
+
+.product-search:focus {
+  outline: none;
+  border-color: #3b82f6;
+  box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+}
+
+.product-table-card {
+  background: #ffffff;
+  border-radius: 16px;
+  border: 1px solid #e2e8f0;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  overflow-x: auto;
+}
+
+.product-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+}
+
+.product-table th {
+  text-align: left;
+  padding: 14px 16px;
+  background: #f8fafc;
+  color: #475569;
+  font-weight: 600;
+  border-bottom: 1px solid #e2e8f0;
+  white-space: nowrap;
+}
+
+.product-table td {
+  padding: 14px 16px;
+  border-bottom: 1px solid #f1f5f9;
+  color: #334155;
+}
+
+.product-table tr.inactive td {
+  color: #94a3b8;
+}
+
+.product-sku {
+  font-family: monospace;
+  font-size: 13px;
+}
+
+.product-name {
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.product-inactive-badge {
+  margin-left: 8px;
+  padding: 2px 8px;
+  border-radius: 999px;
+  background: #f1f5f9;
+  color: #64748b;
+  font-size: 11px;
+  font-weight: 600;
+}
+
+.product-actions {
+  display: flex;
+  gap: 8px;
+}
+
+.product-empty {
+  padding: 60px 20px;
+  text-align: center;
+  color: #64748b;
+}
+
+@media (max-width: 768px) {
+  .product-management-container {
+    padding: 16px;
+  }
+
+  .product-header {
+    flex-direction: column;
+    align-items: flex-start;
+  }
+
+  .product-filters {
+    flex-direction: column;
+    align-items: stretch;
+    width: 100%;
+  }
+
+  .product-search {
+    min-width: 0;
+    width: 100%;
+  }
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default ProductManagement
@@ -0,0 +1,507 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { authAPI, usersAPI } from '../services/api'
+
+const MIN_PASSWORD_LENGTH = 6
+
+const EMPTY_PASSWORDS = { current: '', next: '', confirm: '' }
+
+// Short name for a signed-in device, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Chrome\//, 'Chrome'],
+    [/Firefox\//, 'Firefox'],
+    [/Safari\//, 'Safari']
+  ].find(([pattern]) => pattern.test(userAgent))
+  const system = [
+    [/Android/, 'Android'],
+    [/iPhone|iPad/, 'iOS'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X/, 'macOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent))
+  if (!browser && !system) return 'Unknown device'
+  return [browser?.[1] || 'Browser', system?.[1]].filter(Boolean).join(' on ')
+}
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+})
+
+// The signed-in user's own account: details, password and the devices they are signed in on.
+// Someone still on a temporary password is sent here and only sees the password form.
+const Profile = () => {
+  const { user, updateUser, logoutAllDevices } = useAuth()
+  const navigate = useNavigate()
+  const mustChangePassword = Boolean(user?.must_change_password)
+
+  const [details, setDetails] = useState({ name: user?.name || '', email: user?.email || '', region: user?.region || '' })
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS)
+  const [sessions, setSessions] = useState([])
+  const [savingDetails, setSavingDetails] = useState(false)
+  const [savingPassword, setSavingPassword] = useState(false)
+  const [loadingSessions, setLoadingSessions] = useState(false)
+  const [successMessage, setSuccessMessage] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!mustChangePassword) {
+      loadProfile()
+      loadSessions()
+    }
+  }, [mustChangePassword])
+
+  const loadProfile = async () => {
+    try {
+      const response = await usersAPI.getProfile()
+      if (response.data.success) {
+        const profile = response.data.data
+        setDetails({ name: profile.name || '', email: profile.email || '', region: profile.region || '' })
+        updateUser({ ...user, ...profile })
+      }
+    } catch (error) {
+      console.error('Error loading profile:', error)
+    }
+  }
+
+  const loadSessions = async () => {
+    try {
+      setLoadingSessions(true)
+      const response = await authAPI.getSessions()
+      if (response.data.success) {
+        setSessions(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error loading sessions:', error)
+      setError(error.response?.data?.message || 'Failed to load your devices')
+    } finally {
+      setLoadingSessions(false)
+    }
+  }
+
+  const saveDetails = async (e) => {
+    e.preventDefault()
+    try {
+      setSavingDetails(true)
+      setError('')
+      const response = await usersAPI.updateProfile(details)
+      if (response.data.success) {
+        // The reply has no permissions - keep the ones already loaded
+        updateUser({ ...user, ...response.data.data })
+        setSuccessMessage('Profile updated')
+      }
+    } catch (error) {
+      console.error('Error updating profile:', error)
+      setError(error.response?.data?.message || 'Failed to update profile')
+    } finally {
+      setSavingDetails(false)
+    }
+  }
+
+  const changePassword = async (e) => {
+    e.preventDefault()
+    if (passwords.next.length < MIN_PASSWORD_LENGTH) {
+      setError(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+      return
+    }
+    if (passwords.next !== passwords.confirm) {
+      setError('The new passwords do not match')
+      return
+    }
+
+    try {
+      setSavingPassword(true)
+      setError('')
+      const response = await authAPI.changePassword(passwords.current, passwords.next)
+      if (response.data.success) {
+        setPasswords(EMPTY_PASSWORDS)
+        setSuccessMessage(response.data.message)
+        updateUser({ ...user, must_change_password: false })
+        if (mustChangePassword) {
+          navigate('/dashboard', { replace: true })
+        } else {
+          loadSessions()
+        }
+      }
+    } catch (error) {
+      console.error('Error changing password:', error)
+      setError(error.response?.data?.message || 'Failed to change password')
+    } finally {
+      setSavingPassword(false)
+    }
+  }
+
+  const revokeSession = async (session) => {
+    if (!window.confirm(`Sign out ${describeDevice(session.user_agent)}?`)) return
+    try {
+      setError('')
+      const response = await authAPI.revokeSession(session._id)
+      setSuccessMessage(response.data.message)
+      setSessions(prev => prev.filter(item => item._id !== session._id))
+    } catch (error) {
+      console.error('Error signing out device:', error)
+      setError(error.response?.data?.message || 'Failed to sign out the device')
+    }
+  }
+
+  const signOutEverywhere = async () => {
+    if (!window.confirm('Sign out on every device, including this one?')) return
+    try {
+      await logoutAllDevices()
+    } catch (error) {
+      console.error('Error signing out of all devices:', error)
+      setError(error.response?.data?.message || 'Failed to sign out of all devices')
+    }
+  }
+
+  const passwordForm = (
+    <form onSubmit={changePassword} className="profile-card">
+      <h3>{mustChangePassword ? 'Choose your password' : 'Change password'}</h3>
+      <p className="profile-card-subtitle">
+        {mustChangePassword
+          ? 'You signed in with a temporary password. Choose your own to continue.'
+          : 'Your other devices are signed out when the password changes.'}
+      </p>
+      <div className="form-group">
+        <label>{mustChangePassword ? 'Temporary password' : 'Current password'}</label>
+        <input
+          type="password"
+          value={passwords.current}
+          onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+          autoComplete="current-password"
+          required
+        />
+      </div>
+      <div className="form-group">
+        <label>New password</label>
+        <input
+          type="password"
+          value={passwords.next}
+          onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+          autoComplete="new-password"
+          placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+          required
+        />
+      </div>
+      <div className="form-group">
+        <label>Confirm new password</label>
+        <input
+          type="password"
+          value={passwords.confirm}
+          onChange={(e) => setPasswords({ ...passwords, confirm: e.target.value })}
+          autoComplete="new-password"
+          required
+        />
+      </div>
+      <div className="profile-card-actions">
+        <button type="submit" className="save-button" disabled={savingPassword}>
+          {savingPassword ? 'Saving...' : mustChangePassword ? 'Set password' : 'Change password'}
+        </button>
+      </div>
+    </form>
+  )
+
+  return (
+    <div className="profile-container">
+      <div className="profile-header">
+        <h1>My Profile</h1>
+        <p className="header-subtitle">
+          {user?.username} • {user?.role?.replace('_', ' ')}
+        </p>
+      </div>
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="success-card">
+          <div className="success-content">
+            <div className="success-text">{successMessage}</div>
+            <button onClick={() => setSuccessMessage('')} className="success-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-card">
+          <div className="error-content">
+            <div className="error-text">{error}</div>
+            <button onClick={() => setError('')} className="error-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {mustChangePassword ? passwordForm : (
+        <div className="profile-grid">
+          <form onSubmit={saveDetails} className="profile-card">
+            <h3>Account details</h3>
+            <div className="form-group">
+              <label>Full name</label>
+              <input
+                type="text"
+                value={details.name}
+                onChange={(e) => setDetails({ ...details, name: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Email</label>
+              <input
+                type="email"
+                value={details.email}
+                onChange={(e) => setDetails({ ...details, email: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Region</label>
+              <input
+                type="text"
+                value={details.region}
+                onChange={(e) => setDetails({ ...details, region: e.target.value })}
+                disabled={Boolean(user?.territory_id)}
+                title={user?.territory_id ? 'Set by your territory' : undefined}
+              />
+            </div>
+            <div className="profile-card-actions">
+              <button type="submit" className="save-button" disabled={savingDetails}>
+                {savingDetails ? 'Saving...' : 'Save details'}
+              </button>
+            </div>
+          </form>
+
+          {passwordForm}
+
+          <div className="profile-card profile-sessions">
+            <div className="profile-card-title-row">
+              <h3>Signed-in devices</h3>
+              <button onClick={signOutEverywhere} className="cancel-button">
+                Log out all devices
+              </button>
+            </div>
+            {loadingSessions ? (
+              <div className="profile-empty">Loading...</div>
+            ) : sessions.length === 0 ? (
+              <div className="profile-empty">No active sessions</div>
+            ) : (
+              <ul className="session-list">
+                {sessions.map(session => (
+                  <li key={session._id} className="session-item">
+                    <div>
+                      <div className="session-device">
+                        {describeDevice(session.user_agent)}
+                        {session.current && <span className="session-current">This device</span>}
+                      </div>
+                      <div className="session-meta">
+                        {session.ip || 'Unknown IP'} • signed in {formatDateTime(session.createdAt)} • last active {formatDateTime(session.last_used_at)}
+                      </div>
+                    </div>
+                    {!session.current && (
+                      <button onClick={() => revokeSession(session)} className="session-revoke">
+                        Sign out
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.profile-container {
+  padding: 30px;
+  min-height: 100vh;
+  font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+}
+
+.profile-header {
+  background: #ffffff;
+  padding: 30px;
+  border-radius: 16px;
+  margin-bottom: 24px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+}
+
+.profile-header h1 {
+  margin: 0 0 8px 0;
+  color: #1e293b;
+  font-size: 28px;
+  font-weight: 700;
+}
+
+.profile-header .header-subtitle {
+  text-transform: capitalize;
+}
+
+.profile-grid {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(320px, 1fr));
+  gap: 24px;
+}
+
+.profile-card {
+  background: #ffffff;
+  border: 1px solid #e2e8f0;
+  border-radius: 16px;
+  padding: 24px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.04);
+  max-width: 640px;
+}
+
+.profile-card h3 {
+  margin: 0 0 16px 0;
+  color: #1e293b;
+  font-size: 18px;
+}
+
+.profile-card-subtitle {
+  margin: -8px 0 16px 0;
+  color: #64748b;
+  font-size: 14px;
+}
+
+.profile-card .form-group {
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  margin-bottom: 14px;
+}
+
+.profile-card .form-group label {
+  font-size: 14px;
+  font-weight: 500;
+  color: #475569;
+}
+
+.profile-card .form-group input {
+  padding: 10px 12px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  font-size: 14px;
+  font-family: inherit;
+}
+
+.profile-card .form-group input:focus {
+  outline: none;
+  border-color: #3b82f6;
+  box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+}
+
+.profile-card .form-group input:disabled {
+  background: #f8fafc;
+  color: #94a3b8;
+}
+
+.profile-card-actions {
+  display: flex;
+  justify-content: flex-end;
+}
+
+.profile-sessions {
+  grid-column: 1 / -1;
+  max-width: none;
+}
+
+.profile-card-title-row {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 12px;
+  margin-bottom: 16px;
+}
+
+.profile-card-title-row h3 {
+  margin: 0;
+}
+
+.profile-empty {
+  color: #64748b;
+  font-size: 14px;
+  padding: 12px 0;
+}
+
+.session-list {
+  list-style: none;
+  margin: 0;
+  padding: 0;
+}
+
+.session-item {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 16px;
+  padding: 14px 0;
+  border-top: 1px solid #f1f5f9;
+}
+
+.session-device {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.session-current {
+  background: #dcfce7;
+  color: #166534;
+  font-size: 12px;
+  font-weight: 600;
+  padding: 2px 8px;
+  border-radius: 999px;
+}
+
+.session-meta {
+  margin-top: 4px;
+  color: #64748b;
+  font-size: 13px;
+}
+
+.session-revoke {
+  background: none;
+  border: 1px solid #fecaca;
+  color: #b91c1c;
+  border-radius: 8px;
+  padding: 6px 12px;
+  font-size: 13px;
+  cursor: pointer;
+  white-space: nowrap;
+}
+
+.session-revoke:hover {
+  background: #fef2f2;
+}
+
+@media (max-width: 768px) {
+  .profile-container {
+    padding: 16px;
+  }
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default Profile
@@ -0,0 +1,368 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { reportsAPI } from '../services/api'
+
+const formatWhen = (dateString) =>
+  new Date(dateString).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+
+// Highlight @username mentions in a comment body
+const CommentBody = ({ body }) => (
+  <div className="comment-body">
+    {body.split(/(@[\w.-]+)/g).map((part, index) =>
+      part.startsWith('@') ? <span key={index} className="comment-mention">{part}</span> : part
+    )}
+  </div>
+)
+
+const Composer = ({ onSubmit, placeholder, autoFocus, onCancel }) => {
+  const [text, setText] = useState('')
+  const [posting, setPosting] = useState(false)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    if (!text.trim()) return
+    setPosting(true)
+    const posted = await onSubmit(text.trim())
+    setPosting(false)
+    if (posted) setText('')
+  }
+
+  return (
+    <form onSubmit={submit} className="comment-composer">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={placeholder}
+        rows={2}
+        maxLength={2000}
+        autoFocus={autoFocus}
+      />
+      <div className="comment-composer-actions">
+        {onCancel && <button type="button" onClick={onCancel} className="comment-link">Cancel</button>}
+        <button type="submit" disabled={posting || !text.trim()} className="comment-post">
+          {posting ? 'Posting...' : 'Post'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+// Threaded discussion on one report. Marks the thread read once it has been shown.
+const ReportComments = ({ reportId, onRead }) => {
+  const { user } = useAuth()
+  const userId = user?._id || user?.id
+  const [comments, setComments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [replyTo, setReplyTo] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadComments()
+  }, [reportId])
+
+  const loadComments = async () => {
+    try {
+      setLoading(true)
+      const response = await reportsAPI.getComments(reportId)
+      if (response.data.success) {
+        setComments(response.data.data || [])
+        if (response.data.unread_count > 0) {
+          await reportsAPI.markCommentsRead(reportId)
+          if (onRead) onRead(reportId)
+        }
+      }
+    } catch (error) {
+      console.error('Error loading comments:', error)
+      setError(error.response?.data?.message || 'Failed to load comments')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const postComment = async (body, parentId = null) => {
+    try {
+      setError('')
+      const response = await reportsAPI.addComment(reportId, body, parentId)
+      if (response.data.success) {
+        setComments(prev => [...prev, response.data.data])
+        setReplyTo(null)
+        return true
+      }
+    } catch (error) {
+      console.error('Error adding comment:', error)
+      setError(error.response?.data?.errors?.join(', ') || error.response?.data?.message || 'Failed to post comment')
+    }
+    return false
+  }
+
+  const deleteComment = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return
+    try {
+      await reportsAPI.deleteComment(reportId, comment._id)
+      setComments(prev => prev.filter(c => c._id !== comment._id && c.parent_id !== comment._id))
+    } catch (error) {
+      console.error('Error deleting comment:', error)
+      setError(error.response?.data?.message || 'Failed to delete comment')
+    }
+  }
+
+  const threads = comments.filter(comment => !comment.parent_id)
+  const repliesTo = (threadId) => comments.filter(comment => comment.parent_id === threadId)
+
+  const renderComment = (comment) => (
+    <div key={comment._id} className={`comment ${comment.unread ? 'unread' : ''}`}>
+      <div className="comment-meta">
+        <span className="comment-author">{comment.author?.name || 'Unknown'}</span>
+        <span className="comment-time">{formatWhen(comment.createdAt)}</span>
+        {comment.unread && <span className="comment-new">New</span>}
+      </div>
+      <CommentBody body={comment.body} />
+      <div className="comment-actions">
+        {!comment.parent_id && (
+          <button onClick={() => setReplyTo(comment._id)} className="comment-link">Reply</button>
+        )}
+        {comment.author?._id === userId && (
+          <button onClick={() => deleteComment(comment)} className="comment-link">Delete</button>
+        )}
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="report-comments">
+      {error && <div className="comment-error">{error}</div>}
+
+      {loading ? (
+        <div className="comment-empty">Loading comments...</div>
+      ) : threads.length === 0 ? (
+        <div className="comment-empty">No comments yet. Start the discussion below.</div>
+      ) : (
+        threads.map(thread => (
+          <div key={thread._id} className="comment-thread">
+            {renderComment(thread)}
+            <div className="comment-replies">
+              {repliesTo(thread._id).map(renderComment)}
+              {replyTo === thread._id && (
+                <Composer
+                  onSubmit={(body) => postComment(body, thread._id)}
+                  placeholder={`Reply to ${thread.author?.name || 'comment'}...`}
+                  autoFocus
+                  onCancel={() => setReplyTo(null)}
+                />
+              )}
+            </div>
+          </div>
+        ))
+      )}
+
+      <Composer
+        onSubmit={(body) => postComment(body)}
+        placeholder="Add a comment - use @username to mention someone"
+      />
+    </div>
+  )
+}
+
+// Latest comments from others on reports the user owns, is mentioned on, or has discussed
+export const CommentFeed = ({ comments, onOpen }) => (
+  <div className="comment-feed">
+    {comments.map(comment => (
+      <button key={comment._id} onClick={() => onOpen(comment)} className={`comment-feed-item ${comment.unread ? 'unread' : ''}`}>
+        <div className="comment-meta">
+          <span className="comment-author">{comment.author?.name || 'Unknown'}</span>
+          <span className="comment-time">
+            on {comment.report_id?.user_id?.name ? `${comment.report_id.user_id.name}'s` : 'a'} report
+            {comment.report_id?.report_date && ` for ${new Date(comment.report_id.report_date).toLocaleDateString()}`}
+          </span>
+          {comment.unread && <span className="comment-new">New</span>}
+        </div>
+        <div className="comment-body">
+          {comment.body.length > 140 ? comment.body.substring(0, 140) + '...' : comment.body}
+        </div>
+      </button>
+    ))}
+  </div>
+)
+
+// CSS Styles
+const styles = `
+.report-comments {
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+}
+
+.comment-thread {
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  overflow: hidden;
+}
+
+.comment {
+  padding: 12px 14px;
+  background: #ffffff;
+}
+
+.comment.unread {
+  background: #eff6ff;
+}
+
+.comment-replies {
+  margin-left: 24px;
+  border-left: 2px solid #e2e8f0;
+}
+
+.comment-replies .comment {
+  border-top: 1px solid #f1f5f9;
+}
+
+.comment-replies .comment-composer {
+  padding: 10px 14px;
+}
+
+.comment-meta {
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 8px;
+  margin-bottom: 4px;
+  font-size: 13px;
+}
+
+.comment-author {
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.comment-time {
+  color: #94a3b8;
+}
+
+.comment-new {
+  padding: 1px 8px;
+  border-radius: 999px;
+  background: #3b82f6;
+  color: #ffffff;
+  font-size: 11px;
+  font-weight: 600;
+}
+
+.comment-body {
+  color: #334155;
+  font-size: 14px;
+  line-height: 1.5;
+  white-space: pre-wrap;
+  text-align: left;
+}
+
+.comment-mention {
+  color: #1d4ed8;
+  font-weight: 600;
+}
+
+.comment-actions {
+  display: flex;
+  gap: 12px;
+  margin-top: 6px;
+}
+
+.comment-link {
+  padding: 0;
+  border: none;
+  background: none;
+  color: #64748b;
+  font-size: 12px;
+  cursor: pointer;
+}
+
+.comment-link:hover {
+  color: #3b82f6;
+}
+
+.comment-composer textarea {
+  width: 100%;
+  padding: 10px 12px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  font-family: inherit;
+  font-size: 14px;
+  resize: vertical;
+  box-sizing: border-box;
+}
+
+.comment-composer textarea:focus {
+  outline: none;
+  border-color: #3b82f6;
+}
+
+.comment-composer-actions {
+  display: flex;
+  justify-content: flex-end;
+  align-items: center;
+  gap: 12px;
+  margin-top: 6px;
+}
+
+.comment-post {
+  padding: 6px 16px;
+  border: none;
+  border-radius: 6px;
+  background: #3b82f6;
+  color: #ffffff;
+  font-size: 13px;
+  font-weight: 600;
+  cursor: pointer;
+}
+
+.comment-post:disabled {
+  opacity: 0.5;
+  cursor: not-allowed;
+}
+
+.comment-empty {
+  color: #94a3b8;
+  font-size: 14px;
+}
+
+.comment-error {
+  padding: 8px 12px;
+  border-radius: 8px;
+  background: #fef2f2;
+  color: #b91c1c;
+  font-size: 13px;
+}
+
+.comment-feed {
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+}
+
+.comment-feed-item {
+  padding: 12px 14px;
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  background: #f8fafc;
+  font-family: inherit;
+  text-align: left;
+  cursor: pointer;
+}
+
+.comment-feed-item.unread {
+  border-color: #93c5fd;
+  background: #eff6ff;
+}
+
+.comment-feed-item:hover {
+  border-color: #3b82f6;
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default ReportComments
@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react'
+
+export const EMPTY_REPORT_FILTERS = {
+  search: '',
+  user_id: '',
+  region: '',
+  from: '',
+  to: '',
+  min_value: '',
+  max_value: '',
+  has_summary: '',
+  sort: '-report_date'
+}
+
+const SORT_OPTIONS = [
+  { value: '-report_date', label: 'Newest first' },
+  { value: 'report_date', label: 'Oldest first' },
+  { value: '-orders_value', label: 'Highest order value' },
+  { value: 'orders_value', label: 'Lowest order value' },
+  { value: '-orders_count', label: 'Most orders' },
+  { value: 'region', label: 'Region A-Z' },
+  { value: '-updatedAt', label: 'Recently updated' }
+]
+
+// Query parameters for the reports API - empty fields are left out
+export const reportFilterParams = (filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''))
+
+// Number of filters narrowing the list, not counting the sort order
+export const activeFilterCount = (filters) =>
+  Object.entries(filters).filter(([key, value]) => key !== 'sort' && value !== '').length
+
+// Filter bar for report lists. Edits are kept locally and only reach onChange when the
+// user applies them, so typing in the search box doesn't fire a request per keystroke.
+// Pass reps to offer a rep picker and regions to suggest region names.
+const ReportFilters = ({ filters, onChange, reps, regions = [] }) => {
+  const [draft, setDraft] = useState(filters)
+  const [expanded, setExpanded] = useState(false)
+
+  useEffect(() => {
+    setDraft(filters)
+  }, [filters])
+
+  const set = (field, value) => setDraft(prev => ({ ...prev, [field]: value }))
+
+  const apply = (e) => {
+    e.preventDefault()
+    onChange(draft)
+  }
+
+  const reset = () => {
+    setDraft(EMPTY_REPORT_FILTERS)
+    onChange(EMPTY_REPORT_FILTERS)
+  }
+
+  // Sorting applies straight away - there is nothing to type
+  const changeSort = (value) => {
+    const next = { ...draft, sort: value }
+    setDraft(next)
+    onChange(next)
+  }
+
+  const active = activeFilterCount(filters)
+
+  return (
+    <form className="report-filters" onSubmit={apply}>
+      <div className="report-filters-row">
+        <input
+          type="search"
+          value={draft.search}
+          onChange={(e) => set('search', e.target.value)}
+          placeholder="Search summaries, e.g. stock-out"
+          className="report-filters-input report-filters-search"
+        />
+        {reps && (
+          <select value={draft.user_id} onChange={(e) => set('user_id', e.target.value)} className="report-filters-input">
+            <option value="">All reps</option>
+            {reps.map(rep => (
+              <option key={rep._id} value={rep._id}>{rep.name}</option>
+            ))}
+          </select>
+        )}
+        <input
+          type="text"
+          value={draft.region}
+          onChange={(e) => set('region', e.target.value)}
+          placeholder="Region"
+          list="report-filter-regions"
+          className="report-filters-input"
+        />
+        <datalist id="report-filter-regions">
+          {regions.map(region => <option key={region} value={region} />)}
+        </datalist>
+        <select value={draft.sort} onChange={(e) => changeSort(e.target.value)} className="report-filters-input">
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button type="button" onClick={() => setExpanded(!expanded)} className="report-filters-toggle">
+          {expanded ? 'Fewer filters' : 'More filters'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="report-filters-row">
+          <label className="report-filters-field">
+            From
+            <input type="date" value={draft.from} onChange={(e) => set('from', e.target.value)} className="report-filters-input" />
+          </label>
+          <label className="report-filters-field">
+            To
+            <input type="date" value={draft.to} min={draft.from || undefined} onChange={(e) => set('to', e.target.value)} className="report-filters-input" />
+          </label>
+          <label className="report-filters-field">
+            Min value (RWF)
+            <input type="number" min="0" value={draft.min_value} onChange={(e) => set('min_value', e.target.value)} className="report-filters-input" />
+          </label>
+          <label className="report-filters-field">
+            Max value (RWF)
+            <input type="number" min="0" value={draft.max_value} onChange={(e) => set('max_value', e.target.value)} className="report-filters-input" />
+          </label>
+          <label className="report-filters-field">
+            Summary
+            <select value={draft.has_summary} onChange={(e) => set('has_summary', e.target.value)} className="report-filters-input">
+              <option value="">Any</option>
+              <option value="true">Has a summary</option>
+              <option value="false">No summary</option>
+            </select>
+          </label>
+        </div>
+      )}
+
+      <div className="report-filters-actions">
+        {active > 0 && (
+          <span className="report-filters-count">{active} filter{active === 1 ? '' : 's'} applied</span>
+        )}
+        {active > 0 && (
+          <button type="button" onClick={reset} className="report-filters-reset">Clear</button>
+        )}
+        <button type="submit" className="report-filters-apply">Apply</button>
+      </div>
+    </form>
+  )
+}
+
+// CSS Styles
+const styles = `
+.report-filters {
+  background: #ffffff;
+  border: 1px solid #e2e8f0;
+  border-radius: 12px;
+  padding: 16px;
+  margin-bottom: 20px;
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+}
+
+.report-filters-row {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+  align-items: flex-end;
+}
+
+.report-filters-input {
+  padding: 9px 12px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  background: #ffffff;
+  font-size: 14px;
+  font-family: inherit;
+  min-width: 140px;
+}
+
+.report-filters-input:focus {
+  outline: none;
+  border-color: #3b82f6;
+  box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+}
+
+.report-filters-search {
+  flex: 1;
+  min-width: 220px;
+}
+
+.report-filters-field {
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+  font-size: 12px;
+  font-weight: 500;
+  color: #64748b;
+}
+
+.report-filters-toggle,
+.report-filters-reset {
+  background: none;
+  border: none;
+  color: #3b82f6;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+  padding: 9px 4px;
+}
+
+.report-filters-actions {
+  display: flex;
+  justify-content: flex-end;
+  align-items: center;
+  gap: 12px;
+}
+
+.report-filters-count {
+  font-size: 13px;
+  color: #64748b;
+}
+
+.report-filters-apply {
+  padding: 9px 20px;
+  background: #3b82f6;
+  color: white;
+  border: none;
+  border-radius: 8px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+}
+
+.report-filters-apply:hover {
+  background: #2563eb;
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default ReportFilters
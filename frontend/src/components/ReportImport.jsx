@@ -0,0 +1,524 @@
+import React, { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { reportsAPI } from '../services/api'
+
+// Largest upload the API accepts once base64-encoded into the request body
+const MAX_FILE_MB = 7
+
+// Read a chosen spreadsheet as a data: URL for the API
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = reject
+  reader.readAsDataURL(file)
+})
+
+const formatMoney = (value) => `RWF ${Math.round(value || 0).toLocaleString()}`
+
+// Upload historical daily reports from a spreadsheet: map the columns, review a dry run
+// with row-level errors, then import the rows that passed
+const ReportImport = () => {
+  const navigate = useNavigate()
+  const [upload, setUpload] = useState(null)
+  const [mapping, setMapping] = useState({})
+  const [status, setStatus] = useState('approved')
+  const [preview, setPreview] = useState(null)
+  const [skipInvalid, setSkipInvalid] = useState(false)
+  const [checking, setChecking] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState('')
+
+  // A dry run validates every row and saves nothing
+  const runDryRun = async (file, nextMapping, nextStatus = status) => {
+    try {
+      setChecking(true)
+      setError('')
+      const response = await reportsAPI.importReports({
+        file: file.data,
+        filename: file.name,
+        status: nextStatus,
+        ...(nextMapping ? { mapping: nextMapping } : {})
+      })
+      if (response.data.success) {
+        setPreview(response.data.data)
+        setMapping(response.data.data.mapping)
+        setSkipInvalid(false)
+      }
+    } catch (error) {
+      console.error('Error checking import:', error)
+      setError(error.response?.data?.message || 'Failed to read the file')
+      setPreview(null)
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  const chooseFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    if (!/\.(csv|xlsx)$/i.test(file.name)) {
+      setError('Choose a .csv or .xlsx file')
+      return
+    }
+    if (file.size > MAX_FILE_MB * 1024 * 1024) {
+      setError(`Files must be smaller than ${MAX_FILE_MB} MB - split larger files`)
+      return
+    }
+    try {
+      const chosen = { name: file.name, data: await readFile(file) }
+      setUpload(chosen)
+      setResult(null)
+      // Let the server match columns by header name first
+      await runDryRun(chosen, null)
+    } catch (error) {
+      console.error('Error reading file:', error)
+      setError('Failed to read the file')
+    }
+  }
+
+  const changeMapping = (field, header) => {
+    const nextMapping = { ...mapping, [field]: header }
+    if (!header) delete nextMapping[field]
+    setMapping(nextMapping)
+    runDryRun(upload, nextMapping)
+  }
+
+  const changeStatus = (value) => {
+    setStatus(value)
+    runDryRun(upload, mapping, value)
+  }
+
+  const commitImport = async () => {
+    const { summary } = preview
+    if (!window.confirm(`Import ${summary.valid} report${summary.valid === 1 ? '' : 's'} as ${status}?`)) return
+    try {
+      setImporting(true)
+      setError('')
+      const response = await reportsAPI.importReports({
+        file: upload.data,
+        filename: upload.name,
+        mapping,
+        status,
+        dry_run: false,
+        skip_invalid: skipInvalid
+      })
+      if (response.data.success) {
+        setResult(response.data)
+        setUpload(null)
+        setPreview(null)
+        setMapping({})
+      }
+    } catch (error) {
+      console.error('Error importing reports:', error)
+      setError(error.response?.data?.message || 'Failed to import reports')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const reset = () => {
+    setUpload(null)
+    setPreview(null)
+    setMapping({})
+    setResult(null)
+    setError('')
+  }
+
+  const summary = preview?.summary
+  const canImport = preview && preview.missing_fields.length === 0 && summary.valid > 0 &&
+    (summary.invalid === 0 || skipInvalid) && !checking
+
+  return (
+    <div className="import-container">
+      {/* Header */}
+      <div className="import-header">
+        <div>
+          <h1>Import Reports</h1>
+          <p className="header-subtitle">
+            Bring historical daily reports in from a spreadsheet. Every row is checked before anything is saved.
+          </p>
+        </div>
+        <label className={`save-button import-file-button ${checking ? 'disabled' : ''}`}>
+          {checking ? 'Checking...' : upload ? '📄 Choose another file' : '📄 Choose CSV or Excel file'}
+          <input type="file" accept=".csv,.xlsx" onChange={chooseFile} disabled={checking || importing} hidden />
+        </label>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-card">
+          <div className="error-content">
+            <div className="error-text">{error}</div>
+            <button onClick={() => setError('')} className="error-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Import Result */}
+      {result && (
+        <div className="success-card">
+          <div className="success-content">
+            <div className="success-text">
+              {result.message}
+              {result.data.invalid > 0 && ` • ${result.data.invalid} invalid row${result.data.invalid === 1 ? '' : 's'} left out`}
+              {result.data.skipped > 0 && ` • ${result.data.skipped} skipped because a report was added meanwhile`}
+            </div>
+            <button onClick={() => navigate('/reports')} className="import-link">View reports →</button>
+          </div>
+        </div>
+      )}
+
+      {!upload && !result && (
+        <div className="import-card import-help">
+          <h3>Preparing the file</h3>
+          <ul>
+            <li>The first row holds the column headers. One row per rep per day.</li>
+            <li>Identify the rep by <strong>username</strong> or <strong>email</strong>. Only reps in your reporting line can be imported.</li>
+            <li>Dates as <strong>YYYY-MM-DD</strong> or <strong>DD/MM/YYYY</strong>. Future dates are rejected.</li>
+            <li>Counts for each doctor specialty, pharmacies, dispensaries and orders, plus the orders value in RWF. Empty cells count as zero.</li>
+            <li>Days that already have a report are left untouched.</li>
+          </ul>
+        </div>
+      )}
+
+      {upload && preview && (
+        <>
+          {/* Column Mapping */}
+          <div className="import-card">
+            <div className="import-card-header">
+              <h3>Columns in {upload.name}</h3>
+              <select value={status} onChange={(e) => changeStatus(e.target.value)} className="import-input" disabled={checking}>
+                <option value="approved">Import as approved</option>
+                <option value="submitted">Import as submitted for review</option>
+              </select>
+            </div>
+            <div className="import-mapping">
+              {preview.fields.map(field => (
+                <div key={field.name} className="form-group">
+                  <label>{field.label}{field.required && ' *'}</label>
+                  <select
+                    value={mapping[field.name] || ''}
+                    onChange={(e) => changeMapping(field.name, e.target.value)}
+                    className={`import-input ${field.required && !mapping[field.name] ? 'missing' : ''}`}
+                    disabled={checking}
+                  >
+                    <option value="">— Not in file —</option>
+                    {preview.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Dry Run */}
+          <div className="import-card">
+            {preview.missing_fields.length > 0 ? (
+              <div className="import-empty">
+                Choose the column that holds: {preview.missing_fields.join(', ')}
+              </div>
+            ) : (
+              <>
+                <div className="import-summary">
+                  <span>{summary.total.toLocaleString()} rows</span>
+                  <span className="import-valid">✓ {summary.valid.toLocaleString()} ready to import</span>
+                  {summary.invalid > 0 && (
+                    <span className="import-invalid">✕ {summary.invalid.toLocaleString()} with errors</span>
+                  )}
+                </div>
+
+                {preview.errors.length > 0 && (
+                  <>
+                    <h4>Rows with errors</h4>
+                    <div className="import-table-wrapper">
+                      <table className="import-table">
+                        <thead>
+                          <tr>
+                            <th>Row</th>
+                            <th>Rep</th>
+                            <th>Date</th>
+                            <th>Problems</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {preview.errors.map(row => (
+                            <tr key={row.row}>
+                              <td>{row.row}</td>
+                              <td>{row.user?.name || '—'}</td>
+                              <td>{row.report_date || '—'}</td>
+                              <td className="import-errors">{row.errors.join(' • ')}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    {summary.invalid > preview.errors.length && (
+                      <div className="import-note">Showing the first {preview.errors.length.toLocaleString()} rows with errors.</div>
+                    )}
+                  </>
+                )}
+
+                {preview.preview.length > 0 && (
+                  <>
+                    <h4>Preview of rows to import</h4>
+                    <div className="import-table-wrapper">
+                      <table className="import-table">
+                        <thead>
+                          <tr>
+                            <th>Row</th>
+                            <th>Rep</th>
+                            <th>Date</th>
+                            <th>Region</th>
+                            <th>Doctors</th>
+                            <th>Pharmacies</th>
+                            <th>Dispensaries</th>
+                            <th>Orders</th>
+                            <th>Value</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {preview.preview.map(row => (
+                            <tr key={row.row}>
+                              <td>{row.row}</td>
+                              <td>{row.user.name}</td>
+                              <td>{row.report_date}</td>
+                              <td>{row.region}</td>
+                              <td>{row.total_doctors}</td>
+                              <td>{row.pharmacies}</td>
+                              <td>{row.dispensaries}</td>
+                              <td>{row.orders_count}</td>
+                              <td>{formatMoney(row.orders_value)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    {summary.valid > preview.preview.length && (
+                      <div className="import-note">Showing the first {preview.preview.length} of {summary.valid.toLocaleString()} rows.</div>
+                    )}
+                  </>
+                )}
+              </>
+            )}
+
+            <div className="import-actions">
+              {summary?.invalid > 0 && summary.valid > 0 && (
+                <label className="import-skip">
+                  <input type="checkbox" checked={skipInvalid} onChange={(e) => setSkipInvalid(e.target.checked)} />
+                  Leave out the rows with errors
+                </label>
+              )}
+              <button onClick={reset} className="cancel-button" disabled={importing}>Cancel</button>
+              <button onClick={commitImport} className="save-button" disabled={!canImport || importing}>
+                {importing ? 'Importing...' : `Import ${summary?.valid ? summary.valid.toLocaleString() : ''} reports`}
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.import-container {
+  padding: 30px;
+  min-height: 100vh;
+  font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+}
+
+.import-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 20px;
+  background: #ffffff;
+  padding: 30px;
+  border-radius: 16px;
+  margin-bottom: 24px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+}
+
+.import-header h1 {
+  margin: 0 0 8px 0;
+  color: #1e293b;
+  font-size: 28px;
+  font-weight: 700;
+}
+
+.import-file-button {
+  cursor: pointer;
+}
+
+.import-file-button.disabled {
+  opacity: 0.6;
+  pointer-events: none;
+}
+
+.import-card {
+  background: #ffffff;
+  padding: 24px;
+  border-radius: 16px;
+  border: 1px solid #e2e8f0;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+  margin-bottom: 24px;
+}
+
+.import-card h3 {
+  margin: 0;
+  color: #1e293b;
+  font-size: 18px;
+}
+
+.import-card h4 {
+  margin: 20px 0 10px;
+  color: #334155;
+  font-size: 15px;
+}
+
+.import-help ul {
+  margin: 12px 0 0;
+  padding-left: 20px;
+  color: #475569;
+  line-height: 1.8;
+}
+
+.import-card-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 12px;
+  margin-bottom: 20px;
+}
+
+.import-mapping {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+  gap: 12px 20px;
+}
+
+.import-input {
+  width: 100%;
+  padding: 9px 12px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  background: #ffffff;
+  font-size: 14px;
+  font-family: inherit;
+}
+
+.import-card-header .import-input {
+  width: auto;
+}
+
+.import-input.missing {
+  border-color: #f87171;
+  background: #fef2f2;
+}
+
+.import-summary {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 20px;
+  font-size: 15px;
+  font-weight: 600;
+  color: #334155;
+}
+
+.import-valid {
+  color: #059669;
+}
+
+.import-invalid {
+  color: #dc2626;
+}
+
+.import-empty {
+  padding: 24px;
+  text-align: center;
+  color: #b45309;
+}
+
+.import-table-wrapper {
+  max-height: 360px;
+  overflow: auto;
+  border: 1px solid #f1f5f9;
+  border-radius: 8px;
+}
+
+.import-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 13px;
+}
+
+.import-table th {
+  position: sticky;
+  top: 0;
+  background: #f8fafc;
+  text-align: left;
+  padding: 10px 12px;
+  color: #64748b;
+  font-weight: 600;
+}
+
+.import-table td {
+  padding: 8px 12px;
+  border-top: 1px solid #f1f5f9;
+  color: #334155;
+}
+
+.import-errors {
+  color: #b91c1c;
+}
+
+.import-note {
+  margin-top: 8px;
+  font-size: 12px;
+  color: #94a3b8;
+}
+
+.import-actions {
+  display: flex;
+  justify-content: flex-end;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 12px;
+  margin-top: 20px;
+}
+
+.import-skip {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-right: auto;
+  font-size: 14px;
+  color: #475569;
+}
+
+.import-link {
+  border: none;
+  background: none;
+  color: inherit;
+  font-weight: 600;
+  cursor: pointer;
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default ReportImport
@@ -1,9 +1,40 @@
 import React, { useState, useEffect } from 'react'
-import { reportsAPI } from '../services/api'
+import { reportsAPI, expensesAPI } from '../services/api'
 import { useAuth } from '../contexts/AuthContext'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import ReportComments from './ReportComments'
+import ReportFilters, { EMPTY_REPORT_FILTERS, reportFilterParams, activeFilterCount } from './ReportFilters'
+import { CATEGORY_LABELS } from './Expenses'
+
+const FIELD_LABELS = {
+  region: 'Region',
+  dentists: 'Dentists',
+  physiotherapists: 'Physiotherapists',
+  gynecologists: 'Gynecologists',
+  internists: 'Internists',
+  general_practitioners: 'General Practitioners',
+  pediatricians: 'Pediatricians',
+  dermatologists: 'Dermatologists',
+  pharmacies: 'Pharmacies',
+  dispensaries: 'Dispensaries',
+  orders_count: 'Orders',
+  orders_value: 'Order Value',
+  summary: 'Summary',
+  visits: 'Calls',
+  orders: 'Order Lines'
+}
+
+const STATUS_LABELS = {
+  draft: '📝 Draft',
+  submitted: '⏳ Submitted',
+  approved: '✅ Approved',
+  returned: '↩️ Returned'
+}
 
 const ReportsHistory = () => {
   const { user } = useAuth()
+  const navigate = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
   const [reports, setReports] = useState([])
   const [loading, setLoading] = useState(true)
   const [selectedReport, setSelectedReport] = useState(null)
@@ -11,11 +42,28 @@ const ReportsHistory = () => {
   const [totalPages, setTotalPages] = useState(1)
   const [totalReports, setTotalReports] = useState(0)
   const [error, setError] = useState('')
+  const [filters, setFilters] = useState(EMPTY_REPORT_FILTERS)
   const reportsPerPage = 10
+  const filtered = activeFilterCount(filters) > 0
 
   useEffect(() => {
     loadReports()
-  }, [currentPage])
+  }, [currentPage, filters])
+
+  // Open a report straight from a link, e.g. a comment on the dashboard
+  useEffect(() => {
+    const reportId = searchParams.get('report')
+    if (!reportId) return
+
+    reportsAPI.getReport(reportId)
+      .then(response => {
+        if (response.data.success) setSelectedReport(response.data.data)
+      })
+      .catch(error => {
+        console.error('Error loading report:', error)
+        setError(error.response?.data?.message || 'Failed to load report')
+      })
+  }, [searchParams])
 
   const loadReports = async () => {
     try {
@@ -23,7 +71,7 @@ const ReportsHistory = () => {
       setError('')
       console.log('📋 Loading reports page:', currentPage)
       
-      const response = await reportsAPI.getMyReports(currentPage, reportsPerPage)
+      const response = await reportsAPI.getMyReports(currentPage, reportsPerPage, undefined, reportFilterParams(filters))
       console.log('📊 Full API response:', response)
       
       if (response.data.success) {
@@ -152,6 +200,13 @@ const ReportsHistory = () => {
 
   const closeReportDetails = () => {
     setSelectedReport(null)
+    if (searchParams.get('report')) setSearchParams({})
+  }
+
+  // New filters start again from the first page
+  const changeFilters = (next) => {
+    setCurrentPage(1)
+    setFilters(next)
   }
 
   const refreshReports = () => {
@@ -183,7 +238,7 @@ const ReportsHistory = () => {
           <div>
             <h1>My Reports History</h1>
             <p className="header-subtitle">
-              {reports.length > 0 ? `${totalReports} total reports • ${user?.region || 'All Regions'}` : 'No reports yet'}
+              {reports.length > 0 || filtered ? `${totalReports} ${filtered ? 'matching' : 'total'} reports • ${user?.region || 'All Regions'}` : 'No reports yet'}
             </p>
           </div>
           <div className="header-actions">
@@ -234,6 +289,11 @@ const ReportsHistory = () => {
         </div>
       )}
 
+      {/* Filters */}
+      {(reports.length > 0 || filtered) && (
+        <ReportFilters filters={filters} onChange={changeFilters} />
+      )}
+
       {/* Statistics Summary */}
       {reports.length > 0 && (
         <div className="stats-grid">
@@ -290,25 +350,33 @@ const ReportsHistory = () => {
             </div>
             <h3>No Reports Found</h3>
             <p>
-              {error ? 'There was an error loading your reports.' : 'You haven\'t submitted any daily reports yet.'}
+              {error ? 'There was an error loading your reports.' : filtered ? 'No reports match these filters.' : 'You haven\'t submitted any daily reports yet.'}
             </p>
-            <div className="empty-actions">
-              <button 
-                onClick={() => window.location.href = '/daily-report'}
-                className="primary-button"
-              >
-                Submit Your First Report
-              </button>
-              <div className="alternative-link">
-                Or try{' '}
+            {filtered ? (
+              <div className="empty-actions">
+                <button onClick={() => changeFilters(EMPTY_REPORT_FILTERS)} className="primary-button">
+                  Clear Filters
+                </button>
+              </div>
+            ) : (
+              <div className="empty-actions">
                 <button 
-                  onClick={retryWithFallback}
-                  className="link-button"
+                  onClick={() => window.location.href = '/daily-report'}
+                  className="primary-button"
                 >
-                  alternative loading method
+                  Submit Your First Report
                 </button>
+                <div className="alternative-link">
+                  Or try{' '}
+                  <button 
+                    onClick={retryWithFallback}
+                    className="link-button"
+                  >
+                    alternative loading method
+                  </button>
+                </div>
               </div>
-            </div>
+            )}
           </div>
         ) : (
           <>
@@ -318,6 +386,7 @@ const ReportsHistory = () => {
                   <tr>
                     <th>Date</th>
                     <th>Region</th>
+                    <th>Status</th>
                     <th>
                       <div className="table-header-cell">
                         <span className="table-icon">👨‍⚕️</span>
@@ -358,6 +427,7 @@ const ReportsHistory = () => {
                       report={report} 
                       index={index}
                       onViewDetails={viewReportDetails}
+                      onEdit={(report) => navigate(`/daily-report?edit=${report._id}`)}
                       calculateTotalDoctors={calculateTotalDoctors}
                     />
                   ))}
@@ -435,7 +505,7 @@ const ReportsHistory = () => {
 }
 
 // Report Row Component
-const ReportRow = ({ report, index, onViewDetails, calculateTotalDoctors }) => {
+const ReportRow = ({ report, index, onViewDetails, onEdit, calculateTotalDoctors }) => {
   const totalDoctors = calculateTotalDoctors(report)
   
   const formatDate = (dateString) => {
@@ -459,6 +529,11 @@ const ReportRow = ({ report, index, onViewDetails, calculateTotalDoctors }) => {
       <td className="row-region">
         {report.region || 'N/A'}
       </td>
+      <td className="row-status">
+        <span className={`status-badge ${report.status || 'submitted'}`}>
+          {STATUS_LABELS[report.status] || STATUS_LABELS.submitted}
+        </span>
+      </td>
       <td className="row-doctors">{totalDoctors}</td>
       <td className="row-pharmacies">{report.pharmacies || 0}</td>
       <td className="row-dispensaries">{report.dispensaries || 0}</td>
@@ -480,6 +555,14 @@ const ReportRow = ({ report, index, onViewDetails, calculateTotalDoctors }) => {
           </svg>
           View Details
         </button>
+        {['draft', 'returned'].includes(report.status) && (
+          <button
+            onClick={() => onEdit(report)}
+            className="edit-report-button"
+          >
+            {report.status === 'returned' ? 'Fix' : 'Edit'}
+          </button>
+        )}
       </td>
     </tr>
   )
@@ -536,6 +619,7 @@ const ReportDetails = ({ report, onClose, calculateTotalDoctors }) => {
           <DetailSection title="Basic Information">
             <DetailItem label="Report Date" value={formatDate(report.report_date)} />
             <DetailItem label="Region" value={report.region || 'Not specified'} />
+            <DetailItem label="Status" value={STATUS_LABELS[report.status] || STATUS_LABELS.submitted} />
             <DetailItem label="Submitted At" value={new Date(report.createdAt || report.submitted_at).toLocaleString()} />
           </DetailSection>
 
@@ -558,6 +642,18 @@ const ReportDetails = ({ report, onClose, calculateTotalDoctors }) => {
             </div>
           </DetailSection>
 
+          {report.visits?.length > 0 && (
+            <DetailSection title={`Calls (${report.visits.length})`}>
+              <div className="call-log">
+                {[...report.visits]
+                  .sort((a, b) => (a.call_time || '').localeCompare(b.call_time || ''))
+                  .map((visit, index) => (
+                    <CallLogItem key={visit._id || index} visit={visit} />
+                  ))}
+              </div>
+            </DetailSection>
+          )}
+
           {report.summary && (
             <DetailSection title="Daily Summary">
               <div className="summary-box">
@@ -565,12 +661,209 @@ const ReportDetails = ({ report, onClose, calculateTotalDoctors }) => {
               </div>
             </DetailSection>
           )}
+
+          {report.status !== 'draft' && (
+            <DetailSection title="Comments">
+              <ReportComments reportId={report._id} />
+            </DetailSection>
+          )}
+
+          <DetailSection title="Expenses">
+            <ReportExpenses reportId={report._id} />
+          </DetailSection>
+
+          <DetailSection title="Revision History">
+            <RevisionHistory reportId={report._id} />
+          </DetailSection>
+
+          {report.status_history?.length > 0 && (
+            <DetailSection title="Status History">
+              <div className="status-history">
+                {report.status_history.map((change, index) => (
+                  <div key={index} className="status-history-item">
+                    <span className={`status-badge ${change.to}`}>{STATUS_LABELS[change.to] || change.to}</span>
+                    <span className="status-history-meta">
+                      {new Date(change.at).toLocaleString()}
+                      {change.by?.name && ` • ${change.by.name}`}
+                    </span>
+                    {change.reason && <div className="status-history-reason">{change.reason}</div>}
+                  </div>
+                ))}
+              </div>
+            </DetailSection>
+          )}
         </div>
       </div>
     </div>
   )
 }
 
+// Readable lines for a tracked field value, so calls and orders can be compared line by line
+const describeValue = (field, value, names) => {
+  if (value === null || value === undefined || value === '') return ['—']
+  if (field === 'orders_value') return [`RWF ${Number(value).toLocaleString()}`]
+  if (field === 'visits') {
+    if (value.length === 0) return ['No calls']
+    return value.map(visit => {
+      const target = names[visit.hcp || visit.outlet] || (visit.hcp ? 'HCP' : 'Outlet')
+      const products = (visit.products_detailed || []).map(id => names[id] || 'product')
+      const samples = (visit.samples || []).map(sample => `${names[sample.product] || 'sample'} × ${sample.quantity}`)
+      return [
+        `${visit.call_time || '--:--'} ${target}`,
+        products.length > 0 && `detailed ${products.join(', ')}`,
+        samples.length > 0 && `samples ${samples.join(', ')}`,
+        visit.outcome
+      ].filter(Boolean).join(' • ')
+    })
+  }
+  if (field === 'orders') {
+    if (value.length === 0) return ['No orders']
+    return value.flatMap(order => (order.lines || []).map(line =>
+      `${line.product_name || line.sku || 'Product'}: ${line.quantity} × RWF ${Number(line.unit_price || 0).toLocaleString()}${line.discount ? ` (-${line.discount}%)` : ''}`
+    ))
+  }
+  return [String(value)]
+}
+
+// Expense claims made against the report and where each one is in approval
+const ReportExpenses = ({ reportId }) => {
+  const [expenses, setExpenses] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const loadExpenses = async () => {
+      try {
+        setLoading(true)
+        const response = await expensesAPI.getForReport(reportId)
+        if (response.data.success) setExpenses(response.data.data || [])
+      } catch (error) {
+        console.error('Error loading report expenses:', error)
+        setExpenses([])
+      } finally {
+        setLoading(false)
+      }
+    }
+    loadExpenses()
+  }, [reportId])
+
+  if (loading) return <div className="revision-empty">Loading expenses...</div>
+  if (expenses.length === 0) return <div className="revision-empty">No expenses were claimed on this report.</div>
+
+  return (
+    <div className="report-expenses">
+      {expenses.map(expense => (
+        <div key={expense._id} className="report-expense">
+          <span>{CATEGORY_LABELS[expense.category] || expense.category}</span>
+          <span className="report-expense-description">{expense.description || ''}</span>
+          <span className="report-expense-amount">{expense.currency} {Number(expense.amount).toLocaleString()}</span>
+          <span className={`report-expense-status ${expense.status}`}>{expense.status}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Side-by-side before / after view of every edit made to a report
+const RevisionHistory = ({ reportId }) => {
+  const [revisions, setRevisions] = useState([])
+  const [names, setNames] = useState({})
+  const [openRevision, setOpenRevision] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const loadRevisions = async () => {
+      try {
+        setLoading(true)
+        const response = await reportsAPI.getRevisions(reportId)
+        if (response.data.success) {
+          setRevisions(response.data.data || [])
+          setNames(response.data.names || {})
+          setOpenRevision(response.data.data?.[0]?.revision ?? null)
+        }
+      } catch (error) {
+        console.error('Error loading revisions:', error)
+        setRevisions([])
+      } finally {
+        setLoading(false)
+      }
+    }
+    loadRevisions()
+  }, [reportId])
+
+  if (loading) return <div className="revision-empty">Loading revisions...</div>
+  if (revisions.length === 0) return <div className="revision-empty">This report has not been edited since it was created.</div>
+
+  return (
+    <div className="revision-list">
+      {revisions.map(revision => (
+        <div key={revision.revision} className="revision">
+          <button
+            onClick={() => setOpenRevision(openRevision === revision.revision ? null : revision.revision)}
+            className="revision-header"
+          >
+            <span className="revision-number">Revision {revision.revision}</span>
+            <span className="revision-meta">
+              {revision.changed_by?.name || 'Unknown'} • {new Date(revision.changed_at).toLocaleString()}
+            </span>
+            <span className="revision-fields">
+              {revision.changes.map(change => FIELD_LABELS[change.field] || change.field).join(', ')}
+            </span>
+          </button>
+
+          {openRevision === revision.revision && (
+            <table className="revision-diff">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Before</th>
+                  <th>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {revision.changes.map(change => (
+                  <tr key={change.field}>
+                    <td className="revision-field">{FIELD_LABELS[change.field] || change.field}</td>
+                    <td className="revision-old">
+                      {describeValue(change.field, change.old_value, names).map((line, index) => <div key={index}>{line}</div>)}
+                    </td>
+                    <td className="revision-new">
+                      {describeValue(change.field, change.new_value, names).map((line, index) => <div key={index}>{line}</div>)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+const CallLogItem = ({ visit }) => {
+  const target = visit.hcp || visit.outlet
+  const productNames = (visit.products_detailed || []).map(product => product?.name).filter(Boolean)
+  const samples = (visit.samples || [])
+    .map(sample => `${sample.product?.name || 'Product'} × ${sample.quantity}`)
+
+  return (
+    <div className="call-log-item">
+      <div className="call-log-header">
+        <span className="call-log-time">{visit.call_time || '--:--'}</span>
+        <span className="call-log-name">
+          {visit.hcp ? '👨‍⚕️' : '🏪'} {target?.name || 'Unknown'}
+        </span>
+      </div>
+      {productNames.length > 0 && <DetailItem label="Detailed" value={productNames.join(', ')} />}
+      {samples.length > 0 && <DetailItem label="Samples" value={samples.join(', ')} />}
+      {visit.objective && <DetailItem label="Objective" value={visit.objective} />}
+      {visit.outcome && <DetailItem label="Outcome" value={visit.outcome} />}
+      {visit.next_step && <DetailItem label="Next Step" value={visit.next_step} />}
+      {visit.notes && <DetailItem label="Notes" value={visit.notes} />}
+    </div>
+  )
+}
+
 // Reusable Components
 const DetailSection = ({ title, children }) => (
   <div className="detail-section">
@@ -1088,6 +1381,73 @@ const styles = `
   height: 16px;
 }
 
+.edit-report-button {
+  margin-top: 6px;
+  padding: 6px 14px;
+  background: white;
+  color: #b91c1c;
+  border: 1px solid #fecaca;
+  border-radius: 6px;
+  cursor: pointer;
+  font-size: 14px;
+  font-weight: 500;
+}
+
+.edit-report-button:hover {
+  background: #fef2f2;
+}
+
+/* Report status */
+.status-badge {
+  display: inline-block;
+  padding: 4px 10px;
+  border-radius: 999px;
+  font-size: 12px;
+  font-weight: 600;
+  white-space: nowrap;
+  background: #e0f2fe;
+  color: #0369a1;
+}
+
+.status-badge.draft {
+  background: #f1f5f9;
+  color: #475569;
+}
+
+.status-badge.approved {
+  background: #dcfce7;
+  color: #15803d;
+}
+
+.status-badge.returned {
+  background: #fee2e2;
+  color: #b91c1c;
+}
+
+.status-history {
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+}
+
+.status-history-item {
+  padding: 10px 12px;
+  background: #f8fafc;
+  border-radius: 8px;
+}
+
+.status-history-meta {
+  margin-left: 10px;
+  font-size: 13px;
+  color: #64748b;
+}
+
+.status-history-reason {
+  margin-top: 6px;
+  font-size: 14px;
+  color: #334155;
+}
+
 /* Pagination */
 .pagination {
   display: flex;
@@ -1335,6 +1695,166 @@ const styles = `
   font-size: 15px;
 }
 
+.call-log {
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+}
+
+.call-log-item {
+  padding: 12px 16px;
+  background: #f8fafc;
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+}
+
+.call-log-header {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  margin-bottom: 6px;
+}
+
+.call-log-time {
+  font-family: monospace;
+  font-weight: 600;
+  color: #3b82f6;
+}
+
+.call-log-name {
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.revision-list {
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+}
+
+.revision {
+  border: 1px solid #e2e8f0;
+  border-radius: 10px;
+  overflow: hidden;
+}
+
+.revision-header {
+  width: 100%;
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 10px;
+  padding: 12px 14px;
+  border: none;
+  background: #f8fafc;
+  font-family: inherit;
+  text-align: left;
+  cursor: pointer;
+}
+
+.revision-number {
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.revision-meta {
+  font-size: 13px;
+  color: #64748b;
+}
+
+.revision-fields {
+  margin-left: auto;
+  font-size: 12px;
+  color: #475569;
+}
+
+.revision-diff {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 13px;
+}
+
+.revision-diff th {
+  padding: 8px 12px;
+  background: #f1f5f9;
+  color: #475569;
+  text-align: left;
+  font-weight: 600;
+}
+
+.revision-diff td {
+  padding: 8px 12px;
+  border-top: 1px solid #f1f5f9;
+  vertical-align: top;
+}
+
+.revision-field {
+  font-weight: 500;
+  color: #334155;
+  white-space: nowrap;
+}
+
+.revision-old {
+  background: #fef2f2;
+  color: #991b1b;
+}
+
+.revision-new {
+  background: #f0fdf4;
+  color: #166534;
+}
+
+.revision-empty {
+  color: #94a3b8;
+  font-size: 14px;
+}
+
+.report-expenses {
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+}
+
+.report-expense {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 10px 12px;
+  border-radius: 8px;
+  background: #f8fafc;
+  font-size: 14px;
+}
+
+.report-expense-description {
+  flex: 1;
+  color: #64748b;
+}
+
+.report-expense-amount {
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.report-expense-status {
+  padding: 2px 10px;
+  border-radius: 999px;
+  font-size: 12px;
+  font-weight: 600;
+  text-transform: capitalize;
+  background: #fef3c7;
+  color: #b45309;
+}
+
+.report-expense-status.approved {
+  background: #d1fae5;
+  color: #047857;
+}
+
+.report-expense-status.rejected {
+  background: #fee2e2;
+  color: #b91c1c;
+}
+
 .summary-box {
   background: #f8fafc;
   padding: 20px;
@@ -0,0 +1,373 @@
+import React, { useState, useEffect } from 'react'
+import { reportsAPI } from '../services/api'
+import ReportComments from './ReportComments'
+
+const DOCTOR_FIELDS = [
+  'dentists', 'physiotherapists', 'gynecologists', 'internists',
+  'general_practitioners', 'pediatricians', 'dermatologists'
+]
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })
+
+// Submitted reports from the team, oldest first, waiting for approval
+const ReviewQueue = () => {
+  const [reports, setReports] = useState([])
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 })
+  const [page, setPage] = useState(1)
+  const [expanded, setExpanded] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [successMessage, setSuccessMessage] = useState('')
+
+  useEffect(() => {
+    loadQueue()
+  }, [page])
+
+  const loadQueue = async () => {
+    try {
+      setLoading(true)
+      const response = await reportsAPI.getReviewQueue(page)
+      if (response.data.success) {
+        setReports(response.data.data.reports || [])
+        setPagination(response.data.data.pagination)
+      }
+    } catch (error) {
+      console.error('Error loading review queue:', error)
+      setError(error.response?.data?.message || 'Failed to load review queue')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const reviewReport = async (report, decision) => {
+    const reason = decision === 'returned'
+      ? window.prompt('What should the rep correct?')
+      : ''
+    if (reason === null || (decision === 'returned' && !reason.trim())) return
+
+    try {
+      setSaving(true)
+      setError('')
+      const response = await reportsAPI.reviewReport(report._id, decision, reason.trim())
+      if (response.data.success) {
+        setSuccessMessage(`${response.data.message} - ${report.user_id?.name}, ${formatDate(report.report_date)}`)
+        loadQueue()
+      }
+    } catch (error) {
+      console.error('Error reviewing report:', error)
+      setError(error.response?.data?.message || 'Failed to review report')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="review-container">
+      {/* Header */}
+      <div className="review-header">
+        <div>
+          <h1>Review Queue</h1>
+          <p className="header-subtitle">
+            Approve your team's daily reports or return them to the rep for correction.
+          </p>
+        </div>
+        <div className="review-count">
+          {pagination.total} waiting
+        </div>
+      </div>
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="success-card">
+          <div className="success-content">
+            <div className="success-text">{successMessage}</div>
+            <button onClick={() => setSuccessMessage('')} className="success-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-card">
+          <div className="error-content">
+            <div className="error-text">{error}</div>
+            <button onClick={() => setError('')} className="error-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="review-card review-empty">Loading...</div>
+      ) : reports.length === 0 ? (
+        <div className="review-card review-empty">
+          <div className="empty-icon">✅</div>
+          <p>Nothing to review - every submitted report has been handled.</p>
+        </div>
+      ) : (
+        <div className="review-list">
+          {reports.map(report => {
+            const doctors = DOCTOR_FIELDS.reduce((sum, field) => sum + (report[field] || 0), 0)
+            const resubmission = report.status_history?.some(change => change.from === 'returned')
+
+            return (
+              <div key={report._id} className="review-card">
+                <div className="review-row">
+                  <div className="review-main">
+                    <div className="review-title">
+                      {report.user_id?.name || 'Unknown rep'}
+                      {resubmission && <span className="review-tag">Resubmitted</span>}
+                    </div>
+                    <div className="review-subtitle">
+                      {formatDate(report.report_date)} • {report.region || report.user_id?.region || 'No region'}
+                    </div>
+                  </div>
+                  <div className="review-stats">
+                    <span>👨‍⚕️ {doctors}</span>
+                    <span>💊 {(report.pharmacies || 0) + (report.dispensaries || 0)}</span>
+                    <span>📞 {report.visits?.length || 0} calls</span>
+                    <span>📦 {report.orders_count || 0} • RWF {(report.orders_value || 0).toLocaleString()}</span>
+                  </div>
+                  <div className="review-actions">
+                    <button
+                      onClick={() => setExpanded(expanded === report._id ? null : report._id)}
+                      className="review-toggle"
+                    >
+                      {expanded === report._id ? 'Hide' : 'Details'}
+                    </button>
+                    <button onClick={() => reviewReport(report, 'returned')} className="cancel-button" disabled={saving}>
+                      Return
+                    </button>
+                    <button onClick={() => reviewReport(report, 'approved')} className="save-button" disabled={saving}>
+                      Approve
+                    </button>
+                  </div>
+                </div>
+
+                {expanded === report._id && (
+                  <div className="review-details">
+                    {report.summary && <p className="review-summary">{report.summary}</p>}
+                    {report.visits?.length > 0 && (
+                      <ul className="review-calls">
+                        {report.visits.map((visit, index) => (
+                          <li key={visit._id || index}>
+                            <strong>{visit.call_time || '--:--'}</strong>{' '}
+                            {visit.hcp ? '👨‍⚕️' : '🏪'} {(visit.hcp || visit.outlet)?.name || 'Unknown'}
+                            {visit.outcome && ` - ${visit.outcome}`}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {report.orders?.length > 0 && (
+                      <ul className="review-calls">
+                        {report.orders.map((order, index) => (
+                          <li key={order._id || index}>
+                            🧾 {order.outlet?.name || 'Unknown outlet'} - {order.lines?.length || 0} lines
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {report.status_history?.filter(change => change.reason).map((change, index) => (
+                      <div key={index} className="review-history">
+                        {change.to === 'returned' ? '↩️' : '💬'} {change.by?.name || 'Someone'}: {change.reason}
+                      </div>
+                    ))}
+                    <div className="review-comments">
+                      <ReportComments reportId={report._id} />
+                    </div>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+
+          {pagination.pages > 1 && (
+            <div className="review-pagination">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="review-toggle">
+                Previous
+              </button>
+              <span>Page {pagination.page} of {pagination.pages}</span>
+              <button onClick={() => setPage(page + 1)} disabled={page >= pagination.pages} className="review-toggle">
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.review-container {
+  padding: 30px;
+  min-height: 100vh;
+  font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+}
+
+.review-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 20px;
+  background: #ffffff;
+  padding: 30px;
+  border-radius: 16px;
+  margin-bottom: 24px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+}
+
+.review-header h1 {
+  margin: 0 0 8px 0;
+  color: #1e293b;
+  font-size: 28px;
+  font-weight: 700;
+}
+
+.review-count {
+  padding: 8px 16px;
+  border-radius: 999px;
+  background: #fef3c7;
+  color: #b45309;
+  font-weight: 600;
+}
+
+.review-list {
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+}
+
+.review-card {
+  background: #ffffff;
+  padding: 20px 24px;
+  border-radius: 12px;
+  border: 1px solid #e2e8f0;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.04);
+}
+
+.review-empty {
+  text-align: center;
+  color: #64748b;
+  padding: 48px;
+}
+
+.review-row {
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 20px;
+}
+
+.review-main {
+  flex: 1;
+  min-width: 180px;
+}
+
+.review-title {
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.review-tag {
+  margin-left: 8px;
+  padding: 2px 8px;
+  border-radius: 999px;
+  background: #e0f2fe;
+  color: #0369a1;
+  font-size: 11px;
+  font-weight: 600;
+}
+
+.review-subtitle {
+  margin-top: 4px;
+  font-size: 13px;
+  color: #64748b;
+}
+
+.review-stats {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 14px;
+  font-size: 13px;
+  color: #475569;
+}
+
+.review-actions {
+  display: flex;
+  gap: 8px;
+}
+
+.review-toggle {
+  padding: 8px 14px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  background: #ffffff;
+  color: #475569;
+  cursor: pointer;
+}
+
+.review-toggle:disabled {
+  opacity: 0.5;
+  cursor: not-allowed;
+}
+
+.review-details {
+  margin-top: 16px;
+  padding-top: 16px;
+  border-top: 1px solid #f1f5f9;
+  font-size: 14px;
+  color: #334155;
+}
+
+.review-summary {
+  margin: 0 0 12px 0;
+}
+
+.review-calls {
+  margin: 0 0 12px 0;
+  padding-left: 18px;
+}
+
+.review-calls li + li {
+  margin-top: 4px;
+}
+
+.review-history {
+  padding: 8px 12px;
+  margin-top: 6px;
+  border-radius: 8px;
+  background: #f8fafc;
+  font-size: 13px;
+}
+
+.review-comments {
+  margin-top: 16px;
+}
+
+.review-pagination {
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  gap: 16px;
+  margin-top: 12px;
+  color: #64748b;
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default ReviewQueue
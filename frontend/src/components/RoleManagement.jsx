@@ -0,0 +1,328 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { rolesAPI } from '../services/api'
+
+// Group permissions by the resource before the first colon
+const groupPermissions = (permissions) =>
+  Object.entries(permissions).reduce((groups, [name, description]) => {
+    const resource = name.split(':')[0]
+    return { ...groups, [resource]: [...(groups[resource] || []), { name, description }] }
+  }, {})
+
+const sameGrants = (a, b) => a.length === b.length && a.every(permission => b.includes(permission))
+
+const RoleManagement = () => {
+  const { user, hasPermission } = useAuth()
+  const [roles, setRoles] = useState([])
+  const [permissions, setPermissions] = useState({})
+  const [drafts, setDrafts] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [savingRole, setSavingRole] = useState(null)
+  const [error, setError] = useState('')
+  const [successMessage, setSuccessMessage] = useState('')
+
+  useEffect(() => {
+    loadRoles()
+  }, [])
+
+  const loadRoles = async () => {
+    try {
+      setLoading(true)
+      const response = await rolesAPI.getAll()
+      if (response.data.success) {
+        const data = response.data.data || []
+        setRoles(data)
+        setPermissions(response.data.permissions || {})
+        setDrafts(data.reduce((all, role) => ({ ...all, [role.name]: role.permissions }), {}))
+      } else {
+        setError(response.data.message || 'Failed to load roles')
+      }
+    } catch (error) {
+      console.error('Error loading roles:', error)
+      setError(error.response?.data?.message || 'Failed to load roles')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const togglePermission = (roleName, permission) => {
+    setDrafts(prev => {
+      const current = prev[roleName] || []
+      return {
+        ...prev,
+        [roleName]: current.includes(permission)
+          ? current.filter(p => p !== permission)
+          : [...current, permission]
+      }
+    })
+  }
+
+  const saveRole = async (role) => {
+    try {
+      setSavingRole(role.name)
+      setError('')
+      const response = await rolesAPI.update(role.name, drafts[role.name])
+      if (response.data.success) {
+        setSuccessMessage(`${response.data.message}. Users pick up the change on their next request.`)
+        loadRoles()
+      } else {
+        setError(response.data.message || 'Failed to save role')
+      }
+    } catch (error) {
+      console.error('Error saving role:', error)
+      const data = error.response?.data
+      setError(data?.errors ? data.errors.join(', ') : data?.message || 'Failed to save role')
+    } finally {
+      setSavingRole(null)
+    }
+  }
+
+  if (!user || !hasPermission('roles:manage')) {
+    return (
+      <div className="role-management-container">
+        <div className="access-denied">
+          <div className="access-icon">🔒</div>
+          <h2>Access Denied</h2>
+          <p>This section is only available to users who manage roles.</p>
+        </div>
+      </div>
+    )
+  }
+
+  const groups = groupPermissions(permissions)
+
+  return (
+    <div className="role-management-container">
+      {/* Header */}
+      <div className="role-header">
+        <h1>Roles &amp; Permissions</h1>
+        <p className="header-subtitle">
+          Choose what each role can do. Changes apply to every user holding the role.
+        </p>
+      </div>
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="success-card">
+          <div className="success-content">
+            <div className="success-text">{successMessage}</div>
+            <button onClick={() => setSuccessMessage('')} className="success-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-card">
+          <div className="error-content">
+            <div className="error-text">{error}</div>
+            <button onClick={() => setError('')} className="error-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="role-card">
+        {loading && roles.length === 0 ? (
+          <div className="role-empty">Loading roles...</div>
+        ) : (
+          <div className="role-table-wrapper">
+            <table className="role-table">
+              <thead>
+                <tr>
+                  <th className="role-permission-col">Permission</th>
+                  {roles.map(role => (
+                    <th key={role.name}>
+                      <div className="role-name">{role.label}</div>
+                      <div className="role-users">{role.user_count} {role.user_count === 1 ? 'user' : 'users'}</div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(groups).map(([resource, items]) => (
+                  <React.Fragment key={resource}>
+                    <tr className="role-group-row">
+                      <td colSpan={roles.length + 1}>{resource}</td>
+                    </tr>
+                    {items.map(permission => (
+                      <tr key={permission.name}>
+                        <td className="role-permission-col">
+                          <div className="role-permission-name">{permission.name}</div>
+                          <div className="role-permission-description">{permission.description}</div>
+                        </td>
+                        {roles.map(role => (
+                          <td key={role.name} className="role-check">
+                            <input
+                              type="checkbox"
+                              checked={(drafts[role.name] || []).includes(permission.name)}
+                              onChange={() => togglePermission(role.name, permission.name)}
+                              disabled={role.name === 'admin' && permission.name === 'roles:manage'}
+                            />
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td className="role-permission-col"></td>
+                  {roles.map(role => {
+                    const changed = !sameGrants(drafts[role.name] || [], role.permissions)
+                    return (
+                      <td key={role.name} className="role-check">
+                        <button
+                          onClick={() => saveRole(role)}
+                          disabled={!changed || savingRole === role.name}
+                          className="save-button"
+                        >
+                          {savingRole === role.name ? 'Saving...' : 'Save'}
+                        </button>
+                      </td>
+                    )
+                  })}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.role-management-container {
+  padding: 30px;
+  min-height: 100vh;
+  font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+}
+
+.role-header {
+  background: #ffffff;
+  padding: 30px;
+  border-radius: 16px;
+  margin-bottom: 30px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+}
+
+.role-header h1 {
+  margin: 0 0 8px 0;
+  color: #1e293b;
+  font-size: 28px;
+  font-weight: 700;
+}
+
+.role-card {
+  background: #ffffff;
+  border-radius: 16px;
+  border: 1px solid #e2e8f0;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  padding: 20px;
+}
+
+.role-table-wrapper {
+  overflow-x: auto;
+}
+
+.role-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+}
+
+.role-table th {
+  padding: 12px;
+  background: #f8fafc;
+  color: #475569;
+  border-bottom: 1px solid #e2e8f0;
+  text-align: center;
+  min-width: 110px;
+}
+
+.role-table td {
+  padding: 10px 12px;
+  border-bottom: 1px solid #f1f5f9;
+  color: #334155;
+}
+
+.role-table th.role-permission-col,
+.role-table td.role-permission-col {
+  text-align: left;
+  min-width: 260px;
+}
+
+.role-name {
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.role-users {
+  font-size: 12px;
+  font-weight: 400;
+  color: #64748b;
+}
+
+.role-group-row td {
+  background: #f8fafc;
+  font-size: 12px;
+  font-weight: 700;
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+  color: #64748b;
+}
+
+.role-permission-name {
+  font-family: monospace;
+  font-size: 13px;
+  color: #1e293b;
+}
+
+.role-permission-description {
+  font-size: 12px;
+  color: #64748b;
+}
+
+.role-check {
+  text-align: center;
+}
+
+.role-check input {
+  width: 18px;
+  height: 18px;
+  cursor: pointer;
+}
+
+.role-table tfoot td {
+  border-bottom: none;
+  padding-top: 16px;
+}
+
+.role-empty {
+  padding: 60px 20px;
+  text-align: center;
+  color: #64748b;
+}
+
+@media (max-width: 768px) {
+  .role-management-container {
+    padding: 16px;
+  }
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default RoleManagement
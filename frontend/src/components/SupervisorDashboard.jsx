@@ -1,27 +1,260 @@
 import React, { useState, useEffect } from 'react'
-import { reportsAPI, usersAPI, analyticsAPI } from '../services/api'
+import { reportsAPI, usersAPI, analyticsAPI, targetsAPI, productsAPI, exportAPI } from '../services/api'
 import { useAuth } from '../contexts/AuthContext'
+import TargetProgress, { METRIC_LABELS } from './TargetProgress'
+import { CommentFeed } from './ReportComments'
+import { useReportEvents, LiveBadge } from './LiveUpdates'
+import ReportFilters, { EMPTY_REPORT_FILTERS, reportFilterParams } from './ReportFilters'
+import { useNavigate } from 'react-router-dom'
 import { jsPDF } from 'jspdf'
 import autoTable from 'jspdf-autotable'
 
+const TARGET_METRICS = [
+  'general_practitioners', 'pediatricians', 'gynecologists', 'internists',
+  'dentists', 'physiotherapists', 'dermatologists',
+  'pharmacies', 'dispensaries', 'orders_count', 'orders_value'
+]
+const PRODUCT_TARGET_METRICS = ['units', 'orders_value', 'orders_count']
+
+// Dashboard time ranges as the export endpoints name them
+const EXPORT_PERIODS = { week: 'week', month: 'month', '3months': 'quarter' }
+
+const EXPORT_FORMATS = [
+  { value: 'pdf', label: 'PDF' },
+  { value: 'xlsx', label: 'Excel' },
+  { value: 'csv', label: 'CSV' }
+]
+
+// Reports per page in the report finder
+const FOUND_REPORTS_LIMIT = 20
+
+const currentMonth = () => new Date().toISOString().slice(0, 7)
+
+// Today as YYYY-MM-DD in the browser's timezone
+const localToday = () => {
+  const now = new Date()
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`
+}
+
+const emptyTarget = () => ({
+  month: currentMonth(),
+  owner: 'rep',
+  user_id: '',
+  region: '',
+  product: '',
+  metrics: {}
+})
+
 const SupervisorDashboard = () => {
-  const { user } = useAuth()
+  const { user, hasPermission } = useAuth()
+  const navigate = useNavigate()
   const [teamReports, setTeamReports] = useState([])
+  const [submissionRate, setSubmissionRate] = useState(null)
   const [allUsers, setAllUsers] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [successMessage, setSuccessMessage] = useState('')
   const [timeRange, setTimeRange] = useState('month')
+  const [targetMonth, setTargetMonth] = useState(currentMonth())
+  const [teamTargets, setTeamTargets] = useState({ data: [], pace: null })
+  const [products, setProducts] = useState([])
+  const [showTargetModal, setShowTargetModal] = useState(false)
+  const [targetForm, setTargetForm] = useState(emptyTarget())
+  const [savingTarget, setSavingTarget] = useState(false)
+  const [comments, setComments] = useState({ data: [], unread: 0 })
+  const [missingDate, setMissingDate] = useState(localToday())
+  const [missingReports, setMissingReports] = useState(null)
+  const [lastLiveUpdate, setLastLiveUpdate] = useState(null)
+  const [exportFormat, setExportFormat] = useState('pdf')
+  const [exporting, setExporting] = useState(false)
+  const [reportFilters, setReportFilters] = useState(EMPTY_REPORT_FILTERS)
+  const [reportPage, setReportPage] = useState(1)
+  const [foundReports, setFoundReports] = useState(null)
+  const [findingReports, setFindingReports] = useState(false)
+
+  const canSetTargets = hasPermission('targets:write')
+
+  // Reports arriving from the team refresh the figures in place, without the loading screen
+  const liveConnected = useReportEvents(() => {
+    loadTeamData(true)
+    loadMissingReports()
+    loadTeamTargets()
+    loadFoundReports()
+    setLastLiveUpdate(new Date())
+  }, hasPermission('reports:read:team'))
 
   useEffect(() => {
     loadTeamData()
   }, [timeRange])
 
-  const loadTeamData = async () => {
+  useEffect(() => {
+    loadTeamTargets()
+  }, [targetMonth])
+
+  useEffect(() => {
+    if (canSetTargets) loadProducts()
+  }, [canSetTargets])
+
+  useEffect(() => {
+    loadComments()
+  }, [])
+
+  useEffect(() => {
+    loadMissingReports()
+  }, [missingDate])
+
+  useEffect(() => {
+    loadFoundReports()
+  }, [reportFilters, reportPage])
+
+  // Team reports matching the filter bar, a page at a time
+  const loadFoundReports = async () => {
+    try {
+      setFindingReports(true)
+      const response = await reportsAPI.getAll({
+        ...reportFilterParams(reportFilters),
+        page: reportPage,
+        limit: FOUND_REPORTS_LIMIT
+      })
+      if (response.data.success) {
+        setFoundReports(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error finding reports:', error)
+      setError(error.response?.data?.message || 'Failed to load reports')
+    } finally {
+      setFindingReports(false)
+    }
+  }
+
+  const changeReportFilters = (next) => {
+    setReportPage(1)
+    setReportFilters(next)
+  }
+
+  // Reps who should have reported on the chosen day and have not - leave and holidays excluded
+  const loadMissingReports = async () => {
+    try {
+      const response = await reportsAPI.getMissingReports(missingDate)
+      if (response.data.success) setMissingReports(response.data.data)
+    } catch (error) {
+      console.error('Error loading missing reports:', error)
+      setMissingReports(null)
+    }
+  }
+
+  // Replies and mentions in report discussions the supervisor is part of
+  const loadComments = async () => {
+    try {
+      const response = await reportsAPI.getCommentFeed(5)
+      if (response.data.success) {
+        setComments({ data: response.data.data || [], unread: response.data.unread_count || 0 })
+      }
+    } catch (error) {
+      console.error('Error loading comments:', error)
+      setComments({ data: [], unread: 0 })
+    }
+  }
+
+  const loadTeamTargets = async () => {
+    try {
+      const response = await analyticsAPI.getTeamTargets(targetMonth)
+      if (response.data.success) {
+        setTeamTargets({ data: response.data.data || [], pace: response.data.pace })
+      }
+    } catch (error) {
+      console.error('Error loading team targets:', error)
+      setTeamTargets({ data: [], pace: null })
+    }
+  }
+
+  const loadProducts = async () => {
+    try {
+      const response = await productsAPI.getAll({ limit: 500 })
+      if (response.data.success) {
+        setProducts(response.data.data?.products || [])
+      }
+    } catch (error) {
+      console.error('Error loading products:', error)
+    }
+  }
+
+  const openTargetModal = (target = null) => {
+    if (target) {
+      setTargetForm({
+        month: targetMonth,
+        owner: target.user ? 'rep' : 'region',
+        user_id: target.user?._id || '',
+        region: target.user ? '' : target.region || '',
+        product: target.product?._id || '',
+        metrics: target.metrics.reduce((all, metric) => ({ ...all, [metric.metric]: metric.target }), {})
+      })
+    } else {
+      setTargetForm({ ...emptyTarget(), month: targetMonth })
+    }
+    setShowTargetModal(true)
+  }
+
+  const saveTarget = async () => {
     try {
-      setLoading(true)
+      setSavingTarget(true)
       setError('')
-      setSuccessMessage('')
+      const allowed = targetForm.product ? PRODUCT_TARGET_METRICS : TARGET_METRICS
+      const metrics = allowed.reduce((all, metric) => (
+        targetForm.metrics[metric] === undefined || targetForm.metrics[metric] === ''
+          ? all
+          : { ...all, [metric]: targetForm.metrics[metric] }
+      ), {})
+
+      const response = await targetsAPI.save({
+        month: targetForm.month,
+        user_id: targetForm.owner === 'rep' ? targetForm.user_id : undefined,
+        region: targetForm.owner === 'region' ? targetForm.region : undefined,
+        product: targetForm.product || undefined,
+        metrics
+      })
+
+      if (response.data.success) {
+        setSuccessMessage(response.data.message)
+        setShowTargetModal(false)
+        if (targetForm.month === targetMonth) {
+          loadTeamTargets()
+        } else {
+          setTargetMonth(targetForm.month)
+        }
+      } else {
+        setError(response.data.message || 'Failed to save target')
+      }
+    } catch (error) {
+      console.error('Error saving target:', error)
+      const data = error.response?.data
+      setError(data?.errors ? data.errors.join(', ') : data?.message || 'Failed to save target')
+    } finally {
+      setSavingTarget(false)
+    }
+  }
+
+  const deleteTarget = async (target) => {
+    if (!window.confirm('Remove this target?')) return
+    try {
+      const response = await targetsAPI.delete(target.target_id)
+      if (response.data.success) {
+        setSuccessMessage(response.data.message)
+        loadTeamTargets()
+      }
+    } catch (error) {
+      console.error('Error deleting target:', error)
+      setError(error.response?.data?.message || 'Failed to delete target')
+    }
+  }
+
+  const loadTeamData = async (silent = false) => {
+    try {
+      if (!silent) {
+        setLoading(true)
+        setError('')
+        setSuccessMessage('')
+      }
       console.log('👑 Loading supervisor dashboard data...')
       
       const usersResponse = await usersAPI.getAll()
@@ -38,6 +271,7 @@ const SupervisorDashboard = () => {
           if (teamPerformanceResponse.data.success) {
             const teamData = teamPerformanceResponse.data.data || []
             setTeamReports(teamData)
+            setSubmissionRate(teamPerformanceResponse.data.submission_rate ?? null)
           } else {
             await loadTeamDataManually(usersData)
           }
@@ -157,441 +391,29 @@ const SupervisorDashboard = () => {
   }
 
   // PDF EXPORT FUNCTIONS - UPDATED WITH PROFESSIONAL DESIGN
-  const exportTeamPDF = () => {
-    try {
-      const doc = new jsPDF()
-      
-      // Add Times New Roman font (default in jsPDF)
-      doc.setFont('Times', 'normal')
-      
-      // Company Header Section
-      doc.setFontSize(24)
-      doc.setTextColor(20, 108, 148) // Deep blue
-      doc.setFont('Times', 'bold')
-      doc.text('REGAL PHARMACEUTICALS', 105, 25, { align: 'center' })
-      
-      doc.setFontSize(12)
-      doc.setTextColor(59, 130, 246) // Light blue
-      doc.setFont('Times', 'normal')
-      doc.text('Rwanda • Excellence in Healthcare', 105, 33, { align: 'center' })
-      
-      // Separator Line
-      doc.setDrawColor(20, 108, 148)
-      doc.setLineWidth(0.5)
-      doc.line(20, 38, 190, 38)
-      
-      // Report Title
-      doc.setFontSize(20)
-      doc.setTextColor(0, 0, 0) // Black
-      doc.setFont('Times', 'bold')
-      doc.text('TEAM PERFORMANCE REPORT', 105, 50, { align: 'center' })
-      doc.text('Supervisor Dashboard', 105, 58, { align: 'center' })
-      
-      // Report Details
-      doc.setFontSize(11)
-      doc.setFont('Times', 'normal')
-      doc.setTextColor(100, 100, 100)
-      
-      const periodLabels = {
-        'week': 'Weekly (Last 7 Days)',
-        'month': 'Monthly (Last 30 Days)',
-        '3months': 'Quarterly (Last 90 Days)'
-      }
-      
-      const details = [
-        `Period: ${periodLabels[timeRange] || 'Monthly (Last 30 Days)'}`,
-        `Generated: ${new Date().toLocaleDateString('en-US', { 
-          year: 'numeric', 
-          month: 'long', 
-          day: 'numeric' 
-        })} at ${new Date().toLocaleTimeString('en-US', { 
-          hour: '2-digit', 
-          minute: '2-digit' 
-        })}`,
-        `Generated by: ${user?.name || 'Supervisor'}`,
-        `Report ID: RP-${new Date().getFullYear()}${(new Date().getMonth() + 1).toString().padStart(2, '0')}-${Math.floor(Math.random() * 10000)}`
-      ]
-      
-      details.forEach((detail, index) => {
-        doc.text(detail, 20, 70 + (index * 7))
-      })
-      
-      // Check if we have team data
-      if (teamReports.length === 0) {
-        doc.setFontSize(14)
-        doc.setTextColor(150, 150, 150)
-        doc.setFont('Times', 'italic')
-        doc.text('No team performance data available for the selected period', 105, 110, { align: 'center' })
-      } else {
-        // Executive Summary Box
-        doc.setFillColor(240, 249, 255)
-        doc.rect(20, 90, 170, 40, 'F')
-        doc.setDrawColor(200, 230, 255)
-        doc.rect(20, 90, 170, 40)
-        
-        doc.setFontSize(12)
-        doc.setTextColor(20, 108, 148)
-        doc.setFont('Times', 'bold')
-        doc.text('EXECUTIVE SUMMARY', 30, 100)
-        
-        const totals = teamReports.reduce((acc, member) => ({
-          doctors: acc.doctors + (member.total_doctors || 0),
-          orders: acc.orders + (member.total_orders || 0),
-          value: acc.value + (member.total_value || 0),
-          reports: acc.reports + (member.reports_count || 0)
-        }), { doctors: 0, orders: 0, value: 0, reports: 0 })
-        
-        doc.setFontSize(10)
-        doc.setTextColor(0, 0, 0)
-        doc.setFont('Times', 'normal')
-        doc.text(`• Total Team Members: ${teamReports.length}`, 30, 108)
-        doc.text(`• Total Reports Submitted: ${totals.reports}`, 30, 115)
-        doc.text(`• Total Revenue Generated: RWF ${totals.value.toLocaleString()}`, 30, 122)
-        doc.text(`• Average Revenue per Report: RWF ${Math.round(totals.value / Math.max(totals.reports, 1)).toLocaleString()}`, 105, 122)
-        doc.text(`• Total Orders: ${totals.orders}`, 105, 115)
-        doc.text(`• Total Doctor Visits: ${totals.doctors}`, 105, 108)
-        
-        // Team Performance Table
-        doc.setFontSize(14)
-        doc.setTextColor(20, 108, 148)
-        doc.setFont('Times', 'bold')
-        doc.text('TEAM PERFORMANCE DETAILS', 20, 145)
-        
-        const tableData = teamReports.map((member, index) => [
-          index + 1,
-          member.user_name || 'Unknown',
-          member.region || 'N/A',
-          member.reports_count || 0,
-          member.total_doctors || 0,
-          member.total_orders || 0,
-          `RWF ${(member.total_value || 0).toLocaleString()}`,
-          `RWF ${Math.round((member.total_value || 0) / Math.max(member.reports_count, 1)).toLocaleString()}`
-        ])
-
-        autoTable(doc, {
-          head: [['#', 'Medical Representative', 'Region', 'Reports', 'Doctors Visited', 'Orders', 'Total Revenue', 'Avg/Report']],
-          body: tableData,
-          startY: 150,
-          theme: 'grid',
-          headStyles: { 
-            fillColor: [20, 108, 148],
-            textColor: 255,
-            fontStyle: 'bold',
-            fontSize: 10,
-            font: 'Times'
-          },
-          bodyStyles: { 
-            fontSize: 9,
-            font: 'Times',
-            cellPadding: 3
-          },
-          styles: { 
-            fontSize: 9,
-            cellPadding: 2,
-            font: 'Times'
-          },
-          columnStyles: {
-            0: { cellWidth: 10 },
-            1: { cellWidth: 45 },
-            2: { cellWidth: 25 },
-            7: { cellWidth: 25 }
-          }
-        })
-
-        // Top Performers Section
-        const finalY = doc.lastAutoTable?.finalY || 200
-        
-        doc.setFontSize(14)
-        doc.setTextColor(20, 108, 148)
-        doc.setFont('Times', 'bold')
-        doc.text('TOP PERFORMERS', 20, finalY + 15)
-        
-        const top3 = [...teamReports]
-          .sort((a, b) => (b.total_value || 0) - (a.total_value || 0))
-          .slice(0, 3)
-        
-        top3.forEach((member, index) => {
-          const yPos = finalY + 25 + (index * 15)
-          
-          // Rank badge
-          doc.setFillColor(
-            index === 0 ? [255, 215, 0] : // Gold
-            index === 1 ? [192, 192, 192] : // Silver
-            [205, 127, 50] // Bronze
-          )
-          doc.roundedRect(25, yPos - 5, 10, 10, 5, 5, 'F')
-          doc.setTextColor(255, 255, 255)
-          doc.setFont('Times', 'bold')
-          doc.text(`${index + 1}`, 30, yPos + 1, { align: 'center' })
-          
-          // Name and details
-          doc.setTextColor(0, 0, 0)
-          doc.setFont('Times', 'normal')
-          doc.text(`${member.user_name} - ${member.region || 'N/A'}`, 40, yPos)
-          doc.text(`Revenue: RWF ${(member.total_value || 0).toLocaleString()} | Reports: ${member.reports_count || 0}`, 40, yPos + 5)
-        })
-        
-        // Performance Analysis
-        const analysisY = finalY + 75
-        
-        doc.setFontSize(14)
-        doc.setTextColor(20, 108, 148)
-        doc.setFont('Times', 'bold')
-        doc.text('PERFORMANCE ANALYSIS', 20, analysisY)
-        
-        const activeMedReps = allUsers.filter(user => user.role === 'medrep' && user.is_active !== false)
-        const reportingRate = Math.round((teamReports.length / Math.max(activeMedReps.length, 1)) * 100)
-        const avgDoctorsPerReport = Math.round(totals.doctors / Math.max(totals.reports, 1))
-        const avgOrdersPerReport = Math.round(totals.orders / Math.max(totals.reports, 1))
-        const conversionRate = Math.round((totals.orders / Math.max(totals.doctors, 1)) * 100)
-        
-        doc.setFontSize(10)
-        doc.setTextColor(0, 0, 0)
-        doc.setFont('Times', 'normal')
-        doc.text(`• Reporting Rate: ${reportingRate}% of active medical representatives`, 25, analysisY + 10)
-        doc.text(`• Average Doctors per Report: ${avgDoctorsPerReport}`, 25, analysisY + 17)
-        doc.text(`• Average Orders per Report: ${avgOrdersPerReport}`, 25, analysisY + 24)
-        doc.text(`• Conversion Rate (Orders/Doctors): ${conversionRate}%`, 25, analysisY + 31)
-        
-        // Footer
-        const pageHeight = doc.internal.pageSize.height
-        doc.setFontSize(8)
-        doc.setTextColor(150, 150, 150)
-        doc.setFont('Times', 'italic')
-        doc.text(`Confidential - Regal Pharmaceuticals Rwanda • Page 1 of 1 • Generated on ${new Date().toISOString()}`, 105, pageHeight - 10, { align: 'center' })
-      }
-
-      // Save PDF
-      const fileName = `Regal-Pharma-Team-Performance-${timeRange}-${new Date().toISOString().split('T')[0]}.pdf`
-      doc.save(fileName)
-      
-      setSuccessMessage('Team performance report exported successfully!')
-    } catch (error) {
-      console.error('Error exporting team PDF:', error)
-      setError('Failed to export team report. Please try again.')
-    }
-  }
-
-  const exportMemberPDF = (memberId) => {
+  // Team and member exports are built by the server, so every download matches the dashboard figures
+  const downloadExport = async (memberId = null) => {
+    const member = memberId && teamReports.find(m => m.user_id === memberId)
     try {
-      const member = teamReports.find(m => m.user_id === memberId)
-      if (!member) {
-        setError('Member not found in performance data')
-        return
-      }
-
-      const doc = new jsPDF()
-      
-      // Add Times New Roman font
-      doc.setFont('Times', 'normal')
-      
-      // Company Header
-      doc.setFontSize(24)
-      doc.setTextColor(20, 108, 148)
-      doc.setFont('Times', 'bold')
-      doc.text('REGAL PHARMACEUTICALS', 105, 25, { align: 'center' })
-      
-      doc.setFontSize(12)
-      doc.setTextColor(59, 130, 246)
-      doc.setFont('Times', 'normal')
-      doc.text('Rwanda • Excellence in Healthcare', 105, 33, { align: 'center' })
-      
-      // Separator Line
-      doc.setDrawColor(20, 108, 148)
-      doc.setLineWidth(0.5)
-      doc.line(20, 38, 190, 38)
-      
-      // Report Title
-      doc.setFontSize(20)
-      doc.setTextColor(0, 0, 0)
-      doc.setFont('Times', 'bold')
-      doc.text('INDIVIDUAL PERFORMANCE REPORT', 105, 50, { align: 'center' })
-      
-      // Medical Representative Details
-      doc.setFontSize(16)
-      doc.setTextColor(20, 108, 148)
-      doc.text(member.user_name.toUpperCase(), 105, 60, { align: 'center' })
-      
-      // Details Box
-      doc.setFillColor(245, 249, 255)
-      doc.rect(20, 65, 170, 30, 'F')
-      doc.setDrawColor(200, 230, 255)
-      doc.rect(20, 65, 170, 30)
-      
-      doc.setFontSize(10)
-      doc.setTextColor(0, 0, 0)
-      doc.setFont('Times', 'normal')
-      
-      const periodLabels = {
-        'week': 'Weekly (Last 7 Days)',
-        'month': 'Monthly (Last 30 Days)',
-        '3months': 'Quarterly (Last 90 Days)'
-      }
-      
-      doc.text(`Period: ${periodLabels[timeRange] || 'Monthly (Last 30 Days)'}`, 25, 75)
-      doc.text(`Region: ${member.region || 'Not Specified'}`, 25, 82)
-      doc.text(`Report ID: RP-IND-${member.user_id.slice(-6).toUpperCase()}`, 25, 89)
-      doc.text(`Email: ${member.user_email || 'Not Provided'}`, 110, 75)
-      doc.text(`Generated: ${new Date().toLocaleDateString()}`, 110, 82)
-      doc.text(`Generated by: ${user?.name || 'Supervisor'}`, 110, 89)
-      
-      // Performance Summary
-      doc.setFontSize(14)
-      doc.setTextColor(20, 108, 148)
-      doc.setFont('Times', 'bold')
-      doc.text('PERFORMANCE SUMMARY', 20, 110)
-      
-      const summaryData = [
-        ['Total Reports Submitted', member.reports_count || 0],
-        ['Total Doctors Visited', member.total_doctors || 0],
-        ['Total Pharmacies Visited', member.total_pharmacies || 0],
-        ['Total Dispensaries Visited', member.total_dispensaries || 0],
-        ['Total Orders Placed', member.total_orders || 0],
-        ['Total Revenue Generated', `RWF ${(member.total_value || 0).toLocaleString()}`],
-        ['Average Doctors per Report', Math.round((member.total_doctors || 0) / Math.max(member.reports_count, 1))],
-        ['Average Orders per Report', Math.round((member.total_orders || 0) / Math.max(member.reports_count, 1))],
-        ['Average Revenue per Report', `RWF ${Math.round((member.total_value || 0) / Math.max(member.reports_count, 1)).toLocaleString()}`]
-      ]
-
-      autoTable(doc, {
-        body: summaryData,
-        startY: 115,
-        theme: 'grid',
-        headStyles: { 
-          fillColor: [20, 108, 148],
-          textColor: 255,
-          fontStyle: 'bold',
-          fontSize: 10,
-          font: 'Times'
-        },
-        styles: { 
-          fontSize: 10, 
-          cellPadding: 4,
-          font: 'Times'
-        },
-        columnStyles: {
-          0: { 
-            fontStyle: 'bold', 
-            cellWidth: 100,
-            font: 'Times'
-          },
-          1: { 
-            cellWidth: 70,
-            font: 'Times'
-          }
-        }
-      })
-
-      // Recent Activity (if available)
-      if (member.reports && member.reports.length > 0) {
-        const recentY = doc.lastAutoTable?.finalY + 15 || 140
-        
-        doc.setFontSize(14)
-        doc.setTextColor(20, 108, 148)
-        doc.setFont('Times', 'bold')
-        doc.text('RECENT ACTIVITY (Last 10 Reports)', 20, recentY)
-
-        const reportData = member.reports.slice(0, 10).map(report => {
-          const reportDate = new Date(report.report_date || report.createdAt)
-          return [
-            reportDate.toLocaleDateString('en-US', { 
-              month: 'short', 
-              day: 'numeric',
-              year: 'numeric'
-            }),
-            calculateTotalDoctors(report),
-            report.pharmacies || 0,
-            report.dispensaries || 0,
-            report.orders_count || 0,
-            `RWF ${(report.orders_value || 0).toLocaleString()}`,
-            (report.summary || 'No notes').substring(0, 35) + ((report.summary || '').length > 35 ? '...' : '')
-          ]
-        })
-
-        autoTable(doc, {
-          head: [['Date', 'Doctors', 'Pharmacy', 'Dispensary', 'Orders', 'Value', 'Notes']],
-          body: reportData,
-          startY: recentY + 5,
-          theme: 'grid',
-          headStyles: { 
-            fillColor: [59, 130, 246],
-            textColor: 255,
-            fontStyle: 'bold',
-            fontSize: 9,
-            font: 'Times'
-          },
-          styles: { 
-            fontSize: 8, 
-            cellPadding: 3,
-            font: 'Times'
-          },
-          columnStyles: {
-            0: { cellWidth: 25 },
-            6: { cellWidth: 45 }
-          }
-        })
-        
-        // Performance Metrics
-        const metricsY = doc.lastAutoTable?.finalY + 20 || 200
-        
-        doc.setFontSize(14)
-        doc.setTextColor(20, 108, 148)
-        doc.setFont('Times', 'bold')
-        doc.text('PERFORMANCE METRICS', 20, metricsY)
-        
-        doc.setFontSize(10)
-        doc.setTextColor(0, 0, 0)
-        doc.setFont('Times', 'normal')
-        
-        const reportsCount = member.reports_count || 0
-        const totalValue = member.total_value || 0
-        const avgRevenue = Math.round(totalValue / Math.max(reportsCount, 1))
-        const avgDoctors = Math.round((member.total_doctors || 0) / Math.max(reportsCount, 1))
-        const avgOrders = Math.round((member.total_orders || 0) / Math.max(reportsCount, 1))
-        
-        doc.text(`• Reports per day: ${(reportsCount / (timeRange === 'week' ? 7 : timeRange === 'month' ? 30 : 90)).toFixed(1)}`, 25, metricsY + 10)
-        doc.text(`• Average revenue per day: RWF ${Math.round(totalValue / (timeRange === 'week' ? 7 : timeRange === 'month' ? 30 : 90)).toLocaleString()}`, 25, metricsY + 17)
-        doc.text(`• Doctor conversion rate: ${Math.round(((member.total_orders || 0) / Math.max(member.total_doctors, 1)) * 100)}%`, 105, metricsY + 10)
-        doc.text(`• Order value per order: RWF ${Math.round(totalValue / Math.max(member.total_orders, 1)).toLocaleString()}`, 105, metricsY + 17)
-      } else {
-        // No reports message
-        const noReportsY = doc.lastAutoTable?.finalY + 20 || 140
-        doc.setFontSize(12)
-        doc.setTextColor(150, 150, 150)
-        doc.setFont('Times', 'italic')
-        doc.text('No individual reports available for this period', 105, noReportsY, { align: 'center' })
-      }
-
-      // Footer
-      const pageHeight = doc.internal.pageSize.height
-      doc.setFontSize(8)
-      doc.setTextColor(150, 150, 150)
-      doc.setFont('Times', 'italic')
-      doc.text(`Confidential - Regal Pharmaceuticals Rwanda • Page 1 of 1 • Employee ID: ${member.user_id.slice(-8).toUpperCase()}`, 105, pageHeight - 10, { align: 'center' })
-
-      doc.save(`${member.user_name.replace(/[^a-z0-9]/gi, '_')}-Performance-${timeRange}.pdf`)
-      setSuccessMessage(`${member.user_name}'s report exported successfully!`)
+      setExporting(true)
+      setError('')
+      const period = EXPORT_PERIODS[timeRange] || 'month'
+      const response = memberId
+        ? await analyticsAPI.exportMemberReport(memberId, period, exportFormat)
+        : await analyticsAPI.exportTeamReport(period, exportFormat)
+      const name = member ? `Member-Performance-${member.username || memberId}` : 'Team-Performance'
+      exportAPI.downloadFile(response.data, `Regal-Pharma-${name}-${period}-${localToday()}.${exportFormat}`)
+      setSuccessMessage(member
+        ? `Report for ${member.user_name || 'team member'} exported successfully!`
+        : 'Team performance report exported successfully!')
     } catch (error) {
-      console.error('Error exporting member PDF:', error)
-      setError('Failed to export member report. Please try again.')
+      console.error('Error exporting report:', error)
+      setError(member ? 'Failed to export member report. Please try again.' : 'Failed to export team report. Please try again.')
+    } finally {
+      setExporting(false)
     }
   }
 
-  // Helper function for calculating doctors
-  const calculateTotalDoctors = (report) => {
-    if (!report) return 0
-    const doctors = 
-      (report.dentists || 0) +
-      (report.physiotherapists || 0) +
-      (report.gynecologists || 0) +
-      (report.internists || 0) +
-      (report.general_practitioners || 0) +
-      (report.pediatricians || 0) +
-      (report.dermatologists || 0)
-    
-    return doctors
-  }
-
   const exportExecutiveSummary = () => {
     try {
       const doc = new jsPDF()
@@ -667,7 +489,7 @@ const SupervisorDashboard = () => {
         reports: acc.reports + (user.reports_count || 0)
       }), { doctors: 0, orders: 0, value: 0, reports: 0 })
       
-      const reportingRate = Math.round((teamReports.length / Math.max(activeMedReps.length, 1)) * 100)
+      const reportingRate = submissionRate ?? 0
       const avgRevenuePerRep = Math.round(totals.value / Math.max(teamReports.length, 1))
       
       doc.setFontSize(11)
@@ -858,7 +680,7 @@ const SupervisorDashboard = () => {
     }
   }
 
-  const exportAllMemberReports = () => {
+  const exportAllMemberReports = async () => {
     if (teamReports.length === 0) {
       setError('No team members found to export')
       return
@@ -866,11 +688,10 @@ const SupervisorDashboard = () => {
 
     setSuccessMessage(`Exporting ${teamReports.length} member reports...`)
     
-    teamReports.forEach((member, index) => {
-      setTimeout(() => {
-        exportMemberPDF(member.user_id)
-      }, index * 1000) // Stagger exports by 1 second
-    })
+    // One at a time so the browser does not block a burst of downloads
+    for (const member of teamReports) {
+      await downloadExport(member.user_id)
+    }
   }
 
   const getTopPerformer = () => {
@@ -883,6 +704,8 @@ const SupervisorDashboard = () => {
   const refreshDashboard = () => {
     setLoading(true)
     loadTeamData()
+    loadTeamTargets()
+    loadMissingReports()
   }
 
   if (loading && teamReports.length === 0) {
@@ -895,6 +718,7 @@ const SupervisorDashboard = () => {
   }
 
   const activeMedReps = allUsers.filter(user => user.role === 'medrep' && user.is_active !== false)
+  const teamRegions = [...new Set(activeMedReps.map(rep => rep.region).filter(Boolean))].sort()
   const topPerformer = getTopPerformer()
   const totals = teamReports.reduce((acc, user) => ({
     doctors: acc.doctors + (user.total_doctors || 0),
@@ -928,6 +752,7 @@ const SupervisorDashboard = () => {
             </div>
           </div>
           <div className="header-actions">
+            <LiveBadge connected={liveConnected} lastUpdate={lastLiveUpdate} />
             <button
               onClick={refreshDashboard}
               className="refresh-button"
@@ -940,8 +765,9 @@ const SupervisorDashboard = () => {
               Refresh
             </button>
             <button
-              onClick={exportTeamPDF}
+              onClick={() => downloadExport()}
               className="export-button"
+              disabled={exporting}
             >
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                 <path d="M21 15V19C21 19.5304 20.7893 20.0391 20.4142 20.4142C20.0391 20.7893 19.5304 21 19 21H5C4.46957 21 3.96086 20.7893 3.58579 20.4142C3.21071 20.0391 3 19.5304 3 19V15" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -1019,6 +845,12 @@ const SupervisorDashboard = () => {
           color="#f59e0b"
           icon="📝"
         />
+        <StatCard 
+          value={submissionRate !== null ? `${submissionRate}%` : '—'} 
+          label="Report Submission Rate"
+          color="#0ea5e9"
+          icon="📅"
+        />
         <StatCard 
           value={`RWF ${totals.value.toLocaleString()}`} 
           label="Total Team Revenue"
@@ -1027,6 +859,46 @@ const SupervisorDashboard = () => {
         />
       </div>
 
+      {/* Missing Reports */}
+      {missingReports && (
+        <div className="targets-card missing-card">
+          <div className="card-header">
+            <div className="header-title">
+              <h3>Missing Reports</h3>
+              <span className="missing-summary">
+                {missingReports.reported} of {missingReports.expected} expected reports in
+              </span>
+            </div>
+            <input
+              type="date"
+              value={missingDate}
+              max={localToday()}
+              onChange={(e) => e.target.value && setMissingDate(e.target.value)}
+              className="time-select"
+            />
+          </div>
+          {missingReports.expected === 0 && missingReports.on_leave.length === 0 ? (
+            <div className="missing-empty">Nobody was expected to report on this day - it is a weekend or holiday.</div>
+          ) : missingReports.missing.length === 0 ? (
+            <div className="missing-empty">✅ Everyone expected to report has reported.</div>
+          ) : (
+            <div className="missing-list">
+              {missingReports.missing.map(rep => (
+                <div key={rep._id} className="missing-rep">
+                  <span className="missing-name">{rep.name}</span>
+                  <span className="missing-meta">{rep.region || 'No region'}</span>
+                </div>
+              ))}
+            </div>
+          )}
+          {missingReports.on_leave.length > 0 && (
+            <div className="missing-leave">
+              🌴 On leave: {missingReports.on_leave.map(rep => rep.name).join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Data Section */}
       <div className="dashboard-content">
         {/* Top Performer Card */}
@@ -1133,7 +1005,8 @@ const SupervisorDashboard = () => {
                 <TeamMemberCard 
                   key={member.user_id || index} 
                   member={member} 
-                  onDownloadReport={exportMemberPDF}
+                  onDownloadReport={downloadExport}
+                  exportLabel={EXPORT_FORMATS.find(f => f.value === exportFormat).label}
                   rank={index + 1}
                 />
               ))}
@@ -1181,23 +1054,257 @@ const SupervisorDashboard = () => {
         </div>
       )}
 
+      {/* Monthly Targets */}
+      <div className="targets-card">
+        <div className="card-header">
+          <div className="header-title">
+            <h3>Team Targets</h3>
+          </div>
+          <div className="header-controls">
+            <input
+              type="month"
+              value={targetMonth}
+              onChange={(e) => e.target.value && setTargetMonth(e.target.value)}
+              className="time-select"
+            />
+            {canSetTargets && (
+              <button onClick={() => openTargetModal()} className="update-button">
+                Set Target
+              </button>
+            )}
+          </div>
+        </div>
+
+        {teamTargets.data.length === 0 ? (
+          <div className="empty-team">
+            <div className="empty-icon">🎯</div>
+            <h4>No Targets Set</h4>
+            <p>No targets have been set for your team in this month.</p>
+          </div>
+        ) : (
+          <TargetProgress
+            targets={teamTargets.data}
+            pace={teamTargets.pace}
+            onEdit={canSetTargets ? openTargetModal : undefined}
+            onDelete={canSetTargets ? deleteTarget : undefined}
+          />
+        )}
+      </div>
+
+      {/* Report Discussions */}
+      {comments.data.length > 0 && (
+        <div className="targets-card">
+          <div className="card-header">
+            <div className="header-title">
+              <h3>Report Discussions</h3>
+            </div>
+            {comments.unread > 0 && <span className="unread-count">{comments.unread} new</span>}
+          </div>
+          <CommentFeed
+            comments={comments.data}
+            onOpen={(comment) => navigate(`/reports?report=${comment.report_id?._id}`)}
+          />
+        </div>
+      )}
+
+      {/* Report Finder */}
+      <div className="targets-card">
+        <div className="card-header">
+          <div className="header-title">
+            <h3>Find Reports</h3>
+            {foundReports && (
+              <span className="missing-summary">
+                {foundReports.pagination.total.toLocaleString()} reports • RWF {Math.round(foundReports.summary.total_value).toLocaleString()} in orders
+              </span>
+            )}
+          </div>
+        </div>
+        <ReportFilters
+          filters={reportFilters}
+          onChange={changeReportFilters}
+          reps={allUsers.filter(member => member.role === 'medrep')}
+          regions={[...new Set(allUsers.map(member => member.region).filter(Boolean))].sort()}
+        />
+        {foundReports && foundReports.reports.length === 0 ? (
+          <div className="missing-empty">{findingReports ? 'Searching...' : 'No reports match these filters.'}</div>
+        ) : foundReports && (
+          <>
+            <div className="found-reports-wrapper">
+              <table className={`found-reports-table ${findingReports ? 'loading' : ''}`}>
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Rep</th>
+                    <th>Region</th>
+                    <th>Status</th>
+                    <th>Orders</th>
+                    <th>Value</th>
+                    <th>Summary</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {foundReports.reports.map(report => (
+                    <tr key={report._id} onClick={() => navigate(`/reports?report=${report._id}`)}>
+                      <td>{new Date(report.report_date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</td>
+                      <td>{report.user_id?.name || 'Unknown'}</td>
+                      <td>{report.region}</td>
+                      <td className="found-status">{report.status}</td>
+                      <td>{report.orders_count || 0}</td>
+                      <td>RWF {(report.orders_value || 0).toLocaleString()}</td>
+                      <td className="found-summary" title={report.summary}>{report.summary || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {foundReports.pagination.pages > 1 && (
+              <div className="found-pagination">
+                <button
+                  onClick={() => setReportPage(page => page - 1)}
+                  disabled={reportPage === 1 || findingReports}
+                  className="update-button"
+                >
+                  Previous
+                </button>
+                <span>Page {reportPage} of {foundReports.pagination.pages}</span>
+                <button
+                  onClick={() => setReportPage(page => page + 1)}
+                  disabled={reportPage >= foundReports.pagination.pages || findingReports}
+                  className="update-button"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Set Target Modal */}
+      {showTargetModal && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h3>Set Monthly Target</h3>
+              <button onClick={() => setShowTargetModal(false)} className="modal-close">&times;</button>
+            </div>
+            <div className="modal-body">
+              <div className="form-group">
+                <label>Month *</label>
+                <input
+                  type="month"
+                  value={targetForm.month}
+                  onChange={(e) => setTargetForm({ ...targetForm, month: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label>Target For *</label>
+                <select
+                  value={targetForm.owner}
+                  onChange={(e) => setTargetForm({ ...targetForm, owner: e.target.value })}
+                >
+                  <option value="rep">A rep</option>
+                  <option value="region">A whole region</option>
+                </select>
+              </div>
+              {targetForm.owner === 'rep' ? (
+                <div className="form-group">
+                  <label>Rep *</label>
+                  <select
+                    value={targetForm.user_id}
+                    onChange={(e) => setTargetForm({ ...targetForm, user_id: e.target.value })}
+                  >
+                    <option value="">Select a rep</option>
+                    {activeMedReps.map(rep => (
+                      <option key={rep._id} value={rep._id}>
+                        {rep.name}{rep.region ? ` (${rep.region})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ) : (
+                <div className="form-group">
+                  <label>Region *</label>
+                  <select
+                    value={targetForm.region}
+                    onChange={(e) => setTargetForm({ ...targetForm, region: e.target.value })}
+                  >
+                    <option value="">Select a region</option>
+                    {teamRegions.map(region => (
+                      <option key={region} value={region}>{region}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="form-group">
+                <label>Product</label>
+                <select
+                  value={targetForm.product}
+                  onChange={(e) => setTargetForm({ ...targetForm, product: e.target.value })}
+                >
+                  <option value="">All activity (no product)</option>
+                  {products.map(product => (
+                    <option key={product._id} value={product._id}>{product.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="target-metrics-grid">
+                {(targetForm.product ? PRODUCT_TARGET_METRICS : TARGET_METRICS).map(metric => (
+                  <div key={metric} className="form-group">
+                    <label>{METRIC_LABELS[metric]}</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={targetForm.metrics[metric] ?? ''}
+                      onChange={(e) => setTargetForm({
+                        ...targetForm,
+                        metrics: { ...targetForm.metrics, [metric]: e.target.value }
+                      })}
+                      placeholder="No target"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button onClick={() => setShowTargetModal(false)} className="cancel-button">
+                Cancel
+              </button>
+              <button onClick={saveTarget} className="save-button" disabled={savingTarget}>
+                {savingTarget ? 'Saving...' : 'Save Target'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Export Actions */}
       <div className="actions-card">
-        <div className="card-header">
+        <div className="card-header export-header">
           <h3>Export Options</h3>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="time-select"
+            title="File format for team and member exports"
+          >
+            {EXPORT_FORMATS.map(format => (
+              <option key={format.value} value={format.value}>{format.label}</option>
+            ))}
+          </select>
         </div>
         <div className="actions-grid">
           <ActionButton 
             icon="📊"
             title="Export Team Report" 
-            description="Generate comprehensive PDF report for the entire team with performance analytics"
-            onClick={exportTeamPDF}
+            description="Download the team's performance and report submission figures for the selected period"
+            onClick={() => downloadExport()}
             color="#146C94"
           />
           <ActionButton 
             icon="📈"
             title="Export All Member Reports" 
-            description="Export individual PDF reports for each team member"
+            description="Download each team member's daily reports and missing days"
             onClick={exportAllMemberReports}
             color="#10b981"
           />
@@ -1228,7 +1335,7 @@ const StatCard = ({ value, label, color, icon }) => (
 )
 
 // Team Member Card Component
-const TeamMemberCard = ({ member, onDownloadReport, rank }) => (
+const TeamMemberCard = ({ member, onDownloadReport, exportLabel, rank }) => (
   <div className="team-member-card">
     <div className="member-info">
       <div className="rank-badge" style={{
@@ -1257,6 +1364,7 @@ const TeamMemberCard = ({ member, onDownloadReport, rank }) => (
         </div>
         <div className="member-meta">
           {member.region} • {member.reports_count || 0} reports
+          {member.submission_rate !== undefined && member.submission_rate !== null && ` • ${member.submission_rate}% submitted`}
           {member.user_email && ` • ${member.user_email}`}
         </div>
       </div>
@@ -1285,7 +1393,7 @@ const TeamMemberCard = ({ member, onDownloadReport, rank }) => (
           <path d="M7 10L12 15L17 10" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
           <path d="M12 15V3" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
         </svg>
-        Export PDF
+        Export {exportLabel}
       </button>
     </div>
   </div>
@@ -1408,6 +1516,7 @@ const styles = `
 
 .header-actions {
   display: flex;
+  align-items: center;
   gap: 12px;
 }
 
@@ -1675,6 +1784,7 @@ const styles = `
 .performer-card,
 .team-card,
 .actions-card,
+.targets-card,
 .team-stats-card {
   background: white;
   padding: 32px;
@@ -1824,6 +1934,13 @@ const styles = `
 }
 
 /* Team Card */
+.export-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 16px;
+}
+
 .team-card .card-header {
   display: flex;
   justify-content: space-between;
@@ -1833,12 +1950,139 @@ const styles = `
   border-bottom: 2px solid #f1f5f9;
 }
 
+.targets-card {
+  margin-bottom: 30px;
+}
+
+.targets-card .card-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 12px;
+}
+
+.unread-count {
+  padding: 2px 10px;
+  border-radius: 999px;
+  background: #3b82f6;
+  color: white;
+  font-size: 12px;
+  font-weight: 600;
+}
+
+.target-metrics-grid {
+  display: grid;
+  grid-template-columns: repeat(2, 1fr);
+  gap: 0 16px;
+}
+
 .header-title {
   display: flex;
   align-items: center;
   gap: 12px;
 }
 
+.found-reports-wrapper {
+  overflow-x: auto;
+}
+
+.found-reports-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+}
+
+.found-reports-table.loading {
+  opacity: 0.6;
+}
+
+.found-reports-table th {
+  text-align: left;
+  padding: 10px 12px;
+  color: #64748b;
+  font-size: 12px;
+  font-weight: 600;
+  text-transform: uppercase;
+  border-bottom: 2px solid #f1f5f9;
+}
+
+.found-reports-table td {
+  padding: 12px;
+  border-bottom: 1px solid #f1f5f9;
+  color: #1e293b;
+}
+
+.found-reports-table tbody tr {
+  cursor: pointer;
+}
+
+.found-reports-table tbody tr:hover {
+  background: #f8fafc;
+}
+
+.found-status {
+  text-transform: capitalize;
+}
+
+.found-summary {
+  max-width: 320px;
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  color: #64748b;
+}
+
+.found-pagination {
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  gap: 16px;
+  margin-top: 16px;
+  color: #64748b;
+  font-size: 14px;
+}
+
+.missing-summary {
+  font-size: 14px;
+  color: #64748b;
+}
+
+.missing-empty {
+  color: #64748b;
+  font-size: 14px;
+}
+
+.missing-list {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+}
+
+.missing-rep {
+  display: flex;
+  flex-direction: column;
+  padding: 10px 14px;
+  border-radius: 10px;
+  background: #fef2f2;
+  border: 1px solid #fecaca;
+}
+
+.missing-name {
+  font-weight: 600;
+  color: #991b1b;
+}
+
+.missing-meta {
+  font-size: 12px;
+  color: #b91c1c;
+}
+
+.missing-leave {
+  margin-top: 16px;
+  font-size: 13px;
+  color: #64748b;
+}
+
 .time-range-label {
   font-size: 14px;
   color: white;
@@ -0,0 +1,191 @@
+import React from 'react'
+
+export const METRIC_LABELS = {
+  dentists: 'Dentists',
+  physiotherapists: 'Physiotherapists',
+  gynecologists: 'Gynecologists',
+  internists: 'Internists',
+  general_practitioners: 'General Practitioners',
+  pediatricians: 'Pediatricians',
+  dermatologists: 'Dermatologists',
+  pharmacies: 'Pharmacy Calls',
+  dispensaries: 'Dispensary Calls',
+  orders_count: 'Orders',
+  orders_value: 'Order Value',
+  units: 'Units Sold'
+}
+
+const formatValue = (metric, value) =>
+  metric === 'orders_value' ? `RWF ${Math.round(value || 0).toLocaleString()}` : (value || 0).toLocaleString()
+
+// Green once the target is hit, blue while the run-rate says it will be, amber otherwise
+const barColor = (metric) => {
+  if (metric.attainment >= 100) return '#10b981'
+  if (metric.projected_attainment >= 100) return '#3b82f6'
+  if (metric.projected_attainment >= 75) return '#f59e0b'
+  return '#ef4444'
+}
+
+export const targetTitle = (target) => {
+  const owner = target.type === 'region' || (target.type === 'product' && !target.user)
+    ? `${target.region} region`
+    : target.user?.name || 'Rep'
+  return target.product ? `${target.product.name} • ${owner}` : owner
+}
+
+// Progress bars for a list of target attainment entries from the analytics API
+const TargetProgress = ({ targets, pace, showOwner = true, onEdit, onDelete }) => (
+  <div className="target-progress">
+    {pace && (
+      <div className="target-pace">
+        {pace.elapsed} of {pace.total} working days gone • {pace.remaining} left
+      </div>
+    )}
+    {targets.map(target => (
+      <div key={target.target_id} className="target-block">
+        <div className="target-block-header">
+          <div className="target-block-title">
+            {target.type === 'product' ? '💊' : target.type === 'region' ? '🗺️' : '🎯'}{' '}
+            {showOwner ? targetTitle(target) : target.product ? target.product.name : target.type === 'region' ? `${target.region} region` : 'My targets'}
+          </div>
+          {(onEdit || onDelete) && (
+            <div className="target-block-actions">
+              {onEdit && <button onClick={() => onEdit(target)} className="target-action">Edit</button>}
+              {onDelete && <button onClick={() => onDelete(target)} className="target-action remove">Remove</button>}
+            </div>
+          )}
+        </div>
+        {target.metrics.map(metric => (
+          <div key={metric.metric} className="target-metric">
+            <div className="target-metric-row">
+              <span className="target-metric-label">{METRIC_LABELS[metric.metric] || metric.metric}</span>
+              <span className="target-metric-value">
+                {formatValue(metric.metric, metric.actual)} / {formatValue(metric.metric, metric.target)}
+                {metric.attainment !== null && <strong> • {metric.attainment}%</strong>}
+              </span>
+            </div>
+            <div className="target-bar">
+              <div
+                className="target-bar-fill"
+                style={{ width: `${Math.min(metric.attainment || 0, 100)}%`, backgroundColor: barColor(metric) }}
+              />
+            </div>
+            {metric.projected !== null && (
+              <div className="target-projection">
+                On pace for {formatValue(metric.metric, metric.projected)}
+                {metric.projected_attainment !== null && ` (${metric.projected_attainment}% of target)`}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    ))}
+  </div>
+)
+
+// CSS Styles
+const styles = `
+.target-progress {
+  display: flex;
+  flex-direction: column;
+  gap: 20px;
+}
+
+.target-pace {
+  font-size: 13px;
+  color: #64748b;
+}
+
+.target-block {
+  padding: 16px;
+  border: 1px solid #e2e8f0;
+  border-radius: 12px;
+  background: #f8fafc;
+}
+
+.target-block-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 12px;
+  margin-bottom: 12px;
+}
+
+.target-block-title {
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.target-block-actions {
+  display: flex;
+  gap: 8px;
+}
+
+.target-action {
+  padding: 4px 10px;
+  border: 1px solid #e2e8f0;
+  border-radius: 6px;
+  background: #ffffff;
+  color: #475569;
+  font-size: 12px;
+  cursor: pointer;
+}
+
+.target-action:hover {
+  border-color: #3b82f6;
+  color: #3b82f6;
+}
+
+.target-action.remove:hover {
+  border-color: #ef4444;
+  color: #ef4444;
+}
+
+.target-metric + .target-metric {
+  margin-top: 12px;
+}
+
+.target-metric-row {
+  display: flex;
+  justify-content: space-between;
+  gap: 12px;
+  font-size: 13px;
+  margin-bottom: 6px;
+}
+
+.target-metric-label {
+  color: #475569;
+}
+
+.target-metric-value {
+  color: #1e293b;
+}
+
+.target-bar {
+  height: 8px;
+  background: #e2e8f0;
+  border-radius: 999px;
+  overflow: hidden;
+}
+
+.target-bar-fill {
+  height: 100%;
+  border-radius: 999px;
+  transition: width 0.3s ease;
+}
+
+.target-projection {
+  margin-top: 4px;
+  font-size: 12px;
+  color: #64748b;
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default TargetProgress
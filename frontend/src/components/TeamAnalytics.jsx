@@ -1,29 +1,83 @@
 import React, { useState, useEffect } from 'react'
 import { analyticsAPI } from '../services/api'
 import { useAuth } from '../contexts/AuthContext'
+import { useReportEvents, LiveBadge } from './LiveUpdates'
+
+const TERRITORY_LEVELS = ['country', 'province', 'district', 'territory']
 
 const TeamAnalytics = () => {
-  const { user } = useAuth()
+  const { user, hasPermission } = useAuth()
   const [teamPerformance, setTeamPerformance] = useState([])
   const [regionPerformance, setRegionPerformance] = useState([])
+  const [territoryPerformance, setTerritoryPerformance] = useState([])
+  const [territoryLevel, setTerritoryLevel] = useState('province')
+  const [territoryTrail, setTerritoryTrail] = useState([])
   const [timeRange, setTimeRange] = useState('month')
+  const [approvedOnly, setApprovedOnly] = useState(false)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
+  const [lastLiveUpdate, setLastLiveUpdate] = useState(null)
+
+  // New and changed reports in the team refresh the tables in place
+  const liveConnected = useReportEvents(() => {
+    loadTeamAnalytics(true)
+    loadTerritoryPerformance()
+    setLastLiveUpdate(new Date())
+  }, hasPermission('reports:read:team'))
 
   useEffect(() => {
     loadTeamAnalytics()
-  }, [timeRange])
+  }, [timeRange, approvedOnly])
+
+  useEffect(() => {
+    loadTerritoryPerformance()
+  }, [timeRange, approvedOnly, territoryLevel, territoryTrail])
 
-  const loadTeamAnalytics = async () => {
+  const loadTerritoryPerformance = async () => {
     try {
-      setLoading(true)
-      setError('')
+      const parent = territoryTrail[territoryTrail.length - 1]
+      const response = await analyticsAPI.getTerritoryPerformance(territoryLevel, parent?.territory_id, timeRange, approvedOnly)
+      setTerritoryPerformance(response.data.success ? response.data.data || [] : [])
+    } catch (error) {
+      console.error('Failed to load territory performance:', error)
+      setTerritoryPerformance([])
+    }
+  }
+
+  // Start a fresh rollup at the chosen level
+  const changeTerritoryLevel = (level) => {
+    setTerritoryTrail([])
+    setTerritoryLevel(level)
+  }
+
+  // Drill into a territory to see the level below it
+  const drillIntoTerritory = (territory) => {
+    const nextLevel = TERRITORY_LEVELS[TERRITORY_LEVELS.indexOf(territory.level) + 1]
+    if (!nextLevel) return
+    setTerritoryTrail(prev => [...prev, territory])
+    setTerritoryLevel(nextLevel)
+  }
+
+  // Jump back up to an earlier point in the drill-down
+  const backToTrail = (index) => {
+    const trail = territoryTrail.slice(0, index)
+    const parent = territoryTrail[index]
+    setTerritoryTrail(trail)
+    setTerritoryLevel(parent.level)
+  }
+
+  const loadTeamAnalytics = async (silent = false) => {
+    try {
+      if (!silent) {
+        setLoading(true)
+        setError('')
+      }
       
       console.log(`📊 Loading team analytics for ${user?.username || 'supervisor'}, time range: ${timeRange}`)
       
       const [teamResponse, regionResponse] = await Promise.all([
-        analyticsAPI.getTeamPerformance(timeRange),
-        analyticsAPI.getRegionPerformance()
+        analyticsAPI.getTeamPerformance(timeRange, approvedOnly),
+        analyticsAPI.getRegionPerformance(approvedOnly)
       ])
 
       console.log('Team response:', teamResponse.data)
@@ -95,10 +149,11 @@ const TeamAnalytics = () => {
             
             {/* Debug Info */}
             <div className="debug-info">
-              Showing: {timeRange === 'week' ? 'Weekly' : timeRange === 'month' ? 'Monthly' : 'Quarterly'} data • {teamPerformance.length} team members
+              Showing: {timeRange === 'week' ? 'Weekly' : timeRange === 'month' ? 'Monthly' : 'Quarterly'} data • {teamPerformance.length} team members{approvedOnly ? ' • approved reports only' : ''}
             </div>
           </div>
           <div className="header-actions">
+            <LiveBadge connected={liveConnected} lastUpdate={lastLiveUpdate} />
             <button
               onClick={refreshData}
               className="refresh-button"
@@ -148,6 +203,14 @@ const TeamAnalytics = () => {
             </button>
           ))}
         </div>
+        <label className="approved-only-toggle">
+          <input
+            type="checkbox"
+            checked={approvedOnly}
+            onChange={(e) => setApprovedOnly(e.target.checked)}
+          />
+          Approved reports only
+        </label>
       </div>
 
       {/* Team Summary Cards */}
@@ -270,6 +333,57 @@ const TeamAnalytics = () => {
         </div>
       </div>
 
+      {/* Territory Rollup */}
+      <div className="analytics-card territory-rollup-card">
+        <div className="card-header">
+          <div className="header-title">
+            <h3>Territory Rollup</h3>
+            <div className="territory-trail">
+              <button onClick={() => changeTerritoryLevel(territoryLevel)} className="territory-crumb">
+                All
+              </button>
+              {territoryTrail.map((territory, index) => (
+                <React.Fragment key={territory.territory_id}>
+                  <span className="territory-crumb-separator">›</span>
+                  <button onClick={() => backToTrail(index)} className="territory-crumb">
+                    {territory.name}
+                  </button>
+                </React.Fragment>
+              ))}
+            </div>
+          </div>
+          <div className="filter-buttons">
+            {TERRITORY_LEVELS.map(level => (
+              <button
+                key={level}
+                onClick={() => changeTerritoryLevel(level)}
+                className={`filter-button ${territoryLevel === level ? 'active' : ''}`}
+              >
+                {level.charAt(0).toUpperCase() + level.slice(1)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {territoryPerformance.length === 0 ? (
+          <div className="empty-state">
+            <h4>No Territory Data Available</h4>
+            <p>No territories at this level, or no reports from reps assigned to them.</p>
+          </div>
+        ) : (
+          <div className="region-list">
+            {territoryPerformance.map((territory, index) => (
+              <TerritoryCard
+                key={territory.territory_id}
+                territory={territory}
+                rank={index + 1}
+                onDrillDown={territory.level !== 'territory' ? () => drillIntoTerritory(territory) : null}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Performance Insights */}
       <div className="insights-card">
         <div className="card-header">
@@ -401,6 +515,11 @@ const RegionCard = ({ region, rank }) => (
         <div className="region-meta">
           {region.active_reps || 0} active reps • {region.report_count || 0} reports
         </div>
+        {region.outlets_registered > 0 && (
+          <div className="region-meta">
+            🏪 {region.outlets_visited || 0} of {region.outlets_registered} outlets visited ({region.outlet_coverage || 0}% coverage)
+          </div>
+        )}
       </div>
     </div>
     
@@ -416,6 +535,36 @@ const RegionCard = ({ region, rank }) => (
 )
 
 // Stat Card Component
+const TerritoryCard = ({ territory, rank, onDrillDown }) => (
+  <div 
+    className={`region-card ${onDrillDown ? 'territory-drillable' : ''}`}
+    onClick={onDrillDown || undefined}
+  >
+    <div className="region-info">
+      <div className="rank-badge region-rank">
+        {rank}
+      </div>
+      <div className="region-details">
+        <div className="region-name">
+          {territory.name}{territory.code ? ` (${territory.code})` : ''}
+        </div>
+        <div className="region-meta">
+          {territory.active_reps} of {territory.assigned_reps} reps reporting • {territory.reports_count} reports
+        </div>
+      </div>
+    </div>
+    <div className="region-performance">
+      <div className="performance-value">
+        RWF {(territory.total_value || 0).toLocaleString()}
+      </div>
+      <div className="performance-details">
+        {territory.total_doctors || 0} doctors • {territory.total_orders || 0} orders
+        {onDrillDown && ' • ›'}
+      </div>
+    </div>
+  </div>
+)
+
 const StatCard = ({ value, label, color, icon }) => (
   <div className="team-stat-card" style={{ borderColor: color }}>
     <div className="stat-icon" style={{ backgroundColor: `${color}15` }}>
@@ -543,6 +692,7 @@ const styles = `
 
 .header-actions {
   display: flex;
+  align-items: center;
   gap: 12px;
 }
 
@@ -627,6 +777,16 @@ const styles = `
   margin-bottom: 30px;
 }
 
+.approved-only-toggle {
+  display: inline-flex;
+  align-items: center;
+  gap: 8px;
+  margin-left: 16px;
+  color: #475569;
+  font-size: 14px;
+  cursor: pointer;
+}
+
 .range-buttons {
   display: inline-flex;
   background: white;
@@ -836,6 +996,47 @@ const styles = `
 
 /* Team List */
 .team-list,
+.territory-rollup-card {
+  margin-bottom: 30px;
+}
+
+.territory-rollup-card .card-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 16px;
+}
+
+.territory-trail {
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 6px;
+  font-size: 13px;
+}
+
+.territory-crumb {
+  background: none;
+  border: none;
+  padding: 0;
+  color: #3b82f6;
+  cursor: pointer;
+  font-size: 13px;
+}
+
+.territory-crumb:hover {
+  text-decoration: underline;
+}
+
+.territory-crumb-separator {
+  color: #94a3b8;
+}
+
+.territory-drillable {
+  cursor: pointer;
+}
+
 .region-list {
   display: flex;
   flex-direction: column;
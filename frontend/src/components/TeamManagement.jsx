@@ -1,11 +1,12 @@
 import React, { useState, useEffect } from 'react'
 import { useAuth } from '../contexts/AuthContext'
-import { usersAPI, reportsAPI } from '../services/api'
+import { usersAPI, territoriesAPI, rolesAPI } from '../services/api'
 import { jsPDF } from 'jspdf'
 import autoTable from 'jspdf-autotable'
+import UserImport from './UserImport'
 
 const TeamManagement = () => {
-  const { user } = useAuth()
+  const { user, hasPermission } = useAuth()
   const [loading, setLoading] = useState(true)
   const [teamMembers, setTeamMembers] = useState([])
   const [selectedPeriod, setSelectedPeriod] = useState('month')
@@ -13,9 +14,26 @@ const TeamManagement = () => {
   const [performanceData, setPerformanceData] = useState([])
   const [error, setError] = useState('')
   const [successMessage, setSuccessMessage] = useState('')
+  const [territories, setTerritories] = useState([])
+  const [supervisors, setSupervisors] = useState([])
+  const [roles, setRoles] = useState([])
+  const canWrite = hasPermission('users:write')
 
+  // Territories, managers and roles for the assignment pickers
   useEffect(() => {
-    if (user?.role === 'supervisor' || user?.role === 'admin') {
+    rolesAPI.getAll()
+      .then(response => setRoles(response.data.success ? response.data.data || [] : []))
+      .catch(error => console.error('Error loading roles:', error))
+    territoriesAPI.getAll()
+      .then(response => setTerritories(response.data.success ? response.data.data || [] : []))
+      .catch(error => console.error('Error loading territories:', error))
+    usersAPI.getSupervisors()
+      .then(response => setSupervisors(response.data.success ? response.data.data || [] : []))
+      .catch(error => console.error('Error loading supervisors:', error))
+  }, [])
+
+  useEffect(() => {
+    if (hasPermission('users:read')) {
       loadTeamMembers()
     }
   }, [selectedPeriod, filter])
@@ -28,131 +46,38 @@ const TeamManagement = () => {
       
       console.log(`👥 Loading team members for ${user?.name || 'supervisor'}...`)
       
-      // Try different endpoints - find which one works
-      let response;
-      try {
-        response = await usersAPI.getTeamMembers()
-      } catch (e) {
-        console.log('getTeamMembers failed, trying getActiveMedReps...')
-        response = await usersAPI.getActiveMedReps()
-      }
-      
-      console.log('Team members response:', response.data)
+      // One request brings every member with their totals for the period
+      const response = await usersAPI.getTeamMembers({ period: selectedPeriod, status: filter, limit: 200 })
       
       if (response.data?.success) {
-        const members = response.data.data || response.data.users || []
+        const members = response.data.data || []
         setTeamMembers(members)
-        await loadPerformanceData(members)
-      } else if (response.data) {
-        // Handle different response structures
-        const members = response.data || []
-        setTeamMembers(members)
-        await loadPerformanceData(members)
+        setPerformanceData(members.map(member => toPerformance(member)))
       } else {
         setError('Failed to load team members: Invalid response format')
         setTeamMembers([])
       }
     } catch (error) {
       console.error('Error loading team members:', error)
-      setError(`Failed to load team data: ${error.message}`)
+      setError(`Failed to load team data: ${error.response?.data?.message || error.message}`)
       setTeamMembers([])
     } finally {
       setLoading(false)
     }
   }
 
-  const loadPerformanceData = async (members) => {
-    try {
-      const period = selectedPeriod
-      const performancePromises = members.map(member => 
-        getMemberPerformance(member._id || member.id, period)
-      )
-      
-      const results = await Promise.all(performancePromises)
-      setPerformanceData(results.filter(Boolean))
-    } catch (error) {
-      console.error('Error loading performance data:', error)
-      setPerformanceData([])
-    }
-  }
-
-  const getMemberPerformance = async (memberId, period = 'month') => {
-    try {
-      let startDate = new Date()
-      
-      switch (period) {
-        case 'week':
-          startDate.setDate(startDate.getDate() - 7)
-          break
-        case 'month':
-          startDate.setDate(startDate.getDate() - 30)
-          break
-        case 'quarter':
-          startDate.setDate(startDate.getDate() - 90)
-          break
-        default:
-          startDate.setDate(startDate.getDate() - 30)
-      }
-
-      // Try different endpoint formats
-      let response;
-      try {
-        response = await reportsAPI.getReportsByDateRange(
-          startDate.toISOString().split('T')[0],
-          new Date().toISOString().split('T')[0]
-        )
-      } catch (e) {
-        console.log('getReportsByDateRange failed, trying getReportsByUserId...')
-        response = await reportsAPI.getReportsByUserId(
-          memberId,
-          startDate.toISOString().split('T')[0],
-          new Date().toISOString().split('T')[0]
-        )
-      }
-
-      const responseData = response.data || {}
-      
-      if (responseData.success || responseData.reports) {
-        const memberReports = (responseData.data || responseData.reports || []).filter(report => 
-          report.user_id?._id === memberId || 
-          report.user_id === memberId ||
-          report.userId === memberId
-        )
-
-        const stats = calculatePerformanceStats(memberReports)
-        
-        return {
-          memberId,
-          reports: memberReports,
-          stats,
-          lastActivity: memberReports.length > 0 
-            ? new Date(memberReports[0].report_date || memberReports[0].date).toLocaleDateString()
-            : 'No activity'
-        }
-      }
-      return null
-    } catch (error) {
-      console.error(`Error getting performance for member ${memberId}:`, error)
-      return null
+  // Server totals in the shape the cards and summary use
+  const toPerformance = (member) => {
+    const totals = member.performance || {}
+    const stats = {
+      totalReports: totals.reports_count || 0,
+      totalDoctors: totals.total_doctors || 0,
+      totalPharmacies: totals.total_pharmacies || 0,
+      totalDispensaries: totals.total_dispensaries || 0,
+      totalOrders: totals.total_orders || 0,
+      totalValue: totals.total_value || 0,
+      submissionRate: totals.submission_rate ?? null
     }
-  }
-
-  const calculatePerformanceStats = (reports) => {
-    const stats = reports.reduce((acc, report) => ({
-      totalReports: acc.totalReports + 1,
-      totalDoctors: acc.totalDoctors + calculateTotalDoctors(report),
-      totalPharmacies: acc.totalPharmacies + (report.pharmacies || 0),
-      totalDispensaries: acc.totalDispensaries + (report.dispensaries || 0),
-      totalOrders: acc.totalOrders + (report.orders_count || report.orders || 0),
-      totalValue: acc.totalValue + (report.orders_value || report.value || 0)
-    }), {
-      totalReports: 0,
-      totalDoctors: 0,
-      totalPharmacies: 0,
-      totalDispensaries: 0,
-      totalOrders: 0,
-      totalValue: 0
-    })
 
     // Calculate averages
     if (stats.totalReports > 0) {
@@ -165,26 +90,13 @@ const TeamManagement = () => {
       stats.avgValuePerDay = 0
     }
 
-    return stats
-  }
-
-  const calculateTotalDoctors = (report) => {
-    // Try different field names
-    const doctors = 
-      (report.dentists || 0) +
-      (report.physiotherapists || 0) +
-      (report.gynecologists || 0) +
-      (report.internists || 0) +
-      (report.general_practitioners || report.generalPractitioners || 0) +
-      (report.pediatricians || 0) +
-      (report.dermatologists || 0)
-    
-    // If no doctor fields, try total_doctors field
-    if (doctors === 0 && report.total_doctors) {
-      return report.total_doctors
+    return {
+      memberId: member._id,
+      stats,
+      lastActivity: totals.last_report_date
+        ? new Date(totals.last_report_date).toLocaleDateString()
+        : 'No activity'
     }
-    
-    return doctors
   }
 
   const getTotals = () => {
@@ -203,12 +115,16 @@ const TeamManagement = () => {
 
   // Add new team member - MODAL VERSION
   const [showAddModal, setShowAddModal] = useState(false)
+  const [showImportModal, setShowImportModal] = useState(false)
+  const [passwordReset, setPasswordReset] = useState(null)
   const [newMember, setNewMember] = useState({
     name: '',
     email: '',
     username: '',
     password: '',
     region: '',
+    territory_id: '',
+    manager_id: '',
     phone: '',
     role: 'medrep'
   })
@@ -231,6 +147,8 @@ const TeamManagement = () => {
         username: newMember.username,
         password: newMember.password,
         region: newMember.region,
+        territory_id: newMember.territory_id || null,
+        manager_id: newMember.manager_id || null,
         phone: newMember.phone,
         role: newMember.role
       })
@@ -243,6 +161,8 @@ const TeamManagement = () => {
           username: '',
           password: '',
           region: '',
+          territory_id: '',
+          manager_id: '',
           phone: '',
           role: 'medrep'
         })
@@ -282,12 +202,28 @@ const TeamManagement = () => {
     }
   }
 
+  // Give a member who is locked out a temporary password - emailed to them, or shown once
+  // when the email could not be sent
+  const resetMemberPassword = async (memberId, memberName) => {
+    if (!window.confirm(`Reset the password of ${memberName}? They will be signed out everywhere and get a temporary password.`)) return
+    try {
+      setError('')
+      const response = await usersAPI.resetPassword(memberId)
+      if (response.data.success) {
+        setPasswordReset({ name: memberName, message: response.data.message, ...response.data.data })
+      }
+    } catch (error) {
+      console.error('Error resetting password:', error)
+      setError(error.response?.data?.message || 'Failed to reset password')
+    }
+  }
+
   // Refresh data
   const refreshData = () => {
     loadTeamMembers()
   }
 
-  if (!user || (user.role !== 'supervisor' && user.role !== 'admin')) {
+  if (!user || !hasPermission('users:read')) {
     return (
       <div className="team-management-container">
         <div className="access-denied">
@@ -296,7 +232,7 @@ const TeamManagement = () => {
           <p>
             You don't have permission to access Team Management.
             <br />
-            This section is only available for supervisors and administrators.
+            Ask an administrator to grant your role the users:read permission.
           </p>
         </div>
       </div>
@@ -313,6 +249,10 @@ const TeamManagement = () => {
   }
 
   const totals = getTotals()
+  // Only roles granting nothing beyond the user's own permissions can be handed out
+  const assignableRoles = roles.filter(role =>
+    hasPermission('roles:manage') || role.permissions.every(permission => hasPermission(permission))
+  )
   const filteredMembers = teamMembers.filter(member => {
     if (filter === 'active') return member.is_active !== false && member.status !== 'inactive'
     if (filter === 'inactive') return member.is_active === false || member.status === 'inactive'
@@ -445,14 +385,19 @@ const TeamManagement = () => {
             </button>
           ))}
         </div>
-        <div className="action-buttons">
-          <button onClick={() => setShowAddModal(true)} className="add-member-button">
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <path d="M12 5V19M5 12H19" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
-            </svg>
-            Add New Member
-          </button>
-        </div>
+        {canWrite && (
+          <div className="action-buttons">
+            <button onClick={() => setShowAddModal(true)} className="add-member-button">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 5V19M5 12H19" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+              </svg>
+              Add New Member
+            </button>
+            <button onClick={() => setShowImportModal(true)} className="import-members-button">
+              📥 Import from CSV
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Team Members Grid */}
@@ -462,9 +407,11 @@ const TeamManagement = () => {
             <div className="empty-icon">👥</div>
             <h4>No Team Members Found</h4>
             <p>No members found with the current filter. Try changing the filter or add new members.</p>
-            <button onClick={() => setShowAddModal(true)} className="add-first-button">
-              Add Your First Team Member
-            </button>
+            {canWrite && (
+              <button onClick={() => setShowAddModal(true)} className="add-first-button">
+                Add Your First Team Member
+              </button>
+            )}
           </div>
         ) : (
           filteredMembers.map((member) => {
@@ -481,11 +428,14 @@ const TeamManagement = () => {
                 member={member} 
                 performance={performance}
                 rank={memberRank}
-                onToggle={() => toggleActiveStatus(
+                onToggle={canWrite ? () => toggleActiveStatus(
                   member._id || member.id, 
                   member.is_active !== false && member.status !== 'inactive',
                   member.name
-                )}
+                ) : null}
+                onResetPassword={canWrite && member.is_active !== false && member.status !== 'inactive'
+                  ? () => resetMemberPassword(member._id || member.id, member.name)
+                  : null}
               />
             )
           })
@@ -531,6 +481,45 @@ const TeamManagement = () => {
         </div>
       )}
 
+      {/* Import Members Modal */}
+      {showImportModal && (
+        <UserImport
+          onClose={() => setShowImportModal(false)}
+          onCreated={(message) => {
+            // Reloading clears the banner, so set it afterwards
+            loadTeamMembers()
+            setSuccessMessage(message)
+          }}
+        />
+      )}
+
+      {/* Password Reset Result */}
+      {passwordReset && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h3>Password reset for {passwordReset.name}</h3>
+              <button onClick={() => setPasswordReset(null)} className="modal-close">&times;</button>
+            </div>
+            <div className="modal-body">
+              <p className="reset-password-note">{passwordReset.message}.</p>
+              {passwordReset.temporary_password && (
+                <div className="reset-password-value">
+                  Temporary password: <code>{passwordReset.temporary_password}</code>
+                </div>
+              )}
+              <p className="reset-password-note">
+                {passwordReset.temporary_password && 'It is shown only once. '}
+                {passwordReset.name} will choose a new password at their next sign-in.
+              </p>
+            </div>
+            <div className="modal-footer">
+              <button onClick={() => setPasswordReset(null)} className="save-button">Done</button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Add Member Modal */}
       {showAddModal && (
         <div className="modal-overlay">
@@ -576,15 +565,46 @@ const TeamManagement = () => {
                   placeholder="Enter password"
                 />
               </div>
-              <div className="form-group">
-                <label>Region</label>
-                <input
-                  type="text"
-                  value={newMember.region}
-                  onChange={(e) => setNewMember({...newMember, region: e.target.value})}
-                  placeholder="Enter region"
-                />
-              </div>
+              {territories.length > 0 ? (
+                <div className="form-group">
+                  <label>Territory</label>
+                  <select
+                    value={newMember.territory_id}
+                    onChange={(e) => setNewMember({...newMember, territory_id: e.target.value})}
+                  >
+                    <option value="">Not assigned</option>
+                    {territories.map(territory => (
+                      <option key={territory._id} value={territory._id}>
+                        {territory.path.join(' › ')}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ) : (
+                <div className="form-group">
+                  <label>Region</label>
+                  <input
+                    type="text"
+                    value={newMember.region}
+                    onChange={(e) => setNewMember({...newMember, region: e.target.value})}
+                    placeholder="Enter region"
+                  />
+                </div>
+              )}
+              {supervisors.length > 1 && (
+                <div className="form-group">
+                  <label>Reports To</label>
+                  <select
+                    value={newMember.manager_id}
+                    onChange={(e) => setNewMember({...newMember, manager_id: e.target.value})}
+                  >
+                    <option value="">Me ({user?.name})</option>
+                    {supervisors.filter(s => s._id !== (user?._id || user?.id)).map(s => (
+                      <option key={s._id} value={s._id}>{s.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div className="form-group">
                 <label>Phone Number</label>
                 <input
@@ -600,9 +620,10 @@ const TeamManagement = () => {
                   value={newMember.role}
                   onChange={(e) => setNewMember({...newMember, role: e.target.value})}
                 >
-                  <option value="medrep">Medical Representative</option>
-                  <option value="supervisor">Supervisor</option>
-                  <option value="admin">Administrator</option>
+                  {assignableRoles.length === 0 && <option value="medrep">Medical Representative</option>}
+                  {assignableRoles.map(role => (
+                    <option key={role.name} value={role.name}>{role.label}</option>
+                  ))}
                 </select>
               </div>
             </div>
@@ -622,7 +643,7 @@ const TeamManagement = () => {
 }
 
 // Team Member Card Component
-const TeamMemberCard = ({ member, performance, rank, onToggle }) => (
+const TeamMemberCard = ({ member, performance, rank, onToggle, onResetPassword }) => (
   <div className="member-card">
     <div className="member-header">
       <div className="member-avatar">
@@ -676,6 +697,7 @@ const TeamMemberCard = ({ member, performance, rank, onToggle }) => (
         
         <div className="activity-info">
           Last activity: {performance.lastActivity}
+          {performance.stats.submissionRate !== null && ` • ${performance.stats.submissionRate}% of working days reported`}
         </div>
       </>
     ) : (
@@ -685,13 +707,22 @@ const TeamMemberCard = ({ member, performance, rank, onToggle }) => (
       </div>
     )}
     
-    <div className="member-actions">
-      <button onClick={onToggle} className={`action-button toggle ${
-        member.is_active === false || member.status === 'inactive' ? 'activate' : 'deactivate'
-      }`}>
-        {member.is_active === false || member.status === 'inactive' ? 'Activate' : 'Deactivate'}
-      </button>
-    </div>
+    {(onToggle || onResetPassword) && (
+      <div className="member-actions">
+        {onResetPassword && (
+          <button onClick={onResetPassword} className="action-button reset-password">
+            Reset password
+          </button>
+        )}
+        {onToggle && (
+          <button onClick={onToggle} className={`action-button toggle ${
+            member.is_active === false || member.status === 'inactive' ? 'activate' : 'deactivate'
+          }`}>
+            {member.is_active === false || member.status === 'inactive' ? 'Activate' : 'Deactivate'}
+          </button>
+        )}
+      </div>
+    )}
   </div>
 )
 
@@ -821,6 +852,33 @@ const additionalStyles = `
   gap: 12px;
 }
 
+.member-actions {
+  display: flex;
+  gap: 8px;
+}
+
+.reset-password-value {
+  background: #f8fafc;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  padding: 12px 16px;
+  margin: 12px 0;
+  font-size: 14px;
+  color: #334155;
+}
+
+.reset-password-value code {
+  font-size: 16px;
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.reset-password-note {
+  color: #64748b;
+  font-size: 14px;
+  margin: 0;
+}
+
 .add-member-button {
   background: #3b82f6;
   color: white;
@@ -841,6 +899,22 @@ const additionalStyles = `
   transform: translateY(-1px);
 }
 
+.import-members-button {
+  background: #ffffff;
+  color: #3b82f6;
+  border: 1px solid #3b82f6;
+  border-radius: 8px;
+  padding: 12px 20px;
+  cursor: pointer;
+  font-size: 14px;
+  font-weight: 500;
+  transition: all 0.2s ease;
+}
+
+.import-members-button:hover {
+  background: #eff6ff;
+}
+
 .add-first-button {
   background: #3b82f6;
   color: white;
@@ -0,0 +1,692 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { territoriesAPI, usersAPI } from '../services/api'
+
+const LEVELS = ['country', 'province', 'district', 'territory']
+
+const LEVEL_ICONS = {
+  country: '🌍',
+  province: '🗺️',
+  district: '🏙️',
+  territory: '📍'
+}
+
+const formatLevel = (level) => level ? level.charAt(0).toUpperCase() + level.slice(1) : ''
+
+const TerritoryManagement = () => {
+  const { user, hasPermission } = useAuth()
+  const [tree, setTree] = useState([])
+  const [users, setUsers] = useState([])
+  const [selected, setSelected] = useState(null)
+  const [expanded, setExpanded] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [successMessage, setSuccessMessage] = useState('')
+  const [showModal, setShowModal] = useState(false)
+  const [modalMode, setModalMode] = useState('create')
+  const [formData, setFormData] = useState({ name: '', code: '' })
+  const [assignIds, setAssignIds] = useState([])
+
+  useEffect(() => {
+    loadTree()
+    loadUsers()
+  }, [])
+
+  const loadTree = async () => {
+    try {
+      setLoading(true)
+      const response = await territoriesAPI.getTree()
+      if (response.data.success) {
+        const roots = response.data.data || []
+        setTree(roots)
+        // Open the top of the tree on first load
+        setExpanded(prev => Object.keys(prev).length > 0
+          ? prev
+          : roots.reduce((open, root) => ({ ...open, [root._id]: true }), {}))
+      } else {
+        setError(response.data.message || 'Failed to load territories')
+      }
+    } catch (error) {
+      console.error('Error loading territories:', error)
+      setError(error.response?.data?.message || 'Failed to load territories')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadUsers = async () => {
+    try {
+      const response = await usersAPI.getAll()
+      if (response.data.success) {
+        setUsers((response.data.data || []).filter(u => u.is_active !== false))
+      }
+    } catch (error) {
+      console.error('Error loading users:', error)
+    }
+  }
+
+  const selectTerritory = async (territoryId) => {
+    try {
+      setError('')
+      setAssignIds([])
+      const response = await territoriesAPI.getById(territoryId)
+      if (response.data.success) {
+        setSelected(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error loading territory:', error)
+      setError(error.response?.data?.message || 'Failed to load territory')
+    }
+  }
+
+  const refresh = async () => {
+    await loadTree()
+    await loadUsers()
+    if (selected) await selectTerritory(selected._id)
+  }
+
+  const openCreateModal = () => {
+    setModalMode('create')
+    setFormData({ name: '', code: '' })
+    setShowModal(true)
+  }
+
+  const openEditModal = () => {
+    setModalMode('edit')
+    setFormData({ name: selected.name, code: selected.code || '' })
+    setShowModal(true)
+  }
+
+  // New territories go one level below the selected one, or become a country at the root
+  const childLevel = selected ? LEVELS[LEVELS.indexOf(selected.level) + 1] : 'country'
+
+  const saveTerritory = async () => {
+    if (!formData.name.trim()) {
+      setError('Territory name is required')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError('')
+
+      const response = modalMode === 'edit'
+        ? await territoriesAPI.update(selected._id, formData)
+        : await territoriesAPI.create({ ...formData, level: childLevel, parent_id: selected?._id || null })
+
+      if (response.data.success) {
+        setSuccessMessage(`${formData.name} ${modalMode === 'edit' ? 'updated' : 'added'} successfully!`)
+        setShowModal(false)
+        if (selected) setExpanded(prev => ({ ...prev, [selected._id]: true }))
+        refresh()
+      } else {
+        setError(response.data.message || 'Failed to save territory')
+      }
+    } catch (error) {
+      console.error('Error saving territory:', error)
+      const data = error.response?.data
+      setError(data?.errors ? data.errors.join(', ') : data?.message || 'Failed to save territory')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const removeTerritory = async () => {
+    if (!window.confirm(`Are you sure you want to remove ${selected.name}?`)) return
+
+    try {
+      const response = await territoriesAPI.delete(selected._id)
+      setSuccessMessage(response.data.message || `${selected.name} removed`)
+      setSelected(null)
+      loadTree()
+    } catch (error) {
+      console.error('Error removing territory:', error)
+      setError(error.response?.data?.message || 'Failed to remove territory')
+    }
+  }
+
+  const assignReps = async () => {
+    if (assignIds.length === 0) return
+
+    try {
+      setSaving(true)
+      const response = await territoriesAPI.assignReps(selected._id, assignIds)
+      setSuccessMessage(response.data.message || 'Reps assigned')
+      refresh()
+    } catch (error) {
+      console.error('Error assigning reps:', error)
+      setError(error.response?.data?.message || 'Failed to assign reps')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!user || !hasPermission('territories:write')) {
+    return (
+      <div className="territory-management-container">
+        <div className="access-denied">
+          <div className="access-icon">🔒</div>
+          <h2>Access Denied</h2>
+          <p>This section is only available for supervisors and administrators.</p>
+        </div>
+      </div>
+    )
+  }
+
+  const assignedHereIds = new Set((selected?.reps || [])
+    .filter(rep => rep.territory_id?._id === selected._id)
+    .map(rep => rep._id))
+  const assignableUsers = users.filter(u => !assignedHereIds.has(u._id))
+
+  return (
+    <div className="territory-management-container">
+      {/* Header */}
+      <div className="territory-header">
+        <div>
+          <h1>Territories</h1>
+          <p className="header-subtitle">
+            Country → province → district → territory, with the reps assigned to each
+          </p>
+        </div>
+        {(!selected || childLevel) && (
+          <button onClick={openCreateModal} className="add-member-button">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M12 5V19M5 12H19" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+            </svg>
+            Add {formatLevel(childLevel)}{selected ? ` to ${selected.name}` : ''}
+          </button>
+        )}
+      </div>
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="success-card">
+          <div className="success-content">
+            <div className="success-text">{successMessage}</div>
+            <button onClick={() => setSuccessMessage('')} className="success-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-card">
+          <div className="error-content">
+            <div className="error-text">{error}</div>
+            <button onClick={() => setError('')} className="error-close">
+              &times;
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="territory-layout">
+        {/* Tree */}
+        <div className="territory-tree-card">
+          {loading && tree.length === 0 ? (
+            <div className="territory-empty">Loading territories...</div>
+          ) : tree.length === 0 ? (
+            <div className="territory-empty">
+              <div className="empty-icon">🌍</div>
+              <p>No territories yet. Start by adding a country.</p>
+            </div>
+          ) : (
+            <div className="territory-tree">
+              {tree.map(node => (
+                <TreeNode
+                  key={node._id}
+                  node={node}
+                  expanded={expanded}
+                  selectedId={selected?._id}
+                  onToggle={(id) => setExpanded(prev => ({ ...prev, [id]: !prev[id] }))}
+                  onSelect={selectTerritory}
+                />
+              ))}
+            </div>
+          )}
+          {selected && (
+            <button onClick={() => setSelected(null)} className="territory-clear">
+              Clear selection
+            </button>
+          )}
+        </div>
+
+        {/* Details */}
+        <div className="territory-detail-card">
+          {!selected ? (
+            <div className="territory-empty">
+              <div className="empty-icon">🗺️</div>
+              <p>Select a territory to see its reps and sub-territories.</p>
+            </div>
+          ) : (
+            <>
+              <div className="territory-detail-header">
+                <div>
+                  <div className="territory-path">{selected.path.join(' › ')}</div>
+                  <h2>
+                    {LEVEL_ICONS[selected.level]} {selected.name}
+                    {selected.code && <span className="territory-code">{selected.code}</span>}
+                  </h2>
+                  <div className="territory-meta">
+                    {formatLevel(selected.level)} • Reports roll up as region "{selected.region}"
+                  </div>
+                </div>
+                <div className="territory-actions">
+                  <button onClick={openEditModal} className="outlet-action edit">Rename</button>
+                  <button onClick={removeTerritory} className="outlet-action remove">Remove</button>
+                </div>
+              </div>
+
+              {selected.children.length > 0 && (
+                <div className="territory-section">
+                  <h3>{formatLevel(childLevel)}s ({selected.children.length})</h3>
+                  <div className="territory-chips">
+                    {selected.children.map(child => (
+                      <button key={child._id} onClick={() => selectTerritory(child._id)} className="territory-chip">
+                        {child.name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="territory-section">
+                <h3>Reps in {selected.name} ({selected.reps.length})</h3>
+                {selected.reps.length === 0 ? (
+                  <p className="territory-muted">No reps assigned here yet.</p>
+                ) : (
+                  <table className="territory-table">
+                    <thead>
+                      <tr>
+                        <th>Name</th>
+                        <th>Role</th>
+                        <th>Assigned To</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {selected.reps.map(rep => (
+                        <tr key={rep._id}>
+                          <td className="territory-rep-name">{rep.name}</td>
+                          <td>{rep.role}</td>
+                          <td>{rep.territory_id?.name || '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div className="territory-section">
+                <h3>Assign Users</h3>
+                <div className="territory-assign">
+                  <select
+                    multiple
+                    value={assignIds}
+                    onChange={(e) => setAssignIds(Array.from(e.target.selectedOptions, option => option.value))}
+                    className="territory-assign-select"
+                  >
+                    {assignableUsers.map(u => (
+                      <option key={u._id} value={u._id}>
+                        {u.name} ({u.role}) - {u.territory_id?.name || u.region || 'Unassigned'}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={assignReps}
+                    disabled={saving || assignIds.length === 0}
+                    className="save-button"
+                  >
+                    Assign {assignIds.length > 0 ? assignIds.length : ''} to {selected.name}
+                  </button>
+                </div>
+                <p className="territory-muted">Hold Ctrl (Cmd on Mac) to select several users. Assigning moves them out of their current territory.</p>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Add / Edit Modal */}
+      {showModal && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h3>
+                {modalMode === 'edit'
+                  ? `Rename ${formatLevel(selected.level)}`
+                  : `Add ${formatLevel(childLevel)}${selected ? ` to ${selected.name}` : ''}`}
+              </h3>
+              <button onClick={() => setShowModal(false)} className="modal-close">&times;</button>
+            </div>
+            <div className="modal-body">
+              <div className="form-group">
+                <label>Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder={`Enter ${childLevel || 'territory'} name`}
+                />
+              </div>
+              <div className="form-group">
+                <label>Code</label>
+                <input
+                  type="text"
+                  value={formData.code}
+                  onChange={(e) => setFormData({ ...formData, code: e.target.value })}
+                  placeholder="Optional short code"
+                />
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button onClick={() => setShowModal(false)} className="cancel-button">
+                Cancel
+              </button>
+              <button onClick={saveTerritory} className="save-button" disabled={saving}>
+                {saving ? 'Saving...' : modalMode === 'edit' ? 'Save Changes' : 'Add'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Tree Node Component
+const TreeNode = ({ node, expanded, selectedId, onToggle, onSelect }) => (
+  <div className="tree-node">
+    <div className={`tree-row ${selectedId === node._id ? 'selected' : ''}`}>
+      <button
+        onClick={() => onToggle(node._id)}
+        className="tree-toggle"
+        disabled={node.children.length === 0}
+      >
+        {node.children.length === 0 ? '•' : expanded[node._id] ? '▾' : '▸'}
+      </button>
+      <button onClick={() => onSelect(node._id)} className="tree-label">
+        <span>{LEVEL_ICONS[node.level]} {node.name}</span>
+        {node.total_rep_count > 0 && <span className="tree-count">{node.total_rep_count}</span>}
+      </button>
+    </div>
+    {expanded[node._id] && node.children.length > 0 && (
+      <div className="tree-children">
+        {node.children.map(child => (
+          <TreeNode
+            key={child._id}
+            node={child}
+            expanded={expanded}
+            selectedId={selectedId}
+            onToggle={onToggle}
+            onSelect={onSelect}
+          />
+        ))}
+      </div>
+    )}
+  </div>
+)
+
+// CSS Styles
+const styles = `
+.territory-management-container {
+  padding: 30px;
+  min-height: 100vh;
+  font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+}
+
+.territory-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 20px;
+  background: #ffffff;
+  padding: 30px;
+  border-radius: 16px;
+  margin-bottom: 30px;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+}
+
+.territory-header h1 {
+  margin: 0 0 8px 0;
+  color: #1e293b;
+  font-size: 28px;
+  font-weight: 700;
+}
+
+.territory-layout {
+  display: grid;
+  grid-template-columns: 340px 1fr;
+  gap: 24px;
+  align-items: start;
+}
+
+.territory-tree-card,
+.territory-detail-card {
+  background: #ffffff;
+  border-radius: 16px;
+  border: 1px solid #e2e8f0;
+  box-shadow: 0 4px 20px rgba(0, 0, 0, 0.06);
+  padding: 20px;
+}
+
+.tree-children {
+  margin-left: 18px;
+  border-left: 1px dashed #e2e8f0;
+  padding-left: 6px;
+}
+
+.tree-row {
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  border-radius: 8px;
+}
+
+.tree-row.selected {
+  background: #eff6ff;
+}
+
+.tree-toggle {
+  width: 24px;
+  height: 24px;
+  border: none;
+  background: none;
+  color: #64748b;
+  cursor: pointer;
+  flex-shrink: 0;
+}
+
+.tree-toggle:disabled {
+  cursor: default;
+  color: #cbd5e1;
+}
+
+.tree-label {
+  flex: 1;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 8px 10px;
+  border: none;
+  background: none;
+  text-align: left;
+  font-size: 14px;
+  color: #1e293b;
+  cursor: pointer;
+  border-radius: 8px;
+}
+
+.tree-label:hover {
+  background: #f8fafc;
+}
+
+.tree-count {
+  background: #e2e8f0;
+  color: #475569;
+  border-radius: 999px;
+  padding: 2px 8px;
+  font-size: 12px;
+  font-weight: 600;
+}
+
+.territory-clear {
+  margin-top: 16px;
+  background: none;
+  border: none;
+  color: #3b82f6;
+  cursor: pointer;
+  font-size: 13px;
+}
+
+.territory-detail-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  gap: 16px;
+  padding-bottom: 20px;
+  border-bottom: 1px solid #f1f5f9;
+  margin-bottom: 20px;
+}
+
+.territory-detail-header h2 {
+  margin: 4px 0;
+  color: #1e293b;
+  font-size: 22px;
+}
+
+.territory-path {
+  font-size: 13px;
+  color: #64748b;
+}
+
+.territory-code {
+  margin-left: 10px;
+  padding: 2px 8px;
+  border-radius: 6px;
+  background: #f1f5f9;
+  color: #475569;
+  font-size: 12px;
+  font-family: monospace;
+  vertical-align: middle;
+}
+
+.territory-meta,
+.territory-muted {
+  font-size: 13px;
+  color: #64748b;
+}
+
+.territory-actions {
+  display: flex;
+  gap: 8px;
+}
+
+.territory-section {
+  margin-bottom: 24px;
+}
+
+.territory-section h3 {
+  margin: 0 0 12px 0;
+  font-size: 16px;
+  color: #1e293b;
+}
+
+.territory-chips {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+}
+
+.territory-chip {
+  padding: 6px 12px;
+  border-radius: 999px;
+  border: 1px solid #e2e8f0;
+  background: #f8fafc;
+  cursor: pointer;
+  font-size: 13px;
+}
+
+.territory-chip:hover {
+  border-color: #3b82f6;
+  color: #3b82f6;
+}
+
+.territory-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+}
+
+.territory-table th {
+  text-align: left;
+  padding: 10px 12px;
+  background: #f8fafc;
+  color: #475569;
+  font-weight: 600;
+  border-bottom: 1px solid #e2e8f0;
+}
+
+.territory-table td {
+  padding: 10px 12px;
+  border-bottom: 1px solid #f1f5f9;
+  color: #334155;
+}
+
+.territory-rep-name {
+  font-weight: 600;
+  color: #1e293b;
+}
+
+.territory-assign {
+  display: flex;
+  gap: 12px;
+  align-items: flex-start;
+}
+
+.territory-assign-select {
+  flex: 1;
+  min-height: 140px;
+  padding: 8px;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  font-size: 14px;
+}
+
+.territory-empty {
+  padding: 60px 20px;
+  text-align: center;
+  color: #64748b;
+}
+
+@media (max-width: 900px) {
+  .territory-layout {
+    grid-template-columns: 1fr;
+  }
+}
+
+@media (max-width: 768px) {
+  .territory-management-container {
+    padding: 16px;
+  }
+
+  .territory-header,
+  .territory-detail-header,
+  .territory-assign {
+    flex-direction: column;
+    align-items: stretch;
+  }
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default TerritoryManagement
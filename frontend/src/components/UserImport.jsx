@@ -0,0 +1,357 @@
+import React, { useState } from 'react'
+import { usersAPI, exportAPI } from '../services/api'
+
+// Member lists are small - anything bigger than this is almost certainly the wrong file
+const MAX_FILE_MB = 2
+
+// Read a chosen file as a data: URL for the API
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = reject
+  reader.readAsDataURL(file)
+})
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Onboard several people at once from a CSV: check every row, create the accounts with
+// temporary passwords, then hand out the credentials as a sheet and/or by email
+const UserImport = ({ onClose, onCreated }) => {
+  const [upload, setUpload] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [sendEmails, setSendEmails] = useState(true)
+  const [checking, setChecking] = useState(false)
+  const [creating, setCreating] = useState(false)
+  const [created, setCreated] = useState(null)
+  const [error, setError] = useState('')
+
+  const chooseFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    if (!/\.(csv|xlsx)$/i.test(file.name)) {
+      setError('Choose a .csv or .xlsx file')
+      return
+    }
+    if (file.size > MAX_FILE_MB * 1024 * 1024) {
+      setError(`Files must be smaller than ${MAX_FILE_MB} MB`)
+      return
+    }
+    try {
+      setChecking(true)
+      setError('')
+      setPreview(null)
+      const chosen = { name: file.name, data: await readFile(file) }
+      setUpload(chosen)
+      // Dry run - nothing is created until the list is confirmed
+      const response = await usersAPI.importUsers({ file: chosen.data, filename: chosen.name })
+      if (response.data.success) {
+        setPreview(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error checking member list:', error)
+      setError(error.response?.data?.message || 'Failed to read the file')
+      setUpload(null)
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  const createAccounts = async () => {
+    try {
+      setCreating(true)
+      setError('')
+      const response = await usersAPI.importUsers({
+        file: upload.data,
+        filename: upload.name,
+        dry_run: false,
+        send_emails: sendEmails
+      })
+      if (response.data.success) {
+        setCreated(response.data.data)
+        onCreated(response.data.message)
+      }
+    } catch (error) {
+      console.error('Error creating accounts:', error)
+      setError(error.response?.data?.message || 'Failed to create accounts')
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const downloadCredentials = () => {
+    const rows = created.filter(user => !user.error)
+    const csv = [
+      ['Name', 'Username', 'Email', 'Role', 'Region', 'Temporary password', 'Emailed'],
+      ...rows.map(user => [user.name, user.username, user.email, user.role, user.region, user.temporary_password, user.emailed ? 'Yes' : 'No'])
+    ].map(row => row.map(escapeCsv).join(',')).join('\n')
+    exportAPI.downloadFile(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `new-accounts-${new Date().toISOString().split('T')[0]}.csv`)
+  }
+
+  const closeModal = () => {
+    // Temporary passwords are shown only once
+    if (created && !window.confirm('The temporary passwords will not be shown again. Close anyway?')) return
+    onClose()
+  }
+
+  const summary = preview?.summary
+  const failed = created ? created.filter(user => user.error) : []
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content user-import-modal">
+        <div className="modal-header">
+          <h3>Import Team Members</h3>
+          <button onClick={closeModal} className="modal-close">&times;</button>
+        </div>
+        <div className="modal-body">
+          {error && <div className="user-import-error">{error}</div>}
+
+          {!created && (
+            <>
+              <div className="user-import-help">
+                One person per row with the columns <strong>username</strong>, <strong>name</strong> and <strong>email</strong>,
+                plus optional <strong>region</strong> and <strong>role</strong> (medrep when left empty).
+                New members report to you and choose their own password at first sign-in.
+              </div>
+              <label className={`cancel-button user-import-file ${checking ? 'disabled' : ''}`}>
+                {checking ? 'Checking...' : upload ? `📄 ${upload.name} - choose another` : '📄 Choose CSV or Excel file'}
+                <input type="file" accept=".csv,.xlsx" onChange={chooseFile} disabled={checking || creating} hidden />
+              </label>
+            </>
+          )}
+
+          {preview && !created && (
+            <>
+              <div className="user-import-summary">
+                <span>{summary.total} rows</span>
+                <span className="user-import-valid">✓ {summary.valid} ready</span>
+                {summary.invalid > 0 && <span className="user-import-invalid">✕ {summary.invalid} with errors</span>}
+              </div>
+              <div className="user-import-table-wrapper">
+                <table className="user-import-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Username</th>
+                      <th>Name</th>
+                      <th>Email</th>
+                      <th>Role</th>
+                      <th>Region</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.rows.map(row => (
+                      <React.Fragment key={row.row}>
+                        <tr className={row.errors.length > 0 ? 'invalid' : ''}>
+                          <td>{row.row}</td>
+                          <td>{row.username || '—'}</td>
+                          <td>{row.name || '—'}</td>
+                          <td>{row.email || '—'}</td>
+                          <td>{row.role || '—'}</td>
+                          <td>{row.region}</td>
+                        </tr>
+                        {row.errors.length > 0 && (
+                          <tr className="invalid">
+                            <td></td>
+                            <td colSpan="5" className="user-import-errors">{row.errors.join(' • ')}</td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {summary.invalid > 0 ? (
+                <div className="user-import-note">Fix the rows with errors and choose the file again - no accounts are created until every row passes.</div>
+              ) : (
+                <label className="user-import-check">
+                  <input type="checkbox" checked={sendEmails} onChange={(e) => setSendEmails(e.target.checked)} />
+                  Email each person their username and temporary password
+                </label>
+              )}
+            </>
+          )}
+
+          {created && (
+            <>
+              <div className="user-import-summary">
+                <span className="user-import-valid">✓ {created.length - failed.length} accounts created</span>
+                {failed.length > 0 && <span className="user-import-invalid">✕ {failed.length} taken meanwhile: {failed.map(user => user.username).join(', ')}</span>}
+              </div>
+              <div className="user-import-note">
+                Download the credentials sheet now - temporary passwords are not stored and will not be shown again.
+                {sendEmails && ' Rows marked "not emailed" could not be sent and need the sheet.'}
+              </div>
+              <div className="user-import-table-wrapper">
+                <table className="user-import-table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Username</th>
+                      <th>Temporary password</th>
+                      <th>Email</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {created.filter(user => !user.error).map(user => (
+                      <tr key={user._id}>
+                        <td>{user.name}</td>
+                        <td>{user.username}</td>
+                        <td><code>{user.temporary_password}</code></td>
+                        <td>{user.emailed ? '✓ sent' : 'not emailed'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+        <div className="modal-footer">
+          {created ? (
+            <>
+              <button onClick={closeModal} className="cancel-button">Done</button>
+              <button onClick={downloadCredentials} className="save-button">Download credentials (CSV)</button>
+            </>
+          ) : (
+            <>
+              <button onClick={closeModal} className="cancel-button" disabled={creating}>Cancel</button>
+              <button
+                onClick={createAccounts}
+                className="save-button"
+                disabled={!summary || summary.invalid > 0 || summary.valid === 0 || checking || creating}
+              >
+                {creating ? 'Creating...' : `Create ${summary?.valid || ''} accounts`}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// CSS Styles
+const styles = `
+.modal-content.user-import-modal {
+  max-width: 820px;
+}
+
+.user-import-help {
+  color: #475569;
+  font-size: 14px;
+  line-height: 1.6;
+  margin-bottom: 16px;
+}
+
+.user-import-file {
+  display: inline-block;
+  cursor: pointer;
+}
+
+.user-import-file.disabled {
+  opacity: 0.6;
+  pointer-events: none;
+}
+
+.user-import-error {
+  background: #fef2f2;
+  color: #b91c1c;
+  border: 1px solid #fecaca;
+  border-radius: 8px;
+  padding: 10px 14px;
+  font-size: 14px;
+  margin-bottom: 16px;
+}
+
+.user-import-summary {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 16px;
+  margin: 20px 0 12px;
+  font-weight: 600;
+  color: #334155;
+  font-size: 14px;
+}
+
+.user-import-valid {
+  color: #15803d;
+}
+
+.user-import-invalid {
+  color: #b91c1c;
+}
+
+.user-import-table-wrapper {
+  max-height: 320px;
+  overflow: auto;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+}
+
+.user-import-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 13px;
+}
+
+.user-import-table th {
+  position: sticky;
+  top: 0;
+  background: #f8fafc;
+  color: #475569;
+  text-align: left;
+  padding: 8px 10px;
+  border-bottom: 1px solid #e2e8f0;
+}
+
+.user-import-table td {
+  padding: 8px 10px;
+  border-bottom: 1px solid #f1f5f9;
+  color: #1e293b;
+}
+
+.user-import-table tr.invalid td {
+  background: #fef2f2;
+}
+
+.user-import-errors {
+  color: #b91c1c;
+}
+
+.user-import-table code {
+  font-size: 13px;
+  background: #f1f5f9;
+  padding: 2px 6px;
+  border-radius: 4px;
+}
+
+.user-import-note {
+  margin-top: 12px;
+  color: #64748b;
+  font-size: 13px;
+}
+
+.user-import-check {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-top: 16px;
+  font-size: 14px;
+  color: #334155;
+  cursor: pointer;
+}
+`
+
+// Add styles to document
+if (typeof document !== 'undefined') {
+  const styleSheet = document.createElement('style')
+  styleSheet.textContent = styles
+  document.head.appendChild(styleSheet)
+}
+
+export default UserImport
@@ -38,6 +38,8 @@ export const AuthProvider = ({ children }) => {
                 const freshUser = profileResponse.data.data;
                 console.log('✅ Token valid, user:', freshUser.username);
                 setUser(freshUser);
+                // Keep the stored copy in step, permissions may have changed since login
+                localStorage.setItem('user', JSON.stringify(freshUser));
                 setToken(storedToken);
               } else {
                 throw new Error('Token validation failed');
@@ -54,6 +56,7 @@ export const AuthProvider = ({ children }) => {
             console.error('❌ Error parsing stored user:', parseError);
             // Clear corrupted data
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
             localStorage.removeItem('user');
           }
         } else {
@@ -63,6 +66,7 @@ export const AuthProvider = ({ children }) => {
         console.error('❌ Error initializing auth:', error);
         // Clear any corrupted data
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
       } finally {
         setLoading(false);
@@ -81,10 +85,11 @@ export const AuthProvider = ({ children }) => {
       console.log('📦 Login API response:', response.data);
       
       if (response.data.success) {
-        const { token, user } = response.data.data;
+        const { token, refresh_token, user } = response.data.data;
         
         // Store everything in localStorage
         localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refresh_token);
         localStorage.setItem('user', JSON.stringify(user));
         
         // Update state
@@ -154,21 +159,10 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    console.log('🚪 Logging out...');
-    
-    try {
-      // Try API logout (optional)
-      authAPI.logout().catch(() => {
-        // Ignore errors for logout
-        console.log('API logout skipped (optional)');
-      });
-    } catch (apiError) {
-      console.log('API logout failed, continuing with client logout');
-    }
-    
-    // Clear everything from localStorage
+  // Clear the stored session and go back to the login page
+  const clearAuth = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     
     // Reset state
@@ -181,6 +175,26 @@ export const AuthProvider = ({ children }) => {
     }, 100);
   };
 
+  const logout = () => {
+    console.log('🚪 Logging out...');
+    
+    // Revoke the session server-side so the tokens stop working - the client logs out regardless
+    authAPI.logout(localStorage.getItem('refreshToken')).catch(() => {
+      console.log('API logout failed, continuing with client logout');
+    });
+    
+    clearAuth();
+  };
+
+  // Sign out of every device, this one included
+  const logoutAllDevices = async () => {
+    console.log('🚪 Logging out of all devices...');
+    
+    const response = await authAPI.logoutAll();
+    clearAuth();
+    return response.data;
+  };
+
   // Update user data (after profile edit, etc.)
   const updateUser = (updatedUser) => {
     setUser(updatedUser);
@@ -200,15 +214,23 @@ export const AuthProvider = ({ children }) => {
     return roles.includes(user.role);
   };
 
+  // Check if the user's role grants a permission (e.g. 'reports:read:team')
+  const hasPermission = (permission) => {
+    if (!user || !Array.isArray(user.permissions)) return false;
+    return user.permissions.includes(permission);
+  };
+
   const value = {
     user,
     login,
     logout,
+    logoutAllDevices,
     loading,
     token,
     updateUser,
     hasRole,
-    hasAnyRole
+    hasAnyRole,
+    hasPermission
   };
 
   return (
@@ -31,18 +31,74 @@ api.interceptors.request.use(
   }
 );
 
+// ====================== TOKEN REFRESH ======================
+// Access tokens are short-lived. When one is rejected the refresh token is swapped for a new
+// pair and the request is retried, so users are only sent to the login page once the session
+// itself has ended.
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  if (!window.location.pathname.includes('/login')) {
+    window.location.href = '/login';
+  }
+};
+
+// Requests failing together share one refresh - each refresh token can only be used once
+let refreshing = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshing = (async () => {
+      if (!refreshToken) throw new Error('No refresh token');
+      try {
+        // Plain axios, so a failed refresh doesn't come back through the interceptor
+        const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refresh_token: refreshToken });
+        const { token, refresh_token } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refresh_token);
+        return token;
+      } catch (error) {
+        // Another tab may have refreshed first and stored the new pair
+        const current = localStorage.getItem('refreshToken');
+        if (current && current !== refreshToken) return localStorage.getItem('token');
+        throw error;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+// Requests that don't use the access token, so a 401 from them is final
+const isAuthRequest = (config) =>
+  /^\/auth\/(login|refresh|logout|forgot-password|reset-password)(\/|\?|$)/.test(config?.url || '');
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      if (!window.location.pathname.includes('/login')) {
-        window.location.href = '/login';
-      }
+  async (error) => {
+    const { config } = error;
+    if (error.response?.status !== 401 || !config || isAuthRequest(config)) {
+      return Promise.reject(error);
+    }
+    if (config._retry) {
+      clearSession();
+      return Promise.reject(error);
+    }
+
+    try {
+      const token = await refreshAccessToken();
+      config._retry = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return api(config);
+    } catch (refreshError) {
+      clearSession();
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -63,8 +119,31 @@ export const authAPI = {
   login: (username, password) => 
     api.post('/auth/login', { username, password }),
   
-  logout: () => 
-    api.post('/auth/logout'),
+  logout: (refreshToken) => 
+    api.post('/auth/logout', { refresh_token: refreshToken }),
+  
+  // Ends every session of the signed-in user, this one included
+  logoutAll: () => 
+    api.post('/auth/logout-all'),
+  
+  getSessions: () => 
+    api.get('/auth/sessions'),
+  
+  revokeSession: (id) => 
+    api.delete(`/auth/sessions/${id}`),
+  
+  // Passwords - the reset endpoints work without being signed in
+  changePassword: (currentPassword, newPassword) => 
+    api.post('/auth/change-password', { current_password: currentPassword, new_password: newPassword }),
+  
+  forgotPassword: (identifier) => 
+    api.post('/auth/forgot-password', { identifier }),
+  
+  checkResetToken: (token) => 
+    api.get(`/auth/reset-password/${encodeURIComponent(token)}`),
+  
+  resetPassword: (token, newPassword) => 
+    api.post('/auth/reset-password', { token, new_password: newPassword }),
   
   getProfile: () => 
     api.get('/users/profile/me'),
@@ -75,14 +154,15 @@ export const authAPI = {
 
 export const reportsAPI = {
   // For MedRepDashboard - with pagination support
-  getMyReports: (page = 1, limit = 10) => 
+  // filters: search, region, from, to, min_value, max_value, has_summary, sort
+  getMyReports: (page = 1, limit = 10, status, filters = {}) => 
     api.get('/reports/my-reports', {
-      params: { page, limit }
+      params: { page, limit, ...(status ? { status } : {}), ...filters }
     }),
   
-  // For SupervisorDashboard - get all reports
-  getAll: () => 
-    api.get('/reports/all'),  // FIXED: Changed from '/reports' to '/reports/all'
+  // For SupervisorDashboard - get all reports, with the same filters plus user_id, status, page and limit
+  getAll: (params = {}) => 
+    api.get('/reports/all', { params }),  // FIXED: Changed from '/reports' to '/reports/all'
   
   // Get all reports without filter (for supervisors)
   getAllReports: () => 
@@ -100,15 +180,59 @@ export const reportsAPI = {
   deleteReport: (id) => 
     api.delete(`/reports/${id}`),
   
+  // Review workflow - reps submit drafts and corrections, supervisors approve or return
+  submitReport: (id, reason = '') => 
+    api.post(`/reports/${id}/submit`, { reason }),
+  
+  reviewReport: (id, decision, reason = '') => 
+    api.post(`/reports/${id}/review`, { decision, reason }),
+  
+  getReviewQueue: (page = 1, limit = 20) => 
+    api.get('/reports/review-queue', { params: { page, limit } }),
+  
+  // Every edit made to a report, with old and new values
+  getRevisions: (id) => 
+    api.get(`/reports/${id}/revisions`),
+  
+  // Comment threads on a report
+  getComments: (id) => 
+    api.get(`/reports/${id}/comments`),
+  
+  addComment: (id, body, parentId = null) => 
+    api.post(`/reports/${id}/comments`, { body, parent_id: parentId }),
+  
+  markCommentsRead: (id) => 
+    api.post(`/reports/${id}/comments/read`),
+  
+  deleteComment: (id, commentId) => 
+    api.delete(`/reports/${id}/comments/${commentId}`),
+  
+  getCommentFeed: (limit = 20, unreadOnly = false) => 
+    api.get('/reports/comments/feed', { params: { limit, ...(unreadOnly ? { unread_only: true } : {}) } }),
+  
+  // Reps expected to report on a day who have not (supervisors)
+  getMissingReports: (date) => 
+    api.get('/reports/missing', { params: date ? { date } : {} }),
+  
   getByDateRange: (startDate, endDate) => 
     api.get(`/reports/date-range/${startDate}/${endDate}`),
   
   // New endpoint for Team Management
-  getReportsByUserId: (userId, startDate, endDate) => {
-    const params = {};
+  getReportsByUserId: (userId, startDate, endDate, options = {}) => {
+    const params = { ...options };
     if (startDate) params.startDate = startDate;
     if (endDate) params.endDate = endDate;
     return api.get(`/reports/user/${userId}`, { params });
+  },
+  
+  // Historical reports from a CSV/XLSX upload - a dry run unless dry_run is false
+  importReports: (data) => 
+    api.post('/reports/import', data, { timeout: 120000 }),
+  
+  // Live report events for supervisors - EventSource cannot send headers, so the token rides in the URL
+  openEventStream: () => {
+    const token = localStorage.getItem('token');
+    return new EventSource(`${API_BASE_URL}/reports/stream?access_token=${encodeURIComponent(token || '')}`);
   }
 };
 
@@ -119,23 +243,58 @@ export const analyticsAPI = {
   getMonthly: () => 
     api.get('/analytics/monthly'),
   
-  getTeamPerformance: (period = 'month') => 
-    api.get(`/analytics/team-performance?period=${period}`),
+  // approvedOnly limits the figures to reports a supervisor has approved
+  getTeamPerformance: (period = 'month', approvedOnly = false) => 
+    api.get('/analytics/team-performance', { 
+      params: { period, ...(approvedOnly ? { approved_only: true } : {}) } 
+    }),
   
-  getRegionPerformance: () => 
-    api.get('/analytics/region-performance'),
+  getRegionPerformance: (approvedOnly = false) => 
+    api.get('/analytics/region-performance', { 
+      params: approvedOnly ? { approved_only: true } : {} 
+    }),
   
   getDashboardSummary: () => 
     api.get('/analytics/dashboard-summary'),
   
-  // Export functionality endpoints
-  exportTeamReport: (period = 'month', format = 'pdf') => 
-    api.get(`/analytics/export/team?period=${period}&format=${format}`, {
+  getProductSales: (period = 'month') => 
+    api.get(`/analytics/product-sales?period=${period}`),
+  
+  getTerritoryPerformance: (level = 'province', parentId = null, period = 'month', approvedOnly = false) => 
+    api.get('/analytics/territory-performance', { 
+      params: { 
+        level, 
+        period, 
+        ...(parentId ? { parent_id: parentId } : {}), 
+        ...(approvedOnly ? { approved_only: true } : {}) 
+      } 
+    }),
+  
+  // Target attainment - own targets, or everyone in the team
+  getMyTargets: (month) => 
+    api.get('/analytics/targets', { params: month ? { month } : {} }),
+  
+  getTeamTargets: (month) => 
+    api.get('/analytics/team-targets', { params: month ? { month } : {} }),
+  
+  // Journey plan vs. the calls actually logged
+  getPlanAdherence: (params = {}) => 
+    api.get('/analytics/plan-adherence', { params }),
+  
+  // Reported days vs. expected working days, allowing for holidays and approved leave
+  getSubmissionRate: (params = {}) => 
+    api.get('/analytics/submission-rate', { params }),
+  
+  // Export functionality endpoints - format is pdf, csv or xlsx; params may add from, to and approved_only
+  exportTeamReport: (period = 'month', format = 'pdf', params = {}) => 
+    api.get('/analytics/export/team', {
+      params: { period, format, ...params },
       responseType: 'blob' // Important for file downloads
     }),
   
-  exportMemberReport: (userId, period = 'month', format = 'pdf') => 
-    api.get(`/analytics/export/member/${userId}?period=${period}&format=${format}`, {
+  exportMemberReport: (userId, period = 'month', format = 'pdf', params = {}) => 
+    api.get(`/analytics/export/member/${userId}`, {
+      params: { period, format, ...params },
       responseType: 'blob'
     })
 };
@@ -165,12 +324,28 @@ export const usersAPI = {
   getSupervisors: () => 
     api.get('/users/supervisors'),
   
+  // Bulk onboarding from a CSV - a dry run unless dry_run is false
+  importUsers: (data) => 
+    api.post('/users/import', data, { timeout: 60000 }),
+  
+  // Reporting lines
+  getOrgChart: (includeInactive = false) => 
+    api.get(`/users/org-chart${includeInactive ? '?include_inactive=true' : ''}`),
+  
+  setManager: (userId, managerId) => 
+    api.put(`/users/${userId}/manager`, { manager_id: managerId }),
+  
+  // Gives the member a temporary password, emailed to them unless sendEmail is false
+  resetPassword: (userId, sendEmail = true) => 
+    api.post(`/users/${userId}/reset-password`, { send_email: sendEmail }),
+  
   // Team Management specific endpoints
   getActiveMedreps: () => 
     api.get('/users/active-medreps'),
   
-  getTeamMembers: () => 
-    api.get('/users/team-members'),
+  // Members of the reporting line with their totals - params: period, from, to, status, role, search, page, limit
+  getTeamMembers: (params = {}) => 
+    api.get('/users/team-members', { params }),
   
   deactivateUser: (userId) => 
     api.put(`/users/${userId}/deactivate`, {}),
@@ -182,14 +357,219 @@ export const usersAPI = {
     api.put(`/users/${userId}/${action}`, {}),
   
   // User search
-  searchUsers: (query) => 
-    api.get(`/users/search?query=${query}`),
+  searchUsers: (query, params = {}) => 
+    api.get('/users/search', { params: { query, ...params } }),
   
   // User performance stats
   getUserPerformance: (userId, period = 'month') => 
     api.get(`/users/${userId}/performance?period=${period}`)
 };
 
+export const hcpsAPI = {
+  search: (params = {}) => 
+    api.get('/hcps', { params }),
+  
+  getById: (id) => 
+    api.get(`/hcps/${id}`),
+  
+  getCoverage: (id) => 
+    api.get(`/hcps/${id}/coverage`),
+  
+  create: (data) => 
+    api.post('/hcps', data),
+  
+  update: (id, data) => 
+    api.put(`/hcps/${id}`, data),
+  
+  delete: (id) => 
+    api.delete(`/hcps/${id}`)
+};
+
+export const outletsAPI = {
+  search: (params = {}) => 
+    api.get('/outlets', { params }),
+  
+  getById: (id) => 
+    api.get(`/outlets/${id}`),
+  
+  create: (data) => 
+    api.post('/outlets', data),
+  
+  update: (id, data) => 
+    api.put(`/outlets/${id}`, data),
+  
+  delete: (id) => 
+    api.delete(`/outlets/${id}`)
+};
+
+export const territoriesAPI = {
+  getAll: (params = {}) => 
+    api.get('/territories', { params }),
+  
+  getTree: (includeInactive = false) => 
+    api.get('/territories/tree', { params: includeInactive ? { include_inactive: true } : {} }),
+  
+  getById: (id) => 
+    api.get(`/territories/${id}`),
+  
+  create: (data) => 
+    api.post('/territories', data),
+  
+  update: (id, data) => 
+    api.put(`/territories/${id}`, data),
+  
+  assignReps: (id, userIds) => 
+    api.put(`/territories/${id}/reps`, { user_ids: userIds }),
+  
+  delete: (id) => 
+    api.delete(`/territories/${id}`)
+};
+
+export const productsAPI = {
+  getAll: (params = {}) => 
+    api.get('/products', { params }),
+  
+  getById: (id) => 
+    api.get(`/products/${id}`),
+  
+  create: (data) => 
+    api.post('/products', data),
+  
+  update: (id, data) => 
+    api.put(`/products/${id}`, data),
+  
+  delete: (id) => 
+    api.delete(`/products/${id}`)
+};
+
+export const targetsAPI = {
+  getAll: (params = {}) => 
+    api.get('/targets', { params }),
+  
+  save: (data) => 
+    api.put('/targets', data),
+  
+  delete: (id) => 
+    api.delete(`/targets/${id}`)
+};
+
+export const journeyPlansAPI = {
+  getMyPlans: (params = {}) => 
+    api.get('/journey-plans/my-plans', { params }),
+  
+  getTeamPlans: (params = {}) => 
+    api.get('/journey-plans/team', { params }),
+  
+  getById: (id) => 
+    api.get(`/journey-plans/${id}`),
+  
+  save: (data) => 
+    api.put('/journey-plans', data),
+  
+  submit: (id) => 
+    api.post(`/journey-plans/${id}/submit`),
+  
+  review: (id, decision, note = '') => 
+    api.post(`/journey-plans/${id}/review`, { decision, note }),
+  
+  delete: (id) => 
+    api.delete(`/journey-plans/${id}`)
+};
+
+export const rolesAPI = {
+  getAll: () => 
+    api.get('/roles'),
+  
+  update: (name, permissions) => 
+    api.put(`/roles/${name}`, { permissions })
+};
+
+export const expensesAPI = {
+  getMyExpenses: (month, status) => 
+    api.get('/expenses/my-expenses', { params: { month, ...(status ? { status } : {}) } }),
+  
+  getTeamExpenses: (params = {}) => 
+    api.get('/expenses/team', { params }),
+  
+  getSummary: (month, userId) => 
+    api.get('/expenses/summary', { params: { month, ...(userId ? { user_id: userId } : {}) } }),
+  
+  getForReport: (reportId) => 
+    api.get(`/expenses/report/${reportId}`),
+  
+  // Receipt images need the auth header, so they are fetched as blobs
+  getReceipt: (id) => 
+    api.get(`/expenses/${id}/receipt`, { responseType: 'blob' }),
+  
+  create: (data) => 
+    api.post('/expenses', data),
+  
+  update: (id, data) => 
+    api.put(`/expenses/${id}`, data),
+  
+  review: (id, decision, note = '') => 
+    api.post(`/expenses/${id}/review`, { decision, note }),
+  
+  delete: (id) => 
+    api.delete(`/expenses/${id}`)
+};
+
+export const leaveAPI = {
+  getMyLeave: (year) => 
+    api.get('/leave/my-leave', { params: year ? { year } : {} }),
+  
+  getTeamLeave: (params = {}) => 
+    api.get('/leave/team', { params }),
+  
+  request: (data) => 
+    api.post('/leave', data),
+  
+  review: (id, decision, note = '') => 
+    api.post(`/leave/${id}/review`, { decision, note }),
+  
+  cancel: (id) => 
+    api.post(`/leave/${id}/cancel`)
+};
+
+export const holidaysAPI = {
+  getAll: (year) => 
+    api.get('/holidays', { params: year ? { year } : {} }),
+  
+  create: (data) => 
+    api.post('/holidays', data),
+  
+  update: (id, data) => 
+    api.put(`/holidays/${id}`, data),
+  
+  delete: (id) => 
+    api.delete(`/holidays/${id}`)
+};
+
+export const notificationsAPI = {
+  getAll: (params = {}) => 
+    api.get('/notifications', { params }),
+  
+  getUnreadCount: () => 
+    api.get('/notifications/unread-count'),
+  
+  markRead: (id) => 
+    api.post(`/notifications/${id}/read`),
+  
+  markAllRead: () => 
+    api.post('/notifications/read-all')
+};
+
+export const auditAPI = {
+  getEntries: (params = {}) => 
+    api.get('/audit', { params }),
+  
+  getActions: () => 
+    api.get('/audit/actions'),
+  
+  exportCsv: (params = {}) => 
+    api.get('/audit/export', { params, responseType: 'blob' })
+};
+
 // Helper functions for PDF export
 export const exportAPI = {
   // Generate PDF blob